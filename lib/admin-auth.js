@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { createSupabaseAdmin } = require('./supabase');
+
+const OPERATOR_ROLES = ['manager', 'mechanic', 'support'];
+
+/**
+ * Токены операторов храним только в виде SHA-256, сам токен выдается один раз при создании.
+ */
+function hashOperatorToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateOperatorToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+async function findOperatorByToken(supabaseAdmin, token) {
+    const { data, error } = await supabaseAdmin
+        .from('operators')
+        .select('id, name, role, active')
+        .eq('token_hash', hashOperatorToken(token))
+        .maybeSingle();
+
+    if (error) {
+        throw new Error('Не удалось проверить токен оператора: ' + error.message);
+    }
+    return data;
+}
+
+/**
+ * Определяет оператора по заголовку Authorization: Bearer <token>.
+ * @returns {Promise<{ status: number, body: object } | { operator: object }>}
+ */
+async function resolveOperator(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        return { status: 401, body: { error: 'Требуется авторизация оператора.' } };
+    }
+    const operator = await findOperatorByToken(createSupabaseAdmin(), match[1].trim());
+    if (!operator || !operator.active) {
+        return { status: 401, body: { error: 'Недействительный токен оператора.' } };
+    }
+    return { operator };
+}
+
+/**
+ * Middleware для /api/admin: находит активного оператора и кладет его в req.operator.
+ */
+function authenticateOperator() {
+    return async (req, res, next) => {
+        try {
+            const result = await resolveOperator(req);
+            if (!result.operator) {
+                return res.status(result.status).json(result.body);
+            }
+            req.operator = result.operator;
+            next();
+        } catch (error) {
+            console.error('Operator authentication error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+/**
+ * Проверяет, может ли оператор выполнить действие.
+ * @param {object} operator - Оператор из req.operator.
+ * @param {string[]} allowedRoles - Роли, которым разрешено действие.
+ */
+function canPerform(operator, allowedRoles) {
+    return Boolean(operator && allowedRoles && allowedRoles.includes(operator.role));
+}
+
+module.exports = {
+    OPERATOR_ROLES,
+    hashOperatorToken,
+    generateOperatorToken,
+    resolveOperator,
+    authenticateOperator,
+    canPerform
+};
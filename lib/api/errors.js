@@ -0,0 +1,56 @@
+/**
+ * Единый формат ошибок /api/v1:
+ * { "error": { "code": "not_found", "message": "...", "details": { ... } } }
+ * code — стабильный машиночитаемый код, message — текст для человека.
+ */
+
+// Код по HTTP-статусу, если обработчик не вернул свой
+const DEFAULT_ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    429: 'too_many_requests',
+    500: 'internal_error',
+    502: 'upstream_error',
+    503: 'service_unavailable'
+};
+
+function defaultErrorCode(status) {
+    return DEFAULT_ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+}
+
+/**
+ * Переводит ответ обработчика с ошибкой ({ error, code, ...остальное }) в формат /api/v1.
+ * Остальные поля тела (например, ticket_id) попадают в details.
+ */
+function toErrorEnvelope(status, body = {}) {
+    const { error, code, ...details } = body;
+    return {
+        error: {
+            code: code || defaultErrorCode(status),
+            message: error || 'Request failed.',
+            ...(Object.keys(details).length > 0 ? { details } : {})
+        }
+    };
+}
+
+/**
+ * Ответ на исключение. Ошибки предметных модулей (у них есть code и status) отдаются как есть;
+ * все остальное — 500 без внутренних подробностей: текст ошибки базы наружу не уходит.
+ * @returns {{ status: number, body: object }}
+ */
+function errorResponseFromException(error) {
+    if (error && typeof error.status === 'number' && error.code && typeof error.code === 'string') {
+        return {
+            status: error.status,
+            body: toErrorEnvelope(error.status, { error: error.message, code: error.code, ...(error.details || {}) })
+        };
+    }
+    return { status: 500, body: toErrorEnvelope(500, { error: 'Internal server error.' }) };
+}
+
+module.exports = { DEFAULT_ERROR_CODES, toErrorEnvelope, errorResponseFromException };
@@ -0,0 +1,17 @@
+const { defineOperation, listOperations } = require('./registry');
+const { runOperation, legacyActionRoute, createApiRouter, apiErrorHandler } = require('./router');
+const { buildOpenApiDocument } = require('./openapi');
+const { registerUserOperations } = require('./operations/user');
+const { registerAdminOperations } = require('./operations/admin');
+
+module.exports = {
+    defineOperation,
+    listOperations,
+    runOperation,
+    legacyActionRoute,
+    createApiRouter,
+    apiErrorHandler,
+    buildOpenApiDocument,
+    registerUserOperations,
+    registerAdminOperations
+};
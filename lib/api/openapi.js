@@ -0,0 +1,86 @@
+const { listOperations } = require('./registry');
+const { version } = require('../../package.json');
+
+/**
+ * OpenAPI-документ /api/v1, собранный из реестра операций.
+ */
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['error'],
+    properties: {
+        error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: {
+                code: { type: 'string', description: 'Машиночитаемый код ошибки.' },
+                message: { type: 'string' },
+                details: { type: 'object' }
+            }
+        }
+    }
+};
+
+function operationSecurity(operation) {
+    if (operation.public) return [];
+    if (operation.audience === 'admin') return [{ operatorToken: [] }];
+    return [{ userToken: [] }, { telegramInitData: [] }];
+}
+
+function operationParameters(operation) {
+    const pathParams = Object.entries(operation.params).map(([name, schema]) => ({
+        name, in: 'path', required: true, schema
+    }));
+    const queryParams = Object.entries(operation.query).map(([name, schema]) => ({
+        name, in: 'query', required: (operation.queryRequired || []).includes(name), schema
+    }));
+    return [...pathParams, ...queryParams];
+}
+
+function successContent(operation) {
+    const content = { 'application/json': { schema: { type: 'object' } } };
+    for (const contentType of operation.download || []) {
+        content[contentType] = { schema: { type: 'string', format: 'binary' } };
+    }
+    return content;
+}
+
+function buildOpenApiDocument() {
+    const paths = {};
+    for (const operation of listOperations()) {
+        paths[operation.path] = paths[operation.path] || {};
+        paths[operation.path][operation.method] = {
+            operationId: operation.operationId,
+            summary: operation.summary,
+            tags: [operation.tag || operation.audience],
+            security: operationSecurity(operation),
+            parameters: operationParameters(operation),
+            ...(operation.body
+                ? { requestBody: { required: true, content: { 'application/json': { schema: operation.body } } } }
+                : {}),
+            responses: {
+                200: { description: 'OK', content: successContent(operation) },
+                default: { description: 'Ошибка', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+            },
+            'x-legacy-action': `/api/${operation.audience} ${operation.action}`,
+            ...(operation.roles ? { 'x-operator-roles': operation.roles } : {})
+        };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: { title: 'BikePark54 API', version },
+        servers: [{ url: '/api/v1' }],
+        paths,
+        components: {
+            schemas: { Error: ERROR_SCHEMA },
+            securitySchemes: {
+                userToken: { type: 'http', scheme: 'bearer', description: 'Сессионный auth_token клиента.' },
+                telegramInitData: { type: 'apiKey', in: 'header', name: 'X-Telegram-Init-Data' },
+                operatorToken: { type: 'http', scheme: 'bearer', description: 'Токен оператора.' }
+            }
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument };
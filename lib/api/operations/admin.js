@@ -0,0 +1,773 @@
+const { defineOperation, objectSchema } = require('../registry');
+const schemas = require('../schemas');
+const { handleGetAuditLog } = require('../../audit-log');
+const {
+    handleChargePaymentMethod,
+    handleRefundPayment,
+    handleGetPayments
+} = require('../../payments');
+const { handleRetryDamageCharge } = require('../../damage-charges');
+const { handleRenewRental } = require('../../billing');
+const { handleRunJob, handleGetJobs } = require('../../scheduler');
+const { handleGetNotifications, handleResendNotification } = require('../../notifications');
+const {
+    handleExportTrack,
+    handleSaveGeofence,
+    handleGetGeofences,
+    handleGetGeofenceAlerts
+} = require('../../locations');
+const { IOT_COMMANDS, handleSendBikeCommand, handleGetBikeTelemetry } = require('../../iot');
+const {
+    handleSaveBike,
+    handleRetireBike,
+    handleGetBikes,
+    handleSaveBattery,
+    handleGetBatteries,
+    handleSwapBattery,
+    handleRecordBatteryCharge
+} = require('../../fleet');
+const {
+    SERVICE_TICKET_TRANSITIONS,
+    handleOpenServiceTicket,
+    handleUpdateServiceTicket,
+    handleAddServiceTicketPart,
+    handleGetServiceTickets,
+    handleGetRepairHistory
+} = require('../../service-tickets');
+const { handleSaveDamageItem, handleGetDamageCatalog } = require('../../damage-catalog');
+const { handleUploadRentalPhotoAdmin, handleGetRentalPhotosAdmin } = require('../../rental-photos');
+const { handleAnonymiseClient } = require('../../personal-data');
+const {
+    VERIFICATION_REASONS,
+    handleSetVerificationStatus,
+    handleGetVerificationQueue
+} = require('../../verification');
+const {
+    REPORT_DEFINITIONS,
+    REPORT_FORMATS,
+    REPORT_GROUP_BY,
+    XLSX_CONTENT_TYPE,
+    createReportHandler
+} = require('../../reports');
+
+const ALL_ROLES = ['manager', 'mechanic', 'support'];
+const SERVICE_TICKET_STATUSES = Object.keys(SERVICE_TICKET_TRANSITIONS);
+
+const rentalParams = { rental_id: schemas.id };
+const bikeParams = { bike_id: schemas.id };
+
+const bikeFields = {
+    model_name: schemas.text,
+    frame_number: schemas.text,
+    registration_number: { type: ['string', 'null'] },
+    iot_device_id: { type: ['string', 'null'] },
+    additional_equipment: { type: ['string', 'null'] },
+    status: schemas.text,
+    service_reason: { type: ['string', 'null'] }
+};
+const batteryFields = {
+    serial_number: schemas.text,
+    capacity_wh: { type: ['number', 'null'], minimum: 0 },
+    notes: { type: ['string', 'null'] },
+    status: { type: 'string', enum: ['in_stock', 'charging', 'retired'] }
+};
+const geofenceFields = {
+    name: schemas.text,
+    city: { type: ['string', 'null'] },
+    geometry: { type: 'object', required: ['type', 'coordinates'] },
+    active: { type: 'boolean' }
+};
+// Дата без времени берется по часовому поясу парка, день в to включается целиком
+const reportDate = { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] };
+const reportQuery = {
+    from: reportDate,
+    to: reportDate,
+    city: schemas.text,
+    format: { type: 'string', enum: REPORT_FORMATS }
+};
+const damageItemFields = {
+    code: schemas.text,
+    model_name: { type: ['string', 'null'] },
+    description: schemas.text,
+    price: { type: 'number', minimum: 0 },
+    active: { type: 'boolean' }
+};
+
+/**
+ * Операции операторов (/api/v1/admin и действия /api/admin). roles — роли,
+ * которым разрешена операция; auditSubjects — записи, состояние которых
+ * попадает в журнал аудита до и после действия. У операций создания они тоже
+ * указаны: через /api/admin в то же действие приходит и изменение с id записи.
+ * @param {object} handlers - Обработчики, которые живут в server.js.
+ */
+function registerAdminOperations(handlers) {
+    // Аренды
+    defineOperation({
+        operationId: 'createRental',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'post',
+        path: '/admin/rentals',
+        action: 'create-rental',
+        tag: 'admin-rentals',
+        summary: 'Выставить аренду на подпись договора (только верифицированному клиенту)',
+        body: objectSchema({ user_id: schemas.id, bike_id: schemas.id, tariff_id: schemas.id }, ['user_id', 'bike_id', 'tariff_id']),
+        auditSubjects: async (input) => [{ table: 'bikes', id: input.bike_id }],
+        handler: handlers.createRental
+    });
+    defineOperation({
+        operationId: 'finalizeReturn',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'post',
+        path: '/admin/rentals/{rental_id}/return',
+        action: 'finalize-return',
+        tag: 'admin-rentals',
+        summary: 'Оформить приемку велосипеда',
+        params: rentalParams,
+        body: objectSchema({
+            new_bike_status: schemas.text,
+            service_reason: { type: 'string' },
+            defects: { type: 'array', items: schemas.defect }
+        }, ['new_bike_status']),
+        auditSubjects: async (input, supabaseAdmin) => {
+            const { data: rental } = await supabaseAdmin
+                .from('rentals').select('bike_id').eq('id', input.rental_id).maybeSingle();
+            return [
+                { table: 'rentals', id: input.rental_id },
+                { table: 'bikes', id: rental?.bike_id }
+            ];
+        },
+        handler: handlers.finalizeReturn
+    });
+    defineOperation({
+        operationId: 'getRentalStatusHistoryAdmin',
+        audience: 'admin',
+        roles: ALL_ROLES,
+        method: 'get',
+        path: '/admin/rentals/{rental_id}/status-history',
+        action: 'get-rental-status-history',
+        tag: 'admin-rentals',
+        summary: 'История статусов аренды',
+        params: rentalParams,
+        handler: handlers.getRentalStatusHistory
+    });
+    defineOperation({
+        operationId: 'getDocumentUrlAdmin',
+        audience: 'admin',
+        roles: ['manager', 'support'],
+        method: 'get',
+        path: '/admin/rentals/{rental_id}/documents/{document_type}/url',
+        action: 'get-document-url',
+        tag: 'admin-rentals',
+        summary: 'Временная ссылка на документ аренды',
+        params: { ...rentalParams, document_type: schemas.documentType },
+        handler: handlers.getDocumentUrl
+    });
+    defineOperation({
+        operationId: 'renewRental',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'post',
+        path: '/admin/rentals/{rental_id}/renewal',
+        action: 'renew-rental',
+        tag: 'admin-rentals',
+        summary: 'Внеочередное продление аренды',
+        params: rentalParams,
+        auditSubjects: async (input) => [{ table: 'rentals', id: input.rental_id }],
+        handler: handleRenewRental
+    });
+    defineOperation({
+        operationId: 'retryDamageCharge',
+        audience: 'admin',
+        roles: ['manager', 'support'],
+        method: 'post',
+        path: '/admin/rentals/{rental_id}/damage-charge',
+        action: 'retry-damage-charge',
+        tag: 'admin-rentals',
+        summary: 'Повторить списание за ущерб',
+        params: rentalParams,
+        auditSubjects: async (input) => [{ table: 'rentals', id: input.rental_id }],
+        handler: handleRetryDamageCharge
+    });
+    defineOperation({
+        operationId: 'exportTrack',
+        audience: 'admin',
+        roles: ['manager', 'support'],
+        method: 'get',
+        path: '/admin/rentals/{rental_id}/track',
+        action: 'export-track',
+        tag: 'admin-rentals',
+        summary: 'Трек аренды в GeoJSON или GPX',
+        params: rentalParams,
+        query: { format: { type: 'string', enum: ['geojson', 'gpx'] } },
+        handler: handleExportTrack
+    });
+    defineOperation({
+        operationId: 'uploadRentalPhotoAdmin',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'post',
+        path: '/admin/rentals/{rental_id}/photos',
+        action: 'upload-rental-photo',
+        tag: 'admin-rentals',
+        summary: 'Загрузить фото при выдаче или приемке',
+        params: rentalParams,
+        body: objectSchema({
+            stage: schemas.photoStage,
+            photo: schemas.photo,
+            captured_at: schemas.dateTime,
+            caption: { type: 'string', maxLength: 500 }
+        }, ['stage', 'photo']),
+        auditSubjects: async (input) => [{ table: 'rentals', id: input.rental_id }],
+        handler: handleUploadRentalPhotoAdmin
+    });
+    defineOperation({
+        operationId: 'getRentalPhotosAdmin',
+        audience: 'admin',
+        roles: ALL_ROLES,
+        method: 'get',
+        path: '/admin/rentals/{rental_id}/photos',
+        action: 'get-rental-photos',
+        tag: 'admin-rentals',
+        summary: 'Фото аренды',
+        params: rentalParams,
+        query: { stage: schemas.photoStage },
+        handler: handleGetRentalPhotosAdmin
+    });
+
+    // Клиенты
+    defineOperation({
+        operationId: 'setVerificationStatus',
+        audience: 'admin',
+        roles: ['manager', 'support'],
+        method: 'put',
+        path: '/admin/clients/{userId}/verification-status',
+        action: 'set-verification-status',
+        tag: 'admin-clients',
+        summary: 'Одобрить, отклонить или запросить дополнительные документы',
+        params: { userId: schemas.id },
+        body: objectSchema({
+            status: { type: 'string', enum: ['approved', 'rejected', 'needs_more_info'] },
+            reason: objectSchema({
+                code: { type: 'string', enum: Object.keys(VERIFICATION_REASONS) },
+                comment: schemas.text
+            }, ['code'])
+        }, ['status']),
+        auditSubjects: async (input) => [{ table: 'clients', id: input.userId }],
+        handler: handleSetVerificationStatus
+    });
+    defineOperation({
+        operationId: 'getVerificationQueue',
+        audience: 'admin',
+        roles: ['manager', 'support'],
+        method: 'get',
+        path: '/admin/verification-queue',
+        action: 'get-verification-queue',
+        tag: 'admin-clients',
+        summary: 'Клиенты, ожидающие проверки документов',
+        query: { limit: schemas.limit, offset: schemas.offset },
+        handler: handleGetVerificationQueue
+    });
+    defineOperation({
+        operationId: 'anonymiseClient',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'post',
+        path: '/admin/clients/{user_id}/anonymisation',
+        action: 'anonymise-client',
+        tag: 'admin-clients',
+        summary: 'Обезличить бывшего клиента (подписанные документы сохраняются)',
+        params: { user_id: schemas.id },
+        body: objectSchema({ reason: schemas.text }, ['reason']),
+        handler: handleAnonymiseClient
+    });
+
+    // Платежи
+    defineOperation({
+        operationId: 'getPayments',
+        audience: 'admin',
+        roles: ['manager', 'support'],
+        method: 'get',
+        path: '/admin/payments',
+        action: 'get-payments',
+        tag: 'admin-payments',
+        summary: 'Платежи клиента или аренды',
+        query: { user_id: schemas.id, rental_id: schemas.id },
+        handler: handleGetPayments
+    });
+    defineOperation({
+        operationId: 'chargePaymentMethod',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'post',
+        path: '/admin/payments',
+        action: 'charge-payment-method',
+        tag: 'admin-payments',
+        summary: 'Списать с привязанной карты клиента',
+        body: objectSchema({
+            user_id: schemas.id,
+            amount: schemas.money,
+            description: schemas.text,
+            rental_id: schemas.id,
+            idempotence_key: schemas.text
+        }, ['user_id', 'amount', 'description']),
+        handler: handleChargePaymentMethod
+    });
+    defineOperation({
+        operationId: 'refundPayment',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'post',
+        path: '/admin/payments/{payment_id}/refunds',
+        action: 'refund-payment',
+        tag: 'admin-payments',
+        summary: 'Вернуть платеж полностью или частично',
+        params: { payment_id: schemas.id },
+        body: objectSchema({ amount: schemas.money, description: { type: 'string' }, idempotence_key: schemas.text }),
+        auditSubjects: async (input) => [{ table: 'payments', id: input.payment_id }],
+        handler: handleRefundPayment
+    });
+
+    // Уведомления
+    defineOperation({
+        operationId: 'getNotifications',
+        audience: 'admin',
+        roles: ['manager', 'support'],
+        method: 'get',
+        path: '/admin/notifications',
+        action: 'get-notifications',
+        tag: 'admin-notifications',
+        summary: 'Уведомления клиента или аренды',
+        query: {
+            user_id: schemas.id,
+            rental_id: schemas.id,
+            status: { type: 'string', enum: ['pending', 'sent', 'failed'] },
+            limit: schemas.limit,
+            offset: schemas.offset
+        },
+        handler: handleGetNotifications
+    });
+    defineOperation({
+        operationId: 'resendNotification',
+        audience: 'admin',
+        roles: ['manager', 'support'],
+        method: 'post',
+        path: '/admin/notifications/{notification_id}/resend',
+        action: 'resend-notification',
+        tag: 'admin-notifications',
+        summary: 'Повторно отправить недоставленное уведомление',
+        params: { notification_id: schemas.id },
+        auditSubjects: async (input) => [{ table: 'notification_outbox', id: input.notification_id }],
+        handler: handleResendNotification
+    });
+
+    // Журнал и фоновые задачи
+    defineOperation({
+        operationId: 'getAuditLog',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'get',
+        path: '/admin/audit-log',
+        action: 'get-audit-log',
+        tag: 'admin-system',
+        summary: 'Журнал действий операторов',
+        query: {
+            operator_id: schemas.id,
+            audit_action: schemas.text,
+            entity_table: schemas.text,
+            entity_id: schemas.text,
+            from: schemas.dateTime,
+            to: schemas.dateTime,
+            limit: schemas.limit,
+            offset: schemas.offset
+        },
+        handler: handleGetAuditLog
+    });
+    defineOperation({
+        operationId: 'getJobs',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'get',
+        path: '/admin/jobs',
+        action: 'get-jobs',
+        tag: 'admin-system',
+        summary: 'Фоновые задачи и их последние запуски',
+        handler: handleGetJobs
+    });
+    defineOperation({
+        operationId: 'runJob',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'post',
+        path: '/admin/jobs/{job}/runs',
+        action: 'run-job',
+        tag: 'admin-system',
+        summary: 'Запустить фоновую задачу вручную',
+        params: { job: schemas.text },
+        handler: handleRunJob
+    });
+
+    // Геозоны
+    defineOperation({
+        operationId: 'getGeofences',
+        audience: 'admin',
+        roles: ALL_ROLES,
+        method: 'get',
+        path: '/admin/geofences',
+        action: 'get-geofences',
+        tag: 'admin-geofences',
+        summary: 'Геозоны',
+        handler: handleGetGeofences
+    });
+    defineOperation({
+        operationId: 'createGeofence',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'post',
+        path: '/admin/geofences',
+        action: 'save-geofence',
+        tag: 'admin-geofences',
+        summary: 'Создать геозону',
+        body: objectSchema(geofenceFields, ['name', 'geometry']),
+        auditSubjects: async (input) => [{ table: 'geofences', id: input.geofence_id }],
+        handler: handleSaveGeofence
+    });
+    defineOperation({
+        operationId: 'updateGeofence',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'patch',
+        path: '/admin/geofences/{geofence_id}',
+        action: 'save-geofence',
+        tag: 'admin-geofences',
+        summary: 'Изменить геозону',
+        params: { geofence_id: schemas.id },
+        body: objectSchema(geofenceFields),
+        auditSubjects: async (input) => [{ table: 'geofences', id: input.geofence_id }],
+        handler: handleSaveGeofence
+    });
+    defineOperation({
+        operationId: 'getGeofenceAlerts',
+        audience: 'admin',
+        roles: ['manager', 'support'],
+        method: 'get',
+        path: '/admin/geofence-alerts',
+        action: 'get-geofence-alerts',
+        tag: 'admin-geofences',
+        summary: 'Выезды за геозону',
+        query: { status: { type: 'string', enum: ['open', 'resolved'] }, rental_id: schemas.id },
+        handler: handleGetGeofenceAlerts
+    });
+
+    // Велосипеды и аккумуляторы
+    defineOperation({
+        operationId: 'getBikes',
+        audience: 'admin',
+        roles: ALL_ROLES,
+        method: 'get',
+        path: '/admin/bikes',
+        action: 'get-bikes',
+        tag: 'admin-fleet',
+        summary: 'Велосипеды парка',
+        query: { status: schemas.text },
+        handler: handleGetBikes
+    });
+    defineOperation({
+        operationId: 'createBike',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'post',
+        path: '/admin/bikes',
+        action: 'save-bike',
+        tag: 'admin-fleet',
+        summary: 'Добавить велосипед',
+        body: objectSchema(bikeFields, ['model_name', 'frame_number']),
+        auditSubjects: async (input) => [{ table: 'bikes', id: input.bike_id }],
+        handler: handleSaveBike
+    });
+    defineOperation({
+        operationId: 'updateBike',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'patch',
+        path: '/admin/bikes/{bike_id}',
+        action: 'save-bike',
+        tag: 'admin-fleet',
+        summary: 'Изменить велосипед',
+        params: bikeParams,
+        body: objectSchema(bikeFields),
+        auditSubjects: async (input) => [{ table: 'bikes', id: input.bike_id }],
+        handler: handleSaveBike
+    });
+    defineOperation({
+        operationId: 'retireBike',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'post',
+        path: '/admin/bikes/{bike_id}/retirement',
+        action: 'retire-bike',
+        tag: 'admin-fleet',
+        summary: 'Списать велосипед',
+        params: bikeParams,
+        body: objectSchema({ reason: { type: 'string' } }),
+        auditSubjects: async (input) => [{ table: 'bikes', id: input.bike_id }],
+        handler: handleRetireBike
+    });
+    defineOperation({
+        operationId: 'sendBikeCommand',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'post',
+        path: '/admin/bikes/{bike_id}/commands',
+        action: 'send-bike-command',
+        tag: 'admin-fleet',
+        summary: 'Отправить команду трекеру велосипеда',
+        params: bikeParams,
+        body: objectSchema({ command: { type: 'string', enum: IOT_COMMANDS }, reason: { type: 'string' } }, ['command']),
+        auditSubjects: async (input) => [{ table: 'bikes', id: input.bike_id }],
+        handler: handleSendBikeCommand
+    });
+    defineOperation({
+        operationId: 'getBikeTelemetry',
+        audience: 'admin',
+        roles: ALL_ROLES,
+        method: 'get',
+        path: '/admin/bikes/{bike_id}/telemetry',
+        action: 'get-bike-telemetry',
+        tag: 'admin-fleet',
+        summary: 'Телеметрия трекера велосипеда',
+        params: bikeParams,
+        query: { from: schemas.dateTime, to: schemas.dateTime, limit: { type: 'integer', minimum: 1, maximum: 5000 } },
+        handler: handleGetBikeTelemetry
+    });
+    defineOperation({
+        operationId: 'swapBattery',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'post',
+        path: '/admin/bikes/{bike_id}/battery-swaps',
+        action: 'swap-battery',
+        tag: 'admin-fleet',
+        summary: 'Установить или снять аккумулятор',
+        params: bikeParams,
+        body: objectSchema({
+            install_serial: schemas.text,
+            remove_serial: schemas.text,
+            reason: { type: 'string' }
+        }),
+        auditSubjects: async (input, supabaseAdmin) => {
+            const { data: batteries } = await supabaseAdmin
+                .from('batteries')
+                .select('id')
+                .in('serial_number', [input.install_serial, input.remove_serial].filter(Boolean));
+            return [
+                { table: 'bikes', id: input.bike_id },
+                ...(batteries || []).map((battery) => ({ table: 'batteries', id: battery.id }))
+            ];
+        },
+        handler: handleSwapBattery
+    });
+    defineOperation({
+        operationId: 'getBatteries',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'get',
+        path: '/admin/batteries',
+        action: 'get-batteries',
+        tag: 'admin-fleet',
+        summary: 'Реестр аккумуляторов',
+        query: { status: schemas.text, bike_id: schemas.id },
+        handler: handleGetBatteries
+    });
+    defineOperation({
+        operationId: 'createBattery',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'post',
+        path: '/admin/batteries',
+        action: 'save-battery',
+        tag: 'admin-fleet',
+        summary: 'Зарегистрировать аккумулятор',
+        body: objectSchema(batteryFields, ['serial_number']),
+        auditSubjects: async (input) => [{ table: 'batteries', id: input.battery_id }],
+        handler: handleSaveBattery
+    });
+    defineOperation({
+        operationId: 'updateBattery',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'patch',
+        path: '/admin/batteries/{battery_id}',
+        action: 'save-battery',
+        tag: 'admin-fleet',
+        summary: 'Изменить аккумулятор',
+        params: { battery_id: schemas.id },
+        body: objectSchema(batteryFields),
+        auditSubjects: async (input) => [{ table: 'batteries', id: input.battery_id }],
+        handler: handleSaveBattery
+    });
+    defineOperation({
+        operationId: 'recordBatteryCharge',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'post',
+        path: '/admin/batteries/{serial_number}/charges',
+        action: 'record-battery-charge',
+        tag: 'admin-fleet',
+        summary: 'Учесть циклы зарядки аккумулятора',
+        params: { serial_number: schemas.text },
+        body: objectSchema({ cycles: { type: 'integer', minimum: 1 } }),
+        handler: handleRecordBatteryCharge
+    });
+
+    // Ремонт
+    defineOperation({
+        operationId: 'getServiceTickets',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'get',
+        path: '/admin/service-tickets',
+        action: 'get-service-tickets',
+        tag: 'admin-service',
+        summary: 'Заявки на ремонт',
+        query: {
+            status: { type: 'string', enum: ['open', ...SERVICE_TICKET_STATUSES] },
+            bike_id: schemas.id,
+            mechanic_id: schemas.id
+        },
+        handler: handleGetServiceTickets
+    });
+    defineOperation({
+        operationId: 'openServiceTicket',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'post',
+        path: '/admin/service-tickets',
+        action: 'open-service-ticket',
+        tag: 'admin-service',
+        summary: 'Отправить велосипед в ремонт',
+        body: objectSchema({ bike_id: schemas.id, reason: schemas.text, mechanic_id: schemas.id }, ['bike_id', 'reason']),
+        auditSubjects: async (input) => [{ table: 'bikes', id: input.bike_id }],
+        handler: handleOpenServiceTicket
+    });
+    defineOperation({
+        operationId: 'updateServiceTicket',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'patch',
+        path: '/admin/service-tickets/{ticket_id}',
+        action: 'update-service-ticket',
+        tag: 'admin-service',
+        summary: 'Изменить статус, механика или диагноз заявки',
+        params: { ticket_id: schemas.id },
+        body: objectSchema({
+            status: { type: 'string', enum: SERVICE_TICKET_STATUSES },
+            mechanic_id: { oneOf: [schemas.id, { type: 'null' }] },
+            diagnosis: { type: 'string' },
+            add_minutes: { type: 'integer', minimum: 1 }
+        }),
+        auditSubjects: async (input, supabaseAdmin) => {
+            const { data: ticket } = await supabaseAdmin
+                .from('service_tickets').select('bike_id').eq('id', input.ticket_id).maybeSingle();
+            return [
+                { table: 'service_tickets', id: input.ticket_id },
+                { table: 'bikes', id: ticket?.bike_id }
+            ];
+        },
+        handler: handleUpdateServiceTicket
+    });
+    defineOperation({
+        operationId: 'addServiceTicketPart',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'post',
+        path: '/admin/service-tickets/{ticket_id}/parts',
+        action: 'add-service-ticket-part',
+        tag: 'admin-service',
+        summary: 'Добавить запчасть в заявку',
+        params: { ticket_id: schemas.id },
+        body: objectSchema({
+            name: schemas.text,
+            quantity: { type: 'integer', minimum: 1 },
+            unit_cost: { type: 'number', minimum: 0 }
+        }, ['name']),
+        auditSubjects: async (input) => [{ table: 'service_tickets', id: input.ticket_id }],
+        handler: handleAddServiceTicketPart
+    });
+    defineOperation({
+        operationId: 'getRepairHistory',
+        audience: 'admin',
+        roles: ['manager', 'mechanic'],
+        method: 'get',
+        path: '/admin/repair-history',
+        action: 'get-repair-history',
+        tag: 'admin-service',
+        summary: 'История ремонтов велосипеда или модели',
+        query: { bike_id: schemas.id, model_name: schemas.text },
+        handler: handleGetRepairHistory
+    });
+
+    // Каталог повреждений
+    defineOperation({
+        operationId: 'getDamageCatalog',
+        audience: 'admin',
+        roles: ALL_ROLES,
+        method: 'get',
+        path: '/admin/damage-catalog',
+        action: 'get-damage-catalog',
+        tag: 'admin-damage',
+        summary: 'Каталог повреждений',
+        query: { model_name: schemas.text, include_inactive: { type: 'boolean' } },
+        handler: handleGetDamageCatalog
+    });
+    defineOperation({
+        operationId: 'createDamageItem',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'post',
+        path: '/admin/damage-catalog',
+        action: 'save-damage-item',
+        tag: 'admin-damage',
+        summary: 'Добавить позицию каталога повреждений',
+        body: objectSchema(damageItemFields, ['code', 'description', 'price']),
+        auditSubjects: async (input) => [{ table: 'damage_catalog', id: input.item_id }],
+        handler: handleSaveDamageItem
+    });
+    defineOperation({
+        operationId: 'updateDamageItem',
+        audience: 'admin',
+        roles: ['manager'],
+        method: 'patch',
+        path: '/admin/damage-catalog/{item_id}',
+        action: 'save-damage-item',
+        tag: 'admin-damage',
+        summary: 'Изменить позицию каталога повреждений',
+        params: { item_id: schemas.id },
+        body: objectSchema(damageItemFields),
+        auditSubjects: async (input) => [{ table: 'damage_catalog', id: input.item_id }],
+        handler: handleSaveDamageItem
+    });
+
+    // Отчеты: fleet-utilisation -> getFleetUtilisationReport, GET /admin/reports/fleet-utilisation
+    for (const report of REPORT_DEFINITIONS) {
+        const pascalName = report.name.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase());
+        defineOperation({
+            operationId: `get${pascalName}Report`,
+            audience: 'admin',
+            roles: ['manager'],
+            method: 'get',
+            path: `/admin/reports/${report.name}`,
+            action: `report-${report.name}`,
+            tag: 'admin-reports',
+            summary: `Отчет «${report.title}» в JSON, CSV или XLSX`,
+            query: report.grouped
+                ? { ...reportQuery, group_by: { type: 'string', enum: REPORT_GROUP_BY } }
+                : reportQuery,
+            download: ['text/csv', XLSX_CONTENT_TYPE],
+            handler: createReportHandler(report.name)
+        });
+    }
+}
+
+module.exports = { registerAdminOperations };
@@ -0,0 +1,302 @@
+const { defineOperation, objectSchema } = require('../registry');
+const schemas = require('../schemas');
+const { handleCreateCardBinding, handleGetPendingPayments } = require('../../payments');
+const { handleGetBillingHistory, handleExtendRental } = require('../../billing');
+const { handleUploadRentalPhoto, handleGetRentalPhotos } = require('../../rental-photos');
+const { handleExportPersonalData } = require('../../personal-data');
+const {
+    VERIFICATION_DOCUMENT_KINDS,
+    VERIFICATION_MAX_DOCUMENTS,
+    handleGetVerification,
+    handleResubmitVerification
+} = require('../../verification');
+
+const rentalParams = { rentalId: schemas.id };
+
+/**
+ * Операции клиента (/api/v1 и действия /api/user).
+ * @param {object} handlers - Обработчики, которые живут в server.js.
+ */
+function registerUserOperations(handlers) {
+    defineOperation({
+        operationId: 'createSession',
+        audience: 'user',
+        public: true,
+        method: 'post',
+        path: '/session',
+        action: 'verify-token',
+        tag: 'session',
+        summary: 'Обменять auth_token на новый (ротация сессии)',
+        body: objectSchema({ token: schemas.text }, ['token']),
+        handler: handlers.verifyToken
+    });
+    defineOperation({
+        operationId: 'updateLocation',
+        audience: 'user',
+        method: 'post',
+        path: '/me/location',
+        action: 'update-location',
+        tag: 'me',
+        summary: 'Передать текущее местоположение',
+        body: objectSchema({
+            latitude: { type: 'number', minimum: -90, maximum: 90 },
+            longitude: { type: 'number', minimum: -180, maximum: 180 },
+            accuracy: { type: 'number', minimum: 0 },
+            recordedAt: schemas.dateTime
+        }, ['latitude', 'longitude']),
+        handler: handlers.updateLocation
+    });
+    defineOperation({
+        operationId: 'getVerification',
+        audience: 'user',
+        method: 'get',
+        path: '/me/verification',
+        action: 'get-verification',
+        tag: 'me',
+        summary: 'Статус верификации и история решений',
+        handler: handleGetVerification
+    });
+    defineOperation({
+        operationId: 'resubmitVerification',
+        audience: 'user',
+        method: 'post',
+        path: '/me/verification/documents',
+        action: 'resubmit-verification',
+        tag: 'me',
+        summary: 'Повторно подать документы по запросу оператора',
+        body: objectSchema({
+            documents: {
+                type: 'array',
+                minItems: 1,
+                maxItems: VERIFICATION_MAX_DOCUMENTS,
+                items: objectSchema({
+                    kind: { type: 'string', enum: VERIFICATION_DOCUMENT_KINDS },
+                    photo: schemas.photo
+                }, ['kind', 'photo'])
+            },
+            passport: objectSchema({
+                series: { type: 'string', pattern: '^\\d{2} ?\\d{2}$' },
+                number: { type: 'string', pattern: '^\\d{6}$' },
+                issuing_authority: schemas.text,
+                issue_date: { type: 'string', format: 'date' },
+                birth_date: { type: 'string', format: 'date' },
+                registration_address: schemas.text
+            }, ['series', 'number']),
+            comment: { type: 'string', maxLength: 1000 }
+        }, ['documents']),
+        handler: handleResubmitVerification
+    });
+    defineOperation({
+        operationId: 'exportPersonalData',
+        audience: 'user',
+        method: 'get',
+        path: '/me/personal-data',
+        action: 'export-personal-data',
+        tag: 'me',
+        summary: 'Выгрузить персональные данные, которые хранит сервис',
+        handler: handleExportPersonalData
+    });
+    defineOperation({
+        operationId: 'getPaymentMethod',
+        audience: 'user',
+        method: 'get',
+        path: '/me/payment-method',
+        action: 'get-payment-method',
+        tag: 'payments',
+        summary: 'Привязанная карта',
+        handler: handlers.getPaymentMethod
+    });
+    defineOperation({
+        operationId: 'unbindPaymentMethod',
+        audience: 'user',
+        method: 'delete',
+        path: '/me/payment-method',
+        action: 'unbind-payment-method',
+        tag: 'payments',
+        summary: 'Отвязать карту',
+        handler: handlers.unbindPaymentMethod
+    });
+    defineOperation({
+        operationId: 'createCardBinding',
+        audience: 'user',
+        method: 'post',
+        path: '/me/payment-method/binding',
+        action: 'create-card-binding',
+        tag: 'payments',
+        summary: 'Начать привязку карты',
+        body: objectSchema({ returnUrl: { type: 'string', format: 'uri' } }),
+        handler: handleCreateCardBinding
+    });
+    defineOperation({
+        operationId: 'getPendingPayments',
+        audience: 'user',
+        method: 'get',
+        path: '/me/pending-payments',
+        action: 'get-pending-payments',
+        tag: 'payments',
+        summary: 'Платежи, ожидающие оплаты',
+        handler: handleGetPendingPayments
+    });
+    defineOperation({
+        operationId: 'getDocuments',
+        audience: 'user',
+        method: 'get',
+        path: '/me/documents',
+        action: 'get-documents',
+        tag: 'documents',
+        summary: 'Сформированные документы по арендам',
+        handler: handlers.getDocuments
+    });
+    defineOperation({
+        operationId: 'getPendingSignatures',
+        audience: 'user',
+        method: 'get',
+        path: '/rentals/pending-signatures',
+        action: 'get-pending-contracts',
+        tag: 'rentals',
+        summary: 'Аренды, ожидающие подписи договора или акта сдачи',
+        handler: handlers.getPendingContracts
+    });
+    defineOperation({
+        operationId: 'getActiveRental',
+        audience: 'user',
+        method: 'get',
+        path: '/rentals/active',
+        action: 'get-active-rental',
+        tag: 'rentals',
+        summary: 'Текущая аренда',
+        handler: handlers.getActiveRental
+    });
+    defineOperation({
+        operationId: 'getContract',
+        audience: 'user',
+        method: 'get',
+        path: '/rentals/{rentalId}/contract',
+        action: 'get-contract-details',
+        tag: 'rentals',
+        summary: 'Данные договора для подписания',
+        params: rentalParams,
+        handler: handlers.getContractDetails
+    });
+    defineOperation({
+        operationId: 'signContract',
+        audience: 'user',
+        method: 'post',
+        path: '/rentals/{rentalId}/contract/signature',
+        action: 'confirm-contract',
+        tag: 'rentals',
+        summary: 'Подписать договор и акт выдачи',
+        params: rentalParams,
+        body: objectSchema({ signatureData: schemas.signatureData }, ['signatureData']),
+        handler: handlers.confirmContract
+    });
+    defineOperation({
+        operationId: 'requestReturn',
+        audience: 'user',
+        method: 'post',
+        path: '/rentals/{rentalId}/return-request',
+        action: 'request-return',
+        tag: 'rentals',
+        summary: 'Запросить возврат велосипеда',
+        params: rentalParams,
+        handler: handlers.requestReturn
+    });
+    defineOperation({
+        operationId: 'generateReturnAct',
+        audience: 'user',
+        method: 'post',
+        path: '/rentals/{rentalId}/return-act',
+        action: 'generate-return-act',
+        tag: 'rentals',
+        summary: 'Сформировать акт сдачи для просмотра',
+        params: rentalParams,
+        handler: handlers.generateReturnAct
+    });
+    defineOperation({
+        operationId: 'signReturnAct',
+        audience: 'user',
+        method: 'post',
+        path: '/rentals/{rentalId}/return-act/signature',
+        action: 'confirm-return-act',
+        tag: 'rentals',
+        summary: 'Подписать акт сдачи',
+        params: rentalParams,
+        body: objectSchema({ signatureData: schemas.signatureData }, ['signatureData']),
+        handler: handlers.confirmReturnAct
+    });
+    defineOperation({
+        operationId: 'extendRental',
+        audience: 'user',
+        method: 'post',
+        path: '/rentals/{rentalId}/extension',
+        action: 'extend-rental',
+        tag: 'rentals',
+        summary: 'Продлить аренду на следующий период',
+        params: rentalParams,
+        handler: handleExtendRental
+    });
+    defineOperation({
+        operationId: 'getRentalStatusHistory',
+        audience: 'user',
+        method: 'get',
+        path: '/rentals/{rentalId}/status-history',
+        action: 'get-rental-status-history',
+        tag: 'rentals',
+        summary: 'История статусов аренды',
+        params: rentalParams,
+        handler: handlers.getRentalStatusHistory
+    });
+    defineOperation({
+        operationId: 'getBillingHistory',
+        audience: 'user',
+        method: 'get',
+        path: '/rentals/{rentalId}/billing-history',
+        action: 'get-billing-history',
+        tag: 'payments',
+        summary: 'Счета и платежи по аренде',
+        params: rentalParams,
+        handler: handleGetBillingHistory
+    });
+    defineOperation({
+        operationId: 'getDocumentUrl',
+        audience: 'user',
+        method: 'get',
+        path: '/rentals/{rentalId}/documents/{documentType}/url',
+        action: 'get-document-url',
+        tag: 'documents',
+        summary: 'Временная ссылка на документ аренды',
+        params: { ...rentalParams, documentType: schemas.documentType },
+        handler: handlers.getDocumentUrl
+    });
+    defineOperation({
+        operationId: 'uploadRentalPhoto',
+        audience: 'user',
+        method: 'post',
+        path: '/rentals/{rentalId}/photos',
+        action: 'upload-rental-photo',
+        tag: 'photos',
+        summary: 'Загрузить фото велосипеда при выдаче или возврате',
+        params: rentalParams,
+        body: objectSchema({
+            stage: schemas.photoStage,
+            photo: schemas.photo,
+            capturedAt: schemas.dateTime,
+            caption: { type: 'string', maxLength: 500 }
+        }, ['stage', 'photo']),
+        handler: handleUploadRentalPhoto
+    });
+    defineOperation({
+        operationId: 'getRentalPhotos',
+        audience: 'user',
+        method: 'get',
+        path: '/rentals/{rentalId}/photos',
+        action: 'get-rental-photos',
+        tag: 'photos',
+        summary: 'Фото аренды',
+        params: rentalParams,
+        query: { stage: schemas.photoStage },
+        handler: handleGetRentalPhotos
+    });
+}
+
+module.exports = { registerUserOperations };
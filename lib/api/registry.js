@@ -0,0 +1,89 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+/**
+ * Реестр операций API. Каждая операция описывает обработчик один раз, а
+ * /api/v1 (маршрут и схемы), OpenAPI-документ и старые эндпоинты /api/user
+ * и /api/admin (по имени action) строятся из этого описания.
+ */
+
+const AUDIENCES = ['user', 'admin'];
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Тело проверяется строго, query и параметры пути приходят строками и приводятся к типам схемы
+const bodyValidator = addFormats(new Ajv({ allErrors: true, strict: false }));
+const queryValidator = addFormats(new Ajv({ allErrors: true, strict: false, coerceTypes: true }));
+
+const operations = new Map();
+
+function objectSchema(properties = {}, required = []) {
+    return { type: 'object', properties, required, additionalProperties: false };
+}
+
+function pathParamNames(path) {
+    return [...path.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+}
+
+/**
+ * Регистрирует операцию API.
+ * @param {object} operation
+ * @param {string} operation.operationId - Уникальное имя операции (camelCase).
+ * @param {string} operation.audience - user | admin.
+ * @param {string} operation.method - HTTP-метод в /api/v1.
+ * @param {string} operation.path - Путь в /api/v1 в нотации OpenAPI: /rentals/{rentalId}.
+ * @param {string} operation.action - Имя действия в /api/user или /api/admin; для admin — еще и имя в журнале аудита.
+ * @param {string} operation.summary
+ * @param {string} [operation.tag]
+ * @param {boolean} [operation.public] - Операция без авторизации.
+ * @param {string[]} [operation.roles] - Роли операторов (для admin).
+ * @param {object} [operation.params] - Схемы параметров пути: { name: schema }.
+ * @param {object} [operation.query] - Схемы query-параметров: { name: schema }.
+ * @param {object} [operation.body] - JSON Schema тела запроса.
+ * @param {string[]} [operation.download] - Типы файлов, которые операция может вернуть вместо JSON
+ *   (тело { filename, contentType, content, encoding? }); в /api/v1 файл отдается вложением.
+ * @param {Function} [operation.auditSubjects] - async (input, supabaseAdmin) => [{ table, id }].
+ * @param {Function} operation.handler - async (input, context) => { status, body }.
+ */
+function defineOperation(operation) {
+    const { operationId, audience, method, path, action, handler } = operation;
+    if (operations.has(operationId)) {
+        throw new Error(`Operation ${operationId} is already defined.`);
+    }
+    if (!AUDIENCES.includes(audience) || !METHODS.includes(method) || !path || !action || typeof handler !== 'function') {
+        throw new Error(`Operation ${operationId} is incomplete.`);
+    }
+    if (audience === 'admin' && !operation.roles?.length) {
+        throw new Error(`Admin operation ${operationId} must list roles.`);
+    }
+
+    const paramNames = pathParamNames(path);
+    const params = operation.params || {};
+    const missing = paramNames.filter((name) => !params[name]);
+    if (missing.length > 0) {
+        throw new Error(`Operation ${operationId} has no schema for path parameters: ${missing.join(', ')}.`);
+    }
+
+    const query = operation.query || {};
+    operations.set(operationId, {
+        ...operation,
+        params,
+        query,
+        validateParams: queryValidator.compile(objectSchema(params, paramNames)),
+        validateQuery: queryValidator.compile(objectSchema(query, operation.queryRequired || [])),
+        validateBody: operation.body ? bodyValidator.compile(operation.body) : null
+    });
+}
+
+function listOperations() {
+    return [...operations.values()];
+}
+
+/**
+ * Операция для старого эндпоинта по имени действия. Если действию соответствует
+ * несколько операций (создание и изменение), берется первая: обработчик у них общий.
+ */
+function findOperationByAction(audience, action) {
+    return listOperations().find((operation) => operation.audience === audience && operation.action === action) || null;
+}
+
+module.exports = { objectSchema, defineOperation, listOperations, findOperationByAction };
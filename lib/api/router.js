@@ -0,0 +1,171 @@
+const express = require('express');
+const { createSupabaseAdmin } = require('../supabase');
+const { resolveUser } = require('../auth');
+const { resolveOperator, canPerform } = require('../admin-auth');
+const { startAdminAudit } = require('../audit-log');
+const { listOperations, findOperationByAction } = require('./registry');
+const { toErrorEnvelope, errorResponseFromException } = require('./errors');
+const { buildOpenApiDocument } = require('./openapi');
+
+/**
+ * Выполняет операцию от имени клиента или оператора. userId клиента берется
+ * только из сессии; admin-операции проверяют роль и пишутся в журнал аудита.
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function runOperation(operation, input, { req, user = null, operator = null }) {
+    if (operation.audience === 'user') {
+        // Метаданные подписанта сохраняются вместе с подписанными документами
+        const signer = {
+            ip: req.ip,
+            userAgent: req.get('user-agent') || null,
+            telegramUserId: user?.telegramUserId || null
+        };
+        return operation.handler(user ? { ...input, userId: user.id } : input, { signer });
+    }
+
+    if (!canPerform(operator, operation.roles)) {
+        return { status: 403, body: { error: 'Недостаточно прав для этого действия.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const finishAudit = await startAdminAudit(supabaseAdmin, {
+        operator,
+        action: operation.action,
+        payload: input,
+        subjects: operation.auditSubjects ? await operation.auditSubjects(input, supabaseAdmin) : [],
+        ip: req.ip
+    });
+    try {
+        const result = await operation.handler(input, { operator });
+        await finishAudit({ status: result.status, error: result.body?.error || null });
+        return result;
+    } catch (error) {
+        await finishAudit({ status: 500, error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Старые эндпоинты /api/user и /api/admin: операция выбирается по полю action,
+ * тело передается обработчику как есть, ответы в прежнем формате.
+ * @param {string} audience - user | admin.
+ */
+function legacyActionRoute(audience) {
+    return async (req, res) => {
+        try {
+            const operation = findOperationByAction(audience, req.body?.action);
+            if (!operation) {
+                return res.status(400).json({ error: audience === 'admin' ? 'Invalid admin action' : 'Invalid action' });
+            }
+            const result = await runOperation(operation, req.body, { req, user: req.user, operator: req.operator });
+            res.status(result.status).json(result.body);
+        } catch (error) {
+            console.error(audience === 'admin' ? 'Admin handler error:' : 'User handler error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+function validationErrors(validate, data, location) {
+    if (validate(data)) return [];
+    return validate.errors.map((error) => ({
+        in: location,
+        path: error.instancePath || '/',
+        message: error.message,
+        ...(error.params?.additionalProperty ? { property: error.params.additionalProperty } : {})
+    }));
+}
+
+async function authenticate(operation, req) {
+    if (operation.public) return {};
+    return operation.audience === 'admin' ? resolveOperator(req) : resolveUser(req);
+}
+
+// Файл из тела { filename, contentType, content, encoding? } отдается вложением, а не JSON
+function sendFile(res, { status, body }) {
+    const content = body.encoding === 'base64' ? Buffer.from(body.content, 'base64') : body.content;
+    res.status(status).attachment(body.filename).type(body.contentType).send(content);
+}
+
+async function handleApiRequest(operation, req, res) {
+    try {
+        const auth = await authenticate(operation, req);
+        if (auth.status) {
+            return res.status(auth.status).json(toErrorEnvelope(auth.status, auth.body));
+        }
+
+        // Валидаторы приводят типы на месте, поэтому проверяем копии
+        const params = { ...req.params };
+        const query = { ...req.query };
+        const body = operation.validateBody ? (req.body || {}) : {};
+        const errors = [
+            ...validationErrors(operation.validateParams, params, 'path'),
+            ...validationErrors(operation.validateQuery, query, 'query'),
+            ...(operation.validateBody ? validationErrors(operation.validateBody, body, 'body') : [])
+        ];
+        if (errors.length > 0) {
+            return res.status(400).json(toErrorEnvelope(400, {
+                error: 'Request validation failed.',
+                code: 'validation_failed',
+                errors
+            }));
+        }
+
+        const result = await runOperation(operation, { ...body, ...query, ...params }, {
+            req,
+            user: auth.user,
+            operator: auth.operator
+        });
+        if (result.status < 400) {
+            if (operation.download && typeof result.body?.content === 'string') {
+                return sendFile(res, result);
+            }
+            return res.status(result.status).json(result.body);
+        }
+        if (result.status >= 500 && !result.body?.code) {
+            // Текст внутренней ошибки остается в логах
+            console.error(`API ${operation.operationId} failed:`, result.body?.error);
+            return res.status(result.status).json(toErrorEnvelope(result.status, { error: 'Internal server error.' }));
+        }
+        res.status(result.status).json(toErrorEnvelope(result.status, result.body));
+    } catch (error) {
+        console.error(`API ${operation.operationId} error:`, error);
+        const { status, body } = errorResponseFromException(error);
+        res.status(status).json(body);
+    }
+}
+
+/**
+ * Роутер /api/v1: маршруты всех зарегистрированных операций и GET /openapi.json.
+ */
+function createApiRouter() {
+    const router = express.Router();
+    router.get('/openapi.json', (req, res) => res.json(buildOpenApiDocument()));
+
+    for (const operation of listOperations()) {
+        const expressPath = operation.path.replace(/\{(\w+)\}/g, ':$1');
+        router[operation.method](expressPath, (req, res) => handleApiRequest(operation, req, res));
+    }
+
+    router.use((req, res) => {
+        res.status(404).json(toErrorEnvelope(404, { error: `No route for ${req.method} ${req.path}.` }));
+    });
+    return router;
+}
+
+/**
+ * Обработчик ошибок для /api/v1, в том числе ошибок разбора JSON в express.json().
+ */
+function apiErrorHandler(error, req, res, next) {
+    if (res.headersSent) return next(error);
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json(toErrorEnvelope(400, { error: 'Request body is not valid JSON.', code: 'invalid_json' }));
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json(toErrorEnvelope(413, { error: 'Request body is too large.' }));
+    }
+    console.error('API error:', error);
+    const { status, body } = errorResponseFromException(error);
+    res.status(status).json(body);
+}
+
+module.exports = { runOperation, legacyActionRoute, createApiRouter, apiErrorHandler };
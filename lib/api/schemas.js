@@ -0,0 +1,55 @@
+const { DOCUMENT_PATH_FIELDS } = require('../document-storage');
+const { PHOTO_STAGES } = require('../rental-photos');
+const { DAMAGE_SEVERITIES } = require('../damage-catalog');
+
+/**
+ * Общие JSON Schema для описаний операций API.
+ */
+
+const id = { type: 'string', format: 'uuid' };
+const dateTime = { type: 'string', format: 'date-time' };
+const text = { type: 'string', minLength: 1 };
+const money = { type: 'number', exclusiveMinimum: 0 };
+const limit = { type: 'integer', minimum: 1, maximum: 500 };
+const offset = { type: 'integer', minimum: 0 };
+
+const signatureData = {
+    type: 'string',
+    pattern: '^data:image/(png|jpeg);base64,[A-Za-z0-9+/=]+$',
+    description: 'Подпись клиента — PNG или JPEG в data URL.'
+};
+const photo = { type: 'string', minLength: 1, description: 'JPEG или PNG в data URL или base64.' };
+const photoStage = { type: 'string', enum: PHOTO_STAGES };
+const documentType = { type: 'string', enum: Object.keys(DOCUMENT_PATH_FIELDS) };
+
+const defect = {
+    oneOf: [
+        { type: 'string', minLength: 1, description: 'Примечание без цены (старый формат).' },
+        {
+            type: 'object',
+            required: ['code'],
+            additionalProperties: false,
+            properties: {
+                code: text,
+                quantity: { type: 'integer', minimum: 1 },
+                severity: { type: 'string', enum: Object.keys(DAMAGE_SEVERITIES) },
+                comment: { type: 'string' },
+                photo_ids: { type: 'array', items: id }
+            }
+        }
+    ]
+};
+
+module.exports = {
+    id,
+    dateTime,
+    text,
+    money,
+    limit,
+    offset,
+    signatureData,
+    photo,
+    photoStage,
+    documentType,
+    defect
+};
@@ -0,0 +1,129 @@
+const { createSupabaseAdmin } = require('./supabase');
+
+const AUDIT_LOG_MAX_LIMIT = 200;
+// Длинные строки (фото, подписи в base64) в журнал не копируем
+const AUDIT_PAYLOAD_MAX_STRING = 2000;
+// Колонки, которые не копируются в before/after: паспортные данные и токены клиента
+const AUDIT_REDACTED_COLUMNS = {
+    clients: ['recognized_passport_data', 'passport_data_encrypted', 'auth_token', 'auth_token_expires_at']
+};
+
+function compactPayload(value) {
+    if (typeof value === 'string' && value.length > AUDIT_PAYLOAD_MAX_STRING) {
+        return `[${value.length} chars omitted]`;
+    }
+    if (Array.isArray(value)) return value.map(compactPayload);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, compactPayload(item)]));
+    }
+    return value;
+}
+
+function redactState(table, row) {
+    const columns = AUDIT_REDACTED_COLUMNS[table];
+    if (!row || !columns) return row;
+    const redacted = { ...row };
+    for (const column of columns) {
+        if (redacted[column] != null) redacted[column] = '[redacted]';
+    }
+    return redacted;
+}
+
+/**
+ * Считывает текущее состояние записей, которых касается admin-действие.
+ * @param {Array<{ table: string, id: string }>} subjects
+ * @returns {Promise<object>} Объект вида { "rentals:<id>": {...}, "bikes:<id>": {...} }.
+ */
+async function captureState(supabaseAdmin, subjects) {
+    const state = {};
+    for (const { table, id } of subjects) {
+        const { data, error } = await supabaseAdmin
+            .from(table)
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) {
+            throw new Error(`Не удалось прочитать ${table}:${id} для журнала: ` + error.message);
+        }
+        state[`${table}:${id}`] = redactState(table, data);
+    }
+    return state;
+}
+
+/**
+ * Начинает запись в журнал аудита: фиксирует состояние "до".
+ * Возвращает функцию finish, которую нужно вызвать с результатом действия —
+ * она снимет состояние "после" и добавит запись в admin_audit_log.
+ * @param {object} params
+ * @param {object} params.operator - Оператор, выполняющий действие.
+ * @param {string} params.action - Имя admin-действия.
+ * @param {object} params.payload - Тело запроса.
+ * @param {Array<{ table: string, id: string }>} params.subjects - Затрагиваемые записи.
+ * @param {string} [params.ip] - IP-адрес, с которого пришел запрос.
+ */
+async function startAdminAudit(supabaseAdmin, { operator, action, payload, subjects = [], ip = null }) {
+    const validSubjects = subjects.filter(s => s && s.id);
+    const before = await captureState(supabaseAdmin, validSubjects);
+
+    return async function finish({ status, error = null }) {
+        let after = null;
+        try {
+            after = await captureState(supabaseAdmin, validSubjects);
+        } catch (captureError) {
+            console.error('Не удалось снять состояние после действия:', captureError);
+        }
+
+        const { error: insertError } = await supabaseAdmin
+            .from('admin_audit_log')
+            .insert({
+                operator_id: operator.id,
+                operator_role: operator.role,
+                action,
+                payload: compactPayload(payload),
+                subjects: validSubjects,
+                before_state: before,
+                after_state: after,
+                result_status: status,
+                error,
+                ip
+            });
+
+        if (insertError) {
+            // Запись в журнал не должна теряться молча
+            console.error('Не удалось записать действие в журнал аудита:', insertError.message);
+        }
+    };
+}
+
+/**
+ * Admin-действие get-audit-log: выборка из журнала с фильтрами.
+ */
+async function handleGetAuditLog({ operator_id, audit_action, entity_table, entity_id, from, to, limit = 50, offset = 0 }) {
+    const pageSize = Math.min(Number(limit) || 50, AUDIT_LOG_MAX_LIMIT);
+    const start = Math.max(Number(offset) || 0, 0);
+    const supabaseAdmin = createSupabaseAdmin();
+
+    let query = supabaseAdmin
+        .from('admin_audit_log')
+        .select('*, operators ( name )');
+
+    if (operator_id) query = query.eq('operator_id', operator_id);
+    if (audit_action) query = query.eq('action', audit_action);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+    if (entity_table && entity_id) {
+        query = query.contains('subjects', [{ table: entity_table, id: entity_id }]);
+    }
+
+    const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .range(start, start + pageSize - 1);
+    if (error) {
+        throw new Error('Не удалось получить журнал аудита: ' + error.message);
+    }
+
+    return { status: 200, body: { entries: data || [] } };
+}
+
+module.exports = { startAdminAudit, handleGetAuditLog };
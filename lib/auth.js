@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { createSupabaseAdmin } = require('./supabase');
+
+// Сколько секунд initData из Telegram считается свежей (по умолчанию сутки)
+const INIT_DATA_MAX_AGE_SECONDS = Number(process.env.TELEGRAM_INIT_DATA_MAX_AGE || 86400);
+// Срок жизни сессионного auth_token (по умолчанию 30 дней)
+const AUTH_TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS || 720);
+
+/**
+ * Проверяет подпись initData из Telegram Mini App.
+ * Алгоритм описан в https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ * @param {string} initData - Строка window.Telegram.WebApp.initData.
+ * @param {string} botToken - Токен бота.
+ * @returns {{ telegramUserId: string, authDate: number, user: object } | null} Данные пользователя или null, если подпись неверна или устарела.
+ */
+function validateTelegramInitData(initData, botToken, maxAgeSeconds = INIT_DATA_MAX_AGE_SECONDS) {
+    if (!initData || !botToken) return null;
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash) return null;
+    params.delete('hash');
+
+    const dataCheckString = [...params.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+    const expected = Buffer.from(expectedHash, 'hex');
+    const received = Buffer.from(hash, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    const authDate = Number(params.get('auth_date'));
+    if (!authDate || Date.now() / 1000 - authDate > maxAgeSeconds) {
+        return null;
+    }
+
+    let user;
+    try {
+        user = JSON.parse(params.get('user') || 'null');
+    } catch (e) {
+        return null;
+    }
+    if (!user?.id) return null;
+
+    return { telegramUserId: String(user.id), authDate, user };
+}
+
+function generateAuthToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function getAuthTokenExpiry(from = new Date()) {
+    return new Date(from.getTime() + AUTH_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Выдает клиенту новый auth_token взамен предъявленного (ротация сессии).
+ * @returns {Promise<{ token: string, expiresAt: Date }>}
+ */
+async function rotateAuthToken(supabaseAdmin, clientId, currentToken) {
+    const token = generateAuthToken();
+    const expiresAt = getAuthTokenExpiry();
+
+    const { error } = await supabaseAdmin
+        .from('clients')
+        .update({ auth_token: token, auth_token_expires_at: expiresAt.toISOString() })
+        .eq('id', clientId)
+        .eq('auth_token', currentToken);
+
+    if (error) {
+        throw new Error('Failed to rotate auth token: ' + error.message);
+    }
+
+    return { token, expiresAt };
+}
+
+function isAuthTokenExpired(client) {
+    return !client.auth_token_expires_at || new Date(client.auth_token_expires_at) <= new Date();
+}
+
+async function findClientByTelegramId(supabaseAdmin, telegramUserId) {
+    const { data, error } = await supabaseAdmin
+        .from('clients')
+        .select('id, name, telegram_user_id')
+        .eq('telegram_user_id', telegramUserId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error('Failed to resolve Telegram user: ' + error.message);
+    }
+    return data;
+}
+
+async function findClientByAuthToken(supabaseAdmin, token) {
+    const { data, error } = await supabaseAdmin
+        .from('clients')
+        .select('id, name, telegram_user_id, auth_token, auth_token_expires_at')
+        .eq('auth_token', token)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error('Failed to resolve auth token: ' + error.message);
+    }
+    return data;
+}
+
+function getBearerToken(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Определяет клиента по запросу: сначала по initData из Telegram Mini App
+ * (заголовок X-Telegram-Init-Data или поле initData в теле), затем по
+ * сессионному auth_token (заголовок Authorization: Bearer).
+ * @returns {Promise<{ status: number, body: object } | { user: object }>}
+ */
+async function resolveUser(req) {
+    const supabaseAdmin = createSupabaseAdmin();
+    const initData = req.get('x-telegram-init-data') || req.body?.initData;
+
+    if (initData) {
+        const telegramData = validateTelegramInitData(initData, process.env.TELEGRAM_BOT_TOKEN);
+        if (!telegramData) {
+            return { status: 401, body: { error: 'Invalid or expired Telegram initData.' } };
+        }
+        const client = await findClientByTelegramId(supabaseAdmin, telegramData.telegramUserId);
+        if (!client) {
+            return { status: 403, body: { error: 'Client is not registered.' } };
+        }
+        return {
+            user: {
+                id: client.id,
+                name: client.name,
+                telegramUserId: telegramData.telegramUserId,
+                authMethod: 'telegram'
+            }
+        };
+    }
+
+    const token = getBearerToken(req);
+    if (token) {
+        const client = await findClientByAuthToken(supabaseAdmin, token);
+        if (!client || isAuthTokenExpired(client)) {
+            return { status: 401, body: { error: 'Invalid or expired token.' } };
+        }
+        return {
+            user: {
+                id: client.id,
+                name: client.name,
+                telegramUserId: client.telegram_user_id ? String(client.telegram_user_id) : null,
+                authMethod: 'token'
+            }
+        };
+    }
+
+    return { status: 401, body: { error: 'Authentication required.' } };
+}
+
+/**
+ * Middleware для /api/user: проверяет подлинность запроса и кладет клиента в req.user.
+ * Действия из publicActions (например, verify-token) пропускаются без проверки.
+ */
+function authenticateUser({ publicActions = [] } = {}) {
+    const skip = new Set(publicActions);
+
+    return async (req, res, next) => {
+        if (skip.has(req.body?.action)) {
+            return next();
+        }
+        try {
+            const result = await resolveUser(req);
+            if (!result.user) {
+                return res.status(result.status).json(result.body);
+            }
+            req.user = result.user;
+            next();
+        } catch (error) {
+            console.error('User authentication error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+module.exports = {
+    validateTelegramInitData,
+    rotateAuthToken,
+    findClientByTelegramId,
+    resolveUser,
+    authenticateUser
+};
@@ -0,0 +1,462 @@
+const { createSupabaseAdmin } = require('./supabase');
+const { enqueueNotification } = require('./notifications');
+const { RentalTransitionError, transitionRental } = require('./rental-status');
+const {
+    PaymentError,
+    registerPaymentHandler,
+    buildReceipt,
+    chargeSavedPaymentMethod,
+    refundPayment,
+    paymentErrorResponse
+} = require('./payments');
+
+/**
+ * Биллинг аренды по тарифам. Тариф задает стоимость периода (tariffs.price)
+ * и его длительность в днях (tariffs.duration_days). У аренды хранится текущий
+ * оплаченный период (current_period_start/current_period_end); каждый
+ * оплачиваемый период — отдельный счет в rental_invoices.
+ *
+ * Первый период оплачивается при бронировании вне этого сервера, поэтому
+ * счета создаются начиная с первого продления.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// За сколько часов до окончания периода пытаемся продлить аренду
+const RENEWAL_LEAD_HOURS = Number(process.env.BILLING_RENEWAL_LEAD_HOURS || 24);
+// Как часто повторять неудачное списание за продление
+const RENEWAL_RETRY_HOURS = Number(process.env.BILLING_RENEWAL_RETRY_HOURS || 6);
+
+class BillingError extends Error {
+    constructor(message, code, status = 409) {
+        super(message);
+        this.name = 'BillingError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function getPeriodDays(tariff) {
+    return Number(tariff?.duration_days) || 0;
+}
+
+/**
+ * Конец периода тарифа, начинающегося в start. null, если у тарифа нет длительности.
+ */
+function calculatePeriodEnd(start, tariff) {
+    const days = getPeriodDays(tariff);
+    if (!days) return null;
+    return new Date(new Date(start).getTime() + days * DAY_MS);
+}
+
+/**
+ * Дата следующего списания по аренде — конец текущего оплаченного периода.
+ */
+function getNextDueDate(rental) {
+    return rental.current_period_end ? new Date(rental.current_period_end) : null;
+}
+
+/**
+ * Сумма к возврату при досрочном возврате: неиспользованные полные сутки
+ * оплаченного периода по дневной цене тарифа.
+ * @returns {{ unusedDays: number, dailyPrice: number, amount: number }}
+ */
+function calculateProration(rental, tariff, returnedAt = new Date()) {
+    const days = getPeriodDays(tariff);
+    const periodEnd = getNextDueDate(rental);
+    if (!days || !periodEnd || periodEnd <= returnedAt) {
+        return { unusedDays: 0, dailyPrice: 0, amount: 0 };
+    }
+    const dailyPrice = Number(tariff.price) / days;
+    const unusedDays = Math.min(days, Math.floor((periodEnd.getTime() - returnedAt.getTime()) / DAY_MS));
+    return {
+        unusedDays,
+        dailyPrice,
+        amount: Math.round(unusedDays * dailyPrice * 100) / 100
+    };
+}
+
+async function fetchBillingRental(supabaseAdmin, rentalId) {
+    const { data, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, status, user_id, auto_renew, current_period_start, current_period_end, tariffs ( * ), clients ( name, email, phone, telegram_user_id )')
+        .eq('id', rentalId)
+        .single();
+
+    if (error) {
+        throw new Error('Failed to fetch rental for billing: ' + error.message);
+    }
+    return data;
+}
+
+/**
+ * Находит или создает счет за период, начинающийся в periodStart.
+ */
+async function getOrCreateRenewalInvoice(supabaseAdmin, rental, periodStart) {
+    const { data: existing, error } = await supabaseAdmin
+        .from('rental_invoices')
+        .select('*')
+        .eq('rental_id', rental.id)
+        .eq('kind', 'renewal')
+        .eq('period_start', periodStart.toISOString())
+        .maybeSingle();
+
+    if (error) {
+        throw new Error('Failed to fetch invoice: ' + error.message);
+    }
+    if (existing) return existing;
+
+    const { data: invoice, error: insertError } = await supabaseAdmin
+        .from('rental_invoices')
+        .insert({
+            rental_id: rental.id,
+            user_id: rental.user_id,
+            kind: 'renewal',
+            period_start: periodStart.toISOString(),
+            period_end: calculatePeriodEnd(periodStart, rental.tariffs).toISOString(),
+            amount: Number(rental.tariffs.price),
+            status: 'pending',
+            attempts: 0
+        })
+        .select('*')
+        .single();
+
+    if (insertError) {
+        throw new Error('Failed to create invoice: ' + insertError.message);
+    }
+    return invoice;
+}
+
+/**
+ * Продлевает аренду на следующий период: создает счет и списывает его
+ * с сохраненной карты. Итог обрабатывает обработчик платежей renewal.
+ * @returns {Promise<object>} Счет за следующий период.
+ */
+async function renewRental(supabaseAdmin, rentalId) {
+    const rental = await fetchBillingRental(supabaseAdmin, rentalId);
+    if (!['active', 'overdue'].includes(rental.status)) {
+        throw new BillingError(`Rental in status "${rental.status}" cannot be renewed.`, 'not_renewable');
+    }
+    if (!getPeriodDays(rental.tariffs) || !rental.current_period_end || !(Number(rental.tariffs.price) > 0)) {
+        throw new BillingError('Rental tariff has no billing period or price.', 'no_billing_period', 400);
+    }
+
+    const periodStart = new Date(rental.current_period_end);
+    const invoice = await getOrCreateRenewalInvoice(supabaseAdmin, rental, periodStart);
+    if (invoice.status === 'paid') return invoice;
+
+    const attempt = (invoice.attempts || 0) + 1;
+    const { error: updateError } = await supabaseAdmin
+        .from('rental_invoices')
+        .update({ attempts: attempt, last_attempt_at: new Date().toISOString(), status: 'pending' })
+        .eq('id', invoice.id);
+    if (updateError) {
+        throw new Error('Failed to update invoice: ' + updateError.message);
+    }
+
+    const description = `Продление аренды ${rental.id}: ${rental.tariffs.title || 'тариф'} с ${periodStart.toLocaleDateString('ru-RU')}`;
+    try {
+        await chargeSavedPaymentMethod(supabaseAdmin, {
+            userId: rental.user_id,
+            rentalId: rental.id,
+            amount: invoice.amount,
+            purpose: 'renewal',
+            description,
+            idempotenceKey: `renewal:${invoice.id}:${attempt}`,
+            receipt: buildReceipt(rental.clients, description, invoice.amount),
+            metadata: { invoice_id: invoice.id }
+        });
+    } catch (error) {
+        if (!(error instanceof PaymentError)) throw error;
+        await markInvoiceFailed(supabaseAdmin, invoice.id, error.code);
+        await notifyRenewalFailed(supabaseAdmin, rental, `renewal-failed:${invoice.id}:${attempt}`);
+    }
+
+    const { data: result, error: fetchError } = await supabaseAdmin
+        .from('rental_invoices').select('*').eq('id', invoice.id).single();
+    if (fetchError) {
+        throw new Error('Failed to fetch invoice: ' + fetchError.message);
+    }
+    return result;
+}
+
+async function markInvoiceFailed(supabaseAdmin, invoiceId, reason) {
+    const { error } = await supabaseAdmin
+        .from('rental_invoices')
+        .update({ status: 'failed', failure_reason: reason })
+        .eq('id', invoiceId);
+    if (error) {
+        throw new Error('Failed to update invoice: ' + error.message);
+    }
+}
+
+async function notifyRenewalFailed(supabaseAdmin, rental, dedupeKey) {
+    await enqueueNotification(supabaseAdmin, {
+        template: 'renewal_failed',
+        chatId: rental.clients?.telegram_user_id,
+        userId: rental.user_id,
+        rentalId: rental.id,
+        dedupeKey
+    });
+}
+
+/**
+ * Продлевает все аренды, у которых оплаченный период заканчивается в ближайшие
+ * RENEWAL_LEAD_HOURS часов (и просроченные), с учетом паузы между повторами.
+ * @returns {Promise<{ processed: number, failed: number }>}
+ */
+async function renewDueRentals(supabaseAdmin, now = new Date()) {
+    const horizon = new Date(now.getTime() + RENEWAL_LEAD_HOURS * 60 * 60 * 1000);
+    const { data: rentals, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, current_period_end')
+        .in('status', ['active', 'overdue'])
+        .eq('auto_renew', true)
+        .lte('current_period_end', horizon.toISOString());
+
+    if (error) {
+        throw new Error('Failed to fetch rentals due for renewal: ' + error.message);
+    }
+
+    let processed = 0;
+    let failed = 0;
+    for (const rental of rentals || []) {
+        const { data: invoice } = await supabaseAdmin
+            .from('rental_invoices')
+            .select('status, last_attempt_at')
+            .eq('rental_id', rental.id)
+            .eq('kind', 'renewal')
+            .eq('period_start', new Date(rental.current_period_end).toISOString())
+            .maybeSingle();
+
+        const retryAfter = invoice?.last_attempt_at
+            ? new Date(invoice.last_attempt_at).getTime() + RENEWAL_RETRY_HOURS * 60 * 60 * 1000
+            : 0;
+        if (invoice && (invoice.status === 'paid' || retryAfter > now.getTime())) continue;
+
+        try {
+            await renewRental(supabaseAdmin, rental.id);
+            processed++;
+        } catch (renewError) {
+            failed++;
+            console.error(`Renewal failed for rental ${rental.id}:`, renewError.message);
+        }
+    }
+    return { processed, failed };
+}
+
+// Ключ идемпотентности платежа за продление: renewal:<invoice id>:<попытка>
+function invoiceIdFromPayment(payment) {
+    const [prefix, invoiceId] = String(payment.idempotence_key || '').split(':');
+    return prefix === 'renewal' ? invoiceId : null;
+}
+
+// Успешное списание за продление сдвигает оплаченный период и снимает просрочку
+registerPaymentHandler('renewal', async (supabaseAdmin, payment) => {
+    const invoiceId = invoiceIdFromPayment(payment);
+    if (!invoiceId) return;
+
+    const { data: invoice, error } = await supabaseAdmin
+        .from('rental_invoices')
+        .update({ payment_id: payment.id })
+        .eq('id', invoiceId)
+        .select('*')
+        .maybeSingle();
+    if (error) {
+        throw new Error('Failed to find invoice for payment: ' + error.message);
+    }
+    if (!invoice || invoice.status === 'paid') return;
+
+    if (payment.status !== 'succeeded') {
+        await markInvoiceFailed(supabaseAdmin, invoice.id, payment.cancellation_reason || payment.status);
+        const rental = await fetchBillingRental(supabaseAdmin, invoice.rental_id);
+        await notifyRenewalFailed(supabaseAdmin, rental, `renewal-failed:${invoice.id}:${payment.id}`);
+        return;
+    }
+
+    await supabaseAdmin
+        .from('rental_invoices')
+        .update({ status: 'paid', paid_at: payment.paid_at || new Date().toISOString() })
+        .eq('id', invoice.id);
+
+    const { error: rentalError } = await supabaseAdmin
+        .from('rentals')
+        .update({ current_period_start: invoice.period_start, current_period_end: invoice.period_end })
+        .eq('id', invoice.rental_id)
+        .eq('current_period_end', invoice.period_start);
+    if (rentalError) {
+        throw new Error('Failed to extend rental period: ' + rentalError.message);
+    }
+
+    try {
+        await transitionRental(supabaseAdmin, {
+            rentalId: invoice.rental_id,
+            to: 'active',
+            actor: 'system',
+            actorId: 'billing',
+            reason: `Оплачено продление, платеж ${payment.id}`
+        });
+    } catch (transitionError) {
+        // Аренда не была просрочена — статус менять не нужно
+        if (!(transitionError instanceof RentalTransitionError)) throw transitionError;
+    }
+});
+
+/**
+ * Пересчет при досрочном возврате: возвращает клиенту стоимость неиспользованных
+ * суток. Если текущий период оплачен не через этот сервер, возврат фиксируется
+ * в счете со статусом manual_refund_required.
+ * @returns {Promise<object|null>} Счет-корректировка или null, если возвращать нечего.
+ */
+async function prorateEarlyReturn(supabaseAdmin, rentalId, returnedAt = new Date()) {
+    const rental = await fetchBillingRental(supabaseAdmin, rentalId);
+    const proration = calculateProration(rental, rental.tariffs, returnedAt);
+    if (!(proration.amount > 0)) return null;
+
+    const { data: paidInvoice } = await supabaseAdmin
+        .from('rental_invoices')
+        .select('id, payment_id')
+        .eq('rental_id', rentalId)
+        .eq('kind', 'renewal')
+        .eq('status', 'paid')
+        .eq('period_start', new Date(rental.current_period_start).toISOString())
+        .maybeSingle();
+
+    const { data: invoice, error } = await supabaseAdmin
+        .from('rental_invoices')
+        .insert({
+            rental_id: rentalId,
+            user_id: rental.user_id,
+            kind: 'proration',
+            period_start: returnedAt.toISOString(),
+            period_end: rental.current_period_end,
+            amount: -proration.amount,
+            status: paidInvoice?.payment_id ? 'pending' : 'manual_refund_required',
+            details: { unused_days: proration.unusedDays, daily_price: proration.dailyPrice }
+        })
+        .select('*')
+        .single();
+    if (error) {
+        throw new Error('Failed to create proration invoice: ' + error.message);
+    }
+    if (!paidInvoice?.payment_id) return invoice;
+
+    const refund = await refundPayment(supabaseAdmin, {
+        paymentId: paidInvoice.payment_id,
+        amount: proration.amount,
+        description: `Возврат за ${proration.unusedDays} неиспользованных дн. аренды`,
+        idempotenceKey: `proration-${invoice.id}`
+    });
+
+    const { data: updated } = await supabaseAdmin
+        .from('rental_invoices')
+        .update({ status: refund.status === 'succeeded' ? 'refunded' : 'pending', refund_id: refund.id })
+        .eq('id', invoice.id)
+        .select('*')
+        .single();
+    return updated;
+}
+
+/**
+ * Действие /api/user get-billing-history: счета и платежи по аренде клиента.
+ */
+async function handleGetBillingHistory({ userId, rentalId }) {
+    if (!userId || !rentalId) {
+        return { status: 400, body: { error: 'userId and rentalId are required.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: rental, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, status, current_period_start, current_period_end, tariffs ( title, price, duration_days )')
+        .eq('id', rentalId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw new Error('Failed to fetch rental: ' + error.message);
+    if (!rental) {
+        return { status: 404, body: { error: 'Rental not found.' } };
+    }
+
+    const { data: invoices, error: invoicesError } = await supabaseAdmin
+        .from('rental_invoices')
+        .select('id, kind, period_start, period_end, amount, status, paid_at, created_at')
+        .eq('rental_id', rentalId)
+        .order('created_at', { ascending: true });
+    if (invoicesError) throw new Error('Failed to fetch invoices: ' + invoicesError.message);
+
+    const { data: payments, error: paymentsError } = await supabaseAdmin
+        .from('payments')
+        .select('id, purpose, amount, refunded_amount, status, description, paid_at, created_at')
+        .eq('rental_id', rentalId)
+        .order('created_at', { ascending: true });
+    if (paymentsError) throw new Error('Failed to fetch payments: ' + paymentsError.message);
+
+    return {
+        status: 200,
+        body: {
+            rental: { ...rental, next_due_date: getNextDueDate(rental) },
+            invoices: invoices || [],
+            payments: payments || []
+        }
+    };
+}
+
+/**
+ * Действие /api/user extend-rental: клиент сам продлевает аренду на следующий период.
+ */
+async function handleExtendRental({ userId, rentalId }) {
+    if (!userId || !rentalId) {
+        return { status: 400, body: { error: 'userId and rentalId are required.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: rental, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id')
+        .eq('id', rentalId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw new Error('Failed to fetch rental: ' + error.message);
+    if (!rental) {
+        return { status: 404, body: { error: 'Rental not found.' } };
+    }
+    try {
+        const invoice = await renewRental(supabaseAdmin, rentalId);
+        return { status: 200, body: { invoice } };
+    } catch (renewError) {
+        if (renewError instanceof BillingError) {
+            return { status: renewError.status, body: { error: renewError.message, code: renewError.code } };
+        }
+        return paymentErrorResponse(renewError);
+    }
+}
+
+/**
+ * Admin-действие renew-rental: внеочередное продление аренды на следующий период.
+ */
+async function handleRenewRental({ rental_id }) {
+    if (!rental_id) {
+        return { status: 400, body: { error: 'rental_id обязателен.' } };
+    }
+    try {
+        const invoice = await renewRental(createSupabaseAdmin(), rental_id);
+        return { status: 200, body: { invoice } };
+    } catch (error) {
+        if (error instanceof BillingError) {
+            return { status: error.status, body: { error: error.message, code: error.code } };
+        }
+        return paymentErrorResponse(error);
+    }
+}
+
+module.exports = {
+    BillingError,
+    calculatePeriodEnd,
+    getNextDueDate,
+    calculateProration,
+    renewRental,
+    renewDueRentals,
+    prorateEarlyReturn,
+    handleGetBillingHistory,
+    handleExtendRental,
+    handleRenewRental
+};
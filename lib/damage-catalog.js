@@ -0,0 +1,161 @@
+const { createSupabaseAdmin } = require('./supabase');
+
+/**
+ * Каталог повреждений: код, описание и цена для модели велосипеда.
+ * Позиция без model_name действует для всех моделей, позиция модели ее перекрывает.
+ * Цена в каталоге — полная стоимость (замена детали); степень повреждения
+ * задает долю от нее.
+ */
+
+const DAMAGE_SEVERITIES = {
+    minor: { factor: 0.3, label: 'незначительное' },
+    moderate: { factor: 0.6, label: 'среднее' },
+    severe: { factor: 1, label: 'серьезное' }
+};
+
+class DamageCatalogError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'DamageCatalogError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function roundRubles(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Считает стоимость выявленных неисправностей по каталогу.
+ * Строки (старый формат) сохраняются как примечания без цены.
+ * @param {object} supabaseAdmin
+ * @param {string} modelName - Модель велосипеда.
+ * @param {Array<string|{ code: string, quantity?: number, severity?: string, comment?: string, photo_ids?: string[] }>} defects
+ * @returns {Promise<{ items: Array<object>, total: number }>}
+ */
+async function priceDefects(supabaseAdmin, modelName, defects) {
+    const requested = defects || [];
+    const codes = [...new Set(requested.filter((defect) => typeof defect === 'object').map((defect) => defect?.code))];
+    if (codes.some((code) => !code)) {
+        throw new DamageCatalogError('Each defect must have a catalog code.', 'missing_code');
+    }
+
+    let catalog = [];
+    if (codes.length > 0) {
+        const { data, error } = await supabaseAdmin
+            .from('damage_catalog')
+            .select('id, code, model_name, description, price')
+            .in('code', codes)
+            .eq('active', true);
+        if (error) {
+            throw new Error('Failed to fetch damage catalog: ' + error.message);
+        }
+        catalog = data || [];
+    }
+
+    const items = requested.map((defect) => {
+        if (typeof defect === 'string') {
+            return { description: defect, quantity: null, severity: null, unit_price: 0, line_total: 0 };
+        }
+        const entry = catalog.find((row) => row.code === defect.code && row.model_name === modelName)
+            || catalog.find((row) => row.code === defect.code && !row.model_name);
+        if (!entry) {
+            throw new DamageCatalogError(`Unknown damage code for model ${modelName}: ${defect.code}`, 'unknown_code');
+        }
+        const severity = defect.severity || 'severe';
+        if (!DAMAGE_SEVERITIES[severity]) {
+            throw new DamageCatalogError(`Unknown severity: ${severity}`, 'unknown_severity');
+        }
+        const quantity = defect.quantity === undefined ? 1 : Number(defect.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw new DamageCatalogError(`Invalid quantity for ${defect.code}`, 'invalid_quantity');
+        }
+
+        const unitPrice = roundRubles(Number(entry.price) * DAMAGE_SEVERITIES[severity].factor);
+        return {
+            catalog_id: entry.id,
+            code: entry.code,
+            description: entry.description,
+            quantity,
+            severity,
+            unit_price: unitPrice,
+            line_total: roundRubles(unitPrice * quantity),
+            comment: defect.comment || null,
+            photo_ids: Array.isArray(defect.photo_ids) ? defect.photo_ids.map(String) : []
+        };
+    });
+
+    return { items, total: roundRubles(items.reduce((sum, item) => sum + item.line_total, 0)) };
+}
+
+/**
+ * Admin-действие save-damage-item: создает позицию каталога или обновляет существующую (если передан item_id).
+ */
+async function handleSaveDamageItem({ item_id, code, model_name, description, price, active }) {
+    if (price !== undefined && !(Number(price) >= 0)) {
+        return { status: 400, body: { error: 'price должна быть неотрицательным числом.' } };
+    }
+    const fields = {};
+    if (code !== undefined) fields.code = code;
+    if (model_name !== undefined) fields.model_name = model_name || null;
+    if (description !== undefined) fields.description = description;
+    if (price !== undefined) fields.price = Number(price);
+    if (active !== undefined) fields.active = Boolean(active);
+
+    const supabaseAdmin = createSupabaseAdmin();
+    let query;
+    if (item_id) {
+        query = supabaseAdmin
+            .from('damage_catalog')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', item_id);
+    } else {
+        if (!code || !description || price === undefined) {
+            return { status: 400, body: { error: 'code, description и price обязательны.' } };
+        }
+        query = supabaseAdmin.from('damage_catalog').insert(fields);
+    }
+
+    const { data, error } = await query.select('*').maybeSingle();
+    if (error) {
+        if (error.code === '23505') {
+            return { status: 409, body: { error: 'Позиция с таким кодом для этой модели уже есть.' } };
+        }
+        throw new Error('Не удалось сохранить позицию каталога: ' + error.message);
+    }
+    if (!data) {
+        return { status: 404, body: { error: 'Позиция каталога не найдена.' } };
+    }
+    return { status: 200, body: { item: data } };
+}
+
+/**
+ * Admin-действие get-damage-catalog: позиции для модели (вместе с общими) или весь каталог.
+ */
+async function handleGetDamageCatalog({ model_name, include_inactive }) {
+    let query = createSupabaseAdmin().from('damage_catalog').select('*');
+    if (!include_inactive) query = query.eq('active', true);
+
+    const { data, error } = await query.order('code', { ascending: true });
+    if (error) {
+        throw new Error('Не удалось получить каталог повреждений: ' + error.message);
+    }
+    let items = data || [];
+    if (model_name) {
+        // Позиция модели перекрывает общую с тем же кодом
+        const own = items.filter((item) => item.model_name === model_name);
+        const ownCodes = new Set(own.map((item) => item.code));
+        items = [...own, ...items.filter((item) => !item.model_name && !ownCodes.has(item.code))]
+            .sort((a, b) => a.code.localeCompare(b.code));
+    }
+    return { status: 200, body: { items, severities: DAMAGE_SEVERITIES } };
+}
+
+module.exports = {
+    DAMAGE_SEVERITIES,
+    DamageCatalogError,
+    priceDefects,
+    handleSaveDamageItem,
+    handleGetDamageCatalog
+};
@@ -0,0 +1,193 @@
+const { createSupabaseAdmin } = require('./supabase');
+const { enqueueNotification } = require('./notifications');
+const { RentalTransitionError, transitionRental } = require('./rental-status');
+const {
+    PaymentError,
+    registerPaymentHandler,
+    createConfirmationPayment,
+    buildReceipt,
+    chargeSavedPaymentMethod,
+    refundPayment,
+    paymentErrorResponse
+} = require('./payments');
+
+/**
+ * Взыскание ущерба после подписания акта возврата. Аренда ждет оплаты
+ * в статусе damage_payment_pending: сначала списываем с сохраненной карты,
+ * при неудаче отправляем клиенту ссылку на оплату в Telegram. Каждая попытка —
+ * отдельная запись в payments (purpose damage или damage_link) с данными чека.
+ * Пока есть незавершенный платеж по ущербу, новый не создается; оплата, пришедшая
+ * после закрытия аренды, возвращается клиенту.
+ */
+
+const PENDING_PAYMENT_STATUSES = ['pending', 'waiting_for_capture'];
+
+async function fetchRentalForCharge(supabaseAdmin, rentalId) {
+    const { data, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, status, user_id, extra_data, clients ( name, email, phone, telegram_user_id )')
+        .eq('id', rentalId)
+        .single();
+
+    if (error) {
+        throw new Error('Failed to fetch rental for damage charge: ' + error.message);
+    }
+    return data;
+}
+
+async function listDamagePayments(supabaseAdmin, rentalId) {
+    const { data, error } = await supabaseAdmin
+        .from('payments')
+        .select('id, purpose, status, idempotence_key, confirmation_url, created_at')
+        .eq('rental_id', rentalId)
+        .in('purpose', ['damage', 'damage_link'])
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw new Error('Failed to fetch damage payments: ' + error.message);
+    }
+    return data || [];
+}
+
+function damageDescription(rentalId) {
+    return `Возмещение ущерба по аренде ${rentalId}`;
+}
+
+/**
+ * Создает платеж по ссылке и отправляет ее клиенту.
+ */
+async function sendDamagePaymentLink(supabaseAdmin, rental) {
+    // Ссылка, которую клиент еще не оплатил, остается в силе — вторую не выставляем
+    const pendingLink = (await listDamagePayments(supabaseAdmin, rental.id))
+        .find((payment) => payment.purpose === 'damage_link' && PENDING_PAYMENT_STATUSES.includes(payment.status));
+    if (pendingLink) return pendingLink;
+
+    const amount = Number(rental.extra_data?.damage_amount) || 0;
+    const description = damageDescription(rental.id);
+    const payment = await createConfirmationPayment(supabaseAdmin, {
+        userId: rental.user_id,
+        rentalId: rental.id,
+        amount,
+        purpose: 'damage_link',
+        description,
+        returnUrl: process.env.PAYMENT_RETURN_URL,
+        receipt: buildReceipt(rental.clients, description, amount)
+    });
+
+    if (!payment.confirmation_url) {
+        console.error(`Не удалось получить ссылку на оплату ущерба по аренде ${rental.id}.`);
+        return payment;
+    }
+
+    await enqueueNotification(supabaseAdmin, {
+        template: 'damage_payment_link',
+        data: { amount, confirmationUrl: payment.confirmation_url },
+        chatId: rental.clients?.telegram_user_id,
+        userId: rental.user_id,
+        rentalId: rental.id,
+        dedupeKey: `damage-link:${payment.id}`
+    });
+    return payment;
+}
+
+/**
+ * Пытается взыскать ущерб по аренде в статусе damage_payment_pending.
+ * @returns {Promise<object>} Созданный платеж (списание или платеж по ссылке).
+ */
+async function collectDamagePayment(supabaseAdmin, rentalId) {
+    const rental = await fetchRentalForCharge(supabaseAdmin, rentalId);
+    if (rental.status !== 'damage_payment_pending') {
+        throw new RentalTransitionError(`Rental is "${rental.status}", damage payment is not expected.`, 'illegal_transition');
+    }
+
+    const payments = await listDamagePayments(supabaseAdmin, rentalId);
+    if (payments.some((payment) => payment.status === 'succeeded')) {
+        throw new PaymentError('Damage for this rental is already paid.', 'damage_already_paid', 409);
+    }
+    const pending = payments.filter((payment) => PENDING_PAYMENT_STATUSES.includes(payment.status));
+    // Клиенту уже отправлена ссылка: списание с карты сейчас привело бы к двойной оплате
+    const pendingLink = pending.find((payment) => payment.purpose === 'damage_link');
+    if (pendingLink) return pendingLink;
+
+    const amount = Number(rental.extra_data?.damage_amount) || 0;
+    const description = damageDescription(rentalId);
+    // Незавершенное списание повторяем с его ключом, иначе ключ зависит от номера попытки
+    const pendingCharge = pending.find((payment) => payment.purpose === 'damage');
+    const idempotenceKey = pendingCharge?.idempotence_key || `damage:${rentalId}:${payments.length + 1}`;
+
+    try {
+        return await chargeSavedPaymentMethod(supabaseAdmin, {
+            userId: rental.user_id,
+            rentalId,
+            amount,
+            purpose: 'damage',
+            description,
+            idempotenceKey,
+            receipt: buildReceipt(rental.clients, description, amount)
+        });
+    } catch (error) {
+        if (error instanceof PaymentError && error.code === 'no_payment_method') {
+            return sendDamagePaymentLink(supabaseAdmin, rental);
+        }
+        throw error;
+    }
+}
+
+async function completeRentalAfterPayment(supabaseAdmin, payment) {
+    try {
+        await transitionRental(supabaseAdmin, {
+            rentalId: payment.rental_id,
+            to: 'completed',
+            actor: 'system',
+            actorId: 'payments',
+            reason: `Ущерб оплачен, платеж ${payment.id}`
+        });
+    } catch (error) {
+        if (!(error instanceof RentalTransitionError)) throw error;
+        // Аренду уже закрыл другой платеж или оператор — эта оплата лишняя
+        console.warn(`Повторная оплата ущерба ${payment.id} по аренде ${payment.rental_id}, возвращаем.`);
+        await refundPayment(supabaseAdmin, {
+            paymentId: payment.id,
+            description: 'Возврат повторной оплаты ущерба',
+            idempotenceKey: `damage-duplicate-refund-${payment.id}`
+        });
+    }
+}
+
+registerPaymentHandler('damage', async (supabaseAdmin, payment) => {
+    if (payment.status === 'succeeded') {
+        await completeRentalAfterPayment(supabaseAdmin, payment);
+        return;
+    }
+    // Списание не прошло — даем клиенту оплатить самостоятельно
+    const rental = await fetchRentalForCharge(supabaseAdmin, payment.rental_id);
+    if (rental.status === 'damage_payment_pending') {
+        await sendDamagePaymentLink(supabaseAdmin, rental);
+    }
+});
+
+registerPaymentHandler('damage_link', async (supabaseAdmin, payment) => {
+    if (payment.status === 'succeeded') {
+        await completeRentalAfterPayment(supabaseAdmin, payment);
+    }
+});
+
+/**
+ * Admin-действие retry-damage-charge: повторная попытка взыскать ущерб.
+ */
+async function handleRetryDamageCharge({ rental_id }) {
+    if (!rental_id) {
+        return { status: 400, body: { error: 'rental_id обязателен.' } };
+    }
+    try {
+        const payment = await collectDamagePayment(createSupabaseAdmin(), rental_id);
+        return { status: 200, body: { payment } };
+    } catch (error) {
+        if (error instanceof RentalTransitionError) {
+            return { status: error.status, body: { error: error.message, code: error.code } };
+        }
+        return paymentErrorResponse(error);
+    }
+}
+
+module.exports = { collectDamagePayment, handleRetryDamageCharge };
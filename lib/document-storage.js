@@ -0,0 +1,100 @@
+/**
+ * Приватное хранилище документов с паспортными данными. Файлы не имеют
+ * публичных ссылок: в аренде хранится только путь, а скачать файл можно
+ * по временной подписанной ссылке после проверки прав.
+ */
+
+const DOCUMENTS_BUCKET = process.env.DOCUMENTS_BUCKET || 'contracts-private';
+// Старый публичный бакет, из которого документы переносятся скриптом миграции
+const LEGACY_PUBLIC_BUCKET = 'contracts';
+const SIGNED_URL_TTL_SECONDS = Number(process.env.DOCUMENT_URL_TTL_SECONDS || 300);
+
+// Тип документа -> ключ в rentals.extra_data, где лежит путь к файлу
+const DOCUMENT_PATH_FIELDS = {
+    handover_act: 'contract_document_path',
+    contract_package: 'contract_package_path',
+    return_act: 'return_act_path'
+};
+
+async function uploadDocument(supabaseAdmin, filePath, buffer, contentType = 'application/pdf') {
+    const { error } = await supabaseAdmin.storage
+        .from(DOCUMENTS_BUCKET)
+        .upload(filePath, buffer, { contentType, upsert: true });
+
+    if (error) {
+        throw new Error('Failed to save document: ' + error.message);
+    }
+    return filePath;
+}
+
+async function downloadDocument(supabaseAdmin, filePath, bucket = DOCUMENTS_BUCKET) {
+    const { data, error } = await supabaseAdmin.storage.from(bucket).download(filePath);
+    if (error) {
+        throw new Error(`Failed to download ${bucket}/${filePath}: ` + error.message);
+    }
+    return Buffer.from(await data.arrayBuffer());
+}
+
+/**
+ * Уменьшенная копия фото через трансформацию изображений Supabase Storage.
+ * Формат файла сохраняется (format: origin), поэтому тип содержимого не меняется.
+ */
+async function downloadImageThumbnail(supabaseAdmin, filePath, { width, height, quality = 70 }) {
+    const { data, error } = await supabaseAdmin.storage
+        .from(DOCUMENTS_BUCKET)
+        .download(filePath, { transform: { width, height, quality, resize: 'cover', format: 'origin' } });
+    if (error) {
+        throw new Error(`Failed to download thumbnail ${DOCUMENTS_BUCKET}/${filePath}: ` + error.message);
+    }
+    return Buffer.from(await data.arrayBuffer());
+}
+
+async function removeDocuments(supabaseAdmin, filePaths) {
+    if (filePaths.length === 0) return;
+    const { error } = await supabaseAdmin.storage.from(DOCUMENTS_BUCKET).remove(filePaths);
+    if (error) {
+        throw new Error('Failed to remove documents: ' + error.message);
+    }
+}
+
+/**
+ * Временная ссылка на скачивание документа.
+ * @returns {Promise<{ url: string, expiresAt: string }>}
+ */
+async function createDocumentUrl(supabaseAdmin, filePath, ttlSeconds = SIGNED_URL_TTL_SECONDS) {
+    const { data, error } = await supabaseAdmin.storage
+        .from(DOCUMENTS_BUCKET)
+        .createSignedUrl(filePath, ttlSeconds);
+
+    if (error) {
+        throw new Error('Failed to create document link: ' + error.message);
+    }
+    return {
+        url: data.signedUrl,
+        expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    };
+}
+
+/**
+ * Достает путь к файлу из публичной ссылки Supabase Storage
+ * вида .../storage/v1/object/public/<bucket>/<path>.
+ */
+function pathFromPublicUrl(publicUrl, bucket = LEGACY_PUBLIC_BUCKET) {
+    if (!publicUrl) return null;
+    const marker = `/storage/v1/object/public/${bucket}/`;
+    const index = publicUrl.indexOf(marker);
+    if (index === -1) return null;
+    return decodeURIComponent(publicUrl.slice(index + marker.length).split('?')[0]);
+}
+
+module.exports = {
+    DOCUMENTS_BUCKET,
+    LEGACY_PUBLIC_BUCKET,
+    DOCUMENT_PATH_FIELDS,
+    uploadDocument,
+    downloadDocument,
+    downloadImageThumbnail,
+    removeDocuments,
+    createDocumentUrl,
+    pathFromPublicUrl
+};
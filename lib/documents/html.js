@@ -0,0 +1,50 @@
+/**
+ * Мини-движок шаблонов: html`...` экранирует все подставляемые значения,
+ * кроме уже готовых фрагментов SafeHtml (результатов других html`...` и raw()).
+ */
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, i) => {
+        result += renderValue(value) + strings[i + 1];
+    });
+    return new SafeHtml(result);
+}
+
+/**
+ * Помечает строку как уже безопасный HTML. Использовать только для констант шаблона.
+ */
+function raw(value) {
+    return new SafeHtml(String(value));
+}
+
+module.exports = { SafeHtml, escapeHtml, html, raw };
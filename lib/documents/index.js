@@ -0,0 +1,131 @@
+const { html } = require('./html');
+const { documentLayout } = require('./partials');
+const { decryptPassport } = require('../passport-crypto');
+
+/**
+ * Реестр шаблонов документов. У каждого шаблона есть имя и набор
+ * пронумерованных версий; новая редакция текста — это новая версия,
+ * старые остаются, чтобы можно было воспроизвести подписанный документ.
+ */
+const templates = new Map();
+
+function registerTemplate({ name, versions }) {
+    templates.set(name, versions);
+}
+
+registerTemplate(require('./templates/handover-act'));
+registerTemplate(require('./templates/return-act'));
+registerTemplate(require('./templates/rental-agreement'));
+
+function latestVersion(name) {
+    const versions = templates.get(name);
+    if (!versions) {
+        throw new Error(`Unknown document template: ${name}`);
+    }
+    return Math.max(...Object.keys(versions).map(Number));
+}
+
+/**
+ * Разбирает строку вида "handover_act@1".
+ */
+function parseTemplateVersion(templateVersion) {
+    const [name, version] = String(templateVersion).split('@');
+    return { name, version: Number(version) };
+}
+
+/**
+ * Рендерит тело документа (без обертки <html>).
+ * @param {string} name - Имя шаблона, например handover_act.
+ * @param {object} data - Данные для подстановки; все значения экранируются.
+ * @param {object} [options]
+ * @param {number} [options.version] - Версия шаблона; по умолчанию последняя.
+ * @returns {{ body: import('./html').SafeHtml, templateVersion: string }}
+ */
+function renderDocumentBody(name, data, { version } = {}) {
+    const versions = templates.get(name);
+    if (!versions) {
+        throw new Error(`Unknown document template: ${name}`);
+    }
+    const resolvedVersion = version || latestVersion(name);
+    const render = versions[resolvedVersion];
+    if (!render) {
+        throw new Error(`Unknown version ${resolvedVersion} of document template ${name}`);
+    }
+    return { body: render(data), templateVersion: `${name}@${resolvedVersion}` };
+}
+
+/**
+ * Рендерит готовый к печати HTML-документ.
+ * @returns {{ html: string, templateVersion: string }}
+ */
+function renderDocument(name, data, options) {
+    const { body, templateVersion } = renderDocumentBody(name, data, options);
+    return { html: documentLayout(body).toString(), templateVersion };
+}
+
+/**
+ * Рендерит несколько документов в один HTML, каждый с новой страницы
+ * (например, договор вместе с приложениями).
+ * @param {Array<{ name: string, data: object, version?: number }>} documents
+ * @returns {{ html: string, templateVersions: object }} templateVersions: { имя шаблона: "имя@версия" }.
+ */
+function renderDocumentPackage(documents) {
+    const templateVersions = {};
+    const bodies = documents.map(({ name, data, version }, index) => {
+        const { body, templateVersion } = renderDocumentBody(name, data, { version });
+        templateVersions[name] = templateVersion;
+        return index === 0 ? body : html`<div class="page-break">${body}</div>`;
+    });
+    return { html: documentLayout(bodies).toString(), templateVersions };
+}
+
+/**
+ * Реквизиты Арендодателя для договора.
+ */
+function getLessorDetails() {
+    return {
+        name: process.env.LESSOR_NAME || 'BikePark54',
+        inn: process.env.LESSOR_INN || null,
+        address: process.env.LESSOR_ADDRESS || null
+    };
+}
+
+/**
+ * Паспортные данные клиента для подстановки в документ. Зашифрованные данные
+ * расшифровываются только здесь; открытая колонка recognized_passport_data
+ * (строка JSON или объект) читается, пока задача passport-encryption ее не перенесла.
+ * Ошибка расшифровки пробрасывается: договор без паспорта формировать нельзя.
+ */
+function parsePassportData(client) {
+    if (client?.passport_data_encrypted) {
+        return decryptPassport(client.id, client.passport_data_encrypted);
+    }
+    if (!client?.recognized_passport_data) return {};
+    try {
+        return typeof client.recognized_passport_data === 'string'
+            ? JSON.parse(client.recognized_passport_data)
+            : client.recognized_passport_data;
+    } catch (e) {
+        console.error('Failed to parse passport data:', e);
+        return {};
+    }
+}
+
+// Подпись приходит из Web App как data URL картинки; все остальное отклоняем
+const SIGNATURE_DATA_PATTERN = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=]+$/;
+
+function isValidSignatureData(signatureData) {
+    return typeof signatureData === 'string' && SIGNATURE_DATA_PATTERN.test(signatureData);
+}
+
+module.exports = {
+    registerTemplate,
+    latestVersion,
+    parseTemplateVersion,
+    renderDocumentBody,
+    renderDocument,
+    renderDocumentPackage,
+    getLessorDetails,
+    parsePassportData,
+    isValidSignatureData
+};
@@ -0,0 +1,142 @@
+const { html, raw } = require('./html');
+
+const DOCUMENT_STYLES = raw(`
+    body { font-family: 'DejaVu Sans', sans-serif; font-size: 11px; line-height: 1.4; color: #333; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 20px; text-align: left; font-size: 0.9em; }
+    th, td { border: 1px solid #ccc; padding: 8px; text-align: left; }
+    th { background-color: #f2f2f2; font-weight: bold; width: 40%; }
+    h2, h4 { text-align: center; }
+    h4 { margin-top: 20px; margin-bottom: 10px; }
+    .page-break { page-break-before: always; }
+`);
+
+function orNA(value) {
+    return value || 'N/A';
+}
+
+/**
+ * Полный HTML-документ для рендера в PDF.
+ */
+function documentLayout(body) {
+    return html`<!DOCTYPE html><html lang="ru"><head><meta charset="UTF-8"><style>${DOCUMENT_STYLES}</style></head><body>${body}</body></html>`;
+}
+
+function documentHeader({ title, subtitle, city, date }) {
+    return html`
+        <div style="text-align: center; font-weight: bold; font-size: 1.2em; margin-bottom: 20px;">
+            ${title}<br>
+            ${subtitle}
+        </div>
+        <div style="display: flex; justify-content: space-between; margin-bottom: 20px; font-size: 0.9em;">
+            <span>г. ${city || 'Москва'}</span>
+            <span>${date.toLocaleDateString('ru-RU')}</span>
+        </div>
+    `;
+}
+
+function equipmentTable(bike, heading) {
+    const batteryNumbers = Array.isArray(bike?.battery_numbers)
+        ? bike.battery_numbers.join(', ')
+        : orNA(bike?.battery_numbers);
+
+    return html`
+        <h4>${heading}</h4>
+        <table>
+            <tbody>
+                <tr><th>Наименование</th><td>${orNA(bike?.model_name)}</td></tr>
+                <tr><th>Номер рамы</th><td>${orNA(bike?.frame_number)}</td></tr>
+                <tr><th>Номера аккумуляторов</th><td>${batteryNumbers}</td></tr>
+                <tr><th>Рег. номер</th><td>${orNA(bike?.registration_number)}</td></tr>
+                <tr><th>Номер IOT</th><td>${orNA(bike?.iot_device_id)}</td></tr>
+                <tr><th>Доп. оборудование</th><td>${orNA(bike?.additional_equipment)}</td></tr>
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Замены аккумуляторов с момента предыдущего подписанного акта.
+ */
+function batterySwapsTable(swaps, heading) {
+    if (!swaps || swaps.length === 0) return '';
+    return html`
+        <h4>${heading}</h4>
+        <table>
+            <thead>
+                <tr><th>Дата</th><th>Снят</th><th>Установлен</th></tr>
+            </thead>
+            <tbody>
+                ${swaps.map((swap) => html`<tr><td>${new Date(swap.created_at).toLocaleDateString('ru-RU')}</td><td>${orNA(swap.removed_serial)}</td><td>${orNA(swap.installed_serial)}</td></tr>`)}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Сетка миниатюр фотографий, пронумерованных по порядку съемки.
+ */
+function photoGrid(photos, heading) {
+    if (!photos || photos.length === 0) return '';
+    // Фото сверх лимита акта приходят без dataUrl
+    const embedded = photos.filter((photo) => photo.dataUrl);
+    const omitted = photos.length - embedded.length;
+    const omittedNumbers = omitted === 1 ? `№${photos.length}` : `№${embedded.length + 1}–${photos.length}`;
+    return html`
+        <h4>${heading}</h4>
+        <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 20px;">
+            ${embedded.map((photo) => html`
+                <div style="width: 160px; page-break-inside: avoid; font-size: 0.8em; text-align: center;">
+                    <img src="${photo.dataUrl}" alt="Фото ${photo.number}" style="width: 160px; height: 120px; object-fit: cover; border: 1px solid #ccc;"/>
+                    <div>№${photo.number}, ${new Date(photo.captured_at).toLocaleString('ru-RU')}</div>
+                    ${photo.caption ? html`<div>${photo.caption}</div>` : ''}
+                </div>
+            `)}
+        </div>
+        ${omitted > 0 ? html`<p><small>Еще ${omitted} фото (${omittedNumbers}) хранятся в системе проката.</small></p>` : ''}
+    `;
+}
+
+function tenantTable(client, passport, heading) {
+    return html`
+        <h4>${heading}</h4>
+        <table>
+            <tbody>
+                <tr><th>ФИО</th><td>${orNA(client?.name)}</td></tr>
+                <tr><th>Дата рождения</th><td>${orNA(passport.birth_date)}</td></tr>
+                <tr><th>Паспорт</th><td>${(passport.series || '') + ' ' + (passport.number || '')}</td></tr>
+                <tr><th>Кем выдан</th><td>${orNA(passport.issuing_authority)}</td></tr>
+                <tr><th>Дата выдачи</th><td>${orNA(passport.issue_date)}</td></tr>
+                <tr><th>Адрес регистрации</th><td>${orNA(passport.registration_address)}</td></tr>
+            </tbody>
+        </table>
+    `;
+}
+
+function signatureBlock(signatureData, caption = '(Подпись Арендатора)') {
+    const signature = signatureData
+        ? html`<img src="${signatureData}" alt="Подпись" style="position: absolute; left: 0; bottom: 15px; width: 180px; height: auto; z-index: 10;"/>`
+        : '';
+
+    return html`
+        <div style="margin-top: 50px; page-break-inside: avoid; width: 400px;">
+            <div style="position: relative; height: 100px; text-align: left;">
+                ${signature}
+                <div style="position: absolute; left: 0; bottom: 10px; width: 100%; border-bottom: 1px solid #333;"></div>
+            </div>
+            <div style="text-align: right; font-size: 11px; color: #555;">
+                ${caption}
+            </div>
+        </div>
+    `;
+}
+
+module.exports = {
+    orNA,
+    documentLayout,
+    documentHeader,
+    equipmentTable,
+    batterySwapsTable,
+    photoGrid,
+    tenantTable,
+    signatureBlock
+};
@@ -0,0 +1,59 @@
+const { html } = require('../html');
+const { documentHeader, equipmentTable, batterySwapsTable, photoGrid, tenantTable, signatureBlock } = require('../partials');
+
+/**
+ * Акт приема-передачи (Приложение №1 к Договору проката).
+ * Старые версии не меняются: по ним восстанавливается текст, который подписал клиент.
+ */
+module.exports = {
+    name: 'handover_act',
+    versions: {
+        1: ({ client, bike, passport, date, signatureData }) => html`
+            ${documentHeader({
+                title: 'Акт приема-передачи',
+                subtitle: '(Приложение №1 к Договору проката)',
+                city: client?.city,
+                date
+            })}
+            ${equipmentTable(bike, '1. Оборудование')}
+            ${tenantTable(client, passport, '2. Арендатор')}
+
+            <p style="font-size: 0.9em; margin-top: 20px;">Инструктаж пройден, с условиями согласен, техника и оборудование комплектны, на момент передачи исправны, нареканий нет.</p>
+
+            ${signatureBlock(signatureData)}
+        `,
+        // v2: замены аккумуляторов с предыдущего акта
+        2: ({ client, bike, passport, date, signatureData, batterySwaps }) => html`
+            ${documentHeader({
+                title: 'Акт приема-передачи',
+                subtitle: '(Приложение №1 к Договору проката)',
+                city: client?.city,
+                date
+            })}
+            ${equipmentTable(bike, '1. Оборудование')}
+            ${batterySwapsTable(batterySwaps, 'Замена аккумуляторов')}
+            ${tenantTable(client, passport, '2. Арендатор')}
+
+            <p style="font-size: 0.9em; margin-top: 20px;">Инструктаж пройден, с условиями согласен, техника и оборудование комплектны, на момент передачи исправны, нареканий нет.</p>
+
+            ${signatureBlock(signatureData)}
+        `,
+        // v3: фотографии велосипеда при выдаче
+        3: ({ client, bike, passport, date, signatureData, batterySwaps, photos }) => html`
+            ${documentHeader({
+                title: 'Акт приема-передачи',
+                subtitle: '(Приложение №1 к Договору проката)',
+                city: client?.city,
+                date
+            })}
+            ${equipmentTable(bike, '1. Оборудование')}
+            ${batterySwapsTable(batterySwaps, 'Замена аккумуляторов')}
+            ${tenantTable(client, passport, '2. Арендатор')}
+            ${photoGrid(photos, 'Фотографии при выдаче')}
+
+            <p style="font-size: 0.9em; margin-top: 20px;">Инструктаж пройден, с условиями согласен, техника и оборудование комплектны, на момент передачи исправны, нареканий нет.</p>
+
+            ${signatureBlock(signatureData)}
+        `
+    }
+};
@@ -0,0 +1,63 @@
+const { html } = require('../html');
+const { documentHeader, orNA, signatureBlock } = require('../partials');
+
+function formatMoney(value) {
+    const amount = Number(value);
+    return Number.isFinite(amount) ? `${amount.toFixed(2)} ₽` : 'N/A';
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleDateString('ru-RU') : 'N/A';
+}
+
+/**
+ * Договор проката — основной документ, к которому относятся акты
+ * приема-передачи (Приложения №1 и №2).
+ */
+module.exports = {
+    name: 'rental_agreement',
+    versions: {
+        1: ({ lessor, client, passport, bike, tariff, rental, period, date, signatureData }) => html`
+            ${documentHeader({
+                title: `Договор проката № ${rental.id}`,
+                subtitle: 'электровелосипеда',
+                city: client?.city,
+                date
+            })}
+
+            <p>${lessor.name}, ИНН ${orNA(lessor.inn)}, адрес: ${orNA(lessor.address)}, именуемый в дальнейшем «Арендодатель», с одной стороны, и ${orNA(client?.name)}, паспорт ${(passport.series || '') + ' ' + (passport.number || '')}, выдан ${orNA(passport.issuing_authority)} ${orNA(passport.issue_date)}, зарегистрированный по адресу: ${orNA(passport.registration_address)}, именуемый в дальнейшем «Арендатор», с другой стороны, заключили настоящий Договор о нижеследующем.</p>
+
+            <h4>1. Предмет договора</h4>
+            <p>1.1. Арендодатель передает Арендатору во временное владение и пользование электровелосипед ${orNA(bike?.model_name)}, номер рамы ${orNA(bike?.frame_number)}, рег. номер ${orNA(bike?.registration_number)} (далее — «Оборудование»), а Арендатор обязуется своевременно вносить арендную плату и вернуть Оборудование в исправном состоянии.</p>
+            <p>1.2. Комплектность и состояние Оборудования фиксируются в Акте приема-передачи (Приложение №1), возврат — в Акте возврата (Приложение №2). Приложения являются неотъемлемой частью Договора.</p>
+
+            <h4>2. Срок проката</h4>
+            <p>2.1. Оплаченный период проката: с ${formatDate(period.start)} по ${formatDate(period.end)}.</p>
+            <p>2.2. Договор продлевается на следующий период тарифа при условии внесения арендной платы до окончания текущего периода.</p>
+
+            <h4>3. Тариф и порядок расчетов</h4>
+            <table>
+                <tbody>
+                    <tr><th>Тариф</th><td>${orNA(tariff?.title)}</td></tr>
+                    <tr><th>Стоимость периода</th><td>${formatMoney(tariff?.price)}</td></tr>
+                    <tr><th>Длительность периода, дней</th><td>${orNA(tariff?.duration_days)}</td></tr>
+                    <tr><th>Залог</th><td>${formatMoney(tariff?.deposit || 0)}</td></tr>
+                </tbody>
+            </table>
+            <p>3.1. Арендная плата списывается с привязанной банковской карты Арендатора в начале каждого периода.</p>
+            <p>3.2. Залог возвращается Арендатору после возврата Оборудования за вычетом сумм возмещения ущерба, указанных в Акте возврата.</p>
+
+            <h4>4. Ответственность сторон</h4>
+            <p>4.1. Арендатор несет полную материальную ответственность за утрату, хищение и повреждение Оборудования с момента подписания Акта приема-передачи до подписания Акта возврата.</p>
+            <p>4.2. Стоимость повреждений определяется по прейскуранту Арендодателя и указывается в Акте возврата.</p>
+            <p>4.3. При просрочке возврата Оборудования Арендатор оплачивает каждый день просрочки по тарифу, а Арендодатель вправе дистанционно заблокировать Оборудование.</p>
+            <p>4.4. Арендатор обязан соблюдать Правила дорожного движения и не передавать Оборудование третьим лицам.</p>
+
+            <h4>5. Заключительные положения</h4>
+            <p>5.1. Договор заключен в электронной форме и подписан простой электронной подписью Арендатора в приложении Арендодателя.</p>
+            <p>5.2. Споры разрешаются путем переговоров, а при недостижении согласия — в суде по месту нахождения Арендодателя.</p>
+
+            ${signatureBlock(signatureData)}
+        `
+    }
+};
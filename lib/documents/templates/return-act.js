@@ -0,0 +1,126 @@
+const { html } = require('../html');
+const { documentHeader, equipmentTable, photoGrid, tenantTable, signatureBlock } = require('../partials');
+const { DAMAGE_SEVERITIES } = require('../../damage-catalog');
+
+function formatRubles(amount) {
+    return `${Number(amount).toFixed(2)} ₽`;
+}
+
+function defectsSection(defects) {
+    if (!defects || defects.length === 0) {
+        return html`<p style="font-size: 0.9em; margin-top: 20px;">Неисправности на момент сдачи не выявлены.</p>`;
+    }
+    return html`
+        <h4>3. Выявленные неисправности</h4>
+        <ul style="padding-left: 20px; margin-bottom: 20px; font-size: 0.9em;">
+            ${defects.map(d => html`<li>${d}</li>`)}
+        </ul>
+    `;
+}
+
+// Номера фото, на которые ссылается неисправность
+function defectPhotoNumbers(defect, photos) {
+    const numbers = (defect.photo_ids || [])
+        .map((id) => photos?.find((photo) => photo.id === id)?.number)
+        .filter(Boolean);
+    return numbers.length ? html`<br><small>Фото: ${numbers.map((number) => `№${number}`).join(', ')}</small>` : '';
+}
+
+// Неисправности по каталогу повреждений: позиция, количество, степень и цена.
+// Строки из старого формата выводятся без цены. С photos у позиции указываются номера фото.
+function itemisedDefectsSection(defects, amount, photos = null) {
+    if (!defects || defects.length === 0) {
+        return html`<p style="font-size: 0.9em; margin-top: 20px;">Неисправности на момент сдачи не выявлены.</p>`;
+    }
+    return html`
+        <h4>3. Выявленные неисправности</h4>
+        <table>
+            <thead>
+                <tr><th>Неисправность</th><th>Кол-во</th><th>Степень</th><th>Цена</th><th>Сумма</th></tr>
+            </thead>
+            <tbody>
+                ${defects.map((defect) => typeof defect === 'string'
+                    ? html`<tr><td>${defect}</td><td>—</td><td>—</td><td>—</td><td>—</td></tr>`
+                    : html`<tr>
+                        <td>${defect.code} — ${defect.description}${defect.comment ? html`<br><small>${defect.comment}</small>` : ''}${photos ? defectPhotoNumbers(defect, photos) : ''}</td>
+                        <td>${defect.quantity}</td>
+                        <td>${DAMAGE_SEVERITIES[defect.severity]?.label || defect.severity}</td>
+                        <td>${formatRubles(defect.unit_price)}</td>
+                        <td>${formatRubles(defect.line_total)}</td>
+                    </tr>`)}
+                <tr><th colspan="4">Итого</th><th>${formatRubles(amount)}</th></tr>
+            </tbody>
+        </table>
+    `;
+}
+
+function damageSection(amount) {
+    if (!(amount > 0)) return '';
+    return html`
+        <h4>4. Возмещение ущерба</h4>
+        <p style="font-size: 0.9em;">Итоговая сумма к оплате за ущерб: <strong>${amount.toFixed(2)} ₽</strong></p>
+    `;
+}
+
+/**
+ * Акт приема-передачи (возврата), Приложение №2 к Договору проката.
+ */
+module.exports = {
+    name: 'return_act',
+    versions: {
+        1: ({ client, bike, passport, date, signatureData, defects, amount }) => html`
+            ${documentHeader({
+                title: 'Акт приема-передачи (возврата)',
+                subtitle: '(Приложение №2 к Договору проката)',
+                city: client?.city,
+                date
+            })}
+            ${equipmentTable(bike, '1. Оборудование')}
+            ${tenantTable(client, passport, '2. Арендатор')}
+
+            ${defectsSection(defects)}
+            ${damageSection(Number(amount) || 0)}
+
+            <p style="font-size: 0.9em; margin-top: 20px;">Арендатор технику и оборудование передал. Арендодатель технику и оборудование получил. Претензий стороны друг к другу не имеют.</p>
+
+            ${signatureBlock(signatureData)}
+        `,
+        // v2: постатейный расчет ущерба по каталогу повреждений
+        2: ({ client, bike, passport, date, signatureData, defects, amount }) => html`
+            ${documentHeader({
+                title: 'Акт приема-передачи (возврата)',
+                subtitle: '(Приложение №2 к Договору проката)',
+                city: client?.city,
+                date
+            })}
+            ${equipmentTable(bike, '1. Оборудование')}
+            ${tenantTable(client, passport, '2. Арендатор')}
+
+            ${itemisedDefectsSection(defects, Number(amount) || 0)}
+            ${damageSection(Number(amount) || 0)}
+
+            <p style="font-size: 0.9em; margin-top: 20px;">Арендатор технику и оборудование передал. Арендодатель технику и оборудование получил. Претензий стороны друг к другу не имеют.</p>
+
+            ${signatureBlock(signatureData)}
+        `,
+        // v3: фотографии при возврате и ссылки на них у неисправностей
+        3: ({ client, bike, passport, date, signatureData, defects, amount, photos }) => html`
+            ${documentHeader({
+                title: 'Акт приема-передачи (возврата)',
+                subtitle: '(Приложение №2 к Договору проката)',
+                city: client?.city,
+                date
+            })}
+            ${equipmentTable(bike, '1. Оборудование')}
+            ${tenantTable(client, passport, '2. Арендатор')}
+
+            ${itemisedDefectsSection(defects, Number(amount) || 0, photos || [])}
+            ${damageSection(Number(amount) || 0)}
+            ${photoGrid(photos, 'Фотографии при возврате')}
+
+            <p style="font-size: 0.9em; margin-top: 20px;">Арендатор технику и оборудование передал. Арендодатель технику и оборудование получил. Претензий стороны друг к другу не имеют.</p>
+
+            ${signatureBlock(signatureData)}
+        `
+    }
+};
@@ -0,0 +1,455 @@
+const { createSupabaseAdmin } = require('./supabase');
+const { RENTAL_TRANSITIONS } = require('./rental-status');
+const { getOpenServiceTicket, openServiceTicket, closeServiceTicketsForRetiredBike } = require('./service-tickets');
+
+/**
+ * Управление парком: велосипеды и реестр аккумуляторов. Установленные на
+ * велосипед аккумуляторы хранятся в batteries.bike_id, а bikes.battery_numbers —
+ * их копия для документов. Каждая установка и снятие пишется в battery_swaps;
+ * замены, еще не попавшие в подписанный акт, выводятся в следующем акте приема-передачи.
+ */
+
+const BIKE_FIELDS = ['model_name', 'frame_number', 'registration_number', 'iot_device_id', 'additional_equipment', 'status', 'service_reason'];
+const BATTERY_FIELDS = ['serial_number', 'capacity_wh', 'notes', 'status'];
+// Статусы аккумулятора, которые оператор выставляет вручную; installed — только через swap-battery
+const BATTERY_STATUSES = ['in_stock', 'charging', 'retired'];
+const FREE_BATTERY_STATUSES = ['in_stock', 'charging'];
+
+// Незавершенные аренды: из этих статусов еще есть переходы (completed в их число не входит)
+const OPEN_RENTAL_STATUSES = Object.keys(RENTAL_TRANSITIONS)
+    .filter((status) => Object.keys(RENTAL_TRANSITIONS[status]).length > 0);
+
+function pickFields(body, fields) {
+    const result = {};
+    for (const field of fields) {
+        if (body[field] !== undefined) result[field] = body[field];
+    }
+    return result;
+}
+
+async function fetchOpenRentals(supabaseAdmin, bikeIds) {
+    if (bikeIds.length === 0) return [];
+    const { data, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, bike_id, user_id, status, current_period_end, clients ( name )')
+        .in('bike_id', bikeIds)
+        .in('status', OPEN_RENTAL_STATUSES);
+    if (error) {
+        throw new Error('Не удалось получить аренды велосипедов: ' + error.message);
+    }
+    return data || [];
+}
+
+async function fetchBikeBatteries(supabaseAdmin, bikeId) {
+    const { data, error } = await supabaseAdmin
+        .from('batteries')
+        .select('id, serial_number')
+        .eq('bike_id', bikeId)
+        .order('installed_at', { ascending: true });
+    if (error) {
+        throw new Error('Не удалось получить аккумуляторы велосипеда: ' + error.message);
+    }
+    return data || [];
+}
+
+// Переписывает bikes.battery_numbers по реестру
+async function syncBatteryNumbers(supabaseAdmin, bikeId) {
+    const batteries = await fetchBikeBatteries(supabaseAdmin, bikeId);
+    const { error } = await supabaseAdmin
+        .from('bikes')
+        .update({ battery_numbers: batteries.map((battery) => battery.serial_number) })
+        .eq('id', bikeId);
+    if (error) {
+        throw new Error('Не удалось обновить номера аккумуляторов: ' + error.message);
+    }
+}
+
+async function insertBatterySwap(supabaseAdmin, { bikeId, removed, installed, reason, operatorId }) {
+    const { data, error } = await supabaseAdmin
+        .from('battery_swaps')
+        .insert({
+            bike_id: bikeId,
+            removed_battery_id: removed?.id || null,
+            removed_serial: removed?.serial_number || null,
+            installed_battery_id: installed?.id || null,
+            installed_serial: installed?.serial_number || null,
+            reason: reason || null,
+            operator_id: operatorId
+        })
+        .select('*')
+        .single();
+    if (error) {
+        throw new Error('Не удалось записать замену аккумулятора: ' + error.message);
+    }
+    return data;
+}
+
+async function detachBattery(supabaseAdmin, battery) {
+    const { error } = await supabaseAdmin
+        .from('batteries')
+        .update({ bike_id: null, status: 'in_stock', installed_at: null, updated_at: new Date().toISOString() })
+        .eq('id', battery.id)
+        .eq('bike_id', battery.bike_id);
+    if (error) {
+        throw new Error('Не удалось снять аккумулятор: ' + error.message);
+    }
+}
+
+// Возвращает снятый аккумулятор обратно, если замена не удалась
+async function restoreBattery(supabaseAdmin, battery, bikeId) {
+    const { error } = await supabaseAdmin
+        .from('batteries')
+        .update({ bike_id: bikeId, status: 'installed', installed_at: new Date().toISOString() })
+        .eq('id', battery.id);
+    if (error) {
+        console.error(`Не удалось вернуть аккумулятор ${battery.serial_number} на велосипед ${bikeId}:`, error.message);
+    }
+}
+
+/**
+ * Замены аккумуляторов велосипеда, которые еще не вошли в подписанный акт.
+ */
+async function getUnreportedBatterySwaps(supabaseAdmin, bikeId) {
+    const { data, error } = await supabaseAdmin
+        .from('battery_swaps')
+        .select('id, removed_serial, installed_serial, reason, created_at')
+        .eq('bike_id', bikeId)
+        .is('reported_document_id', null)
+        .order('created_at', { ascending: true });
+    if (error) {
+        throw new Error('Failed to fetch battery swaps: ' + error.message);
+    }
+    return data || [];
+}
+
+/**
+ * Отмечает замены как отраженные в подписанном документе.
+ */
+async function markBatterySwapsReported(supabaseAdmin, swapIds, documentId) {
+    if (swapIds.length === 0) return;
+    const { error } = await supabaseAdmin
+        .from('battery_swaps')
+        .update({ reported_document_id: documentId })
+        .in('id', swapIds);
+    if (error) {
+        throw new Error('Failed to mark battery swaps as reported: ' + error.message);
+    }
+}
+
+/**
+ * Admin-действие save-bike: создает велосипед или обновляет существующий (если передан bike_id).
+ * Номера аккумуляторов меняются только через swap-battery, списание — через retire-bike.
+ * Отправка в сервис открывает заявку на ремонт, из сервиса велосипед выходит закрытием заявки.
+ */
+async function handleSaveBike(body, { operator }) {
+    const fields = pickFields(body, BIKE_FIELDS);
+    if (fields.status === 'retired') {
+        return { status: 400, body: { error: 'Для списания велосипеда используйте retire-bike.' } };
+    }
+    if (fields.status === 'in_service' && !fields.service_reason) {
+        return { status: 400, body: { error: 'Причина ремонта обязательна, если велосипед отправляется в сервис.' } };
+    }
+    if (fields.status && fields.status !== 'in_service') {
+        fields.service_reason = null;
+    }
+
+    const supabaseAdmin = createSupabaseAdmin();
+    if (body.bike_id && fields.status && fields.status !== 'in_service') {
+        const ticket = await getOpenServiceTicket(supabaseAdmin, body.bike_id);
+        if (ticket) {
+            return { status: 409, body: { error: 'Велосипед в ремонте: закройте заявку на ремонт.', ticket_id: ticket.id } };
+        }
+    }
+
+    let query;
+    if (body.bike_id) {
+        query = supabaseAdmin
+            .from('bikes')
+            .update(fields)
+            .eq('id', body.bike_id)
+            .neq('status', 'retired');
+    } else {
+        if (!fields.model_name || !fields.frame_number) {
+            return { status: 400, body: { error: 'model_name и frame_number обязательны.' } };
+        }
+        query = supabaseAdmin
+            .from('bikes')
+            .insert({ status: 'available', battery_numbers: [], ...fields });
+    }
+
+    const { data, error } = await query.select('*').maybeSingle();
+    if (error) {
+        if (error.code === '23505') {
+            return { status: 409, body: { error: 'Велосипед с таким номером рамы уже есть.' } };
+        }
+        throw new Error('Не удалось сохранить велосипед: ' + error.message);
+    }
+    if (!data) {
+        return { status: 404, body: { error: 'Велосипед не найден или списан.' } };
+    }
+    if (data.status === 'in_service') {
+        await openServiceTicket(supabaseAdmin, { bikeId: data.id, reason: data.service_reason, openedBy: operator.id });
+    }
+    return { status: 200, body: { bike: data } };
+}
+
+/**
+ * Admin-действие retire-bike: списывает велосипед и снимает с него аккумуляторы.
+ */
+async function handleRetireBike({ bike_id, reason }, { operator }) {
+    if (!bike_id) {
+        return { status: 400, body: { error: 'bike_id обязателен.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const rentals = await fetchOpenRentals(supabaseAdmin, [bike_id]);
+    if (rentals.length > 0) {
+        return { status: 409, body: { error: 'У велосипеда есть незавершенная аренда.', rental_id: rentals[0].id } };
+    }
+
+    const { data: bike, error } = await supabaseAdmin
+        .from('bikes')
+        .update({ status: 'retired', service_reason: reason || null, battery_numbers: [] })
+        .eq('id', bike_id)
+        .neq('status', 'retired')
+        .select('*')
+        .maybeSingle();
+    if (error) {
+        throw new Error('Не удалось списать велосипед: ' + error.message);
+    }
+    if (!bike) {
+        return { status: 404, body: { error: 'Велосипед не найден или уже списан.' } };
+    }
+
+    await closeServiceTicketsForRetiredBike(supabaseAdmin, bike_id);
+
+    const { data: batteries, error: batteriesError } = await supabaseAdmin
+        .from('batteries')
+        .select('id, bike_id, serial_number')
+        .eq('bike_id', bike_id);
+    if (batteriesError) {
+        throw new Error('Не удалось получить аккумуляторы велосипеда: ' + batteriesError.message);
+    }
+    for (const battery of batteries || []) {
+        await detachBattery(supabaseAdmin, battery);
+        await insertBatterySwap(supabaseAdmin, {
+            bikeId: bike_id,
+            removed: battery,
+            reason: 'Списание велосипеда',
+            operatorId: operator.id
+        });
+    }
+
+    return { status: 200, body: { bike, detachedBatteries: (batteries || []).map((battery) => battery.serial_number) } };
+}
+
+/**
+ * Admin-действие get-bikes: велосипеды (по статусу) с текущей арендой и аккумуляторами.
+ */
+async function handleGetBikes({ status }) {
+    const supabaseAdmin = createSupabaseAdmin();
+    let query = supabaseAdmin
+        .from('bikes')
+        .select('*, batteries ( id, serial_number, status, charge_cycles, capacity_wh )');
+    if (status) query = query.eq('status', status);
+
+    const { data: bikes, error } = await query.order('model_name', { ascending: true });
+    if (error) {
+        throw new Error('Не удалось получить велосипеды: ' + error.message);
+    }
+
+    const rentals = await fetchOpenRentals(supabaseAdmin, (bikes || []).map((bike) => bike.id));
+    const rentalByBike = new Map(rentals.map((rental) => [rental.bike_id, rental]));
+    return {
+        status: 200,
+        body: {
+            bikes: (bikes || []).map((bike) => ({ ...bike, current_rental: rentalByBike.get(bike.id) || null }))
+        }
+    };
+}
+
+/**
+ * Admin-действие save-battery: регистрирует аккумулятор или обновляет существующий (если передан battery_id).
+ */
+async function handleSaveBattery(body) {
+    const fields = pickFields(body, BATTERY_FIELDS);
+    if (fields.status !== undefined && !BATTERY_STATUSES.includes(fields.status)) {
+        return { status: 400, body: { error: `status должен быть одним из: ${BATTERY_STATUSES.join(', ')}.` } };
+    }
+
+    const supabaseAdmin = createSupabaseAdmin();
+    let query;
+    if (body.battery_id) {
+        // Установленный аккумулятор сначала нужно снять через swap-battery
+        query = supabaseAdmin
+            .from('batteries')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', body.battery_id);
+        if (fields.status) query = query.in('status', BATTERY_STATUSES);
+    } else {
+        if (!fields.serial_number) {
+            return { status: 400, body: { error: 'serial_number обязателен.' } };
+        }
+        query = supabaseAdmin.from('batteries').insert({ status: 'in_stock', ...fields });
+    }
+
+    const { data, error } = await query.select('*').maybeSingle();
+    if (error) {
+        if (error.code === '23505') {
+            return { status: 409, body: { error: 'Аккумулятор с таким серийным номером уже есть.' } };
+        }
+        throw new Error('Не удалось сохранить аккумулятор: ' + error.message);
+    }
+    if (!data) {
+        return { status: 404, body: { error: 'Аккумулятор не найден или установлен на велосипед.' } };
+    }
+    return { status: 200, body: { battery: data } };
+}
+
+/**
+ * Admin-действие get-batteries: реестр аккумуляторов с фильтром по статусу или велосипеду.
+ */
+async function handleGetBatteries({ status, bike_id }) {
+    let query = createSupabaseAdmin()
+        .from('batteries')
+        .select('*, bikes ( model_name, frame_number )');
+    if (status) query = query.eq('status', status);
+    if (bike_id) query = query.eq('bike_id', bike_id);
+
+    const { data, error } = await query.order('serial_number', { ascending: true });
+    if (error) {
+        throw new Error('Не удалось получить аккумуляторы: ' + error.message);
+    }
+    return { status: 200, body: { batteries: data || [] } };
+}
+
+/**
+ * Admin-действие swap-battery: установка (install_serial), снятие (remove_serial)
+ * или замена (оба) аккумулятора на велосипеде.
+ */
+async function handleSwapBattery({ bike_id, install_serial, remove_serial, reason }, { operator }) {
+    if (!bike_id || (!install_serial && !remove_serial)) {
+        return { status: 400, body: { error: 'bike_id и install_serial или remove_serial обязательны.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+
+    const { data: bike, error: bikeError } = await supabaseAdmin
+        .from('bikes')
+        .select('id, status')
+        .eq('id', bike_id)
+        .maybeSingle();
+    if (bikeError) throw new Error('Не удалось получить велосипед: ' + bikeError.message);
+    if (!bike || bike.status === 'retired') {
+        return { status: 404, body: { error: 'Велосипед не найден или списан.' } };
+    }
+
+    let removed = null;
+    if (remove_serial) {
+        const { data, error } = await supabaseAdmin
+            .from('batteries')
+            .select('id, bike_id, serial_number')
+            .eq('serial_number', remove_serial)
+            .eq('bike_id', bike_id)
+            .maybeSingle();
+        if (error) throw new Error('Не удалось получить аккумулятор: ' + error.message);
+        if (!data) {
+            return { status: 404, body: { error: `Аккумулятор ${remove_serial} не установлен на этот велосипед.` } };
+        }
+        removed = data;
+    }
+
+    let installed = null;
+    if (install_serial) {
+        const { data, error } = await supabaseAdmin
+            .from('batteries')
+            .select('id, serial_number, status')
+            .eq('serial_number', install_serial)
+            .maybeSingle();
+        if (error) throw new Error('Не удалось получить аккумулятор: ' + error.message);
+        if (!data) {
+            return { status: 404, body: { error: `Аккумулятор ${install_serial} не найден.` } };
+        }
+        installed = data;
+    }
+
+    if (removed) {
+        await detachBattery(supabaseAdmin, removed);
+    }
+    if (installed) {
+        // Условное обновление: аккумулятор мог быть установлен на другой велосипед параллельно
+        const { data: claimed, error } = await supabaseAdmin
+            .from('batteries')
+            .update({ bike_id, status: 'installed', installed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+            .eq('id', installed.id)
+            .in('status', FREE_BATTERY_STATUSES)
+            .select('id')
+            .maybeSingle();
+        if (error) throw new Error('Не удалось установить аккумулятор: ' + error.message);
+        if (!claimed) {
+            if (removed) {
+                await restoreBattery(supabaseAdmin, removed, bike_id);
+            }
+            return { status: 409, body: { error: `Аккумулятор ${install_serial} недоступен (статус ${installed.status}).` } };
+        }
+    }
+
+    const swap = await insertBatterySwap(supabaseAdmin, {
+        bikeId: bike_id,
+        removed,
+        installed,
+        reason,
+        operatorId: operator.id
+    });
+    await syncBatteryNumbers(supabaseAdmin, bike_id);
+
+    return { status: 200, body: { swap } };
+}
+
+/**
+ * Admin-действие record-battery-charge: учитывает циклы зарядки аккумулятора.
+ */
+async function handleRecordBatteryCharge({ serial_number, cycles = 1 }) {
+    const increment = Number(cycles);
+    if (!serial_number || !Number.isInteger(increment) || increment <= 0) {
+        return { status: 400, body: { error: 'serial_number и положительное целое cycles обязательны.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+
+    // Оптимистичное обновление: повторяем, если счетчик успели изменить параллельно
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const { data: battery, error } = await supabaseAdmin
+            .from('batteries')
+            .select('id, charge_cycles')
+            .eq('serial_number', serial_number)
+            .maybeSingle();
+        if (error) throw new Error('Не удалось получить аккумулятор: ' + error.message);
+        if (!battery) {
+            return { status: 404, body: { error: 'Аккумулятор не найден.' } };
+        }
+
+        const now = new Date().toISOString();
+        const { data: updated, error: updateError } = await supabaseAdmin
+            .from('batteries')
+            .update({ charge_cycles: battery.charge_cycles + increment, last_charged_at: now, updated_at: now })
+            .eq('id', battery.id)
+            .eq('charge_cycles', battery.charge_cycles)
+            .select('*')
+            .maybeSingle();
+        if (updateError) throw new Error('Не удалось обновить циклы зарядки: ' + updateError.message);
+        if (updated) {
+            return { status: 200, body: { battery: updated } };
+        }
+    }
+    return { status: 409, body: { error: 'Счетчик циклов изменяется параллельно, повторите запрос.' } };
+}
+
+module.exports = {
+    getUnreportedBatterySwaps,
+    markBatterySwapsReported,
+    handleSaveBike,
+    handleRetireBike,
+    handleGetBikes,
+    handleSaveBattery,
+    handleGetBatteries,
+    handleSwapBattery,
+    handleRecordBatteryCharge
+};
@@ -0,0 +1,127 @@
+const { escapeHtml } = require('./documents/html');
+
+/**
+ * Геометрия для треков и геозон. Координаты в GeoJSON-порядке: [долгота, широта].
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Расстояние между точками по дуге большого круга, в метрах.
+ */
+function haversineMeters(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+function isValidCoordinate(latitude, longitude) {
+    return Number.isFinite(latitude) && Number.isFinite(longitude)
+        && latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+}
+
+// Луч из точки вправо: нечетное число пересечений с кольцом — точка внутри
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Первое кольцо полигона — внешняя граница, остальные — вырезы
+function pointInPolygon(point, rings) {
+    if (!pointInRing(point, rings[0])) return false;
+    return !rings.slice(1).some((hole) => pointInRing(point, hole));
+}
+
+/**
+ * Попадает ли точка в GeoJSON Polygon или MultiPolygon.
+ */
+function pointInGeometry(latitude, longitude, geometry) {
+    const point = [longitude, latitude];
+    if (geometry.type === 'Polygon') return pointInPolygon(point, geometry.coordinates);
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates.some((rings) => pointInPolygon(point, rings));
+    return false;
+}
+
+function isValidRing(ring) {
+    return Array.isArray(ring) && ring.length >= 4
+        && ring.every((position) => Array.isArray(position) && isValidCoordinate(position[1], position[0]));
+}
+
+/**
+ * Проверяет, что геометрия — корректный GeoJSON Polygon или MultiPolygon.
+ */
+function isValidGeometry(geometry) {
+    if (!geometry || !Array.isArray(geometry.coordinates)) return false;
+    const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing);
+    if (geometry.type === 'Polygon') return isPolygon(geometry.coordinates);
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates.length > 0 && geometry.coordinates.every(isPolygon);
+    return false;
+}
+
+/**
+ * Трек аренды как GeoJSON FeatureCollection: линия маршрута и точки с временем.
+ * @param {Array<{ latitude: number, longitude: number, recorded_at: string, accuracy?: number }>} points
+ */
+function trackToGeoJson(points, properties = {}) {
+    return {
+        type: 'FeatureCollection',
+        features: [
+            {
+                type: 'Feature',
+                properties: { ...properties, points: points.length },
+                geometry: {
+                    type: 'LineString',
+                    coordinates: points.map((point) => [point.longitude, point.latitude])
+                }
+            },
+            ...points.map((point) => ({
+                type: 'Feature',
+                properties: { recorded_at: point.recorded_at, accuracy: point.accuracy ?? null },
+                geometry: { type: 'Point', coordinates: [point.longitude, point.latitude] }
+            }))
+        ]
+    };
+}
+
+/**
+ * Трек аренды в формате GPX 1.1.
+ */
+function trackToGpx(points, name) {
+    const trackPoints = points
+        .map((point) => `      <trkpt lat="${point.latitude}" lon="${point.longitude}"><time>${new Date(point.recorded_at).toISOString()}</time></trkpt>`)
+        .join('\n');
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="bikepark54-server" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <trk>',
+        `    <name>${escapeHtml(name)}</name>`,
+        '    <trkseg>',
+        trackPoints,
+        '    </trkseg>',
+        '  </trk>',
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    haversineMeters,
+    isValidCoordinate,
+    pointInGeometry,
+    isValidGeometry,
+    trackToGeoJson,
+    trackToGpx
+};
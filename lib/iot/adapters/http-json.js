@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+/**
+ * Адаптер трекеров с простым JSON-протоколом поверх HTTP.
+ *
+ * Входящий пакет (POST /api/iot/packets, заголовок X-IoT-Token):
+ *   { "device_id": "...", "packets": [{ "ts", "lat", "lon", "speed", "battery_voltage",
+ *     "ignition", "locked", "ack": "<command id>" }] }
+ * Вместо packets можно передать поля одного пакета на верхнем уровне.
+ *
+ * Команды отправляются на IOT_COMMAND_URL/devices/<device id>/commands:
+ *   { "command_id": "...", "command": "lock" | "unlock" | "immobilise" | "release" }
+ */
+
+const COMMAND_URL = (process.env.IOT_COMMAND_URL || 'http://localhost:4020').replace(/\/$/, '');
+const REQUEST_TIMEOUT_MS = Number(process.env.IOT_TIMEOUT_MS || 10000);
+
+function optionalNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function optionalBoolean(value) {
+    return typeof value === 'boolean' ? value : null;
+}
+
+function tokensMatch(received, expected) {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(received), digest(expected));
+}
+
+module.exports = {
+    name: 'http-json',
+
+    verifyRequest(req) {
+        const expected = process.env.IOT_INGEST_TOKEN;
+        const received = req.get('X-IoT-Token');
+        return Boolean(expected && received && tokensMatch(received, expected));
+    },
+
+    parsePackets(body) {
+        const deviceId = body?.device_id;
+        if (!deviceId) return [];
+        const rawPackets = Array.isArray(body.packets) ? body.packets : [body];
+        return rawPackets.map((packet) => ({
+            deviceId: String(deviceId),
+            recordedAt: packet.ts ? new Date(typeof packet.ts === 'number' ? packet.ts * 1000 : packet.ts) : new Date(),
+            latitude: optionalNumber(packet.lat),
+            longitude: optionalNumber(packet.lon),
+            speed: optionalNumber(packet.speed),
+            batteryVoltage: optionalNumber(packet.battery_voltage),
+            ignition: optionalBoolean(packet.ignition),
+            locked: optionalBoolean(packet.locked),
+            ackCommandId: packet.ack || null
+        }));
+    },
+
+    async sendCommand(deviceId, { commandId, command }) {
+        try {
+            const response = await fetch(`${COMMAND_URL}/devices/${encodeURIComponent(deviceId)}/commands`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-IoT-Token': process.env.IOT_COMMAND_TOKEN || ''
+                },
+                body: JSON.stringify({ command_id: commandId, command }),
+                timeout: REQUEST_TIMEOUT_MS
+            });
+            if (!response.ok) {
+                return { ok: false, error: `Device gateway responded with ${response.status}` };
+            }
+            return { ok: true };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    }
+};
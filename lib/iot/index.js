@@ -0,0 +1,346 @@
+const { createSupabaseAdmin } = require('../supabase');
+const { onRentalTransition } = require('../rental-status');
+const { LocationError, TRACKED_RENTAL_STATUSES, isValidRecordedAt, recordRentalLocation } = require('../locations');
+
+/**
+ * Интеграция с GPS-трекерами велосипедов: прием телеметрии и команды
+ * блокировки. Протокол конкретного трекера реализует адаптер
+ * (см. adapters/http-json.js); активный адаптер выбирается через IOT_ADAPTER.
+ *
+ * Адаптер — объект { name, verifyRequest(req), parsePackets(body), sendCommand(deviceId, { commandId, command }) }.
+ */
+
+const IOT_COMMANDS = ['lock', 'unlock', 'immobilise', 'release'];
+
+// Статусы аренды, в которых велосипед заблокирован
+const IMMOBILISED_RENTAL_STATUSES = ['overdue'];
+
+const adapters = new Map();
+
+class IotError extends Error {
+    constructor(message, code, status = 409) {
+        super(message);
+        this.name = 'IotError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function registerIotAdapter(adapter) {
+    adapters.set(adapter.name, adapter);
+}
+
+registerIotAdapter(require('./adapters/http-json'));
+
+function getIotAdapter() {
+    const name = process.env.IOT_ADAPTER || 'http-json';
+    const adapter = adapters.get(name);
+    if (!adapter) {
+        throw new Error(`Unknown IoT adapter: ${name}`);
+    }
+    return adapter;
+}
+
+async function acknowledgeCommands(supabaseAdmin, packets) {
+    for (const packet of packets) {
+        if (!packet.ackCommandId) continue;
+        const { error } = await supabaseAdmin
+            .from('iot_commands')
+            .update({ status: 'acknowledged', acknowledged_at: packet.recordedAt.toISOString() })
+            .eq('id', packet.ackCommandId)
+            .eq('device_id', packet.deviceId)
+            .in('status', ['pending', 'sent']);
+        if (error) {
+            console.error(`Failed to acknowledge IoT command ${packet.ackCommandId}:`, error.message);
+        }
+    }
+}
+
+// Последнее известное состояние велосипеда по самому свежему пакету
+async function updateBikeState(supabaseAdmin, bikeId, packets) {
+    const latest = packets[packets.length - 1];
+    const state = { last_seen_at: latest.recordedAt.toISOString() };
+    if (latest.batteryVoltage !== null) state.battery_voltage = latest.batteryVoltage;
+    if (latest.ignition !== null) state.ignition_on = latest.ignition;
+    if (latest.locked !== null) state.is_locked = latest.locked;
+
+    const located = packets.filter((packet) => packet.latitude !== null && packet.longitude !== null);
+    if (located.length > 0) {
+        const position = located[located.length - 1];
+        state.last_latitude = position.latitude;
+        state.last_longitude = position.longitude;
+    }
+
+    const { error } = await supabaseAdmin.from('bikes').update(state).eq('id', bikeId);
+    if (error) {
+        console.error(`Failed to update state of bike ${bikeId}:`, error.message);
+    }
+}
+
+/**
+ * Сохраняет телеметрию, обновляет состояние велосипедов и трек текущей аренды.
+ * @param {object} supabaseAdmin
+ * @param {Array<object>} packets - Разобранные адаптером пакеты.
+ * @returns {Promise<{ accepted: number, unknownDevices: string[] }>}
+ */
+async function ingestPackets(supabaseAdmin, packets) {
+    const deviceIds = [...new Set(packets.map((packet) => packet.deviceId))];
+    if (deviceIds.length === 0) return { accepted: 0, unknownDevices: [] };
+
+    const { data: bikes, error } = await supabaseAdmin
+        .from('bikes')
+        .select('id, iot_device_id')
+        .in('iot_device_id', deviceIds);
+    if (error) {
+        throw new Error('Failed to resolve IoT devices: ' + error.message);
+    }
+    const bikeByDevice = new Map((bikes || []).map((bike) => [bike.iot_device_id, bike.id]));
+    const unknownDevices = deviceIds.filter((deviceId) => !bikeByDevice.has(deviceId));
+    const known = packets
+        .filter((packet) => bikeByDevice.has(packet.deviceId))
+        .sort((a, b) => a.recordedAt - b.recordedAt);
+    if (known.length === 0) return { accepted: 0, unknownDevices };
+
+    const { error: insertError } = await supabaseAdmin
+        .from('bike_telemetry')
+        .insert(known.map((packet) => ({
+            bike_id: bikeByDevice.get(packet.deviceId),
+            device_id: packet.deviceId,
+            recorded_at: packet.recordedAt.toISOString(),
+            latitude: packet.latitude,
+            longitude: packet.longitude,
+            speed: packet.speed,
+            battery_voltage: packet.batteryVoltage,
+            ignition: packet.ignition,
+            locked: packet.locked
+        })));
+    if (insertError) {
+        throw new Error('Failed to save telemetry: ' + insertError.message);
+    }
+
+    await acknowledgeCommands(supabaseAdmin, known);
+
+    const bikeIds = [...new Set(known.map((packet) => bikeByDevice.get(packet.deviceId)))];
+    const { data: rentals, error: rentalsError } = await supabaseAdmin
+        .from('rentals')
+        .select('id, user_id, bike_id, clients ( telegram_user_id, city )')
+        .in('bike_id', bikeIds)
+        .in('status', TRACKED_RENTAL_STATUSES);
+    if (rentalsError) {
+        throw new Error('Failed to fetch rentals for telemetry: ' + rentalsError.message);
+    }
+    const rentalByBike = new Map((rentals || []).map((rental) => [rental.bike_id, rental]));
+
+    for (const bikeId of bikeIds) {
+        const bikePackets = known.filter((packet) => bikeByDevice.get(packet.deviceId) === bikeId);
+        await updateBikeState(supabaseAdmin, bikeId, bikePackets);
+
+        const rental = rentalByBike.get(bikeId);
+        if (!rental) continue;
+        for (const packet of bikePackets) {
+            if (packet.latitude === null || packet.longitude === null) continue;
+            try {
+                await recordRentalLocation(supabaseAdmin, rental, {
+                    latitude: packet.latitude,
+                    longitude: packet.longitude,
+                    recordedAt: packet.recordedAt,
+                    source: 'device'
+                });
+            } catch (locationError) {
+                if (!(locationError instanceof LocationError)) throw locationError;
+            }
+        }
+    }
+
+    return { accepted: known.length, unknownDevices };
+}
+
+/**
+ * Отправляет команду на трекер велосипеда и сохраняет ее в iot_commands.
+ * @param {object} supabaseAdmin
+ * @param {object} params
+ * @param {string} params.bikeId
+ * @param {string} params.command - lock | unlock | immobilise | release.
+ * @param {string} [params.reason]
+ * @param {string} [params.requestedBy] - system или operator:<id>.
+ * @returns {Promise<object>} Запись команды.
+ */
+async function sendBikeCommand(supabaseAdmin, { bikeId, command, reason = null, requestedBy = 'system' }) {
+    if (!IOT_COMMANDS.includes(command)) {
+        throw new IotError(`Unknown command: ${command}`, 'unknown_command', 400);
+    }
+    const { data: bike, error } = await supabaseAdmin
+        .from('bikes')
+        .select('id, iot_device_id')
+        .eq('id', bikeId)
+        .maybeSingle();
+    if (error) {
+        throw new Error('Failed to fetch bike: ' + error.message);
+    }
+    if (!bike) {
+        throw new IotError('Bike not found.', 'bike_not_found', 404);
+    }
+    if (!bike.iot_device_id) {
+        throw new IotError('Bike has no IoT device.', 'no_device');
+    }
+
+    const adapter = getIotAdapter();
+    const { data: record, error: insertError } = await supabaseAdmin
+        .from('iot_commands')
+        .insert({
+            bike_id: bike.id,
+            device_id: bike.iot_device_id,
+            adapter: adapter.name,
+            command,
+            reason,
+            requested_by: requestedBy,
+            status: 'pending'
+        })
+        .select('*')
+        .single();
+    if (insertError) {
+        throw new Error('Failed to save IoT command: ' + insertError.message);
+    }
+
+    const result = await adapter.sendCommand(bike.iot_device_id, { commandId: record.id, command });
+    const { data: updated, error: updateError } = await supabaseAdmin
+        .from('iot_commands')
+        .update(result.ok
+            ? { status: 'sent', sent_at: new Date().toISOString() }
+            : { status: 'failed', error: result.error })
+        .eq('id', record.id)
+        .select('*')
+        .single();
+    if (updateError) {
+        throw new Error('Failed to update IoT command: ' + updateError.message);
+    }
+    if (!result.ok) {
+        console.error(`IoT command ${command} for bike ${bike.id} failed: ${result.error}`);
+    }
+    return updated;
+}
+
+/**
+ * POST /api/iot/packets: пакеты трекеров в формате активного адаптера.
+ */
+async function iotPacketsRoute(req, res) {
+    const adapter = getIotAdapter();
+    if (!adapter.verifyRequest(req)) {
+        return res.status(401).json({ error: 'Unauthorized device gateway.' });
+    }
+    const packets = adapter.parsePackets(req.body);
+    if (packets.length === 0) {
+        return res.status(400).json({ error: 'No packets in request.' });
+    }
+    if (!packets.every((packet) => isValidRecordedAt(packet.recordedAt))) {
+        return res.status(400).json({ error: 'Invalid packet timestamp.' });
+    }
+    try {
+        const result = await ingestPackets(createSupabaseAdmin(), packets);
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('IoT ingestion error:', error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * Admin-действие send-bike-command.
+ */
+async function handleSendBikeCommand({ bike_id, command, reason }, { operator }) {
+    if (!bike_id || !command) {
+        return { status: 400, body: { error: 'bike_id и command обязательны.' } };
+    }
+    try {
+        const record = await sendBikeCommand(createSupabaseAdmin(), {
+            bikeId: bike_id,
+            command,
+            reason: reason || null,
+            requestedBy: `operator:${operator.id}`
+        });
+        return { status: record.status === 'failed' ? 502 : 200, body: { command: record } };
+    } catch (error) {
+        if (error instanceof IotError) {
+            return { status: error.status, body: { error: error.message, code: error.code } };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Admin-действие get-bike-telemetry: телеметрия и последние команды велосипеда.
+ */
+async function handleGetBikeTelemetry({ bike_id, from, to, limit = 500 }) {
+    if (!bike_id) {
+        return { status: 400, body: { error: 'bike_id обязателен.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    let query = supabaseAdmin
+        .from('bike_telemetry')
+        .select('recorded_at, latitude, longitude, speed, battery_voltage, ignition, locked')
+        .eq('bike_id', bike_id);
+    if (from) query = query.gte('recorded_at', from);
+    if (to) query = query.lte('recorded_at', to);
+
+    const { data: telemetry, error } = await query
+        .order('recorded_at', { ascending: false })
+        .limit(Math.min(Number(limit) || 500, 5000));
+    if (error) {
+        throw new Error('Не удалось получить телеметрию: ' + error.message);
+    }
+
+    const { data: commands, error: commandsError } = await supabaseAdmin
+        .from('iot_commands')
+        .select('id, command, status, reason, requested_by, error, sent_at, acknowledged_at, created_at')
+        .eq('bike_id', bike_id)
+        .order('created_at', { ascending: false })
+        .limit(50);
+    if (commandsError) {
+        throw new Error('Не удалось получить команды: ' + commandsError.message);
+    }
+    return { status: 200, body: { telemetry: telemetry || [], commands: commands || [] } };
+}
+
+// Просроченную аренду блокируем; при любом выходе из просрочки (продление,
+// возврат) блокировку снимаем, иначе на велосипеде не доехать до пункта проката.
+// Отключается через IOT_AUTO_IMMOBILISE=false.
+onRentalTransition(async (supabaseAdmin, { rentalId, from, to }) => {
+    if (process.env.IOT_AUTO_IMMOBILISE === 'false') return;
+    let command = null;
+    if (IMMOBILISED_RENTAL_STATUSES.includes(to)) {
+        command = 'immobilise';
+    } else if (IMMOBILISED_RENTAL_STATUSES.includes(from)) {
+        command = 'release';
+    }
+    if (!command) return;
+
+    const { data: rental, error } = await supabaseAdmin
+        .from('rentals')
+        .select('bike_id')
+        .eq('id', rentalId)
+        .single();
+    if (error) {
+        throw new Error('Failed to fetch rental bike: ' + error.message);
+    }
+    try {
+        await sendBikeCommand(supabaseAdmin, {
+            bikeId: rental.bike_id,
+            command,
+            reason: `Аренда ${rentalId}: ${from} -> ${to}`
+        });
+    } catch (commandError) {
+        if (!(commandError instanceof IotError)) throw commandError;
+        console.warn(`IoT command ${command} for rental ${rentalId} skipped: ${commandError.message}`);
+    }
+});
+
+module.exports = {
+    IOT_COMMANDS,
+    IotError,
+    registerIotAdapter,
+    ingestPackets,
+    sendBikeCommand,
+    iotPacketsRoute,
+    handleSendBikeCommand,
+    handleGetBikeTelemetry
+};
@@ -0,0 +1,163 @@
+const { defineJob } = require('./scheduler');
+const { RentalTransitionError, transitionRental } = require('./rental-status');
+const { renewDueRentals } = require('./billing');
+const { enqueueNotification, processOutbox } = require('./notifications');
+const { encryptPendingPassports } = require('./passport-crypto');
+
+/**
+ * Фоновые задачи сервера. Уведомления ставятся в очередь с ключом
+ * дедупликации, поэтому повторный запуск задачи не присылает одно
+ * и то же сообщение дважды.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Через сколько часов ожидания подписи напоминать клиенту и как часто повторять
+const SIGNATURE_REMINDER_AFTER_HOURS = Number(process.env.SIGNATURE_REMINDER_AFTER_HOURS || 6);
+const SIGNATURE_REMINDER_INTERVAL_HOURS = Number(process.env.SIGNATURE_REMINDER_INTERVAL_HOURS || 24);
+const SIGNATURE_REMINDER_MAX = Number(process.env.SIGNATURE_REMINDER_MAX || 3);
+// За сколько часов предупреждать об окончании оплаченного периода
+const EXPIRY_WARNING_HOURS = Number(process.env.EXPIRY_WARNING_HOURS || 24);
+
+// Статус аренды -> шаблон напоминания о подписи
+const SIGNATURE_REMINDER_TEMPLATES = {
+    awaiting_contract_signing: 'contract_signature_reminder',
+    awaiting_return_signature: 'return_signature_reminder'
+};
+
+/**
+ * Переводит в overdue аренды, у которых закончился оплаченный период.
+ */
+async function markOverdueRentals(supabaseAdmin, now) {
+    const { data: rentals, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, user_id, current_period_end, clients ( telegram_user_id )')
+        .eq('status', 'active')
+        .lt('current_period_end', now.toISOString());
+    if (error) {
+        throw new Error('Failed to fetch expired rentals: ' + error.message);
+    }
+
+    let marked = 0;
+    for (const rental of rentals || []) {
+        try {
+            await transitionRental(supabaseAdmin, {
+                rentalId: rental.id,
+                to: 'overdue',
+                actor: 'system',
+                actorId: 'mark-overdue',
+                reason: 'Оплаченный период закончился.'
+            });
+        } catch (transitionError) {
+            // Аренду успели продлить или вернуть
+            if (transitionError instanceof RentalTransitionError) continue;
+            throw transitionError;
+        }
+        marked++;
+        await enqueueNotification(supabaseAdmin, {
+            template: 'rental_overdue',
+            chatId: rental.clients?.telegram_user_id,
+            userId: rental.user_id,
+            rentalId: rental.id,
+            dedupeKey: `overdue:${rental.id}:${rental.current_period_end}`
+        });
+    }
+    return { checked: (rentals || []).length, marked };
+}
+
+/**
+ * Когда аренда перешла в текущий статус: последняя запись истории
+ * с этим статусом или дата создания аренды.
+ */
+function statusEnteredAt(rental, history) {
+    const entry = history.find((row) => row.rental_id === rental.id && row.to_status === rental.status);
+    return new Date(entry ? entry.created_at : rental.created_at);
+}
+
+/**
+ * Напоминает о договорах и актах, которые долго ждут подписи клиента.
+ */
+async function remindPendingSignatures(supabaseAdmin, now) {
+    const { data: rentals, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, user_id, status, created_at, clients ( telegram_user_id )')
+        .in('status', Object.keys(SIGNATURE_REMINDER_TEMPLATES));
+    if (error) {
+        throw new Error('Failed to fetch rentals awaiting signature: ' + error.message);
+    }
+    if (!rentals || rentals.length === 0) return { checked: 0, sent: 0 };
+
+    const { data: history, error: historyError } = await supabaseAdmin
+        .from('rental_status_history')
+        .select('rental_id, to_status, created_at')
+        .in('rental_id', rentals.map((rental) => rental.id))
+        .order('created_at', { ascending: false });
+    if (historyError) {
+        throw new Error('Failed to fetch rental status history: ' + historyError.message);
+    }
+
+    let sent = 0;
+    for (const rental of rentals) {
+        const enteredAt = statusEnteredAt(rental, history || []);
+        const waitingHours = (now.getTime() - enteredAt.getTime()) / HOUR_MS;
+        if (waitingHours < SIGNATURE_REMINDER_AFTER_HOURS) continue;
+
+        // Номер напоминания внутри одного ожидания подписи
+        const reminder = Math.floor((waitingHours - SIGNATURE_REMINDER_AFTER_HOURS) / SIGNATURE_REMINDER_INTERVAL_HOURS);
+        if (reminder >= SIGNATURE_REMINDER_MAX) continue;
+
+        const notification = await enqueueNotification(supabaseAdmin, {
+            template: SIGNATURE_REMINDER_TEMPLATES[rental.status],
+            chatId: rental.clients?.telegram_user_id,
+            userId: rental.user_id,
+            rentalId: rental.id,
+            dedupeKey: `signature:${rental.id}:${rental.status}:${enteredAt.getTime()}:${reminder}`
+        });
+        if (notification) sent++;
+    }
+    return { checked: rentals.length, sent };
+}
+
+/**
+ * Предупреждает клиентов, у которых оплаченный период заканчивается в ближайшие сутки.
+ */
+async function warnExpiringRentals(supabaseAdmin, now) {
+    const horizon = new Date(now.getTime() + EXPIRY_WARNING_HOURS * HOUR_MS);
+    const { data: rentals, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, user_id, current_period_end, auto_renew, clients ( telegram_user_id, yookassa_payment_method_id ), tariffs ( price )')
+        .eq('status', 'active')
+        .gt('current_period_end', now.toISOString())
+        .lte('current_period_end', horizon.toISOString());
+    if (error) {
+        throw new Error('Failed to fetch expiring rentals: ' + error.message);
+    }
+
+    let sent = 0;
+    for (const rental of rentals || []) {
+        const willRenew = rental.auto_renew && rental.clients?.yookassa_payment_method_id && Number(rental.tariffs?.price) > 0;
+        const notification = await enqueueNotification(supabaseAdmin, {
+            template: 'expiry_warning',
+            data: { periodEnd: rental.current_period_end, renewalPrice: willRenew ? Number(rental.tariffs.price) : null },
+            chatId: rental.clients?.telegram_user_id,
+            userId: rental.user_id,
+            rentalId: rental.id,
+            dedupeKey: `expiry:${rental.id}:${rental.current_period_end}`
+        });
+        if (notification) sent++;
+    }
+    return { checked: (rentals || []).length, sent };
+}
+
+defineJob('billing-renewals', { intervalMs: HOUR_MS, run: renewDueRentals });
+defineJob('mark-overdue', { intervalMs: 15 * 60 * 1000, run: markOverdueRentals });
+defineJob('signature-reminders', { intervalMs: HOUR_MS, run: remindPendingSignatures });
+defineJob('expiry-warnings', { intervalMs: HOUR_MS, run: warnExpiringRentals });
+defineJob('notification-outbox', { intervalMs: 60 * 1000, run: processOutbox });
+defineJob('passport-encryption', { intervalMs: 10 * 60 * 1000, run: encryptPendingPassports });
+
+module.exports = {
+    markOverdueRentals,
+    remindPendingSignatures,
+    warnExpiringRentals
+};
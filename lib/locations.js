@@ -0,0 +1,381 @@
+const { createSupabaseAdmin } = require('./supabase');
+const { enqueueNotification } = require('./notifications');
+const {
+    haversineMeters,
+    isValidCoordinate,
+    pointInGeometry,
+    isValidGeometry,
+    trackToGeoJson,
+    trackToGpx
+} = require('./geo');
+
+/**
+ * История координат аренды и геозоны. Каждая отметка сохраняется в
+ * rental_locations; отметки с явными скачками GPS сохраняются с accepted = false
+ * и не участвуют ни в треке, ни в проверке геозон.
+ */
+
+// Быстрее электровелосипед ехать не может — такой переход считаем скачком GPS
+const MAX_SPEED_KMH = Number(process.env.LOCATION_MAX_SPEED_KMH || 80);
+// Отметки с точностью хуже этой (в метрах) отбрасываются
+const MAX_ACCURACY_M = Number(process.env.LOCATION_MAX_ACCURACY_M || 200);
+// На скачки короче этого расстояния не смотрим: это шум в пределах точности
+const JUMP_MIN_DISTANCE_M = 100;
+const GEOFENCE_CACHE_TTL_MS = 60 * 1000;
+// Допустимое расхождение часов устройства: отметка "из будущего" отбросила бы
+// все следующие отметки аренды как out_of_order
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Аренды, во время которых велосипед у клиента
+const TRACKED_RENTAL_STATUSES = ['active', 'overdue', 'pending_return'];
+
+let geofenceCache = null;
+
+class LocationError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'LocationError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function normaliseCity(city) {
+    return (city || '').trim().toLowerCase();
+}
+
+/**
+ * Активные геозоны города аренды и геозоны без города (действуют везде).
+ * Если город неизвестен, учитываются все активные геозоны.
+ * @param {string|null} [city]
+ */
+async function getActiveGeofences(supabaseAdmin, city = null) {
+    if (!geofenceCache || geofenceCache.expiresAt <= Date.now()) {
+        const { data, error } = await supabaseAdmin
+            .from('geofences')
+            .select('id, name, city, geometry')
+            .eq('active', true);
+        if (error) {
+            throw new Error('Failed to fetch geofences: ' + error.message);
+        }
+        geofenceCache = { geofences: data || [], expiresAt: Date.now() + GEOFENCE_CACHE_TTL_MS };
+    }
+
+    if (!normaliseCity(city)) return geofenceCache.geofences;
+    return geofenceCache.geofences.filter((geofence) => (
+        !normaliseCity(geofence.city) || normaliseCity(geofence.city) === normaliseCity(city)
+    ));
+}
+
+function invalidateGeofenceCache() {
+    geofenceCache = null;
+}
+
+/**
+ * Время отметки с устройства: корректная дата не позже серверного времени с учетом CLOCK_SKEW_MS.
+ */
+function isValidRecordedAt(date) {
+    const time = date instanceof Date ? date.getTime() : NaN;
+    return !Number.isNaN(time) && time <= Date.now() + CLOCK_SKEW_MS;
+}
+
+/**
+ * Почему отметку нельзя принять в трек, или null, если она правдоподобна.
+ */
+function rejectReason(previous, point) {
+    if (point.accuracy !== null && point.accuracy > MAX_ACCURACY_M) return 'low_accuracy';
+    if (!previous) return null;
+
+    const elapsedMs = new Date(point.recorded_at).getTime() - new Date(previous.recorded_at).getTime();
+    if (elapsedMs <= 0) return 'out_of_order';
+
+    const distance = haversineMeters(previous, point);
+    if (distance < JUMP_MIN_DISTANCE_M) return null;
+    const speedKmh = (distance / 1000) / (elapsedMs / 3600000);
+    return speedKmh > MAX_SPEED_KMH ? 'gps_jump' : null;
+}
+
+async function fetchLastAcceptedLocation(supabaseAdmin, rentalId) {
+    const { data, error } = await supabaseAdmin
+        .from('rental_locations')
+        .select('latitude, longitude, recorded_at, outside_zone')
+        .eq('rental_id', rentalId)
+        .eq('accepted', true)
+        .order('recorded_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) {
+        throw new Error('Failed to fetch last location: ' + error.message);
+    }
+    return data;
+}
+
+async function openGeofenceAlert(supabaseAdmin, rental, point) {
+    const { data: alert, error } = await supabaseAdmin
+        .from('geofence_alerts')
+        .insert({
+            rental_id: rental.id,
+            user_id: rental.user_id,
+            bike_id: rental.bike_id,
+            latitude: point.latitude,
+            longitude: point.longitude,
+            status: 'open'
+        })
+        .select('id')
+        .single();
+    if (error) {
+        // 23505 — по аренде уже есть открытая тревога
+        if (error.code === '23505') return;
+        throw new Error('Failed to create geofence alert: ' + error.message);
+    }
+
+    await enqueueNotification(supabaseAdmin, {
+        template: 'geofence_exit',
+        chatId: rental.clients?.telegram_user_id,
+        userId: rental.user_id,
+        rentalId: rental.id,
+        dedupeKey: `geofence-exit:${alert.id}`
+    });
+    if (process.env.GEOFENCE_ALERT_CHAT_ID) {
+        await enqueueNotification(supabaseAdmin, {
+            template: 'geofence_alert_operator',
+            data: { rentalId: rental.id, bikeId: rental.bike_id, latitude: point.latitude, longitude: point.longitude },
+            chatId: process.env.GEOFENCE_ALERT_CHAT_ID,
+            rentalId: rental.id,
+            dedupeKey: `geofence-operator:${alert.id}`
+        });
+    }
+}
+
+async function resolveGeofenceAlerts(supabaseAdmin, rentalId) {
+    const { error } = await supabaseAdmin
+        .from('geofence_alerts')
+        .update({ status: 'resolved', resolved_at: new Date().toISOString() })
+        .eq('rental_id', rentalId)
+        .eq('status', 'open');
+    if (error) {
+        throw new Error('Failed to resolve geofence alerts: ' + error.message);
+    }
+}
+
+/**
+ * Сохраняет отметку местоположения для аренды и проверяет геозоны.
+ * @param {object} supabaseAdmin
+ * @param {object} rental - Аренда с id, user_id, bike_id и clients ( telegram_user_id, city ).
+ * @param {object} point
+ * @param {number} point.latitude
+ * @param {number} point.longitude
+ * @param {number} [point.accuracy] - Точность в метрах.
+ * @param {string|Date} [point.recordedAt] - Время отметки на устройстве.
+ * @param {string} [point.source] - client | device.
+ * @returns {Promise<{ accepted: boolean, rejectReason: string|null, outsideZone: boolean|null }>}
+ */
+async function recordRentalLocation(supabaseAdmin, rental, { latitude, longitude, accuracy = null, recordedAt = null, source = 'client' }) {
+    if (!isValidCoordinate(latitude, longitude)) {
+        throw new LocationError('Invalid coordinates.', 'invalid_coordinates');
+    }
+    const recorded = recordedAt ? new Date(recordedAt) : new Date();
+    if (!isValidRecordedAt(recorded)) {
+        throw new LocationError('recordedAt must be a valid timestamp that is not in the future.', 'invalid_recorded_at');
+    }
+    const point = {
+        latitude,
+        longitude,
+        accuracy: Number.isFinite(accuracy) ? accuracy : null,
+        recorded_at: recorded.toISOString()
+    };
+
+    const previous = await fetchLastAcceptedLocation(supabaseAdmin, rental.id);
+    const reason = rejectReason(previous, point);
+
+    let outsideZone = null;
+    if (!reason) {
+        const geofences = await getActiveGeofences(supabaseAdmin, rental.clients?.city);
+        if (geofences.length > 0) {
+            outsideZone = !geofences.some((geofence) => pointInGeometry(latitude, longitude, geofence.geometry));
+        }
+    }
+
+    const { error } = await supabaseAdmin
+        .from('rental_locations')
+        .insert({
+            rental_id: rental.id,
+            user_id: rental.user_id,
+            bike_id: rental.bike_id,
+            ...point,
+            source,
+            accepted: !reason,
+            reject_reason: reason,
+            outside_zone: outsideZone
+        });
+    if (error) {
+        throw new Error('Failed to save location: ' + error.message);
+    }
+
+    // Тревога поднимается при выезде из зоны и снимается при возвращении
+    if (outsideZone === true && previous?.outside_zone !== true) {
+        await openGeofenceAlert(supabaseAdmin, rental, point);
+    } else if (outsideZone === false && previous?.outside_zone === true) {
+        await resolveGeofenceAlerts(supabaseAdmin, rental.id);
+    }
+
+    return { accepted: !reason, rejectReason: reason, outsideZone };
+}
+
+/**
+ * Аренда клиента, во время которой велосипед у него на руках.
+ */
+async function findTrackedRental(supabaseAdmin, userId) {
+    const { data, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, user_id, bike_id, clients ( telegram_user_id, city )')
+        .eq('user_id', userId)
+        .in('status', TRACKED_RENTAL_STATUSES)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) {
+        throw new Error('Failed to fetch active rental: ' + error.message);
+    }
+    return data;
+}
+
+/**
+ * Точки трека аренды, принятые фильтром, в хронологическом порядке.
+ */
+async function getRentalTrack(supabaseAdmin, rentalId) {
+    const { data, error } = await supabaseAdmin
+        .from('rental_locations')
+        .select('latitude, longitude, accuracy, recorded_at')
+        .eq('rental_id', rentalId)
+        .eq('accepted', true)
+        .order('recorded_at', { ascending: true });
+    if (error) {
+        throw new Error('Failed to fetch rental track: ' + error.message);
+    }
+    return data || [];
+}
+
+/**
+ * Admin-действие export-track: трек аренды в GeoJSON или GPX.
+ */
+async function handleExportTrack({ rental_id, format = 'geojson' }) {
+    if (!rental_id) {
+        return { status: 400, body: { error: 'rental_id обязателен.' } };
+    }
+    if (!['geojson', 'gpx'].includes(format)) {
+        return { status: 400, body: { error: 'format должен быть geojson или gpx.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: rental, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, bike_id, user_id')
+        .eq('id', rental_id)
+        .maybeSingle();
+    if (error) throw new Error('Не удалось получить аренду: ' + error.message);
+    if (!rental) {
+        return { status: 404, body: { error: 'Аренда не найдена.' } };
+    }
+
+    const points = await getRentalTrack(supabaseAdmin, rental_id);
+    if (format === 'gpx') {
+        return {
+            status: 200,
+            body: {
+                filename: `rental-${rental_id}.gpx`,
+                contentType: 'application/gpx+xml',
+                content: trackToGpx(points, `Аренда ${rental_id}`)
+            }
+        };
+    }
+    return {
+        status: 200,
+        body: {
+            filename: `rental-${rental_id}.geojson`,
+            contentType: 'application/geo+json',
+            content: trackToGeoJson(points, { rental_id, bike_id: rental.bike_id, user_id: rental.user_id })
+        }
+    };
+}
+
+/**
+ * Admin-действие save-geofence: создает геозону или обновляет существующую (если передан geofence_id).
+ */
+async function handleSaveGeofence({ geofence_id, name, city, geometry, active }) {
+    if (geometry !== undefined && !isValidGeometry(geometry)) {
+        return { status: 400, body: { error: 'geometry должна быть GeoJSON Polygon или MultiPolygon.' } };
+    }
+    const fields = {};
+    if (name !== undefined) fields.name = name;
+    if (city !== undefined) fields.city = city;
+    if (geometry !== undefined) fields.geometry = geometry;
+    if (active !== undefined) fields.active = Boolean(active);
+
+    const supabaseAdmin = createSupabaseAdmin();
+    let query;
+    if (geofence_id) {
+        query = supabaseAdmin
+            .from('geofences')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', geofence_id);
+    } else {
+        if (!name || !geometry) {
+            return { status: 400, body: { error: 'name и geometry обязательны.' } };
+        }
+        query = supabaseAdmin.from('geofences').insert(fields);
+    }
+
+    const { data, error } = await query.select('*').maybeSingle();
+    if (error) {
+        throw new Error('Не удалось сохранить геозону: ' + error.message);
+    }
+    if (!data) {
+        return { status: 404, body: { error: 'Геозона не найдена.' } };
+    }
+    invalidateGeofenceCache();
+    return { status: 200, body: { geofence: data } };
+}
+
+/**
+ * Admin-действие get-geofences.
+ */
+async function handleGetGeofences() {
+    const { data, error } = await createSupabaseAdmin()
+        .from('geofences')
+        .select('*')
+        .order('created_at', { ascending: true });
+    if (error) {
+        throw new Error('Не удалось получить геозоны: ' + error.message);
+    }
+    return { status: 200, body: { geofences: data || [] } };
+}
+
+/**
+ * Admin-действие get-geofence-alerts: выезды из разрешенной зоны.
+ */
+async function handleGetGeofenceAlerts({ status = 'open', rental_id }) {
+    let query = createSupabaseAdmin()
+        .from('geofence_alerts')
+        .select('*, rentals ( bike_id, user_id )');
+    if (status) query = query.eq('status', status);
+    if (rental_id) query = query.eq('rental_id', rental_id);
+
+    const { data, error } = await query.order('created_at', { ascending: false }).limit(200);
+    if (error) {
+        throw new Error('Не удалось получить тревоги геозон: ' + error.message);
+    }
+    return { status: 200, body: { alerts: data || [] } };
+}
+
+module.exports = {
+    LocationError,
+    TRACKED_RENTAL_STATUSES,
+    isValidRecordedAt,
+    recordRentalLocation,
+    findTrackedRental,
+    getRentalTrack,
+    handleExportTrack,
+    handleSaveGeofence,
+    handleGetGeofences,
+    handleGetGeofenceAlerts
+};
@@ -0,0 +1,309 @@
+const { createSupabaseAdmin } = require('../supabase');
+const { TelegramConfigError, buildWebAppUrl, sendTelegramRequest } = require('../telegram');
+const { NOTIFICATION_TEMPLATES } = require('./templates');
+
+/**
+ * Уведомления клиентам через исходящую очередь notification_outbox.
+ * Сообщение сначала сохраняется, затем отправляется; неудачные отправки
+ * повторяются с нарастающей паузой (задача notification-outbox), а статус
+ * доставки остается в таблице, чтобы поддержка видела, что клиенту ушло.
+ */
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS || 8);
+const RETRY_BASE_SECONDS = Number(process.env.NOTIFICATION_RETRY_BASE_SECONDS || 30);
+const RETRY_MAX_SECONDS = 60 * 60;
+// Пауза между сообщениями: Telegram допускает около 30 сообщений в секунду на бота
+const SEND_INTERVAL_MS = Number(process.env.NOTIFICATION_SEND_INTERVAL_MS || 50);
+// На это время отправка "захватывается", чтобы ее не повторил другой экземпляр
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Ошибки Telegram, после которых повторять бессмысленно: чат не найден, бот заблокирован
+const PERMANENT_ERROR_CODES = [400, 403];
+
+let sendQueue = Promise.resolve();
+let nextSendAt = 0;
+
+/**
+ * Выполняет отправки по одной с учетом паузы между сообщениями
+ * и паузы, которую запросил Telegram (429 retry_after).
+ */
+function rateLimited(send) {
+    const run = sendQueue.then(async () => {
+        const wait = nextSendAt - Date.now();
+        if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+        const response = await send();
+        nextSendAt = Math.max(nextSendAt, Date.now() + SEND_INTERVAL_MS);
+        if (response.errorCode === 429 && response.retryAfter) {
+            nextSendAt = Math.max(nextSendAt, Date.now() + response.retryAfter * 1000);
+        }
+        return response;
+    });
+    sendQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Текст и клавиатура уведомления по шаблону. У кнопки Web App в очереди хранится
+ * только start_param: ссылка строится при отправке (resolveReplyMarkup), потому что
+ * имя бота может быть еще неизвестно, а сообщение должно попасть в очередь в любом случае.
+ * @returns {{ text: string, replyMarkup: object|null }}
+ */
+function renderNotification(template, data = {}) {
+    const render = NOTIFICATION_TEMPLATES[template];
+    if (!render) {
+        throw new Error(`Unknown notification template: ${template}`);
+    }
+    const { text, button } = render(data);
+    let replyMarkup = null;
+    if (button) {
+        const keyboardButton = button.url
+            ? { text: button.text, url: button.url }
+            : { text: button.text, web_app: { start_param: button.startParam || null } };
+        replyMarkup = { inline_keyboard: [[keyboardButton]] };
+    }
+    return { text: String(text), replyMarkup };
+}
+
+/**
+ * Клавиатура для Bot API: кнопки Web App из очереди получают ссылку на приложение.
+ * Записи, сохраненные с готовой ссылкой, отправляются как есть.
+ */
+async function resolveReplyMarkup(replyMarkup) {
+    if (!replyMarkup?.inline_keyboard) return replyMarkup || null;
+    const rows = [];
+    for (const row of replyMarkup.inline_keyboard) {
+        const buttons = [];
+        for (const button of row) {
+            buttons.push(button.web_app && !button.web_app.url
+                ? { text: button.text, web_app: { url: await buildWebAppUrl(button.web_app.start_param) } }
+                : button);
+        }
+        rows.push(buttons);
+    }
+    return { ...replyMarkup, inline_keyboard: rows };
+}
+
+/**
+ * Отправляет сообщение из очереди. Если бот не настроен, возвращает временную ошибку —
+ * запись остается в очереди и будет повторена.
+ */
+async function sendNotification(notification) {
+    let replyMarkup;
+    try {
+        replyMarkup = await resolveReplyMarkup(notification.reply_markup);
+    } catch (error) {
+        if (!(error instanceof TelegramConfigError)) throw error;
+        return { ok: false, errorCode: 0, description: error.message };
+    }
+    const payload = { chat_id: notification.chat_id, text: notification.text, parse_mode: 'HTML' };
+    if (replyMarkup) payload.reply_markup = replyMarkup;
+    return rateLimited(() => sendTelegramRequest('sendMessage', payload));
+}
+
+function retryDelaySeconds(attempts, response) {
+    if (response.errorCode === 429 && response.retryAfter) return response.retryAfter;
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Одна попытка отправить уведомление из очереди.
+ * @returns {Promise<object|null>} Обновленная запись или null, если отправку уже выполняет другой процесс.
+ */
+async function deliverNotification(supabaseAdmin, notification) {
+    const now = new Date();
+    const attempts = notification.attempts + 1;
+    const { data: claimed, error: claimError } = await supabaseAdmin
+        .from('notification_outbox')
+        .update({ attempts, next_attempt_at: new Date(now.getTime() + CLAIM_LEASE_MS).toISOString() })
+        .eq('id', notification.id)
+        .eq('status', 'pending')
+        .eq('attempts', notification.attempts)
+        .lte('next_attempt_at', now.toISOString())
+        .select('id');
+    if (claimError) {
+        throw new Error('Failed to claim notification: ' + claimError.message);
+    }
+    if (!claimed || claimed.length === 0) return null;
+
+    const response = await sendNotification(notification);
+
+    let patch;
+    if (response.ok) {
+        patch = {
+            status: 'sent',
+            sent_at: new Date().toISOString(),
+            telegram_message_id: response.result?.message_id || null,
+            last_error: null
+        };
+    } else {
+        const permanent = PERMANENT_ERROR_CODES.includes(response.errorCode) || attempts >= MAX_ATTEMPTS;
+        patch = {
+            status: permanent ? 'failed' : 'pending',
+            last_error: `${response.errorCode}: ${response.description}`,
+            next_attempt_at: new Date(Date.now() + retryDelaySeconds(attempts, response) * 1000).toISOString()
+        };
+        console.error(`Notification ${notification.id} (${notification.template}) not delivered: ${patch.last_error}`);
+    }
+
+    const { data: updated, error: updateError } = await supabaseAdmin
+        .from('notification_outbox')
+        .update({ ...patch, updated_at: new Date().toISOString() })
+        .eq('id', notification.id)
+        .select('*')
+        .single();
+    if (updateError) {
+        throw new Error('Failed to update notification: ' + updateError.message);
+    }
+    return updated;
+}
+
+/**
+ * Ставит уведомление в очередь и сразу пытается его отправить.
+ * Ошибки отправки не бросаются: их повторит задача notification-outbox.
+ * @param {object} supabaseAdmin
+ * @param {object} params
+ * @param {string} params.template - Имя шаблона из NOTIFICATION_TEMPLATES.
+ * @param {object} [params.data] - Данные для шаблона.
+ * @param {string|number} params.chatId - telegram_user_id клиента.
+ * @param {string} [params.userId]
+ * @param {string} [params.rentalId]
+ * @param {string} [params.dedupeKey] - Если уведомление с таким ключом уже есть, новое не создается.
+ * @returns {Promise<object|null>} Запись очереди или null для дубликата.
+ */
+async function enqueueNotification(supabaseAdmin, { template, data = {}, chatId, userId = null, rentalId = null, dedupeKey = null }) {
+    const { text, replyMarkup } = renderNotification(template, data);
+    const { data: notification, error } = await supabaseAdmin
+        .from('notification_outbox')
+        .insert({
+            template,
+            payload: data,
+            chat_id: chatId ? String(chatId) : null,
+            user_id: userId,
+            rental_id: rentalId,
+            text,
+            reply_markup: replyMarkup,
+            dedupe_key: dedupeKey,
+            next_attempt_at: new Date().toISOString(),
+            // Без telegram_user_id отправлять некуда — это видно в статусе
+            status: chatId ? 'pending' : 'failed',
+            last_error: chatId ? null : 'Client has no telegram_user_id.'
+        })
+        .select('*')
+        .single();
+
+    if (error) {
+        if (error.code === '23505') return null;
+        throw new Error('Failed to enqueue notification: ' + error.message);
+    }
+    if (notification.status !== 'pending') return notification;
+
+    try {
+        return (await deliverNotification(supabaseAdmin, notification)) || notification;
+    } catch (deliveryError) {
+        console.error(`Notification ${notification.id} will be retried:`, deliveryError.message);
+        return notification;
+    }
+}
+
+/**
+ * Задача notification-outbox: повторная отправка уведомлений, у которых подошло время.
+ */
+async function processOutbox(supabaseAdmin, now = new Date()) {
+    const { data: due, error } = await supabaseAdmin
+        .from('notification_outbox')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', now.toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(BATCH_SIZE);
+    if (error) {
+        throw new Error('Failed to fetch notification outbox: ' + error.message);
+    }
+
+    const result = { processed: 0, sent: 0, failed: 0 };
+    for (const notification of due || []) {
+        const updated = await deliverNotification(supabaseAdmin, notification);
+        if (!updated) continue;
+        result.processed++;
+        if (updated.status === 'sent') result.sent++;
+        if (updated.status === 'failed') result.failed++;
+    }
+    return result;
+}
+
+/**
+ * Admin-действие get-notifications: уведомления клиента или аренды со статусом доставки.
+ */
+async function handleGetNotifications({ user_id, rental_id, status, limit = 50, offset = 0 }) {
+    if (!user_id && !rental_id) {
+        return { status: 400, body: { error: 'Нужен user_id или rental_id.' } };
+    }
+    let query = createSupabaseAdmin()
+        .from('notification_outbox')
+        .select('id, template, user_id, rental_id, text, status, attempts, last_error, sent_at, next_attempt_at, created_at');
+    if (user_id) query = query.eq('user_id', user_id);
+    if (rental_id) query = query.eq('rental_id', rental_id);
+    if (status) query = query.eq('status', status);
+
+    const pageSize = Math.min(Number(limit) || 50, 200);
+    const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .range(Number(offset) || 0, (Number(offset) || 0) + pageSize - 1);
+    if (error) {
+        throw new Error('Не удалось получить уведомления: ' + error.message);
+    }
+    return { status: 200, body: { notifications: data || [] } };
+}
+
+/**
+ * Admin-действие resend-notification: повторная отправка недоставленного уведомления.
+ */
+async function handleResendNotification({ notification_id }) {
+    if (!notification_id) {
+        return { status: 400, body: { error: 'notification_id обязателен.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: current, error: fetchError } = await supabaseAdmin
+        .from('notification_outbox')
+        .select('id, status, chat_id')
+        .eq('id', notification_id)
+        .maybeSingle();
+    if (fetchError) {
+        throw new Error('Не удалось получить уведомление: ' + fetchError.message);
+    }
+    if (!current) {
+        return { status: 404, body: { error: 'Уведомление не найдено.' } };
+    }
+    if (current.status !== 'failed') {
+        return { status: 409, body: { error: 'Повторно отправить можно только недоставленное уведомление.' } };
+    }
+    if (!current.chat_id) {
+        return { status: 409, body: { error: 'У клиента нет telegram_user_id.' } };
+    }
+
+    const { data: notification, error } = await supabaseAdmin
+        .from('notification_outbox')
+        .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() })
+        .eq('id', notification_id)
+        .eq('status', 'failed')
+        .select('*')
+        .maybeSingle();
+    if (error) {
+        throw new Error('Не удалось обновить уведомление: ' + error.message);
+    }
+    if (!notification) {
+        return { status: 409, body: { error: 'Уведомление уже отправляется.' } };
+    }
+    const updated = await deliverNotification(supabaseAdmin, notification);
+    return { status: 200, body: { notification: updated || notification } };
+}
+
+module.exports = {
+    renderNotification,
+    enqueueNotification,
+    deliverNotification,
+    processOutbox,
+    handleGetNotifications,
+    handleResendNotification
+};
@@ -0,0 +1,90 @@
+const { html } = require('../documents/html');
+
+/**
+ * Шаблоны уведомлений клиентам. Шаблон получает данные и возвращает текст
+ * (Telegram HTML) и кнопку: startParam открывает раздел Web App, url — обычную ссылку.
+ */
+
+function formatDateTime(value) {
+    return new Date(value).toLocaleString('ru-RU', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function formatRubles(amount) {
+    return `${Number(amount).toFixed(2)} ₽`;
+}
+
+const OPEN_APP = '📱 Открыть приложение';
+
+const NOTIFICATION_TEMPLATES = {
+    return_act_ready: () => ({
+        text: html`Пожалуйста, подпишите акт сдачи электровелосипеда в личном кабинете, чтобы завершить аренду.`,
+        button: { text: '✍️ Открыть уведомления', startParam: 'notifications' }
+    }),
+
+    verification_approved: () => ({
+        text: html`✅ Поздравляем! Ваш аккаунт был подтвержден. Теперь вы можете полноценно пользоваться приложением.`,
+        button: { text: OPEN_APP }
+    }),
+
+    verification_rejected: ({ reason }) => ({
+        text: reason
+            ? html`❌ К сожалению, в верификации было отказано: ${reason}. Для уточнения деталей свяжитесь с поддержкой.`
+            : html`❌ К сожалению, в верификации было отказано. Для уточнения деталей свяжитесь с поддержкой.`,
+        button: { text: OPEN_APP }
+    }),
+
+    verification_needs_more_info: ({ reason, comment }) => ({
+        text: html`📄 Для подтверждения аккаунта нужны дополнительные документы: ${reason}.${comment ? html`
+Комментарий: ${comment}` : ''}
+Загрузите их в приложении.`,
+        button: { text: '📷 Загрузить документы', startParam: 'verification' }
+    }),
+
+    damage_payment_link: ({ amount, confirmationUrl }) => ({
+        text: html`Не удалось списать с привязанной карты сумму возмещения ущерба <b>${formatRubles(amount)}</b>. Пожалуйста, оплатите ее по ссылке, чтобы завершить аренду.`,
+        button: { text: '💳 Оплатить', url: confirmationUrl }
+    }),
+
+    renewal_failed: () => ({
+        text: html`Не удалось списать оплату за продление аренды. Проверьте привязанную карту или верните электровелосипед до окончания оплаченного периода.`,
+        button: { text: '💳 Проверить оплату', startParam: 'payment' }
+    }),
+
+    rental_overdue: () => ({
+        text: html`⏰ Оплаченный период аренды закончился. Продлите аренду или верните электровелосипед.`,
+        button: { text: OPEN_APP }
+    }),
+
+    contract_signature_reminder: () => ({
+        text: html`Напоминаем: договор аренды электровелосипеда ожидает вашей подписи в личном кабинете.`,
+        button: { text: '✍️ Подписать договор', startParam: 'notifications' }
+    }),
+
+    return_signature_reminder: () => ({
+        text: html`Напоминаем: подпишите акт сдачи электровелосипеда в личном кабинете, чтобы завершить аренду.`,
+        button: { text: '✍️ Подписать акт', startParam: 'notifications' }
+    }),
+
+    geofence_exit: () => ({
+        text: html`⚠️ Электровелосипед за пределами разрешенной зоны катания. Пожалуйста, вернитесь в зону, иначе аренда может быть приостановлена.`,
+        button: { text: OPEN_APP }
+    }),
+
+    // Уведомление в служебный чат операторов
+    geofence_alert_operator: ({ rentalId, bikeId, latitude, longitude }) => ({
+        text: html`🚨 Выезд из геозоны
+Аренда: ${rentalId}
+Велосипед: ${bikeId}
+Координаты: ${latitude}, ${longitude}`,
+        button: { text: '🗺 Открыть на карте', url: `https://yandex.ru/maps/?pt=${longitude},${latitude}&z=16` }
+    }),
+
+    expiry_warning: ({ periodEnd, renewalPrice }) => ({
+        text: renewalPrice
+            ? html`Оплаченный период аренды заканчивается ${formatDateTime(periodEnd)}. Аренда продлится автоматически, с привязанной карты будет списано <b>${formatRubles(renewalPrice)}</b>.`
+            : html`Оплаченный период аренды заканчивается ${formatDateTime(periodEnd)}. Продлите аренду или верните электровелосипед вовремя.`,
+        button: { text: OPEN_APP }
+    })
+};
+
+module.exports = { NOTIFICATION_TEMPLATES };
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+
+/**
+ * Шифрование паспортных данных клиента (AES-256-GCM) на уровне поля.
+ *
+ * Ключи задаются в PASSPORT_ENCRYPTION_KEYS списком "id:base64,id:base64":
+ * первым идет текущий ключ, которым шифруются новые данные, остальные нужны
+ * только для расшифровки старых записей до перешифрования задачей passport-encryption.
+ * Шифротекст привязан к id клиента (AAD), поэтому его нельзя перенести другому клиенту.
+ *
+ * В clients хранятся passport_data_encrypted (шифротекст), passport_key_id
+ * и passport_masked — маскированные серия и номер для ответов API.
+ * Расшифровка (parsePassportData в lib/documents) нужна только при рендере документов
+ * и в очереди верификации, где серия и номер все равно маскируются.
+ */
+
+const TOKEN_PREFIX = 'pp1';
+// Сколько клиентов задача обрабатывает за один запуск
+const PASSPORT_BATCH_SIZE = Number(process.env.PASSPORT_ENCRYPTION_BATCH || 100);
+
+class PassportCryptoError extends Error {
+    constructor(message, code, status = 500) {
+        super(message);
+        this.name = 'PassportCryptoError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+let cachedKeyring = null;
+
+/**
+ * Разбирает PASSPORT_ENCRYPTION_KEYS. Результат кешируется до смены переменной.
+ * @returns {{ activeKeyId: string, keys: Map<string, Buffer> }}
+ */
+function getKeyring() {
+    const source = process.env.PASSPORT_ENCRYPTION_KEYS || '';
+    if (cachedKeyring?.source === source) return cachedKeyring;
+
+    const keys = new Map();
+    for (const entry of source.split(',').map((item) => item.trim()).filter(Boolean)) {
+        const [keyId, encoded] = entry.split(':');
+        const key = Buffer.from(encoded || '', 'base64');
+        if (!/^[A-Za-z0-9_-]+$/.test(keyId || '') || key.length !== 32) {
+            throw new PassportCryptoError(`Invalid passport encryption key "${keyId}": expected id:<32 bytes in base64>.`, 'invalid_key');
+        }
+        keys.set(keyId, key);
+    }
+    if (keys.size === 0) {
+        throw new PassportCryptoError('Passport encryption keys are not configured.', 'keys_missing', 503);
+    }
+    cachedKeyring = { source, activeKeyId: keys.keys().next().value, keys };
+    return cachedKeyring;
+}
+
+function associatedData(clientId) {
+    return Buffer.from(`clients:${clientId}`);
+}
+
+/**
+ * Шифрует паспортные данные текущим ключом.
+ * @param {string} clientId
+ * @param {object} passport
+ * @returns {string} pp1:<keyId>:<iv>:<tag>:<ciphertext> (base64url)
+ */
+function encryptPassport(clientId, passport) {
+    const { activeKeyId, keys } = getKeyring();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(activeKeyId), iv);
+    cipher.setAAD(associatedData(clientId));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(passport), 'utf8'), cipher.final()]);
+    return [TOKEN_PREFIX, activeKeyId, iv, cipher.getAuthTag(), ciphertext]
+        .map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+        .join(':');
+}
+
+/**
+ * Расшифровывает паспортные данные клиента.
+ * @returns {object}
+ */
+function decryptPassport(clientId, token) {
+    const [prefix, keyId, iv, tag, ciphertext] = String(token).split(':');
+    if (prefix !== TOKEN_PREFIX || !ciphertext) {
+        throw new PassportCryptoError('Unsupported passport ciphertext format.', 'invalid_ciphertext');
+    }
+    const key = getKeyring().keys.get(keyId);
+    if (!key) {
+        throw new PassportCryptoError(`Passport encryption key "${keyId}" is not configured.`, 'unknown_key');
+    }
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+        decipher.setAAD(associatedData(clientId));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+        throw new PassportCryptoError('Passport data cannot be decrypted.', 'decryption_failed');
+    }
+}
+
+function maskTail(value, visible) {
+    const digits = String(value || '').replace(/\s+/g, '');
+    if (!digits) return null;
+    return '*'.repeat(Math.max(digits.length - visible, 0)) + digits.slice(-visible);
+}
+
+/**
+ * Маскированные серия и номер: видны две первые цифры серии и две последние цифры номера.
+ * @returns {{ series: string|null, number: string|null }}
+ */
+function maskPassport(passport) {
+    const series = String(passport?.series || '').replace(/\s+/g, '');
+    return {
+        series: series ? series.slice(0, 2) + '*'.repeat(Math.max(series.length - 2, 0)) : null,
+        number: maskTail(passport?.number, 2)
+    };
+}
+
+/**
+ * Поля clients для сохранения паспорта: шифротекст, id ключа, маска.
+ * Открытая колонка recognized_passport_data очищается.
+ */
+function sealPassport(clientId, passport) {
+    return {
+        passport_data_encrypted: encryptPassport(clientId, passport),
+        passport_key_id: getKeyring().activeKeyId,
+        passport_masked: maskPassport(passport),
+        recognized_passport_data: null
+    };
+}
+
+function parseLegacyPassport(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Обходит клиентов выборки по возрастанию id, пока не обработано PASSPORT_BATCH_SIZE
+ * записей или выборка не закончилась. Записи, которые не удалось обработать, остаются
+ * в выборке, поэтому курсор уходит за них: несколько битых записей не занимают
+ * каждый запуск целиком и не блокируют остальные.
+ * @param {function(): object} buildQuery - Новый запрос select(...) с фильтрами выборки.
+ * @param {string} errorMessage - Текст ошибки, если выборка не удалась.
+ * @param {function(object): Promise<boolean>} processClient - true, если запись обработана.
+ */
+async function forEachPendingClient(buildQuery, errorMessage, processClient) {
+    let cursor = null;
+    let processed = 0;
+    while (processed < PASSPORT_BATCH_SIZE) {
+        let query = buildQuery();
+        if (cursor) query = query.gt('id', cursor);
+        const { data, error } = await query.order('id', { ascending: true }).limit(PASSPORT_BATCH_SIZE);
+        if (error) {
+            throw new Error(errorMessage + ': ' + error.message);
+        }
+        for (const client of data || []) {
+            cursor = client.id;
+            if (await processClient(client)) processed++;
+            if (processed >= PASSPORT_BATCH_SIZE) return;
+        }
+        if (!data || data.length < PASSPORT_BATCH_SIZE) return;
+    }
+}
+
+/**
+ * Задача passport-encryption: шифрует паспорта, которые распознавание еще
+ * записывает открытым текстом в recognized_passport_data, и перешифровывает
+ * текущим ключом записи, зашифрованные прежними ключами.
+ * @returns {Promise<{ encrypted: number, reencrypted: number, failed: number }>}
+ */
+async function encryptPendingPassports(supabaseAdmin) {
+    const { activeKeyId } = getKeyring();
+    const result = { encrypted: 0, reencrypted: 0, failed: 0 };
+
+    await forEachPendingClient(
+        () => supabaseAdmin
+            .from('clients')
+            .select('id, recognized_passport_data')
+            .not('recognized_passport_data', 'is', null),
+        'Failed to fetch unencrypted passports',
+        async (client) => {
+            let patch;
+            try {
+                patch = sealPassport(client.id, parseLegacyPassport(client.recognized_passport_data));
+            } catch (sealError) {
+                if (!(sealError instanceof SyntaxError)) throw sealError;
+                console.error(`Паспортные данные клиента ${client.id} не разобраны:`, sealError.message);
+                result.failed++;
+                return false;
+            }
+            // Условие на прочитанный открытый текст: параллельный результат распознавания
+            // не затирается, запись зашифруется следующим запуском уже с новыми данными
+            const readPassport = client.recognized_passport_data;
+            const { data: updated, error: updateError } = await supabaseAdmin
+                .from('clients')
+                .update(patch)
+                .eq('id', client.id)
+                .eq('recognized_passport_data', typeof readPassport === 'string' ? readPassport : JSON.stringify(readPassport))
+                .select('id');
+            if (updateError) {
+                throw new Error('Failed to store encrypted passport: ' + updateError.message);
+            }
+            if (!updated || updated.length === 0) return false;
+            result.encrypted++;
+            return true;
+        }
+    );
+
+    await forEachPendingClient(
+        () => supabaseAdmin
+            .from('clients')
+            .select('id, passport_data_encrypted')
+            .neq('passport_key_id', activeKeyId),
+        'Failed to fetch passports for key rotation',
+        async (client) => {
+            if (!client.passport_data_encrypted) return false;
+            let passport;
+            try {
+                passport = decryptPassport(client.id, client.passport_data_encrypted);
+            } catch (decryptError) {
+                console.error(`Паспорт клиента ${client.id} не перешифрован:`, decryptError.message);
+                result.failed++;
+                return false;
+            }
+            // Условие на старый шифротекст: параллельная запись нового паспорта не затирается
+            const { error: updateError } = await supabaseAdmin
+                .from('clients')
+                .update({
+                    passport_data_encrypted: encryptPassport(client.id, passport),
+                    passport_key_id: activeKeyId
+                })
+                .eq('id', client.id)
+                .eq('passport_data_encrypted', client.passport_data_encrypted);
+            if (updateError) {
+                throw new Error('Failed to re-encrypt passport: ' + updateError.message);
+            }
+            result.reencrypted++;
+            return true;
+        }
+    );
+    return result;
+}
+
+module.exports = {
+    PassportCryptoError,
+    encryptPassport,
+    decryptPassport,
+    maskPassport,
+    sealPassport,
+    encryptPendingPassports
+};
@@ -0,0 +1,643 @@
+const { createSupabaseAdmin } = require('./supabase');
+const {
+    YooKassaError,
+    formatAmount,
+    createIdempotenceKey,
+    createPayment,
+    getPayment,
+    createRefund,
+    getRefund
+} = require('./yookassa');
+
+/**
+ * Платежи через ЮKassa. Каждый платеж сначала записывается в таблицу payments
+ * (вместе с ключом идемпотентности), затем отправляется в ЮKassa; итоговый
+ * статус приходит в ответе или в HTTP-уведомлении на /api/payments/webhook.
+ */
+
+// Статусы, после которых платеж больше не меняется
+const NON_FINAL_STATUSES = ['pending', 'waiting_for_capture'];
+// Сумма платежа для привязки карты; после успешной привязки она возвращается
+const CARD_BINDING_AMOUNT = Number(process.env.YOOKASSA_BINDING_AMOUNT || 1);
+
+class PaymentError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - no_payment_method | payment_not_found | invalid_amount | payment_not_refundable
+     * @param {number} status - HTTP-статус для ответа.
+     */
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'PaymentError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// purpose -> обработчик, вызываемый, когда платеж с этим назначением перешел в финальный статус
+// (yookassaPayment равен null, если ЮKassa отклонила сам запрос на платеж)
+const paymentHandlers = new Map();
+
+/**
+ * Подписывает модуль на завершение платежей с указанным назначением.
+ * @param {string} purpose - Например, card_binding, damage, renewal.
+ * @param {(supabaseAdmin: object, payment: object, yookassaPayment: object) => Promise<void>} handler
+ */
+function registerPaymentHandler(purpose, handler) {
+    paymentHandlers.set(purpose, handler);
+}
+
+async function dispatchPaymentHandler(supabaseAdmin, payment, yookassaPayment) {
+    const handler = paymentHandlers.get(payment.purpose);
+    if (!handler) return;
+    try {
+        await handler(supabaseAdmin, payment, yookassaPayment);
+    } catch (error) {
+        console.error(`Payment handler "${payment.purpose}" failed for payment ${payment.id}:`, error);
+    }
+}
+
+async function insertPayment(supabaseAdmin, record) {
+    const { data, error } = await supabaseAdmin
+        .from('payments')
+        .insert({ status: 'pending', currency: 'RUB', ...record })
+        .select('*')
+        .single();
+
+    if (error) {
+        throw new Error('Failed to create payment record: ' + error.message);
+    }
+    return data;
+}
+
+/**
+ * Переносит состояние платежа из ЮKassa в нашу запись. Финальные статусы
+ * не перезаписываются, поэтому повторные уведомления ничего не меняют.
+ * @returns {Promise<{ payment: object, changed: boolean }>}
+ */
+async function applyYooKassaPayment(supabaseAdmin, paymentId, yookassaPayment) {
+    const { data, error } = await supabaseAdmin
+        .from('payments')
+        .update({
+            yookassa_payment_id: yookassaPayment.id,
+            status: yookassaPayment.status,
+            payment_method_id: yookassaPayment.payment_method?.id || null,
+            confirmation_url: yookassaPayment.confirmation?.confirmation_url || null,
+            cancellation_reason: yookassaPayment.cancellation_details?.reason || null,
+            receipt_registration: yookassaPayment.receipt_registration || null,
+            paid_at: yookassaPayment.status === 'succeeded' ? (yookassaPayment.captured_at || new Date().toISOString()) : null,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', paymentId)
+        .in('status', NON_FINAL_STATUSES)
+        .select('*');
+
+    if (error) {
+        throw new Error('Failed to update payment: ' + error.message);
+    }
+    if (data && data.length > 0) {
+        return { payment: data[0], changed: true };
+    }
+
+    const { data: current, error: fetchError } = await supabaseAdmin
+        .from('payments').select('*').eq('id', paymentId).single();
+    if (fetchError) {
+        throw new Error('Failed to fetch payment: ' + fetchError.message);
+    }
+    return { payment: current, changed: false };
+}
+
+async function markPaymentFailed(supabaseAdmin, paymentId, reason) {
+    const { data, error } = await supabaseAdmin
+        .from('payments')
+        .update({ status: 'failed', cancellation_reason: reason, updated_at: new Date().toISOString() })
+        .eq('id', paymentId)
+        .select('*')
+        .single();
+
+    if (error) {
+        throw new Error('Failed to update payment: ' + error.message);
+    }
+    return data;
+}
+
+/**
+ * Отправляет подготовленный платеж в ЮKassa и обновляет запись.
+ * Ошибки сети пробрасываются (запись остается pending, повтор с тем же
+ * ключом идемпотентности безопасен), отказ ЮKassa помечает платеж failed.
+ */
+async function submitPayment(supabaseAdmin, payment, payload) {
+    let yookassaPayment;
+    try {
+        yookassaPayment = await createPayment(
+            { ...payload, metadata: { ...payload.metadata, payment_record_id: payment.id, purpose: payment.purpose } },
+            payment.idempotence_key
+        );
+    } catch (error) {
+        if (error instanceof YooKassaError && error.status >= 400 && error.status < 500) {
+            const failed = await markPaymentFailed(supabaseAdmin, payment.id, error.code || error.message);
+            await dispatchPaymentHandler(supabaseAdmin, failed, null);
+            return failed;
+        }
+        throw error;
+    }
+
+    const { payment: updated, changed } = await applyYooKassaPayment(supabaseAdmin, payment.id, yookassaPayment);
+    if (changed && !NON_FINAL_STATUSES.includes(updated.status)) {
+        await dispatchPaymentHandler(supabaseAdmin, updated, yookassaPayment);
+    }
+    return updated;
+}
+
+/**
+ * Создает платеж, который клиент подтверждает на странице ЮKassa (оплата по ссылке).
+ * @param {object} supabaseAdmin
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {number} params.amount - Сумма в рублях.
+ * @param {string} params.purpose
+ * @param {string} [params.rentalId]
+ * @param {string} params.description
+ * @param {string} params.returnUrl - Куда ЮKassa вернет клиента после оплаты.
+ * @param {boolean} [params.savePaymentMethod] - Сохранить способ оплаты для будущих списаний.
+ * @param {object} [params.receipt] - Данные чека по 54-ФЗ.
+ * @returns {Promise<object>} Запись платежа с confirmation_url.
+ */
+async function createConfirmationPayment(supabaseAdmin, { userId, amount, purpose, rentalId = null, description, returnUrl, savePaymentMethod = false, receipt = null }) {
+    if (!(Number(amount) > 0)) {
+        throw new PaymentError('Amount must be positive.', 'invalid_amount');
+    }
+    const payment = await insertPayment(supabaseAdmin, {
+        user_id: userId,
+        rental_id: rentalId,
+        purpose,
+        amount: Number(amount),
+        description,
+        idempotence_key: createIdempotenceKey(),
+        receipt
+    });
+
+    const payload = {
+        amount: formatAmount(amount),
+        capture: true,
+        save_payment_method: savePaymentMethod,
+        confirmation: { type: 'redirect', return_url: returnUrl },
+        description,
+        metadata: { user_id: userId, rental_id: rentalId }
+    };
+    if (receipt) payload.receipt = receipt;
+
+    return submitPayment(supabaseAdmin, payment, payload);
+}
+
+/**
+ * Создает платеж для привязки карты: клиент подтверждает его на странице ЮKassa,
+ * после чего способ оплаты сохраняется (см. обработчик card_binding ниже).
+ * @returns {Promise<object>} Запись платежа с confirmation_url.
+ */
+function createCardBindingPayment(supabaseAdmin, { userId, returnUrl }) {
+    return createConfirmationPayment(supabaseAdmin, {
+        userId,
+        amount: CARD_BINDING_AMOUNT,
+        purpose: 'card_binding',
+        description: 'Привязка карты',
+        returnUrl,
+        savePaymentMethod: true
+    });
+}
+
+/**
+ * Чек по 54-ФЗ для платежа. Возвращает null, если отправка чеков выключена
+ * (YOOKASSA_RECEIPTS_ENABLED) или у клиента нет ни email, ни телефона.
+ * @param {object} client - Клиент с полями email и phone.
+ * @param {string} description - Наименование позиции в чеке.
+ * @param {number} amount - Сумма в рублях.
+ */
+function buildReceipt(client, description, amount) {
+    if (process.env.YOOKASSA_RECEIPTS_ENABLED !== 'true') return null;
+    const customer = {};
+    if (client?.email) customer.email = client.email;
+    if (client?.phone) customer.phone = String(client.phone).replace(/\D/g, '');
+    if (!customer.email && !customer.phone) return null;
+
+    return {
+        customer,
+        items: [{
+            description: description.slice(0, 128),
+            quantity: '1.00',
+            amount: formatAmount(amount),
+            vat_code: Number(process.env.YOOKASSA_VAT_CODE || 1),
+            payment_mode: 'full_payment',
+            payment_subject: 'service'
+        }]
+    };
+}
+
+/**
+ * Списывает деньги с сохраненного способа оплаты клиента.
+ * @param {object} supabaseAdmin
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {number} params.amount - Сумма в рублях.
+ * @param {string} params.purpose - Назначение платежа (rental, renewal, damage, manual).
+ * @param {string} [params.rentalId]
+ * @param {string} params.description - Описание для выписки клиента.
+ * @param {string} [params.idempotenceKey] - Ключ идемпотентности; передайте постоянный, чтобы повтор не списал дважды.
+ * @param {object} [params.receipt] - Данные чека по 54-ФЗ в формате ЮKassa.
+ * @param {object} [params.metadata]
+ * @returns {Promise<object>} Запись платежа.
+ */
+async function chargeSavedPaymentMethod(supabaseAdmin, { userId, amount, purpose, rentalId = null, description, idempotenceKey, receipt = null, metadata = {} }) {
+    if (!(Number(amount) > 0)) {
+        throw new PaymentError('Amount must be positive.', 'invalid_amount');
+    }
+
+    const { data: client, error } = await supabaseAdmin
+        .from('clients')
+        .select('yookassa_payment_method_id')
+        .eq('id', userId)
+        .single();
+    if (error) {
+        throw new Error('Failed to get client payment method: ' + error.message);
+    }
+    if (!client.yookassa_payment_method_id) {
+        throw new PaymentError('Client has no saved payment method.', 'no_payment_method', 409);
+    }
+
+    const key = idempotenceKey || createIdempotenceKey();
+    // Повторный вызов с тем же ключом возвращает уже созданный платеж
+    const { data: existing, error: existingError } = await supabaseAdmin
+        .from('payments').select('*').eq('idempotence_key', key).maybeSingle();
+    if (existingError) {
+        throw new Error('Failed to check payment idempotency: ' + existingError.message);
+    }
+    if (existing && !NON_FINAL_STATUSES.includes(existing.status)) {
+        return existing;
+    }
+
+    const payment = existing || await insertPayment(supabaseAdmin, {
+        user_id: userId,
+        rental_id: rentalId,
+        purpose,
+        amount: Number(amount),
+        description,
+        idempotence_key: key,
+        payment_method_id: client.yookassa_payment_method_id,
+        receipt
+    });
+
+    const payload = {
+        amount: formatAmount(amount),
+        capture: true,
+        payment_method_id: client.yookassa_payment_method_id,
+        description,
+        metadata: { ...metadata, user_id: userId, rental_id: rentalId }
+    };
+    if (receipt) payload.receipt = receipt;
+
+    return submitPayment(supabaseAdmin, payment, payload);
+}
+
+/**
+ * Возвращает деньги по успешному платежу (полностью или частично).
+ * Повтор с тем же idempotenceKey (или, без ключа, с той же суммой, пока прежний
+ * возврат не завершен) не создает второй возврат: ЮKassa получает прежний ключ.
+ * @param {string} [params.idempotenceKey] - Ключ идемпотентности запроса на возврат.
+ * @returns {Promise<object>} Запись возврата.
+ */
+async function refundPayment(supabaseAdmin, { paymentId, amount = null, description = null, idempotenceKey = null }) {
+    const { data: payment, error } = await supabaseAdmin
+        .from('payments').select('*').eq('id', paymentId).maybeSingle();
+    if (error) {
+        throw new Error('Failed to fetch payment: ' + error.message);
+    }
+    if (!payment) {
+        throw new PaymentError('Payment not found.', 'payment_not_found', 404);
+    }
+
+    let refund = null;
+    if (idempotenceKey) {
+        const { data: existing, error: existingError } = await supabaseAdmin
+            .from('refunds').select('*').eq('idempotence_key', idempotenceKey).maybeSingle();
+        if (existingError) {
+            throw new Error('Failed to check refund idempotency: ' + existingError.message);
+        }
+        if (existing && existing.payment_id !== payment.id) {
+            throw new PaymentError('Idempotence key is already used for another payment.', 'idempotence_key_conflict', 409);
+        }
+        refund = existing;
+    }
+
+    if (!refund) {
+        if (payment.status !== 'succeeded' || !payment.yookassa_payment_id) {
+            throw new PaymentError('Only succeeded payments can be refunded.', 'payment_not_refundable', 409);
+        }
+
+        const refundable = Number(payment.amount) - Number(payment.refunded_amount || 0);
+        const refundAmount = amount === null ? refundable : Number(amount);
+        if (!(refundAmount > 0) || refundAmount > refundable + 1e-9) {
+            throw new PaymentError(`Refund amount must be between 0 and ${refundable.toFixed(2)}.`, 'invalid_amount');
+        }
+
+        if (!idempotenceKey) {
+            // Повтор после таймаута без ключа: незавершенный возврат той же суммы
+            const { data: pending, error: pendingError } = await supabaseAdmin
+                .from('refunds')
+                .select('*')
+                .eq('payment_id', payment.id)
+                .eq('status', 'pending')
+                .eq('amount', refundAmount)
+                .order('created_at', { ascending: false })
+                .limit(1);
+            if (pendingError) {
+                throw new Error('Failed to check pending refunds: ' + pendingError.message);
+            }
+            refund = pending?.[0] || null;
+        }
+
+        if (!refund) {
+            const { data: created, error: insertError } = await supabaseAdmin
+                .from('refunds')
+                .insert({
+                    payment_id: payment.id,
+                    amount: refundAmount,
+                    status: 'pending',
+                    idempotence_key: idempotenceKey || createIdempotenceKey(),
+                    description
+                })
+                .select('*')
+                .single();
+            if (insertError) {
+                throw new Error('Failed to create refund record: ' + insertError.message);
+            }
+            refund = created;
+        }
+    }
+
+    // Возврат уже принят ЮKassa или завершен: итог придет в уведомлении
+    if (refund.status !== 'pending' || refund.yookassa_refund_id) {
+        return refund;
+    }
+
+    let yookassaRefund;
+    try {
+        yookassaRefund = await createRefund({
+            payment_id: payment.yookassa_payment_id,
+            amount: formatAmount(refund.amount),
+            description: refund.description || undefined
+        }, refund.idempotence_key);
+    } catch (refundError) {
+        if (refundError instanceof YooKassaError && refundError.status >= 400 && refundError.status < 500) {
+            await supabaseAdmin.from('refunds').update({ status: 'failed' }).eq('id', refund.id);
+        }
+        throw refundError;
+    }
+
+    return applyYooKassaRefund(supabaseAdmin, refund.id, yookassaRefund);
+}
+
+async function applyYooKassaRefund(supabaseAdmin, refundId, yookassaRefund) {
+    const { data, error } = await supabaseAdmin
+        .from('refunds')
+        .update({ yookassa_refund_id: yookassaRefund.id, status: yookassaRefund.status })
+        .eq('id', refundId)
+        .eq('status', 'pending')
+        .select('*');
+    if (error) {
+        throw new Error('Failed to update refund: ' + error.message);
+    }
+
+    const refund = data?.[0];
+    if (!refund) {
+        const { data: current } = await supabaseAdmin.from('refunds').select('*').eq('id', refundId).single();
+        return current;
+    }
+
+    if (refund.status === 'succeeded') {
+        await syncRefundedAmount(supabaseAdmin, refund.payment_id);
+    }
+    return refund;
+}
+
+/**
+ * Пересчитывает payments.refunded_amount по успешным возвратам платежа.
+ * Сумма только растет, поэтому запись с условием "меньше нового итога" не дает
+ * параллельному пересчету, прочитавшему меньше возвратов, затереть больший итог.
+ */
+async function syncRefundedAmount(supabaseAdmin, paymentId) {
+    const { data: refunds, error } = await supabaseAdmin
+        .from('refunds')
+        .select('amount')
+        .eq('payment_id', paymentId)
+        .eq('status', 'succeeded');
+    if (error) {
+        throw new Error('Failed to fetch refunds: ' + error.message);
+    }
+    const total = Math.round(refunds.reduce((sum, item) => sum + Number(item.amount), 0) * 100) / 100;
+
+    const { error: updateError } = await supabaseAdmin
+        .from('payments')
+        .update({ refunded_amount: total })
+        .eq('id', paymentId)
+        .lt('refunded_amount', total);
+    if (updateError) {
+        throw new Error('Failed to update refunded amount: ' + updateError.message);
+    }
+}
+
+/**
+ * Обрабатывает HTTP-уведомление ЮKassa. Содержимому уведомления не доверяем:
+ * актуальный объект запрашивается из API по его ID.
+ */
+async function processPaymentNotification(supabaseAdmin, notification) {
+    const event = notification?.event;
+    const objectId = notification?.object?.id;
+    if (notification?.type !== 'notification' || !event || !objectId) {
+        throw new PaymentError('Malformed notification.', 'malformed_notification');
+    }
+
+    if (event.startsWith('payment.')) {
+        const yookassaPayment = await getPayment(objectId);
+        const { data: payment, error } = await supabaseAdmin
+            .from('payments').select('id').eq('yookassa_payment_id', yookassaPayment.id).maybeSingle();
+        if (error) {
+            throw new Error('Failed to find payment: ' + error.message);
+        }
+        const paymentId = payment?.id || yookassaPayment.metadata?.payment_record_id;
+        if (!paymentId) {
+            console.warn(`YooKassa notification for unknown payment ${yookassaPayment.id}, ignored.`);
+            return;
+        }
+
+        const { payment: updated, changed } = await applyYooKassaPayment(supabaseAdmin, paymentId, yookassaPayment);
+        if (changed && !NON_FINAL_STATUSES.includes(updated.status)) {
+            await dispatchPaymentHandler(supabaseAdmin, updated, yookassaPayment);
+        }
+        return;
+    }
+
+    if (event.startsWith('refund.')) {
+        const yookassaRefund = await getRefund(objectId);
+        const { data: refund, error } = await supabaseAdmin
+            .from('refunds').select('id').eq('yookassa_refund_id', yookassaRefund.id).maybeSingle();
+        if (error) {
+            throw new Error('Failed to find refund: ' + error.message);
+        }
+        if (refund) {
+            await applyYooKassaRefund(supabaseAdmin, refund.id, yookassaRefund);
+        }
+    }
+}
+
+// После привязки карты сохраняем способ оплаты клиента и возвращаем проверочный платеж
+registerPaymentHandler('card_binding', async (supabaseAdmin, payment, yookassaPayment) => {
+    if (payment.status !== 'succeeded' || !yookassaPayment.payment_method?.saved) return;
+
+    const { data: client, error } = await supabaseAdmin
+        .from('clients').select('extra').eq('id', payment.user_id).single();
+    if (error) {
+        throw new Error('Failed to fetch client: ' + error.message);
+    }
+
+    const method = yookassaPayment.payment_method;
+    const extra = client.extra || {};
+    extra.payment_method_details = {
+        id: method.id,
+        type: method.type,
+        title: method.title || null,
+        card: method.card || null
+    };
+
+    const { error: updateError } = await supabaseAdmin
+        .from('clients')
+        .update({ yookassa_payment_method_id: method.id, extra })
+        .eq('id', payment.user_id);
+    if (updateError) {
+        throw new Error('Failed to save payment method: ' + updateError.message);
+    }
+
+    await refundPayment(supabaseAdmin, {
+        paymentId: payment.id,
+        description: 'Возврат платежа за привязку карты',
+        idempotenceKey: `card-binding-refund-${payment.id}`
+    });
+});
+
+/**
+ * Переводит ошибки платежей в ответ обработчика, остальные пробрасывает дальше.
+ */
+function paymentErrorResponse(error) {
+    if (error instanceof PaymentError) {
+        return { status: error.status, body: { error: error.message, code: error.code } };
+    }
+    if (error instanceof YooKassaError) {
+        return { status: 502, body: { error: error.message, code: error.code || 'yookassa_error' } };
+    }
+    throw error;
+}
+
+async function handleCreateCardBinding({ userId, returnUrl }) {
+    if (!userId) {
+        return { status: 400, body: { error: 'userId is required.' } };
+    }
+    const redirectUrl = returnUrl || process.env.PAYMENT_RETURN_URL;
+    if (!redirectUrl) {
+        return { status: 400, body: { error: 'returnUrl is required.' } };
+    }
+    try {
+        const payment = await createCardBindingPayment(createSupabaseAdmin(), { userId, returnUrl: redirectUrl });
+        return { status: 200, body: { paymentId: payment.id, confirmationUrl: payment.confirmation_url } };
+    } catch (error) {
+        return paymentErrorResponse(error);
+    }
+}
+
+async function handleChargePaymentMethod({ user_id, amount, description, rental_id, idempotence_key }) {
+    if (!user_id || !amount || !description) {
+        return { status: 400, body: { error: 'user_id, amount и description обязательны.' } };
+    }
+    try {
+        const payment = await chargeSavedPaymentMethod(createSupabaseAdmin(), {
+            userId: user_id,
+            amount,
+            purpose: 'manual',
+            rentalId: rental_id || null,
+            description,
+            idempotenceKey: idempotence_key
+        });
+        return { status: 200, body: { payment } };
+    } catch (error) {
+        return paymentErrorResponse(error);
+    }
+}
+
+async function handleRefundPayment({ payment_id, amount, description, idempotence_key }) {
+    if (!payment_id) {
+        return { status: 400, body: { error: 'payment_id обязателен.' } };
+    }
+    try {
+        const refund = await refundPayment(createSupabaseAdmin(), {
+            paymentId: payment_id,
+            amount: amount === undefined ? null : amount,
+            description,
+            idempotenceKey: idempotence_key
+        });
+        return { status: 200, body: { refund } };
+    } catch (error) {
+        return paymentErrorResponse(error);
+    }
+}
+
+async function handleGetPayments({ user_id, rental_id }) {
+    if (!user_id && !rental_id) {
+        return { status: 400, body: { error: 'Нужен user_id или rental_id.' } };
+    }
+    let query = createSupabaseAdmin()
+        .from('payments')
+        .select('*, refunds ( * )');
+    if (user_id) query = query.eq('user_id', user_id);
+    if (rental_id) query = query.eq('rental_id', rental_id);
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+    if (error) {
+        throw new Error('Не удалось получить платежи: ' + error.message);
+    }
+    return { status: 200, body: { payments: data || [] } };
+}
+
+/**
+ * Действие /api/user get-pending-payments: платежи клиента, ожидающие оплаты по ссылке.
+ */
+async function handleGetPendingPayments({ userId }) {
+    if (!userId) {
+        return { status: 400, body: { error: 'userId is required.' } };
+    }
+    const { data, error } = await createSupabaseAdmin()
+        .from('payments')
+        .select('id, purpose, rental_id, amount, description, confirmation_url, created_at')
+        .eq('user_id', userId)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false });
+    if (error) {
+        throw new Error('Failed to fetch payments: ' + error.message);
+    }
+    // Привязка карты — не долг клиента
+    const payments = (data || []).filter((payment) => payment.confirmation_url && payment.purpose !== 'card_binding');
+    return { status: 200, body: { payments } };
+}
+
+module.exports = {
+    PaymentError,
+    registerPaymentHandler,
+    createConfirmationPayment,
+    buildReceipt,
+    chargeSavedPaymentMethod,
+    refundPayment,
+    processPaymentNotification,
+    handleCreateCardBinding,
+    handleChargePaymentMethod,
+    handleRefundPayment,
+    handleGetPayments,
+    handleGetPendingPayments,
+    paymentErrorResponse
+};
@@ -0,0 +1,183 @@
+const playwright = require('playwright');
+
+// Сколько документов рендерится одновременно (по одному контексту браузера на каждый)
+const RENDER_CONCURRENCY = Number(process.env.PDF_RENDER_CONCURRENCY || 2);
+// Сколько заданий может ждать в очереди, прежде чем новые начнут отклоняться
+const RENDER_QUEUE_LIMIT = Number(process.env.PDF_RENDER_QUEUE_LIMIT || 50);
+const RENDER_TIMEOUT_MS = Number(process.env.PDF_RENDER_TIMEOUT_MS || 30000);
+// PDF_RENDERER=none — без Chromium: вместо PDF возвращается заглушка с исходным HTML (тесты, локальный запуск)
+const RENDERER = process.env.PDF_RENDERER || 'chromium';
+
+const DEFAULT_PDF_OPTIONS = { format: 'A4', printBackground: true };
+
+class PdfRenderError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - queue_full | timeout | shutting_down
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'PdfRenderError';
+        this.code = code;
+        this.status = 503;
+    }
+}
+
+let browserPromise = null;
+let activeJobs = 0;
+let shuttingDown = false;
+const queue = [];
+const idleWaiters = [];
+
+/**
+ * Возвращает общий экземпляр Chromium, запуская его при первом обращении
+ * или после падения предыдущего. Зависший запуск прерывается по таймауту,
+ * а браузер, запустившийся уже после таймаута, закрывается.
+ */
+function getBrowser() {
+    if (!browserPromise) {
+        const launch = playwright.chromium.launch({ timeout: RENDER_TIMEOUT_MS });
+        const launching = withTimeout(launch, RENDER_TIMEOUT_MS, () => {
+            launch.then((browser) => browser.close()).catch(() => {});
+        })
+            .then((browser) => {
+                browser.on('disconnected', () => {
+                    if (browserPromise === launching) {
+                        console.warn('Chromium отключился, будет перезапущен при следующем рендере.');
+                        browserPromise = null;
+                    }
+                });
+                return browser;
+            })
+            .catch((error) => {
+                if (browserPromise === launching) browserPromise = null;
+                throw error;
+            });
+        browserPromise = launching;
+    }
+    return browserPromise;
+}
+
+function withTimeout(promise, ms, onTimeout) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            onTimeout();
+            reject(new PdfRenderError(`PDF rendering timed out after ${ms} ms.`, 'timeout'));
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Таймаут покрывает и получение браузера, и создание контекста, и сам рендер
+async function renderInContext(html, pdfOptions) {
+    let context = null;
+    let timedOut = false;
+    try {
+        return await withTimeout(
+            (async () => {
+                const browser = await getBrowser();
+                context = await browser.newContext();
+                // Контекст, созданный уже после таймаута, закрываем сразу: finally к этому моменту отработал
+                if (timedOut) {
+                    await context.close().catch(() => {});
+                    return null;
+                }
+                const page = await context.newPage();
+                await page.setContent(html, { waitUntil: 'load' });
+                return page.pdf({ ...DEFAULT_PDF_OPTIONS, ...pdfOptions });
+            })(),
+            RENDER_TIMEOUT_MS,
+            () => {
+                timedOut = true;
+                context?.close().catch(() => {});
+            }
+        );
+    } finally {
+        await context?.close().catch(() => {});
+    }
+}
+
+async function runJob(job) {
+    activeJobs++;
+    try {
+        let pdf;
+        try {
+            pdf = await renderInContext(job.html, job.pdfOptions);
+        } catch (error) {
+            // Если браузер упал во время рендера, повторяем один раз на новом экземпляре
+            const browser = await browserPromise?.catch(() => null);
+            if (error instanceof PdfRenderError || (browser && browser.isConnected())) throw error;
+            console.warn('Повторный рендер PDF после падения Chromium:', error.message);
+            pdf = await renderInContext(job.html, job.pdfOptions);
+        }
+        job.resolve(pdf);
+    } catch (error) {
+        job.reject(error);
+    } finally {
+        activeJobs--;
+        drainQueue();
+    }
+}
+
+function drainQueue() {
+    while (activeJobs < RENDER_CONCURRENCY && queue.length > 0) {
+        runJob(queue.shift());
+    }
+    if (activeJobs === 0 && queue.length === 0) {
+        idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+}
+
+/**
+ * Минимальный PDF с HTML-документом в комментарии: у каждого документа свое
+ * содержимое, поэтому хеши подписей остаются различимыми.
+ */
+function renderStubPdf(html) {
+    return Buffer.from(`%PDF-1.4\n% rendered with PDF_RENDERER=none\n${html.replace(/^/gm, '% ')}\n%%EOF\n`);
+}
+
+/**
+ * Ставит HTML-документ в очередь на рендер и возвращает готовый PDF.
+ * @param {string} html - Полный HTML-документ.
+ * @param {object} [pdfOptions] - Параметры page.pdf() поверх формата A4 по умолчанию.
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(html, pdfOptions = {}) {
+    if (RENDERER === 'none') {
+        return Promise.resolve(renderStubPdf(html));
+    }
+    if (shuttingDown) {
+        return Promise.reject(new PdfRenderError('PDF renderer is shutting down.', 'shutting_down'));
+    }
+    if (queue.length >= RENDER_QUEUE_LIMIT) {
+        return Promise.reject(new PdfRenderError('Too many documents are being generated, try again later.', 'queue_full'));
+    }
+    return new Promise((resolve, reject) => {
+        queue.push({ html, pdfOptions, resolve, reject });
+        drainQueue();
+    });
+}
+
+/**
+ * Останавливает рендерер: новые задания отклоняются, ожидающие в очереди
+ * отменяются, текущие дорабатывают, после чего браузер закрывается.
+ */
+async function shutdownPdfRenderer() {
+    shuttingDown = true;
+    queue.splice(0).forEach(job => job.reject(
+        new PdfRenderError('PDF renderer is shutting down.', 'shutting_down')
+    ));
+
+    if (activeJobs > 0) {
+        await new Promise(resolve => idleWaiters.push(resolve));
+    }
+
+    const browser = await browserPromise?.catch(() => null);
+    browserPromise = null;
+    if (browser) {
+        await browser.close().catch(() => {});
+    }
+}
+
+module.exports = { PdfRenderError, renderPdf, shutdownPdfRenderer };
@@ -0,0 +1,207 @@
+const { createSupabaseAdmin, selectAllPages } = require('./supabase');
+const { RENTAL_TRANSITIONS } = require('./rental-status');
+const { removeDocuments } = require('./document-storage');
+
+/**
+ * Персональные данные клиента (152-ФЗ): выгрузка по запросу клиента
+ * и обезличивание бывшего клиента по запросу оператора.
+ *
+ * Подписанные документы, записи signatures, аренды и платежи при обезличивании
+ * сохраняются: их нужно хранить по договору и бухгалтерскому учету, а PDF
+ * остаются неизменными, чтобы подпись по-прежнему проверялась.
+ */
+
+// Незавершенные аренды: из этих статусов еще есть переходы (completed в их число не входит)
+const OPEN_RENTAL_STATUSES = Object.keys(RENTAL_TRANSITIONS)
+    .filter((status) => Object.keys(RENTAL_TRANSITIONS[status]).length > 0);
+const ANONYMISED_NAME = 'Анонимизированный клиент';
+
+// Колонки clients, которые не отдаются даже самому клиенту: токены и шифротекст паспорта
+const PROFILE_HIDDEN_COLUMNS = [
+    'auth_token',
+    'auth_token_expires_at',
+    'recognized_passport_data',
+    'passport_data_encrypted',
+    'passport_key_id',
+    'passport_masked',
+    'yookassa_payment_method_id'
+];
+
+async function selectForUser(supabaseAdmin, table, columns, userId) {
+    const { data, error } = await supabaseAdmin
+        .from(table)
+        .select(columns)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+    if (error) throw new Error(`Failed to fetch ${table}: ` + error.message);
+    return data || [];
+}
+
+/**
+ * Действие клиента export-personal-data: все, что сервис хранит о клиенте.
+ * Паспорт отдается маскированным — полные данные есть в подписанных документах.
+ */
+async function handleExportPersonalData({ userId }) {
+    if (!userId) {
+        return { status: 400, body: { error: 'userId is required.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: client, error } = await supabaseAdmin
+        .from('clients')
+        .select('*')
+        .eq('id', userId)
+        .maybeSingle();
+    if (error) throw new Error('Failed to fetch client: ' + error.message);
+    if (!client) {
+        return { status: 404, body: { error: 'Client not found.' } };
+    }
+
+    const profile = { ...client };
+    for (const column of PROFILE_HIDDEN_COLUMNS) delete profile[column];
+
+    const rentals = await selectForUser(supabaseAdmin, 'rentals',
+        'id, status, bike_id, tariff_id, current_period_start, current_period_end, auto_renew, created_at', userId);
+    const payments = await selectForUser(supabaseAdmin, 'payments',
+        'id, rental_id, purpose, amount, currency, status, description, refunded_amount, paid_at, created_at', userId);
+    const signatures = await selectForUser(supabaseAdmin, 'signatures',
+        'document_id, document_type, rental_id, sha256, signed_at, signer_ip, signer_user_agent', userId);
+    const photos = await selectForUser(supabaseAdmin, 'rental_photos',
+        'id, rental_id, stage, content_type, size_bytes, captured_at, caption, created_at', userId);
+    const verification = await selectForUser(supabaseAdmin, 'verification_events',
+        'to_status, actor, reason_code, comment, created_at', userId);
+
+    // Все сохраненные отметки, включая отброшенные фильтром, сгруппированные по аренде
+    const { data: locations, error: locationsError } = await selectAllPages(() => supabaseAdmin
+        .from('rental_locations')
+        .select('id, rental_id, latitude, longitude, accuracy, recorded_at, source, accepted, outside_zone')
+        .eq('user_id', userId)
+        .order('id', { ascending: true }));
+    if (locationsError) throw new Error('Failed to fetch rental_locations: ' + locationsError.message);
+    const track = {};
+    for (const { id, rental_id: rentalId, ...point } of locations) {
+        if (!track[rentalId]) track[rentalId] = [];
+        track[rentalId].push(point);
+    }
+
+    return {
+        status: 200,
+        body: {
+            exportedAt: new Date().toISOString(),
+            profile,
+            passport: client.passport_masked || null,
+            rentals,
+            payments,
+            signatures,
+            photos,
+            verification,
+            track
+        }
+    };
+}
+
+/**
+ * Admin-действие anonymise-client: обезличивает бывшего клиента.
+ * Удаляются ФИО, контакты, паспорт и его фото, токены, привязанная карта и история координат;
+ * тексты уведомлений в очереди стираются. Кто и почему обезличил клиента (reason),
+ * остается в журнале аудита; состояние clients туда не копируется.
+ * anonymised_at ставится последним шагом: если очистка прервалась, повторный вызов
+ * проходит все шаги заново (каждый из них можно повторять).
+ */
+async function handleAnonymiseClient({ user_id }) {
+    if (!user_id) {
+        return { status: 400, body: { error: 'user_id обязателен.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: client, error } = await supabaseAdmin
+        .from('clients')
+        .select('id, anonymised_at')
+        .eq('id', user_id)
+        .maybeSingle();
+    if (error) throw new Error('Не удалось получить клиента: ' + error.message);
+    if (!client) {
+        return { status: 404, body: { error: 'Клиент не найден.' } };
+    }
+    if (client.anonymised_at) {
+        return { status: 409, body: { error: 'Клиент уже обезличен.', code: 'already_anonymised' } };
+    }
+
+    const { data: rentals, error: rentalsError } = await supabaseAdmin
+        .from('rentals')
+        .select('id, status')
+        .eq('user_id', user_id);
+    if (rentalsError) throw new Error('Не удалось получить аренды клиента: ' + rentalsError.message);
+    const openRentals = (rentals || []).filter((rental) => OPEN_RENTAL_STATUSES.includes(rental.status));
+    if (openRentals.length > 0) {
+        return {
+            status: 409,
+            body: {
+                error: 'У клиента есть незавершенные аренды.',
+                code: 'open_rentals',
+                rental_ids: openRentals.map((rental) => rental.id)
+            }
+        };
+    }
+
+    const { error: updateError } = await supabaseAdmin
+        .from('clients')
+        .update({
+            name: ANONYMISED_NAME,
+            city: null,
+            email: null,
+            phone: null,
+            telegram_user_id: null,
+            auth_token: null,
+            auth_token_expires_at: null,
+            recognized_passport_data: null,
+            passport_data_encrypted: null,
+            passport_key_id: null,
+            passport_masked: null,
+            last_location: null,
+            yookassa_payment_method_id: null,
+            extra: {}
+        })
+        .eq('id', user_id);
+    if (updateError) throw new Error('Не удалось обезличить клиента: ' + updateError.message);
+
+    // Координаты аренд клиента, в том числе записанные трекером велосипеда
+    const rentalIds = (rentals || []).map((rental) => rental.id);
+    if (rentalIds.length > 0) {
+        const { error: locationsError } = await supabaseAdmin
+            .from('rental_locations')
+            .delete()
+            .in('rental_id', rentalIds);
+        if (locationsError) throw new Error('Не удалось удалить историю координат: ' + locationsError.message);
+    }
+
+    // Фото паспорта и комментарии клиента из верификации; решения операторов в истории остаются
+    const { data: verificationEvents, error: eventsError } = await supabaseAdmin
+        .from('verification_events')
+        .select('id, documents')
+        .eq('user_id', user_id);
+    if (eventsError) throw new Error('Не удалось получить историю верификации: ' + eventsError.message);
+    const verificationPhotos = (verificationEvents || []).flatMap((event) => event.documents || []);
+    await removeDocuments(supabaseAdmin, verificationPhotos.map((document) => document.storage_path));
+    const { error: clearError } = await supabaseAdmin
+        .from('verification_events')
+        .update({ documents: [], comment: null })
+        .eq('user_id', user_id)
+        .eq('actor', 'client');
+    if (clearError) throw new Error('Не удалось очистить документы верификации: ' + clearError.message);
+
+    const { error: outboxError } = await supabaseAdmin
+        .from('notification_outbox')
+        .update({ chat_id: null, text: '', payload: {}, reply_markup: null })
+        .eq('user_id', user_id);
+    if (outboxError) throw new Error('Не удалось очистить уведомления клиента: ' + outboxError.message);
+
+    const anonymisedAt = new Date().toISOString();
+    const { error: markError } = await supabaseAdmin
+        .from('clients')
+        .update({ anonymised_at: anonymisedAt })
+        .eq('id', user_id);
+    if (markError) throw new Error('Не удалось отметить клиента обезличенным: ' + markError.message);
+
+    return { status: 200, body: { user_id, anonymised_at: anonymisedAt } };
+}
+
+module.exports = { handleExportPersonalData, handleAnonymiseClient };
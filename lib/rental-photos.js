@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const { createSupabaseAdmin } = require('./supabase');
+const { uploadDocument, downloadImageThumbnail, createDocumentUrl } = require('./document-storage');
+
+/**
+ * Фотографии велосипеда при выдаче (handover) и возврате (return). Фото хранятся
+ * в приватном бакете документов и встраиваются сеткой миниатюр в подписываемый акт.
+ * После подписания акта фото этого этапа больше не добавляются.
+ */
+
+const PHOTO_STAGES = ['handover', 'return'];
+const PHOTO_MAX_BYTES = Number(process.env.PHOTO_MAX_BYTES || 5 * 1024 * 1024);
+const PHOTO_MAX_PER_STAGE = Number(process.env.PHOTO_MAX_PER_STAGE || 12);
+// Сколько фото встраивается в акт; остальные остаются в системе и доступны по ссылкам
+const ACT_PHOTO_LIMIT = Number(process.env.ACT_PHOTO_LIMIT || 12);
+// Миниатюра в акте — 160x120 CSS-пикселей, берется с двойным запасом для печати
+const ACT_THUMBNAIL = { width: 320, height: 240, quality: 70 };
+// Допустимое расхождение часов устройства при проверке времени съемки
+const CAPTURE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Статусы аренды, в которых можно добавлять фото этапа
+const PHOTO_STAGE_STATUSES = {
+    handover: ['awaiting_contract_signing'],
+    return: ['active', 'overdue', 'pending_return', 'awaiting_return_signature']
+};
+
+const PHOTO_FORMATS = [
+    { contentType: 'image/jpeg', extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+    { contentType: 'image/png', extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }
+];
+
+class RentalPhotoError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'RentalPhotoError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Разбирает фото из data URL или base64 и определяет формат по содержимому, а не по заявленному типу.
+ */
+function decodePhoto(data) {
+    if (typeof data !== 'string' || data.length === 0) {
+        throw new RentalPhotoError('Photo data is required.', 'missing_photo');
+    }
+    const base64 = data.replace(/^data:image\/[a-z]+;base64,/, '');
+    if (!/^[A-Za-z0-9+/=]+$/.test(base64)) {
+        throw new RentalPhotoError('Photo must be base64-encoded.', 'invalid_encoding');
+    }
+    const buffer = Buffer.from(base64, 'base64');
+    if (buffer.length > PHOTO_MAX_BYTES) {
+        throw new RentalPhotoError(`Photo is larger than ${PHOTO_MAX_BYTES} bytes.`, 'photo_too_large', 413);
+    }
+    const format = PHOTO_FORMATS.find(({ signature }) => signature.every((byte, index) => buffer[index] === byte));
+    if (!format) {
+        throw new RentalPhotoError('Photo must be a JPEG or PNG image.', 'unsupported_format', 415);
+    }
+    return { buffer, format };
+}
+
+function parseCapturedAt(capturedAt) {
+    if (!capturedAt) return new Date();
+    const date = new Date(capturedAt);
+    if (Number.isNaN(date.getTime()) || date.getTime() > Date.now() + CAPTURE_CLOCK_SKEW_MS) {
+        throw new RentalPhotoError('capturedAt must be a past timestamp.', 'invalid_captured_at');
+    }
+    return date;
+}
+
+/**
+ * Загружает фото к аренде.
+ * @param {object} supabaseAdmin
+ * @param {object} params
+ * @param {object} params.rental - Аренда с id, user_id и status.
+ * @param {string} params.stage - handover | return.
+ * @param {string} params.data - Фото в виде data URL или base64.
+ * @param {string} [params.capturedAt] - Время съемки на устройстве.
+ * @param {string} [params.caption]
+ * @param {string} params.uploadedBy - client:<id> или operator:<id>.
+ * @returns {Promise<object>} Запись фото.
+ */
+async function uploadRentalPhoto(supabaseAdmin, { rental, stage, data, capturedAt, caption = null, uploadedBy }) {
+    if (!PHOTO_STAGES.includes(stage)) {
+        throw new RentalPhotoError(`stage must be one of: ${PHOTO_STAGES.join(', ')}.`, 'invalid_stage');
+    }
+    if (!PHOTO_STAGE_STATUSES[stage].includes(rental.status)) {
+        throw new RentalPhotoError(`Photos for ${stage} cannot be added in status ${rental.status}.`, 'stage_closed', 409);
+    }
+    const { buffer, format } = decodePhoto(data);
+    const captured = parseCapturedAt(capturedAt);
+
+    const { data: existing, error: countError } = await supabaseAdmin
+        .from('rental_photos')
+        .select('id')
+        .eq('rental_id', rental.id)
+        .eq('stage', stage);
+    if (countError) {
+        throw new Error('Failed to count rental photos: ' + countError.message);
+    }
+    if ((existing || []).length >= PHOTO_MAX_PER_STAGE) {
+        throw new RentalPhotoError(`No more than ${PHOTO_MAX_PER_STAGE} photos per stage.`, 'too_many_photos', 409);
+    }
+
+    const photoId = crypto.randomUUID();
+    const storagePath = `photos/${rental.user_id}/${rental.id}/${stage}/${photoId}.${format.extension}`;
+    await uploadDocument(supabaseAdmin, storagePath, buffer, format.contentType);
+
+    const { data: photo, error } = await supabaseAdmin
+        .from('rental_photos')
+        .insert({
+            id: photoId,
+            rental_id: rental.id,
+            user_id: rental.user_id,
+            stage,
+            storage_path: storagePath,
+            content_type: format.contentType,
+            size_bytes: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            captured_at: captured.toISOString(),
+            caption,
+            uploaded_by: uploadedBy
+        })
+        .select('id, stage, content_type, size_bytes, captured_at, caption, created_at')
+        .single();
+    if (error) {
+        throw new Error('Failed to save rental photo: ' + error.message);
+    }
+    return photo;
+}
+
+async function listRentalPhotos(supabaseAdmin, rentalId, stage) {
+    let query = supabaseAdmin
+        .from('rental_photos')
+        .select('id, stage, storage_path, content_type, size_bytes, captured_at, caption, uploaded_by, created_at')
+        .eq('rental_id', rentalId);
+    if (stage) query = query.eq('stage', stage);
+
+    const { data, error } = await query.order('captured_at', { ascending: true });
+    if (error) {
+        throw new Error('Failed to fetch rental photos: ' + error.message);
+    }
+    return data || [];
+}
+
+/**
+ * Фото этапа для акта: по порядку съемки, с номером. Первые ACT_PHOTO_LIMIT фото
+ * получают data URL миниатюры; у остальных dataUrl = null — они сохраняют номер
+ * для ссылок из списка неисправностей, но в акт не встраиваются.
+ */
+async function loadActPhotos(supabaseAdmin, rentalId, stage) {
+    const photos = await listRentalPhotos(supabaseAdmin, rentalId, stage);
+    const result = [];
+    for (const [index, photo] of photos.entries()) {
+        let dataUrl = null;
+        if (index < ACT_PHOTO_LIMIT) {
+            const buffer = await downloadImageThumbnail(supabaseAdmin, photo.storage_path, ACT_THUMBNAIL);
+            dataUrl = `data:${photo.content_type};base64,${buffer.toString('base64')}`;
+        }
+        result.push({
+            id: photo.id,
+            number: index + 1,
+            captured_at: photo.captured_at,
+            caption: photo.caption,
+            dataUrl
+        });
+    }
+    return result;
+}
+
+/**
+ * Проверяет, что фото, на которые ссылаются неисправности, сняты при возврате этой аренды.
+ */
+async function assertDefectPhotos(supabaseAdmin, rentalId, defects) {
+    const referenced = [...new Set(defects.flatMap((defect) => defect.photo_ids || []))];
+    if (referenced.length === 0) return;
+    const photos = await listRentalPhotos(supabaseAdmin, rentalId, 'return');
+    const known = new Set(photos.map((photo) => photo.id));
+    const unknown = referenced.filter((id) => !known.has(id));
+    if (unknown.length > 0) {
+        throw new RentalPhotoError(`Unknown return photos: ${unknown.join(', ')}`, 'unknown_photo');
+    }
+}
+
+async function photosWithUrls(supabaseAdmin, photos) {
+    const result = [];
+    for (const { storage_path: storagePath, ...photo } of photos) {
+        const { url, expiresAt } = await createDocumentUrl(supabaseAdmin, storagePath);
+        result.push({ ...photo, url, expiresAt });
+    }
+    return result;
+}
+
+function photoErrorResponse(error) {
+    if (error instanceof RentalPhotoError) {
+        return { status: error.status, body: { error: error.message, code: error.code } };
+    }
+    throw error;
+}
+
+/**
+ * Действие клиента upload-rental-photo.
+ */
+async function handleUploadRentalPhoto({ userId, rentalId, stage, photo, capturedAt, caption }) {
+    if (!userId || !rentalId || !stage || !photo) {
+        return { status: 400, body: { error: 'userId, rentalId, stage and photo are required.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: rental, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, user_id, status')
+        .eq('id', rentalId)
+        .eq('user_id', userId)
+        .maybeSingle();
+    if (error) throw new Error('Failed to fetch rental: ' + error.message);
+    if (!rental) {
+        return { status: 404, body: { error: 'Rental not found.' } };
+    }
+    try {
+        const saved = await uploadRentalPhoto(supabaseAdmin, {
+            rental, stage, data: photo, capturedAt, caption, uploadedBy: `client:${userId}`
+        });
+        return { status: 200, body: { photo: saved } };
+    } catch (uploadError) {
+        return photoErrorResponse(uploadError);
+    }
+}
+
+/**
+ * Admin-действие upload-rental-photo: фото при выдаче или приемке велосипеда.
+ */
+async function handleUploadRentalPhotoAdmin({ rental_id, stage, photo, captured_at, caption }, { operator }) {
+    if (!rental_id || !stage || !photo) {
+        return { status: 400, body: { error: 'rental_id, stage и photo обязательны.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: rental, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id, user_id, status')
+        .eq('id', rental_id)
+        .maybeSingle();
+    if (error) throw new Error('Не удалось получить аренду: ' + error.message);
+    if (!rental) {
+        return { status: 404, body: { error: 'Аренда не найдена.' } };
+    }
+    try {
+        const saved = await uploadRentalPhoto(supabaseAdmin, {
+            rental, stage, data: photo, capturedAt: captured_at, caption, uploadedBy: `operator:${operator.id}`
+        });
+        return { status: 200, body: { photo: saved } };
+    } catch (uploadError) {
+        return photoErrorResponse(uploadError);
+    }
+}
+
+/**
+ * Действие клиента get-rental-photos: фото своей аренды с временными ссылками.
+ */
+async function handleGetRentalPhotos({ userId, rentalId, stage }) {
+    if (!userId || !rentalId) {
+        return { status: 400, body: { error: 'userId and rentalId are required.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: rental, error } = await supabaseAdmin
+        .from('rentals')
+        .select('id')
+        .eq('id', rentalId)
+        .eq('user_id', userId)
+        .maybeSingle();
+    if (error) throw new Error('Failed to fetch rental: ' + error.message);
+    if (!rental) {
+        return { status: 404, body: { error: 'Rental not found.' } };
+    }
+    const photos = await listRentalPhotos(supabaseAdmin, rentalId, stage);
+    return { status: 200, body: { photos: await photosWithUrls(supabaseAdmin, photos) } };
+}
+
+/**
+ * Admin-действие get-rental-photos.
+ */
+async function handleGetRentalPhotosAdmin({ rental_id, stage }) {
+    if (!rental_id) {
+        return { status: 400, body: { error: 'rental_id обязателен.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const photos = await listRentalPhotos(supabaseAdmin, rental_id, stage);
+    return { status: 200, body: { photos: await photosWithUrls(supabaseAdmin, photos) } };
+}
+
+module.exports = {
+    PHOTO_STAGES,
+    RentalPhotoError,
+    decodePhoto,
+    uploadRentalPhoto,
+    loadActPhotos,
+    assertDefectPhotos,
+    handleUploadRentalPhoto,
+    handleUploadRentalPhotoAdmin,
+    handleGetRentalPhotos,
+    handleGetRentalPhotosAdmin
+};
@@ -0,0 +1,186 @@
+/**
+ * Жизненный цикл аренды: допустимые переходы статусов и кто может их выполнять.
+ * Все изменения статуса аренды должны проходить через transitionRental,
+ * чтобы каждое изменение проверялось и попадало в rental_status_history.
+ */
+
+// Кто инициирует переход: клиент из Web App, оператор из админки или сам сервер (фоновые задачи)
+const ACTORS = ['client', 'operator', 'system'];
+
+// Текущий статус -> { новый статус: [кто может выполнить переход] }
+const RENTAL_TRANSITIONS = {
+    awaiting_contract_signing: {
+        active: ['client']
+    },
+    active: {
+        overdue: ['system'],
+        pending_return: ['client', 'operator'],
+        awaiting_return_signature: ['operator']
+    },
+    overdue: {
+        active: ['system', 'operator'],
+        pending_return: ['client', 'operator'],
+        awaiting_return_signature: ['operator']
+    },
+    pending_return: {
+        awaiting_return_signature: ['operator']
+    },
+    awaiting_return_signature: {
+        completed: ['client'],
+        // Акт подписан, но ущерб еще не оплачен
+        damage_payment_pending: ['client']
+    },
+    damage_payment_pending: {
+        completed: ['system', 'operator']
+    },
+    completed: {}
+};
+
+// Подписчики на переходы статусов (например, блокировка велосипеда при просрочке)
+const transitionListeners = [];
+
+class RentalTransitionError extends Error {
+    /**
+     * @param {string} message - Описание ошибки.
+     * @param {string} code - Машиночитаемый код: rental_not_found, illegal_transition, forbidden_actor, concurrent_update.
+     * @param {number} status - HTTP-статус для ответа.
+     */
+    constructor(message, code, status = 409) {
+        super(message);
+        this.name = 'RentalTransitionError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Проверяет переход без обращения к базе. Бросает RentalTransitionError, если он запрещен.
+ */
+function assertTransitionAllowed(from, to, actor) {
+    if (!ACTORS.includes(actor)) {
+        throw new Error(`Unknown rental transition actor: ${actor}`);
+    }
+    const allowed = RENTAL_TRANSITIONS[from] || {};
+    if (!allowed[to]) {
+        throw new RentalTransitionError(
+            `Rental cannot move from "${from}" to "${to}".`,
+            'illegal_transition'
+        );
+    }
+    if (!allowed[to].includes(actor)) {
+        throw new RentalTransitionError(
+            `Transition "${from}" -> "${to}" is not allowed for ${actor}.`,
+            'forbidden_actor',
+            403
+        );
+    }
+}
+
+/**
+ * Подписывает listener на успешные переходы статусов. Listener получает
+ * (supabaseAdmin, { rentalId, from, to, actor, actorId }); его ошибки пишутся
+ * в лог и не отменяют переход.
+ */
+function onRentalTransition(listener) {
+    transitionListeners.push(listener);
+}
+
+async function notifyTransitionListeners(supabaseAdmin, transition) {
+    for (const listener of transitionListeners) {
+        try {
+            await listener(supabaseAdmin, transition);
+        } catch (error) {
+            console.error(`Rental transition listener failed for rental ${transition.rentalId}:`, error);
+        }
+    }
+}
+
+/**
+ * Переводит аренду в новый статус и пишет переход в rental_status_history.
+ * @param {object} supabaseAdmin
+ * @param {object} params
+ * @param {string} params.rentalId - ID аренды.
+ * @param {string} params.to - Новый статус.
+ * @param {string} params.actor - client | operator | system.
+ * @param {string} [params.actorId] - ID клиента, оператора или имя фоновой задачи.
+ * @param {string} [params.userId] - Если указан, аренда должна принадлежать этому клиенту.
+ * @param {object} [params.patch] - Дополнительные поля аренды, которые обновляются вместе со статусом.
+ * @param {string} [params.reason] - Комментарий к переходу.
+ * @returns {Promise<{ from: string, to: string }>}
+ */
+async function transitionRental(supabaseAdmin, { rentalId, to, actor, actorId = null, userId = null, patch = {}, reason = null }) {
+    let query = supabaseAdmin
+        .from('rentals')
+        .select('id, status')
+        .eq('id', rentalId);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data: rental, error: fetchError } = await query.maybeSingle();
+    if (fetchError) {
+        throw new Error('Failed to fetch rental status: ' + fetchError.message);
+    }
+    if (!rental) {
+        throw new RentalTransitionError('Rental not found.', 'rental_not_found', 404);
+    }
+
+    const from = rental.status;
+    assertTransitionAllowed(from, to, actor);
+
+    // Условие по старому статусу защищает от гонки двух одновременных переходов
+    const { data: updated, error: updateError } = await supabaseAdmin
+        .from('rentals')
+        .update({ ...patch, status: to })
+        .eq('id', rentalId)
+        .eq('status', from)
+        .select('id');
+
+    if (updateError) {
+        throw new Error('Failed to update rental status: ' + updateError.message);
+    }
+    if (!updated || updated.length === 0) {
+        throw new RentalTransitionError('Rental status was changed by another request.', 'concurrent_update');
+    }
+
+    const { error: historyError } = await supabaseAdmin
+        .from('rental_status_history')
+        .insert({
+            rental_id: rentalId,
+            from_status: from,
+            to_status: to,
+            actor,
+            actor_id: actorId,
+            reason
+        });
+
+    if (historyError) {
+        console.error(`Failed to write status history for rental ${rentalId}:`, historyError.message);
+    }
+
+    await notifyTransitionListeners(supabaseAdmin, { rentalId, from, to, actor, actorId });
+    return { from, to };
+}
+
+/**
+ * История статусов аренды в хронологическом порядке.
+ */
+async function getRentalStatusHistory(supabaseAdmin, rentalId) {
+    const { data, error } = await supabaseAdmin
+        .from('rental_status_history')
+        .select('from_status, to_status, actor, actor_id, reason, created_at')
+        .eq('rental_id', rentalId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw new Error('Failed to fetch rental status history: ' + error.message);
+    }
+    return data || [];
+}
+
+module.exports = {
+    RENTAL_TRANSITIONS,
+    RentalTransitionError,
+    assertTransitionAllowed,
+    transitionRental,
+    onRentalTransition,
+    getRentalStatusHistory
+};
@@ -0,0 +1,191 @@
+const { selectAllPages } = require('../supabase');
+
+/**
+ * Общие выборки и расчеты периодов для отчетов.
+ * Даты группируются по часовому поясу парка (REPORT_TIMEZONE), а не по UTC.
+ * Выборки читаются страницами (selectAllPages): PostgREST обрезает ответ до max-rows.
+ */
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Novosibirsk';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Сколько id передается в одном фильтре in(): длинный список не влезает в URL PostgREST
+const ID_CHUNK_SIZE = 200;
+// Аренды между подписанием договора и приемкой велосипеда: интервал проката еще не закрыт
+const RENTED_STATUSES = ['active', 'overdue', 'pending_return'];
+
+const dateFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: REPORT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+});
+
+function zonedParts(date) {
+    return Object.fromEntries(dateFormatter.formatToParts(date).map(({ type, value }) => [type, value]));
+}
+
+// Смещение часового пояса парка относительно UTC в момент date, мс
+function zoneOffset(date) {
+    const parts = zonedParts(date);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Полночь даты YYYY-MM-DD в часовом поясе парка.
+ */
+function zonedMidnight(day) {
+    const guess = new Date(`${day}T00:00:00Z`);
+    return new Date(guess.getTime() - zoneOffset(guess));
+}
+
+/**
+ * Дата YYYY-MM-DD в часовом поясе парка.
+ */
+function localDay(date) {
+    const { year, month, day } = zonedParts(new Date(date));
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Ключ периода для группировки: день (YYYY-MM-DD), неделя (дата понедельника) или месяц (YYYY-MM).
+ */
+function periodKey(date, groupBy) {
+    const day = localDay(date);
+    if (groupBy === 'month') return day.slice(0, 7);
+    if (groupBy === 'week') {
+        const noon = new Date(`${day}T12:00:00Z`);
+        const sinceMonday = (noon.getUTCDay() + 6) % 7;
+        return new Date(noon.getTime() - sinceMonday * DAY_MS).toISOString().slice(0, 10);
+    }
+    return day;
+}
+
+/**
+ * Выбирает строки по списку значений column порциями. У таблицы должна быть колонка id:
+ * по ней упорядочиваются страницы, если на порцию приходится больше max-rows строк.
+ */
+async function fetchByIds(supabaseAdmin, table, columns, ids, column = 'id') {
+    const unique = [...new Set(ids.filter(Boolean))];
+    const rows = [];
+    for (let start = 0; start < unique.length; start += ID_CHUNK_SIZE) {
+        const { data, error } = await selectAllPages(() => supabaseAdmin
+            .from(table)
+            .select(columns)
+            .in(column, unique.slice(start, start + ID_CHUNK_SIZE))
+            .order('id', { ascending: true }));
+        if (error) throw new Error(`Не удалось получить ${table} для отчета: ` + error.message);
+        rows.push(...data);
+    }
+    return rows;
+}
+
+/**
+ * Переходы статусов аренд за период вместе с арендой (клиент, тариф, велосипед).
+ * @param {string[]} statuses - Статусы, в которые был переход.
+ * @returns {Promise<Array<{ rental_id: string, to_status: string, created_at: string, rental: object }>>}
+ */
+async function loadTransitions(supabaseAdmin, { from, to, city }, statuses) {
+    const { data, error } = await selectAllPages(() => supabaseAdmin
+        .from('rental_status_history')
+        .select('rental_id, to_status, created_at')
+        .in('to_status', statuses)
+        .gte('created_at', from.toISOString())
+        .lt('created_at', to.toISOString())
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true }));
+    if (error) throw new Error('Не удалось получить историю статусов для отчета: ' + error.message);
+
+    const rentals = await fetchByIds(supabaseAdmin, 'rentals',
+        'id, status, bike_id, tariff_id, extra_data, clients ( city ), tariffs ( title ), bikes ( model_name, frame_number )',
+        data.map((row) => row.rental_id));
+    const byId = new Map(rentals.map((rental) => [rental.id, rental]));
+    return data
+        .map((row) => ({ ...row, rental: byId.get(row.rental_id) }))
+        .filter((row) => row.rental && matchesCity(row.rental.clients, city));
+}
+
+/**
+ * id аренд из rental_status_history по фильтру.
+ */
+async function historyRentalIds(supabaseAdmin, applyFilters) {
+    const { data, error } = await selectAllPages(() => applyFilters(supabaseAdmin
+        .from('rental_status_history')
+        .select('rental_id'))
+        .order('id', { ascending: true }));
+    if (error) throw new Error('Не удалось получить историю статусов для отчета: ' + error.message);
+    return data.map((row) => row.rental_id);
+}
+
+/**
+ * Интервалы проката, пересекающиеся с периодом [from, to): от подписания договора
+ * (переход в active из awaiting_contract_signing) до приемки велосипеда
+ * (awaiting_return_signature). У незавершенной аренды end = null.
+ * Аренды, подписанные до появления rental_status_history, в отчеты не попадают.
+ * @returns {Promise<Array<{ rental: object, start: Date, end: Date|null }>>}
+ */
+async function loadRentalIntervals(supabaseAdmin, { from, to, city }) {
+    // Кандидаты: начатые в периоде, принятые в периоде или позже и еще не принятые
+    const started = await historyRentalIds(supabaseAdmin, (query) => query
+        .eq('from_status', 'awaiting_contract_signing')
+        .eq('to_status', 'active')
+        .gte('created_at', from.toISOString())
+        .lt('created_at', to.toISOString()));
+    const returned = await historyRentalIds(supabaseAdmin, (query) => query
+        .eq('to_status', 'awaiting_return_signature')
+        .gte('created_at', from.toISOString()));
+    const { data: rented, error } = await selectAllPages(() => supabaseAdmin
+        .from('rentals')
+        .select('id')
+        .in('status', RENTED_STATUSES)
+        .order('id', { ascending: true }));
+    if (error) throw new Error('Не удалось получить аренды для отчета: ' + error.message);
+
+    const rentalIds = [...new Set([...started, ...returned, ...rented.map((rental) => rental.id)])];
+    const rentals = await fetchByIds(supabaseAdmin, 'rentals',
+        'id, status, bike_id, tariff_id, clients ( city ), tariffs ( title ), bikes ( model_name, frame_number )', rentalIds);
+    const history = await fetchByIds(supabaseAdmin, 'rental_status_history',
+        'rental_id, from_status, to_status, created_at', rentalIds, 'rental_id');
+
+    const startById = new Map();
+    const endById = new Map();
+    for (const row of history) {
+        const at = new Date(row.created_at);
+        if (row.from_status === 'awaiting_contract_signing' && row.to_status === 'active') {
+            startById.set(row.rental_id, at);
+        } else if (row.to_status === 'awaiting_return_signature') {
+            const current = endById.get(row.rental_id);
+            if (!current || at < current) endById.set(row.rental_id, at);
+        }
+    }
+    return rentals
+        .map((rental) => ({ rental, start: startById.get(rental.id), end: endById.get(rental.id) || null }))
+        .filter(({ rental, start, end }) => start && start < to && (!end || end >= from) && matchesCity(rental.clients, city));
+}
+
+function matchesCity(client, city) {
+    if (!city) return true;
+    return (client?.city || '').trim().toLowerCase() === city.trim().toLowerCase();
+}
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    REPORT_TIMEZONE,
+    DAY_MS,
+    zonedMidnight,
+    localDay,
+    periodKey,
+    fetchByIds,
+    loadTransitions,
+    loadRentalIntervals,
+    matchesCity,
+    round
+};
@@ -0,0 +1,53 @@
+const { periodKey, fetchByIds, loadTransitions, round } = require('../data');
+
+/**
+ * Ущерб по периодам приемки и моделям: начислено по каталогу повреждений
+ * (extra_data.damage_amount) и взыскано платежами damage и damage_link.
+ */
+module.exports = {
+    name: 'damage',
+    title: 'Ущерб при возврате',
+    grouped: true,
+    columns: [
+        { key: 'period', title: 'Период', type: 'text' },
+        { key: 'model_name', title: 'Модель', type: 'text' },
+        { key: 'rentals', title: 'Аренд с ущербом', type: 'integer' },
+        { key: 'damage_total', title: 'Начислено, ₽', type: 'money' },
+        { key: 'collected', title: 'Взыскано, ₽', type: 'money' },
+        { key: 'outstanding', title: 'Не взыскано, ₽', type: 'money' }
+    ],
+    async build(supabaseAdmin, filters) {
+        const returns = (await loadTransitions(supabaseAdmin, filters, ['awaiting_return_signature']))
+            .filter(({ rental }) => Number(rental.extra_data?.damage_amount) > 0);
+
+        const payments = await fetchByIds(supabaseAdmin, 'payments',
+            'rental_id, purpose, status, amount, refunded_amount', returns.map(({ rental }) => rental.id), 'rental_id');
+        const collected = new Map();
+        for (const payment of payments) {
+            if (payment.status !== 'succeeded' || !['damage', 'damage_link'].includes(payment.purpose)) continue;
+            const net = (Number(payment.amount) || 0) - (Number(payment.refunded_amount) || 0);
+            collected.set(payment.rental_id, (collected.get(payment.rental_id) || 0) + net);
+        }
+
+        const groups = new Map();
+        for (const { rental, created_at: createdAt } of returns) {
+            const period = periodKey(createdAt, filters.groupBy);
+            const model = rental.bikes?.model_name || 'Без модели';
+            const key = `${period}\u0000${model}`;
+            const row = groups.get(key) || { period, model_name: model, rentals: 0, damage_total: 0, collected: 0 };
+            row.rentals += 1;
+            row.damage_total += Number(rental.extra_data.damage_amount);
+            row.collected += collected.get(rental.id) || 0;
+            groups.set(key, row);
+        }
+
+        return [...groups.values()]
+            .map((row) => ({
+                ...row,
+                damage_total: round(row.damage_total),
+                collected: round(row.collected),
+                outstanding: round(Math.max(row.damage_total - row.collected, 0))
+            }))
+            .sort((a, b) => a.period.localeCompare(b.period) || a.model_name.localeCompare(b.model_name, 'ru'));
+    }
+};
@@ -0,0 +1,59 @@
+const { selectAllPages } = require('../../supabase');
+const { loadRentalIntervals, round } = require('../data');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Загрузка парка: сколько часов периода каждый велосипед был в прокате
+ * (от подписания договора до приемки). Списанные велосипеды без аренд за период не показываются;
+ * с фильтром по городу — только велосипеды, которые брали клиенты из этого города.
+ */
+module.exports = {
+    name: 'fleet-utilisation',
+    title: 'Загрузка велосипедов',
+    grouped: false,
+    columns: [
+        { key: 'frame_number', title: 'Номер рамы', type: 'text' },
+        { key: 'model_name', title: 'Модель', type: 'text' },
+        { key: 'status', title: 'Текущий статус', type: 'text' },
+        { key: 'rentals', title: 'Аренд', type: 'integer' },
+        { key: 'rented_hours', title: 'В прокате, ч', type: 'number' },
+        { key: 'utilisation', title: 'Загрузка, %', type: 'percent' }
+    ],
+    async build(supabaseAdmin, { from, to, city }, now = new Date()) {
+        const periodEnd = Math.min(to.getTime(), now.getTime());
+        const periodHours = Math.max(periodEnd - from.getTime(), 0) / HOUR_MS;
+
+        const usage = new Map();
+        for (const { rental, start, end } of await loadRentalIntervals(supabaseAdmin, { from, to, city })) {
+            const overlap = Math.min((end || now).getTime(), periodEnd) - Math.max(start.getTime(), from.getTime());
+            if (overlap <= 0) continue;
+            const bike = usage.get(rental.bike_id) || { rentals: 0, ms: 0 };
+            bike.rentals += 1;
+            bike.ms += overlap;
+            usage.set(rental.bike_id, bike);
+        }
+
+        const { data: bikes, error } = await selectAllPages(() => supabaseAdmin
+            .from('bikes')
+            .select('id, frame_number, model_name, status')
+            .order('frame_number', { ascending: true })
+            .order('id', { ascending: true }));
+        if (error) throw new Error('Не удалось получить велосипеды для отчета: ' + error.message);
+
+        return bikes
+            .filter((bike) => usage.has(bike.id) || (!city && bike.status !== 'retired'))
+            .map((bike) => {
+                const { rentals, ms } = usage.get(bike.id) || { rentals: 0, ms: 0 };
+                const rentedHours = ms / HOUR_MS;
+                return {
+                    frame_number: bike.frame_number,
+                    model_name: bike.model_name,
+                    status: bike.status,
+                    rentals,
+                    rented_hours: round(rentedHours, 1),
+                    utilisation: periodHours > 0 ? round((rentedHours / periodHours) * 100, 1) : 0
+                };
+            });
+    }
+};
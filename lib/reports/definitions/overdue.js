@@ -0,0 +1,36 @@
+const { periodKey, loadTransitions } = require('../data');
+
+/**
+ * Просрочки по периодам: сколько раз аренды уходили в overdue и сколько из них просрочены до сих пор.
+ */
+module.exports = {
+    name: 'overdue',
+    title: 'Просроченные аренды',
+    grouped: true,
+    columns: [
+        { key: 'period', title: 'Период', type: 'text' },
+        { key: 'overdue_events', title: 'Переходов в просрочку', type: 'integer' },
+        { key: 'rentals', title: 'Аренд', type: 'integer' },
+        { key: 'still_overdue', title: 'Просрочены сейчас', type: 'integer' }
+    ],
+    async build(supabaseAdmin, filters) {
+        const groups = new Map();
+        for (const { rental, created_at: createdAt } of await loadTransitions(supabaseAdmin, filters, ['overdue'])) {
+            const period = periodKey(createdAt, filters.groupBy);
+            const group = groups.get(period) || { events: 0, rentals: new Set(), stillOverdue: new Set() };
+            group.events += 1;
+            group.rentals.add(rental.id);
+            if (rental.status === 'overdue') group.stillOverdue.add(rental.id);
+            groups.set(period, group);
+        }
+
+        return [...groups.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([period, group]) => ({
+                period,
+                overdue_events: group.events,
+                rentals: group.rentals.size,
+                still_overdue: group.stillOverdue.size
+            }));
+    }
+};
@@ -0,0 +1,42 @@
+const { DAY_MS, loadRentalIntervals, round } = require('../data');
+
+/**
+ * Средняя длительность аренды по тарифам: аренды, велосипед по которым принят в периоде.
+ * Длительность — от подписания договора до приемки велосипеда.
+ */
+module.exports = {
+    name: 'rental-length',
+    title: 'Средняя длительность аренды',
+    grouped: false,
+    columns: [
+        { key: 'tariff', title: 'Тариф', type: 'text' },
+        { key: 'rentals', title: 'Аренд', type: 'integer' },
+        { key: 'average_days', title: 'Среднее, дней', type: 'number' },
+        { key: 'min_days', title: 'Минимум, дней', type: 'number' },
+        { key: 'max_days', title: 'Максимум, дней', type: 'number' }
+    ],
+    async build(supabaseAdmin, { from, to, city }) {
+        const groups = new Map();
+        const all = [];
+        for (const { rental, start, end } of await loadRentalIntervals(supabaseAdmin, { from, to, city })) {
+            if (!end || end < from || end >= to) continue;
+            const days = (end - start) / DAY_MS;
+            const tariff = rental.tariffs?.title || 'Без тарифа';
+            groups.set(tariff, [...(groups.get(tariff) || []), days]);
+            all.push(days);
+        }
+
+        const summarise = (tariff, lengths) => ({
+            tariff,
+            rentals: lengths.length,
+            average_days: round(lengths.reduce((sum, days) => sum + days, 0) / lengths.length, 1),
+            min_days: round(Math.min(...lengths), 1),
+            max_days: round(Math.max(...lengths), 1)
+        });
+        const rows = [...groups.entries()]
+            .sort(([a], [b]) => a.localeCompare(b, 'ru'))
+            .map(([tariff, lengths]) => summarise(tariff, lengths));
+        if (all.length > 0) rows.push(summarise('Все тарифы', all));
+        return rows;
+    }
+};
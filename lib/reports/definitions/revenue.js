@@ -0,0 +1,48 @@
+const { selectAllPages } = require('../../supabase');
+const { periodKey, matchesCity, round } = require('../data');
+
+/**
+ * Выручка по периодам и тарифам: успешные платежи по дате оплаты за вычетом возвратов.
+ * Привязка карты (card_binding) выручкой не считается.
+ */
+module.exports = {
+    name: 'revenue',
+    title: 'Выручка по периодам и тарифам',
+    grouped: true,
+    columns: [
+        { key: 'period', title: 'Период', type: 'text' },
+        { key: 'tariff', title: 'Тариф', type: 'text' },
+        { key: 'payments', title: 'Платежей', type: 'integer' },
+        { key: 'gross', title: 'Поступило, ₽', type: 'money' },
+        { key: 'refunded', title: 'Возвращено, ₽', type: 'money' },
+        { key: 'net', title: 'Выручка, ₽', type: 'money' }
+    ],
+    async build(supabaseAdmin, { from, to, city, groupBy }) {
+        const { data, error } = await selectAllPages(() => supabaseAdmin
+            .from('payments')
+            .select('amount, refunded_amount, paid_at, purpose, clients ( city ), rentals ( tariffs ( title ) )')
+            .eq('status', 'succeeded')
+            .neq('purpose', 'card_binding')
+            .gte('paid_at', from.toISOString())
+            .lt('paid_at', to.toISOString())
+            .order('id', { ascending: true }));
+        if (error) throw new Error('Не удалось получить платежи для отчета: ' + error.message);
+
+        const groups = new Map();
+        for (const payment of data) {
+            if (!matchesCity(payment.clients, city)) continue;
+            const period = periodKey(payment.paid_at, groupBy);
+            const tariff = payment.rentals?.tariffs?.title || 'Без тарифа';
+            const key = `${period}\u0000${tariff}`;
+            const row = groups.get(key) || { period, tariff, payments: 0, gross: 0, refunded: 0, net: 0 };
+            row.payments += 1;
+            row.gross += Number(payment.amount) || 0;
+            row.refunded += Number(payment.refunded_amount) || 0;
+            groups.set(key, row);
+        }
+
+        return [...groups.values()]
+            .map((row) => ({ ...row, gross: round(row.gross), refunded: round(row.refunded), net: round(row.gross - row.refunded) }))
+            .sort((a, b) => a.period.localeCompare(b.period) || a.tariff.localeCompare(b.tariff, 'ru'));
+    }
+};
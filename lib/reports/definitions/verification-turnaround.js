@@ -0,0 +1,70 @@
+const { selectAllPages } = require('../../supabase');
+const { periodKey, fetchByIds, matchesCity, round } = require('../data');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Скорость проверки клиентов: время от подачи документов до решения оператора.
+ * Учитываются решения по заявкам в pending; отзыв одобрения сюда не входит.
+ * Подача — последняя повторная подача клиента до решения, а если ее не было,
+ * verification_submitted_at или дата регистрации клиента.
+ */
+module.exports = {
+    name: 'verification-turnaround',
+    title: 'Скорость верификации клиентов',
+    grouped: true,
+    columns: [
+        { key: 'period', title: 'Период', type: 'text' },
+        { key: 'decisions', title: 'Решений', type: 'integer' },
+        { key: 'approved', title: 'Одобрено', type: 'integer' },
+        { key: 'rejected', title: 'Отклонено', type: 'integer' },
+        { key: 'needs_more_info', title: 'Запрошены документы', type: 'integer' },
+        { key: 'average_hours', title: 'Среднее время, ч', type: 'number' },
+        { key: 'max_hours', title: 'Максимум, ч', type: 'number' }
+    ],
+    async build(supabaseAdmin, { from, to, city, groupBy }) {
+        const { data: decisions, error } = await selectAllPages(() => supabaseAdmin
+            .from('verification_events')
+            .select('user_id, to_status, created_at, clients ( city, created_at, verification_submitted_at )')
+            .eq('actor', 'operator')
+            .eq('from_status', 'pending')
+            .gte('created_at', from.toISOString())
+            .lt('created_at', to.toISOString())
+            .order('id', { ascending: true }));
+        if (error) throw new Error('Не удалось получить решения по верификации: ' + error.message);
+
+        const relevant = decisions.filter((decision) => matchesCity(decision.clients, city));
+        const submissions = (await fetchByIds(supabaseAdmin, 'verification_events',
+            'user_id, actor, created_at', relevant.map((decision) => decision.user_id), 'user_id'))
+            .filter((event) => event.actor === 'client');
+
+        const groups = new Map();
+        for (const decision of relevant) {
+            const decidedAt = new Date(decision.created_at);
+            const resubmissions = submissions
+                .filter((event) => event.user_id === decision.user_id && new Date(event.created_at) < decidedAt)
+                .map((event) => new Date(event.created_at));
+            const initial = [decision.clients?.verification_submitted_at, decision.clients?.created_at]
+                .filter(Boolean)
+                .map((value) => new Date(value))
+                .find((date) => date < decidedAt);
+            const submittedAt = resubmissions.length > 0 ? new Date(Math.max(...resubmissions)) : initial;
+
+            const period = periodKey(decidedAt, groupBy);
+            const group = groups.get(period) || { decisions: 0, approved: 0, rejected: 0, needs_more_info: 0, hours: [] };
+            group.decisions += 1;
+            group[decision.to_status] += 1;
+            if (submittedAt) group.hours.push((decidedAt - submittedAt) / HOUR_MS);
+            groups.set(period, group);
+        }
+
+        return [...groups.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([period, { hours, ...counts }]) => ({
+                period,
+                ...counts,
+                average_hours: hours.length ? round(hours.reduce((sum, value) => sum + value, 0) / hours.length, 1) : null,
+                max_hours: hours.length ? round(Math.max(...hours), 1) : null
+            }));
+    }
+};
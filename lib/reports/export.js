@@ -0,0 +1,64 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * Выгрузка отчетов в CSV и XLSX. Колонки отчета описываются как
+ * { key, title, type }, где type — text | integer | number | money | percent.
+ */
+
+const XLSX_NUMBER_FORMATS = {
+    integer: '0',
+    number: '0.0',
+    money: '#,##0.00',
+    percent: '0.0'
+};
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV по RFC 4180: разделитель — запятая, десятичная точка, строки через CRLF.
+ * BOM в начале нужен, чтобы Excel открыл кириллицу в UTF-8.
+ */
+function toCsv(columns, rows) {
+    const lines = [
+        columns.map((column) => csvCell(column.title)).join(','),
+        ...rows.map((row) => columns.map((column) => csvCell(row[column.key])).join(','))
+    ];
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Книга XLSX: лист с данными (закрепленная шапка, числовые форматы)
+ * и лист «Параметры» с фильтрами, по которым построен отчет.
+ * @param {{ title: string, columns: object[], rows: object[], parameters: Array<[string, string]> }} report
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx({ title, columns, rows, parameters }) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'BikePark54';
+    workbook.created = new Date();
+
+    // Имя листа в Excel — не длиннее 31 символа и без []:*?/\
+    const sheet = workbook.addWorksheet(title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31), {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = columns.map((column) => ({
+        header: column.title,
+        key: column.key,
+        width: Math.max(column.title.length + 2, column.type === 'text' ? 20 : 12),
+        style: XLSX_NUMBER_FORMATS[column.type] ? { numFmt: XLSX_NUMBER_FORMATS[column.type] } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows);
+
+    const parametersSheet = workbook.addWorksheet('Параметры');
+    parametersSheet.columns = [{ width: 24 }, { width: 40 }];
+    parametersSheet.addRows(parameters);
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = { toCsv, toXlsx };
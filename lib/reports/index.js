@@ -0,0 +1,165 @@
+const { createSupabaseAdmin } = require('../supabase');
+const { REPORT_TIMEZONE, DAY_MS, zonedMidnight, localDay } = require('./data');
+const { toCsv, toXlsx } = require('./export');
+
+/**
+ * Отчеты для операторов. Каждый отчет описан в definitions/ как
+ * { name, title, grouped, columns, build(supabaseAdmin, filters) } и строится
+ * по фильтрам периода и города; результат отдается как JSON, CSV или XLSX.
+ * Периоды и дни считаются в часовом поясе парка (REPORT_TIMEZONE).
+ */
+
+const REPORT_DEFINITIONS = [
+    require('./definitions/revenue'),
+    require('./definitions/fleet-utilisation'),
+    require('./definitions/rental-length'),
+    require('./definitions/overdue'),
+    require('./definitions/damage'),
+    require('./definitions/verification-turnaround')
+];
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const REPORT_FORMATS = ['json', 'csv', 'xlsx'];
+const REPORT_GROUP_BY = ['day', 'week', 'month'];
+const REPORT_DEFAULT_DAYS = 30;
+const REPORT_MAX_DAYS = 366;
+
+const GROUP_BY_TITLES = { day: 'по дням', week: 'по неделям', month: 'по месяцам' };
+
+class ReportError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'ReportError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function nextDay(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date + 1)).toISOString().slice(0, 10);
+}
+
+// Дата без времени — начало дня по времени парка; для конца периода день включается целиком
+function parseBound(value, name, isEnd) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return zonedMidnight(isEnd ? nextDay(value) : value);
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ReportError(`${name} должен быть датой (YYYY-MM-DD) или датой со временем.`, 'invalid_period');
+    }
+    return date;
+}
+
+/**
+ * Разбирает фильтры отчета. По умолчанию — последние 30 дней до текущего момента.
+ * @returns {{ from: Date, to: Date, city: string|null, groupBy: string }}
+ */
+function parseReportFilters({ from, to, city, group_by: groupBy = 'day' }, now = new Date()) {
+    if (!REPORT_GROUP_BY.includes(groupBy)) {
+        throw new ReportError(`group_by должен быть одним из: ${REPORT_GROUP_BY.join(', ')}.`, 'invalid_group_by');
+    }
+    const end = to ? parseBound(to, 'to', true) : now;
+    const start = from ? parseBound(from, 'from', false) : new Date(end.getTime() - REPORT_DEFAULT_DAYS * DAY_MS);
+    if (start >= end) {
+        throw new ReportError('Начало периода должно быть раньше конца.', 'invalid_period');
+    }
+    if (end - start > REPORT_MAX_DAYS * DAY_MS) {
+        throw new ReportError(`Период отчета не может быть длиннее ${REPORT_MAX_DAYS} дней.`, 'period_too_long');
+    }
+    return { from: start, to: end, city: city?.trim() || null, groupBy };
+}
+
+function reportParameters(report, filters) {
+    return [
+        ['Отчет', report.title],
+        ['Период с', filters.from.toISOString()],
+        ['Период по', filters.to.toISOString()],
+        ['Город', filters.city || 'все'],
+        ...(report.grouped ? [['Группировка', GROUP_BY_TITLES[filters.groupBy]]] : []),
+        ['Часовой пояс', REPORT_TIMEZONE],
+        ['Сформирован', new Date().toISOString()]
+    ];
+}
+
+/**
+ * Строит отчет по имени из REPORT_DEFINITIONS.
+ * @returns {Promise<{ report: string, title: string, filters: object, columns: object[], rows: object[] }>}
+ */
+async function buildReport(supabaseAdmin, name, filters) {
+    const report = REPORT_DEFINITIONS.find((definition) => definition.name === name);
+    if (!report) throw new Error(`Unknown report: ${name}`);
+    const rows = await report.build(supabaseAdmin, filters);
+    return {
+        report: report.name,
+        title: report.title,
+        filters: {
+            from: filters.from.toISOString(),
+            to: filters.to.toISOString(),
+            city: filters.city,
+            ...(report.grouped ? { group_by: filters.groupBy } : {})
+        },
+        columns: report.columns.map(({ key, title, type }) => ({ key, title, type })),
+        rows
+    };
+}
+
+/**
+ * Admin-обработчик отчета name. format=csv|xlsx возвращает файл
+ * { filename, contentType, content }; XLSX передается в base64 (encoding: 'base64').
+ */
+function createReportHandler(name) {
+    const report = REPORT_DEFINITIONS.find((definition) => definition.name === name);
+    if (!report) throw new Error(`Unknown report: ${name}`);
+
+    return async function handleGetReport({ format = 'json', ...params }) {
+        let filters;
+        try {
+            if (!REPORT_FORMATS.includes(format)) {
+                throw new ReportError(`format должен быть одним из: ${REPORT_FORMATS.join(', ')}.`, 'invalid_format');
+            }
+            filters = parseReportFilters(params);
+        } catch (error) {
+            if (error instanceof ReportError) {
+                return { status: error.status, body: { error: error.message, code: error.code } };
+            }
+            throw error;
+        }
+
+        const result = await buildReport(createSupabaseAdmin(), name, filters);
+        if (format === 'json') {
+            return { status: 200, body: result };
+        }
+
+        const lastDay = localDay(new Date(filters.to.getTime() - 1));
+        const filename = `report-${name}-${localDay(filters.from)}_${lastDay}.${format}`;
+        if (format === 'csv') {
+            return {
+                status: 200,
+                body: { filename, contentType: 'text/csv; charset=utf-8', content: toCsv(report.columns, result.rows) }
+            };
+        }
+        const workbook = await toXlsx({
+            title: report.title,
+            columns: report.columns,
+            rows: result.rows,
+            parameters: reportParameters(report, filters)
+        });
+        return {
+            status: 200,
+            body: { filename, contentType: XLSX_CONTENT_TYPE, encoding: 'base64', content: workbook.toString('base64') }
+        };
+    };
+}
+
+module.exports = {
+    REPORT_DEFINITIONS,
+    REPORT_FORMATS,
+    REPORT_GROUP_BY,
+    XLSX_CONTENT_TYPE,
+    ReportError,
+    parseReportFilters,
+    buildReport,
+    createReportHandler
+};
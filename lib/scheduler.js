@@ -0,0 +1,240 @@
+const os = require('os');
+const crypto = require('crypto');
+const { createSupabaseAdmin } = require('./supabase');
+
+/**
+ * Встроенный планировщик фоновых задач. Состояние задач хранится в таблице
+ * scheduled_jobs: время следующего запуска и блокировка с истечением. Задачу
+ * выполняет тот экземпляр сервера, который первым захватил блокировку, поэтому
+ * перезапуск или несколько экземпляров не приводят к двойному запуску.
+ */
+
+const TICK_MS = Number(process.env.SCHEDULER_TICK_MS || 60 * 1000);
+// Блокировка снимается сама, если экземпляр упал посреди задачи
+const LOCK_TTL_MS = Number(process.env.SCHEDULER_LOCK_TTL_MS || 10 * 60 * 1000);
+const EPOCH = new Date(0).toISOString();
+
+// Идентификатор экземпляра сервера в locked_by
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// Имя задачи -> { intervalMs, run(supabaseAdmin, now) }
+const jobs = new Map();
+
+let timer = null;
+let tickInProgress = null;
+
+class JobLockedError extends Error {
+    constructor(name) {
+        super(`Job "${name}" is already running.`);
+        this.name = 'JobLockedError';
+        this.code = 'job_locked';
+        this.status = 409;
+    }
+}
+
+/**
+ * Регистрирует задачу. run получает клиента Supabase и время запуска
+ * и возвращает краткий итог, который сохраняется в scheduled_jobs.last_result.
+ */
+function defineJob(name, { intervalMs, run }) {
+    if (jobs.has(name)) {
+        throw new Error(`Job "${name}" is already defined.`);
+    }
+    jobs.set(name, { intervalMs, run });
+}
+
+function listJobNames() {
+    return [...jobs.keys()];
+}
+
+async function ensureJobRow(supabaseAdmin, name) {
+    const { data, error } = await supabaseAdmin
+        .from('scheduled_jobs')
+        .select('name')
+        .eq('name', name)
+        .maybeSingle();
+    if (error) {
+        throw new Error('Failed to fetch job state: ' + error.message);
+    }
+    if (data) return;
+
+    const { error: insertError } = await supabaseAdmin
+        .from('scheduled_jobs')
+        .insert({ name, next_run_at: EPOCH, locked_until: EPOCH });
+    // 23505 — строку уже создал другой экземпляр
+    if (insertError && insertError.code !== '23505') {
+        throw new Error('Failed to create job state: ' + insertError.message);
+    }
+}
+
+/**
+ * Захватывает блокировку задачи. Без force задача захватывается только
+ * если подошло время следующего запуска.
+ * @returns {Promise<boolean>}
+ */
+async function acquireLock(supabaseAdmin, name, now, force) {
+    let query = supabaseAdmin
+        .from('scheduled_jobs')
+        .update({
+            locked_until: new Date(now.getTime() + LOCK_TTL_MS).toISOString(),
+            locked_by: INSTANCE_ID,
+            last_started_at: now.toISOString()
+        })
+        .eq('name', name)
+        .lte('locked_until', now.toISOString());
+    if (!force) query = query.lte('next_run_at', now.toISOString());
+
+    const { data, error } = await query.select('name');
+    if (error) {
+        throw new Error('Failed to lock job: ' + error.message);
+    }
+    return Boolean(data && data.length);
+}
+
+async function releaseLock(supabaseAdmin, name, job, { startedAt, status, result, error, triggeredBy }) {
+    const finishedAt = new Date();
+    const { error: updateError } = await supabaseAdmin
+        .from('scheduled_jobs')
+        .update({
+            locked_until: EPOCH,
+            locked_by: null,
+            next_run_at: new Date(startedAt.getTime() + job.intervalMs).toISOString(),
+            last_finished_at: finishedAt.toISOString(),
+            last_status: status,
+            last_result: result || null,
+            last_error: error || null,
+            last_triggered_by: triggeredBy
+        })
+        .eq('name', name)
+        .eq('locked_by', INSTANCE_ID);
+    if (updateError) {
+        console.error(`Failed to release job ${name}:`, updateError.message);
+    }
+}
+
+/**
+ * Запускает задачу, если удалось захватить ее блокировку.
+ * @param {string} name
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Запустить, не дожидаясь next_run_at (ручной запуск).
+ * @param {string} [options.triggeredBy] - scheduler или ID оператора.
+ * @returns {Promise<{ ran: boolean, status?: string, result?: object, error?: string }>}
+ */
+async function runJob(name, { force = false, triggeredBy = 'scheduler', supabaseAdmin = createSupabaseAdmin() } = {}) {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+    }
+
+    const startedAt = new Date();
+    await ensureJobRow(supabaseAdmin, name);
+    if (!(await acquireLock(supabaseAdmin, name, startedAt, force))) {
+        if (force) throw new JobLockedError(name);
+        return { ran: false };
+    }
+
+    try {
+        const result = await job.run(supabaseAdmin, startedAt);
+        await releaseLock(supabaseAdmin, name, job, { startedAt, status: 'succeeded', result, triggeredBy });
+        return { ran: true, status: 'succeeded', result };
+    } catch (error) {
+        console.error(`Job ${name} failed:`, error);
+        await releaseLock(supabaseAdmin, name, job, { startedAt, status: 'failed', error: error.message, triggeredBy });
+        return { ran: true, status: 'failed', error: error.message };
+    }
+}
+
+async function tick() {
+    const supabaseAdmin = createSupabaseAdmin();
+    for (const name of jobs.keys()) {
+        try {
+            await runJob(name, { supabaseAdmin });
+        } catch (error) {
+            console.error(`Scheduler could not run job ${name}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Запускает периодическую проверку задач. Отключается через SCHEDULER_ENABLED=false.
+ */
+function startScheduler() {
+    if (timer || process.env.SCHEDULER_ENABLED === 'false') return;
+    const runTick = () => {
+        if (tickInProgress) return;
+        tickInProgress = tick().finally(() => { tickInProgress = null; });
+    };
+    timer = setInterval(runTick, TICK_MS);
+    timer.unref();
+    runTick();
+}
+
+/**
+ * Останавливает планировщик и дожидается текущего прохода.
+ */
+async function stopScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    if (tickInProgress) await tickInProgress;
+}
+
+/**
+ * Состояние всех зарегистрированных задач для админки.
+ */
+async function getJobStates(supabaseAdmin) {
+    const { data, error } = await supabaseAdmin
+        .from('scheduled_jobs')
+        .select('*')
+        .in('name', listJobNames());
+    if (error) {
+        throw new Error('Failed to fetch job states: ' + error.message);
+    }
+    const byName = new Map((data || []).map((row) => [row.name, row]));
+    return listJobNames().map((name) => ({
+        name,
+        interval_ms: jobs.get(name).intervalMs,
+        ...(byName.get(name) || {})
+    }));
+}
+
+/**
+ * Admin-действие run-job: ручной запуск задачи.
+ */
+async function handleRunJob({ job }, { operator }) {
+    if (!job) {
+        return { status: 400, body: { error: 'job обязателен.', jobs: listJobNames() } };
+    }
+    if (!jobs.has(job)) {
+        return { status: 404, body: { error: `Задача ${job} не найдена.`, jobs: listJobNames() } };
+    }
+    try {
+        const outcome = await runJob(job, { force: true, triggeredBy: `operator:${operator.id}` });
+        return { status: outcome.status === 'failed' ? 500 : 200, body: { job, ...outcome } };
+    } catch (error) {
+        if (error instanceof JobLockedError) {
+            return { status: error.status, body: { error: 'Задача уже выполняется.', code: error.code } };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Admin-действие get-jobs: список задач и их последние запуски.
+ */
+async function handleGetJobs() {
+    const jobStates = await getJobStates(createSupabaseAdmin());
+    return { status: 200, body: { jobs: jobStates } };
+}
+
+module.exports = {
+    JobLockedError,
+    defineJob,
+    listJobNames,
+    runJob,
+    startScheduler,
+    stopScheduler,
+    handleRunJob,
+    handleGetJobs
+};
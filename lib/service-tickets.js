@@ -0,0 +1,317 @@
+const { createSupabaseAdmin } = require('./supabase');
+
+/**
+ * Заявки на ремонт велосипедов. Заявка открывается, когда велосипед уходит
+ * в сервис (in_service), и проходит статусы opened -> diagnosing -> waiting_parts -> done.
+ * Закрытие заявки возвращает велосипед в available. На велосипед может быть
+ * только одна незакрытая заявка.
+ */
+
+// Текущий статус -> допустимые следующие
+const SERVICE_TICKET_TRANSITIONS = {
+    opened: ['diagnosing', 'waiting_parts', 'done'],
+    diagnosing: ['waiting_parts', 'done'],
+    waiting_parts: ['diagnosing', 'done'],
+    done: []
+};
+const OPEN_TICKET_STATUSES = ['opened', 'diagnosing', 'waiting_parts'];
+
+const TICKET_SELECT = '*, bikes ( model_name, frame_number ), service_ticket_parts ( id, name, quantity, unit_cost, created_at )';
+
+function partsCost(parts) {
+    return (parts || []).reduce((sum, part) => sum + Number(part.quantity) * Number(part.unit_cost), 0);
+}
+
+function withTotals(ticket) {
+    return { ...ticket, parts_cost: Number(partsCost(ticket.service_ticket_parts).toFixed(2)) };
+}
+
+async function fetchTicket(supabaseAdmin, ticketId) {
+    const { data, error } = await supabaseAdmin
+        .from('service_tickets')
+        .select(TICKET_SELECT)
+        .eq('id', ticketId)
+        .maybeSingle();
+    if (error) {
+        throw new Error('Не удалось получить заявку на ремонт: ' + error.message);
+    }
+    return data;
+}
+
+/**
+ * Незакрытая заявка на ремонт велосипеда или null.
+ */
+async function getOpenServiceTicket(supabaseAdmin, bikeId) {
+    const { data, error } = await supabaseAdmin
+        .from('service_tickets')
+        .select('*')
+        .eq('bike_id', bikeId)
+        .in('status', OPEN_TICKET_STATUSES)
+        .maybeSingle();
+    if (error) {
+        throw new Error('Failed to fetch open service ticket: ' + error.message);
+    }
+    return data;
+}
+
+/**
+ * Открывает заявку на ремонт велосипеда. Если незакрытая заявка уже есть,
+ * возвращает ее, дописывая причину.
+ * @param {object} supabaseAdmin
+ * @param {object} params
+ * @param {string} params.bikeId
+ * @param {string} params.reason - Причина отправки в сервис.
+ * @param {string} [params.rentalId] - Аренда, после которой велосипед ушел в ремонт.
+ * @param {string} [params.openedBy] - ID оператора.
+ * @returns {Promise<object>} Заявка.
+ */
+async function openServiceTicket(supabaseAdmin, { bikeId, reason, rentalId = null, openedBy = null }) {
+    const { data, error } = await supabaseAdmin
+        .from('service_tickets')
+        .insert({
+            bike_id: bikeId,
+            rental_id: rentalId,
+            reason,
+            status: 'opened',
+            opened_by: openedBy
+        })
+        .select('*')
+        .single();
+    if (!error) return data;
+    // 23505 — по велосипеду уже есть незакрытая заявка
+    if (error.code !== '23505') {
+        throw new Error('Failed to open service ticket: ' + error.message);
+    }
+
+    const existing = await getOpenServiceTicket(supabaseAdmin, bikeId);
+    if (!existing || !reason || existing.reason === reason) return existing;
+    const { data: updated, error: updateError } = await supabaseAdmin
+        .from('service_tickets')
+        .update({
+            reason: existing.reason ? `${existing.reason}\n${reason}` : reason,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', existing.id)
+        .select('*')
+        .single();
+    if (updateError) {
+        throw new Error('Failed to update service ticket: ' + updateError.message);
+    }
+    return updated;
+}
+
+/**
+ * Закрывает незакрытую заявку списанного велосипеда: ремонт больше не нужен.
+ */
+async function closeServiceTicketsForRetiredBike(supabaseAdmin, bikeId) {
+    const now = new Date().toISOString();
+    const { error } = await supabaseAdmin
+        .from('service_tickets')
+        .update({ status: 'done', closed_at: now, updated_at: now, diagnosis: 'Велосипед списан' })
+        .eq('bike_id', bikeId)
+        .in('status', OPEN_TICKET_STATUSES);
+    if (error) {
+        throw new Error('Не удалось закрыть заявки на ремонт: ' + error.message);
+    }
+}
+
+async function releaseBike(supabaseAdmin, bikeId) {
+    const { error } = await supabaseAdmin
+        .from('bikes')
+        .update({ status: 'available', service_reason: null })
+        .eq('id', bikeId)
+        .eq('status', 'in_service');
+    if (error) {
+        throw new Error('Не удалось вернуть велосипед в парк: ' + error.message);
+    }
+}
+
+/**
+ * Admin-действие open-service-ticket: отправляет велосипед в сервис и открывает заявку.
+ */
+async function handleOpenServiceTicket({ bike_id, reason, mechanic_id }, { operator }) {
+    if (!bike_id || !reason) {
+        return { status: 400, body: { error: 'bike_id и reason обязательны.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: bike, error } = await supabaseAdmin
+        .from('bikes')
+        .update({ status: 'in_service', service_reason: reason })
+        .eq('id', bike_id)
+        .in('status', ['available', 'in_service'])
+        .select('id')
+        .maybeSingle();
+    if (error) {
+        throw new Error('Не удалось отправить велосипед в сервис: ' + error.message);
+    }
+    if (!bike) {
+        return { status: 409, body: { error: 'Велосипед не найден, в аренде или списан.' } };
+    }
+
+    const ticket = await openServiceTicket(supabaseAdmin, { bikeId: bike_id, reason, openedBy: operator.id });
+    if (mechanic_id && !ticket.mechanic_id) {
+        return handleUpdateServiceTicket({ ticket_id: ticket.id, mechanic_id });
+    }
+    return { status: 200, body: { ticket: withTotals(await fetchTicket(supabaseAdmin, ticket.id)) } };
+}
+
+/**
+ * Admin-действие update-service-ticket: смена статуса, механика, диагноза
+ * и учет затраченного времени (add_minutes).
+ */
+async function handleUpdateServiceTicket({ ticket_id, status, mechanic_id, diagnosis, add_minutes }) {
+    if (!ticket_id) {
+        return { status: 400, body: { error: 'ticket_id обязателен.' } };
+    }
+    const minutes = add_minutes === undefined ? 0 : Number(add_minutes);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+        return { status: 400, body: { error: 'add_minutes должно быть неотрицательным целым числом.' } };
+    }
+
+    const supabaseAdmin = createSupabaseAdmin();
+    const ticket = await fetchTicket(supabaseAdmin, ticket_id);
+    if (!ticket) {
+        return { status: 404, body: { error: 'Заявка не найдена.' } };
+    }
+    if (ticket.status === 'done') {
+        return { status: 409, body: { error: 'Заявка уже закрыта.' } };
+    }
+    if (status && status !== ticket.status && !SERVICE_TICKET_TRANSITIONS[ticket.status].includes(status)) {
+        return { status: 409, body: { error: `Недопустимый переход заявки: ${ticket.status} -> ${status}.` } };
+    }
+
+    if (mechanic_id) {
+        const { data: mechanic, error } = await supabaseAdmin
+            .from('operators')
+            .select('id, role, active')
+            .eq('id', mechanic_id)
+            .maybeSingle();
+        if (error) throw new Error('Не удалось получить механика: ' + error.message);
+        if (!mechanic || !mechanic.active || mechanic.role !== 'mechanic') {
+            return { status: 400, body: { error: 'mechanic_id должен указывать на активного механика.' } };
+        }
+    }
+
+    const now = new Date().toISOString();
+    const patch = { updated_at: now, minutes_spent: ticket.minutes_spent + minutes };
+    if (status) patch.status = status;
+    if (mechanic_id) patch.mechanic_id = mechanic_id;
+    if (diagnosis !== undefined) patch.diagnosis = diagnosis;
+    if (status === 'done') patch.closed_at = now;
+
+    // Условное обновление: заявку могли изменить параллельно
+    const { data: updated, error } = await supabaseAdmin
+        .from('service_tickets')
+        .update(patch)
+        .eq('id', ticket_id)
+        .eq('updated_at', ticket.updated_at)
+        .select('id')
+        .maybeSingle();
+    if (error) {
+        throw new Error('Не удалось обновить заявку: ' + error.message);
+    }
+    if (!updated) {
+        return { status: 409, body: { error: 'Заявка была изменена, повторите запрос.' } };
+    }
+
+    if (status === 'done') {
+        await releaseBike(supabaseAdmin, ticket.bike_id);
+    }
+    return { status: 200, body: { ticket: withTotals(await fetchTicket(supabaseAdmin, ticket_id)) } };
+}
+
+/**
+ * Admin-действие add-service-ticket-part: запчасть, использованная в ремонте.
+ */
+async function handleAddServiceTicketPart({ ticket_id, name, quantity = 1, unit_cost }) {
+    const count = Number(quantity);
+    const cost = Number(unit_cost);
+    if (!ticket_id || !name || !Number.isInteger(count) || count <= 0 || !Number.isFinite(cost) || cost < 0) {
+        return { status: 400, body: { error: 'ticket_id, name, положительное quantity и unit_cost обязательны.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const ticket = await fetchTicket(supabaseAdmin, ticket_id);
+    if (!ticket) {
+        return { status: 404, body: { error: 'Заявка не найдена.' } };
+    }
+    if (ticket.status === 'done') {
+        return { status: 409, body: { error: 'Заявка уже закрыта.' } };
+    }
+
+    const { error } = await supabaseAdmin
+        .from('service_ticket_parts')
+        .insert({ ticket_id, name, quantity: count, unit_cost: cost });
+    if (error) {
+        throw new Error('Не удалось добавить запчасть: ' + error.message);
+    }
+    return { status: 200, body: { ticket: withTotals(await fetchTicket(supabaseAdmin, ticket_id)) } };
+}
+
+/**
+ * Admin-действие get-service-tickets.
+ */
+async function handleGetServiceTickets({ status, bike_id, mechanic_id }) {
+    let query = createSupabaseAdmin().from('service_tickets').select(TICKET_SELECT);
+    if (status === 'open') query = query.in('status', OPEN_TICKET_STATUSES);
+    else if (status) query = query.eq('status', status);
+    if (bike_id) query = query.eq('bike_id', bike_id);
+    if (mechanic_id) query = query.eq('mechanic_id', mechanic_id);
+
+    const { data, error } = await query.order('created_at', { ascending: false }).limit(500);
+    if (error) {
+        throw new Error('Не удалось получить заявки на ремонт: ' + error.message);
+    }
+    return { status: 200, body: { tickets: (data || []).map(withTotals) } };
+}
+
+/**
+ * Admin-действие get-repair-history: ремонты велосипеда или модели и сводка
+ * по моделям (сколько ремонтов на велосипед, стоимость запчастей, время).
+ */
+async function handleGetRepairHistory({ bike_id, model_name }) {
+    const supabaseAdmin = createSupabaseAdmin();
+    let query = supabaseAdmin.from('service_tickets').select(TICKET_SELECT);
+    if (bike_id) query = query.eq('bike_id', bike_id);
+    if (model_name) {
+        const { data: bikes, error } = await supabaseAdmin.from('bikes').select('id').eq('model_name', model_name);
+        if (error) throw new Error('Не удалось получить велосипеды модели: ' + error.message);
+        query = query.in('bike_id', (bikes || []).map((bike) => bike.id));
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+    if (error) {
+        throw new Error('Не удалось получить историю ремонтов: ' + error.message);
+    }
+    const tickets = (data || []).map(withTotals);
+
+    const models = new Map();
+    for (const ticket of tickets) {
+        const name = ticket.bikes?.model_name || 'N/A';
+        const summary = models.get(name) || { model_name: name, bikes: new Set(), tickets: 0, parts_cost: 0, minutes_spent: 0 };
+        summary.bikes.add(ticket.bike_id);
+        summary.tickets += 1;
+        summary.parts_cost += ticket.parts_cost;
+        summary.minutes_spent += ticket.minutes_spent;
+        models.set(name, summary);
+    }
+    const byModel = [...models.values()].map(({ bikes, ...summary }) => ({
+        ...summary,
+        bikes: bikes.size,
+        parts_cost: Number(summary.parts_cost.toFixed(2)),
+        tickets_per_bike: Number((summary.tickets / bikes.size).toFixed(2))
+    }));
+
+    return { status: 200, body: { tickets, byModel } };
+}
+
+module.exports = {
+    SERVICE_TICKET_TRANSITIONS,
+    getOpenServiceTicket,
+    openServiceTicket,
+    closeServiceTicketsForRetiredBike,
+    handleOpenServiceTicket,
+    handleUpdateServiceTicket,
+    handleAddServiceTicketPart,
+    handleGetServiceTickets,
+    handleGetRepairHistory
+};
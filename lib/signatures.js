@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { escapeHtml } = require('./documents/html');
+
+/**
+ * Метаданные подписания документов: хэш итогового PDF, время, IP и
+ * User-Agent подписанта, Telegram ID и версия шаблона. По ним документ
+ * проверяется через публичный маршрут /api/documents/verify.
+ */
+
+// ID документа — UUID из createDocumentId(); остальное отсекаем до запроса к колонке uuid
+const DOCUMENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function createDocumentId() {
+    return crypto.randomUUID();
+}
+
+function buildVerificationUrl(documentId) {
+    const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+    return `${baseUrl}/verify?id=${encodeURIComponent(documentId)}`;
+}
+
+/**
+ * Параметры page.pdf() с колонтитулом: ID документа, время подписания и QR-код на страницу проверки.
+ * @returns {Promise<object>}
+ */
+async function buildSignatureFooter(documentId, signedAt) {
+    const qrDataUrl = await QRCode.toDataURL(buildVerificationUrl(documentId), { margin: 0, width: 120 });
+    const footerTemplate = `
+        <div style="width: 100%; margin: 0 12mm; display: flex; align-items: center; justify-content: space-between; font-family: 'DejaVu Sans', sans-serif; font-size: 7px; color: #555;">
+            <div>
+                Документ подписан простой электронной подписью ${escapeHtml(signedAt.toLocaleString('ru-RU', { timeZone: 'UTC' }))} UTC<br>
+                ID документа: ${escapeHtml(documentId)}<br>
+                Проверка подлинности: ${escapeHtml(buildVerificationUrl(documentId))}<br>
+                Стр. <span class="pageNumber"></span> из <span class="totalPages"></span>
+            </div>
+            <img src="${qrDataUrl}" style="width: 14mm; height: 14mm;"/>
+        </div>
+    `;
+    return {
+        displayHeaderFooter: true,
+        headerTemplate: '<div></div>',
+        footerTemplate,
+        margin: { top: '12mm', bottom: '24mm', left: '12mm', right: '12mm' }
+    };
+}
+
+/**
+ * Сохраняет запись о подписании документа.
+ * @param {object} supabaseAdmin
+ * @param {object} params
+ * @param {string} params.documentId - ID, напечатанный в колонтитуле PDF.
+ * @param {string} params.documentType - handover_act | contract_package | return_act.
+ * @param {string} params.rentalId
+ * @param {string} params.userId
+ * @param {Buffer} params.pdfBuffer - Итоговый PDF, от которого считается хэш.
+ * @param {Date} params.signedAt
+ * @param {object} params.signer - { ip, userAgent, telegramUserId }.
+ * @param {string} params.templateVersion - Версия шаблона (или нескольких через запятую).
+ * @param {string} params.storagePath - Путь к файлу в хранилище.
+ */
+async function recordSignature(supabaseAdmin, { documentId, documentType, rentalId, userId, pdfBuffer, signedAt, signer, templateVersion, storagePath }) {
+    const { error } = await supabaseAdmin
+        .from('signatures')
+        .insert({
+            document_id: documentId,
+            document_type: documentType,
+            rental_id: rentalId,
+            user_id: userId,
+            sha256: sha256(pdfBuffer),
+            signed_at: signedAt.toISOString(),
+            signer_ip: signer?.ip || null,
+            signer_user_agent: signer?.userAgent || null,
+            telegram_user_id: signer?.telegramUserId || null,
+            template_version: templateVersion,
+            storage_path: storagePath
+        });
+
+    if (error) {
+        throw new Error('Failed to record signature: ' + error.message);
+    }
+}
+
+// Наружу отдаем только то, что нужно для проверки, без персональных данных
+function toPublicRecord(signature) {
+    return {
+        document_id: signature.document_id,
+        document_type: signature.document_type,
+        rental_id: signature.rental_id,
+        signed_at: signature.signed_at,
+        template_version: signature.template_version,
+        sha256: signature.sha256
+    };
+}
+
+/**
+ * Проверяет документ по ID и/или по содержимому PDF.
+ * @param {object} supabaseAdmin
+ * @param {object} params
+ * @param {string} [params.documentId]
+ * @param {Buffer} [params.pdfBuffer]
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function verifyDocument(supabaseAdmin, { documentId, pdfBuffer }) {
+    if (!documentId && !pdfBuffer) {
+        return { status: 400, body: { error: 'documentId or PDF file is required.' } };
+    }
+    if (documentId && (typeof documentId !== 'string' || !DOCUMENT_ID_PATTERN.test(documentId))) {
+        return { status: 400, body: { error: 'documentId must be a UUID.' } };
+    }
+
+    let query = supabaseAdmin.from('signatures').select('*');
+    if (documentId) {
+        query = query.eq('document_id', documentId);
+    } else {
+        query = query.eq('sha256', sha256(pdfBuffer));
+    }
+
+    const { data: signature, error } = await query.maybeSingle();
+    if (error) {
+        throw new Error('Failed to look up signature: ' + error.message);
+    }
+    if (!signature) {
+        return { status: 200, body: { found: false, valid: false } };
+    }
+
+    // Если прислали файл — сверяем хэш; если только ID — подтверждаем, что такой документ подписывался
+    const valid = pdfBuffer ? sha256(pdfBuffer) === signature.sha256 : true;
+    return {
+        status: 200,
+        body: {
+            found: true,
+            valid,
+            matched_by: pdfBuffer ? 'content' : 'id',
+            document: toPublicRecord(signature)
+        }
+    };
+}
+
+module.exports = {
+    sha256,
+    createDocumentId,
+    buildSignatureFooter,
+    recordSignature,
+    verifyDocument
+};
@@ -0,0 +1,26 @@
+/**
+ * Доступ к велосипедам (таблица bikes). Реестр парка и аккумуляторов — lib/fleet.js.
+ * @param {object} db - Клиент Supabase или встроенный бэкенд.
+ */
+function createBikeRepository(db) {
+    return {
+        async findById(id, columns = '*') {
+            const { data, error } = await db.from('bikes').select(columns).eq('id', id).maybeSingle();
+            if (error) throw new Error('Failed to fetch bike: ' + error.message);
+            return data;
+        },
+
+        async create(fields) {
+            const { data, error } = await db.from('bikes').insert(fields).select('*').single();
+            if (error) throw new Error('Failed to create bike: ' + error.message);
+            return data;
+        },
+
+        async update(id, patch) {
+            const { error } = await db.from('bikes').update(patch).eq('id', id);
+            if (error) throw new Error('Failed to update bike: ' + error.message);
+        }
+    };
+}
+
+module.exports = { createBikeRepository };
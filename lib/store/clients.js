@@ -0,0 +1,32 @@
+/**
+ * Доступ к клиентам (таблица clients).
+ * @param {object} db - Клиент Supabase или встроенный бэкенд.
+ */
+function createClientRepository(db) {
+    return {
+        async findById(id, columns = '*') {
+            const { data, error } = await db.from('clients').select(columns).eq('id', id).maybeSingle();
+            if (error) throw new Error('Failed to fetch client: ' + error.message);
+            return data;
+        },
+
+        async findByAuthToken(token, columns = '*') {
+            const { data, error } = await db.from('clients').select(columns).eq('auth_token', token).maybeSingle();
+            if (error) throw new Error('Failed to resolve auth token: ' + error.message);
+            return data;
+        },
+
+        async create(fields) {
+            const { data, error } = await db.from('clients').insert(fields).select('*').single();
+            if (error) throw new Error('Failed to create client: ' + error.message);
+            return data;
+        },
+
+        async update(id, patch) {
+            const { error } = await db.from('clients').update(patch).eq('id', id);
+            if (error) throw new Error('Failed to update client: ' + error.message);
+        }
+    };
+}
+
+module.exports = { createClientRepository };
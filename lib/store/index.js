@@ -0,0 +1,29 @@
+const { createSupabaseAdmin } = require('../supabase');
+const { uploadDocument, downloadDocument, createDocumentUrl } = require('../document-storage');
+const { createClientRepository } = require('./clients');
+const { createRentalRepository } = require('./rentals');
+const { createBikeRepository } = require('./bikes');
+const { createTariffRepository } = require('./tariffs');
+
+/**
+ * Слой доступа к данным: клиенты, аренды, велосипеды, тарифы и бакет документов.
+ * Бэкенд выбирает createSupabaseAdmin() по DATA_BACKEND (Supabase или встроенный);
+ * db — сам клиент для модулей, которые пока строят запросы сами.
+ * @param {object} [db]
+ */
+function createStore(db = createSupabaseAdmin()) {
+    return {
+        db,
+        clients: createClientRepository(db),
+        rentals: createRentalRepository(db),
+        bikes: createBikeRepository(db),
+        tariffs: createTariffRepository(db),
+        documents: {
+            upload: (filePath, buffer, contentType) => uploadDocument(db, filePath, buffer, contentType),
+            download: (filePath) => downloadDocument(db, filePath),
+            createUrl: (filePath, ttlSeconds) => createDocumentUrl(db, filePath, ttlSeconds)
+        }
+    };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,520 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { FOREIGN_KEYS, UNIQUE_INDEXES, IDENTITY_TABLES, DEFAULTS } = require('./schema');
+
+/**
+ * Встроенный бэкенд данных с тем же интерфейсом, что у клиента Supabase:
+ * from(table) с подмножеством фильтров PostgREST, которое используется в проекте
+ * (eq, neq, in, lt, lte, gt, gte, is, contains, not, order, range, limit, single, maybeSingle,
+ * вложенные выборки по внешним ключам из schema.js), и storage.from(bucket).
+ *
+ * Без dataDir все хранится в памяти процесса (тесты). С dataDir таблицы
+ * сохраняются в <dataDir>/tables.json, а файлы бакетов — в <dataDir>/storage/<bucket>/.
+ */
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T/;
+
+function toWire(value) {
+    // Значения проходят через JSON, как при обмене с PostgREST: Date становится строкой
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function toComparable(value) {
+    if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+        const time = Date.parse(value);
+        if (!Number.isNaN(time)) return time;
+    }
+    return value;
+}
+
+function valuesEqual(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) return false;
+    // jsonb сравнивается с JSON-текстом фильтра так же, как в PostgREST
+    if (typeof a === 'object' && typeof b === 'string') return JSON.stringify(a) === b;
+    if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return String(toComparable(a)) === String(toComparable(b));
+}
+
+function compareValues(a, b) {
+    const left = toComparable(a);
+    const right = toComparable(b);
+    if (typeof left === 'number' && typeof right === 'number') return left - right;
+    const leftNumber = Number(left);
+    const rightNumber = Number(right);
+    if (left !== '' && right !== '' && !Number.isNaN(leftNumber) && !Number.isNaN(rightNumber)) {
+        return leftNumber - rightNumber;
+    }
+    return String(left).localeCompare(String(right));
+}
+
+// Оператор @> для jsonb и массивов
+function containsValue(container, value) {
+    if (Array.isArray(value)) {
+        return Array.isArray(container) && value.every((item) => container.some((element) => containsValue(element, item)));
+    }
+    if (value && typeof value === 'object') {
+        return Boolean(container) && typeof container === 'object'
+            && Object.entries(value).every(([key, item]) => containsValue(container[key], item));
+    }
+    return valuesEqual(container, value);
+}
+
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current) parts.push(current);
+    return parts;
+}
+
+/**
+ * Разбирает строку select вида "id, clients ( name ), bikes(*)".
+ */
+function parseSelect(columns = '*') {
+    return splitTopLevel(columns.replace(/\s+/g, '')).map((part) => {
+        const embed = part.match(/^(?:(\w+):)?(\w+)(?:!\w+)?\((.*)\)$/);
+        if (embed) {
+            return { type: 'embed', alias: embed[1] || embed[2], table: embed[2], columns: parseSelect(embed[3] || '*') };
+        }
+        if (part === '*') return { type: 'all' };
+        const [alias, name] = part.includes(':') ? part.split(':') : [part, part];
+        return { type: 'column', alias, name };
+    });
+}
+
+function dbError(message, code = null) {
+    return { message, code, details: null, hint: null };
+}
+
+class MemoryQuery {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+        this.operation = 'select';
+        this.columns = null;
+        this.payload = null;
+        this.filters = [];
+        this.orders = [];
+        this.rangeFrom = 0;
+        this.rangeTo = null;
+        this.resultMode = 'many';
+    }
+
+    select(columns = '*') {
+        this.columns = columns;
+        return this;
+    }
+
+    insert(rows) {
+        this.operation = 'insert';
+        this.payload = rows;
+        return this;
+    }
+
+    update(patch) {
+        this.operation = 'update';
+        this.payload = patch;
+        return this;
+    }
+
+    delete() {
+        this.operation = 'delete';
+        return this;
+    }
+
+    filter(predicate) {
+        this.filters.push(predicate);
+        return this;
+    }
+
+    eq(column, value) {
+        return this.filter((row) => valuesEqual(row[column], value));
+    }
+
+    neq(column, value) {
+        return this.filter((row) => row[column] !== null && row[column] !== undefined && !valuesEqual(row[column], value));
+    }
+
+    in(column, values) {
+        return this.filter((row) => values.some((value) => valuesEqual(row[column], value)));
+    }
+
+    lt(column, value) {
+        return this.filter((row) => row[column] != null && compareValues(row[column], value) < 0);
+    }
+
+    lte(column, value) {
+        return this.filter((row) => row[column] != null && compareValues(row[column], value) <= 0);
+    }
+
+    gt(column, value) {
+        return this.filter((row) => row[column] != null && compareValues(row[column], value) > 0);
+    }
+
+    gte(column, value) {
+        return this.filter((row) => row[column] != null && compareValues(row[column], value) >= 0);
+    }
+
+    is(column, value) {
+        return this.filter((row) => (value === null ? row[column] == null : row[column] === value));
+    }
+
+    contains(column, value) {
+        return this.filter((row) => containsValue(row[column], value));
+    }
+
+    not(column, operator, value) {
+        const [predicate] = new MemoryQuery(this.db, this.table)[operator](column, value).filters;
+        // Как в SQL: NOT (null = x) — тоже null, такие строки не попадают в выборку
+        return this.filter((row) => !predicate(row) && (operator === 'is' || row[column] != null));
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.orders.push({ column, ascending });
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeFrom = from;
+        this.rangeTo = to;
+        return this;
+    }
+
+    limit(count) {
+        this.rangeTo = this.rangeFrom + count - 1;
+        return this;
+    }
+
+    single() {
+        this.resultMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.resultMode = 'maybeSingle';
+        return this;
+    }
+
+    then(onFulfilled, onRejected) {
+        return Promise.resolve()
+            .then(() => this.execute())
+            .then(onFulfilled, onRejected);
+    }
+
+    matchingRows() {
+        return this.db.rows(this.table).filter((row) => this.filters.every((predicate) => predicate(row)));
+    }
+
+    execute() {
+        let rows;
+        switch (this.operation) {
+            case 'insert': {
+                const result = this.db.insertRows(this.table, Array.isArray(this.payload) ? this.payload : [this.payload]);
+                if (result.error) return { data: null, error: result.error };
+                rows = result.rows;
+                break;
+            }
+            case 'update': {
+                const result = this.db.updateRows(this.table, this.matchingRows(), this.payload);
+                if (result.error) return { data: null, error: result.error };
+                rows = result.rows;
+                break;
+            }
+            case 'delete':
+                rows = this.db.deleteRows(this.table, this.matchingRows());
+                break;
+            default:
+                rows = this.matchingRows();
+        }
+
+        // Изменения без .select() ничего не возвращают
+        if (this.operation !== 'select' && this.columns === null) {
+            return { data: null, error: null };
+        }
+
+        if (this.orders.length > 0) {
+            rows = [...rows].sort((a, b) => {
+                for (const { column, ascending } of this.orders) {
+                    // Как в Postgres: null в конце при сортировке по возрастанию и в начале по убыванию
+                    if (a[column] == null || b[column] == null) {
+                        if (a[column] == null && b[column] == null) continue;
+                        return (a[column] == null ? 1 : -1) * (ascending ? 1 : -1);
+                    }
+                    const result = compareValues(a[column], b[column]);
+                    if (result !== 0) return ascending ? result : -result;
+                }
+                return 0;
+            });
+        }
+        if (this.operation === 'select') {
+            rows = rows.slice(this.rangeFrom, this.rangeTo === null ? undefined : this.rangeTo + 1);
+        }
+
+        let data;
+        try {
+            const nodes = parseSelect(this.columns || '*');
+            data = rows.map((row) => this.db.project(this.table, row, nodes));
+        } catch (error) {
+            return { data: null, error: dbError(error.message, 'PGRST200') };
+        }
+
+        if (this.resultMode === 'many') return { data, error: null };
+        if (data.length > 1 || (this.resultMode === 'single' && data.length === 0)) {
+            return { data: null, error: dbError('JSON object requested, multiple (or no) rows returned', 'PGRST116') };
+        }
+        return { data: data[0] || null, error: null };
+    }
+}
+
+class MemoryBucket {
+    constructor(db, name) {
+        this.db = db;
+        this.name = name;
+    }
+
+    async upload(objectPath, body, { upsert = false } = {}) {
+        if (!upsert && this.db.readObject(this.name, objectPath)) {
+            return { data: null, error: { message: 'The resource already exists', statusCode: '409' } };
+        }
+        this.db.writeObject(this.name, objectPath, Buffer.from(body));
+        return { data: { path: objectPath }, error: null };
+    }
+
+    // Трансформации изображений (options.transform) не поддерживаются: отдается исходный файл
+    async download(objectPath) {
+        const buffer = this.db.readObject(this.name, objectPath);
+        if (!buffer) {
+            return { data: null, error: { message: 'Object not found', statusCode: '404' } };
+        }
+        return { data: new Blob([buffer]), error: null };
+    }
+
+    async createSignedUrl(objectPath, expiresIn) {
+        if (!this.db.readObject(this.name, objectPath)) {
+            return { data: null, error: { message: 'Object not found', statusCode: '404' } };
+        }
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        return { data: { signedUrl: `${this.db.objectUrl(this.name, objectPath)}?expires=${expires}` }, error: null };
+    }
+
+    async remove(objectPaths) {
+        const removed = objectPaths.filter((objectPath) => this.db.deleteObject(this.name, objectPath));
+        return { data: removed.map((objectPath) => ({ name: objectPath })), error: null };
+    }
+}
+
+class MemoryDatabase {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.dataDir] - Каталог для сохранения данных между запусками.
+     */
+    constructor({ dataDir = null } = {}) {
+        this.dataDir = dataDir;
+        this.tables = {};
+        this.sequences = {};
+        this.objects = new Map();
+        this.storage = { from: (bucket) => new MemoryBucket(this, bucket) };
+
+        if (dataDir && fs.existsSync(this.tablesFile())) {
+            const saved = JSON.parse(fs.readFileSync(this.tablesFile(), 'utf8'));
+            this.tables = saved.tables || {};
+            this.sequences = saved.sequences || {};
+        }
+    }
+
+    from(table) {
+        return new MemoryQuery(this, table);
+    }
+
+    rows(table) {
+        if (!this.tables[table]) this.tables[table] = [];
+        return this.tables[table];
+    }
+
+    /**
+     * Проекция строки по разобранному select, включая вложенные таблицы.
+     */
+    project(table, row, nodes) {
+        const result = {};
+        for (const node of nodes) {
+            if (node.type === 'all') {
+                Object.assign(result, toWire(row));
+            } else if (node.type === 'column') {
+                result[node.alias] = row[node.name] === undefined ? null : toWire(row[node.name]);
+            } else {
+                result[node.alias] = this.embed(table, row, node);
+            }
+        }
+        return result;
+    }
+
+    embed(table, row, node) {
+        const outgoing = Object.entries(FOREIGN_KEYS[table] || {}).find(([, target]) => target === node.table);
+        if (outgoing) {
+            const target = this.rows(node.table).find((candidate) => valuesEqual(candidate.id, row[outgoing[0]]));
+            return target ? this.project(node.table, target, node.columns) : null;
+        }
+        const incoming = Object.entries(FOREIGN_KEYS[node.table] || {}).find(([, target]) => target === table);
+        if (incoming) {
+            return this.rows(node.table)
+                .filter((candidate) => valuesEqual(candidate[incoming[0]], row.id))
+                .map((candidate) => this.project(node.table, candidate, node.columns));
+        }
+        throw new Error(`Could not find a relationship between '${table}' and '${node.table}'`);
+    }
+
+    findConflict(table, candidate, ignore = []) {
+        for (const index of UNIQUE_INDEXES[table] || []) {
+            if (index.where && !index.where(candidate)) continue;
+            if (!index.nullsEqual && index.columns.some((column) => candidate[column] == null)) continue;
+            const conflict = this.rows(table).some((row) => !ignore.includes(row)
+                && (!index.where || index.where(row))
+                && index.columns.every((column) => (index.nullsEqual && row[column] == null && candidate[column] == null)
+                    || valuesEqual(row[column], candidate[column])));
+            if (conflict) return index;
+        }
+        return null;
+    }
+
+    uniqueViolation(table, index) {
+        return dbError(`duplicate key value violates unique constraint "${table}_${index.columns.join('_')}_key"`, '23505');
+    }
+
+    insertRows(table, inputs) {
+        const created = [];
+        for (const input of inputs) {
+            const row = {};
+            for (const [column, makeDefault] of Object.entries(DEFAULTS[table] || {})) {
+                row[column] = makeDefault();
+            }
+            Object.assign(row, toWire(input));
+            if (row.id === undefined) {
+                if (IDENTITY_TABLES.includes(table)) {
+                    this.sequences[table] = (this.sequences[table] || 0) + 1;
+                    row.id = this.sequences[table];
+                } else {
+                    row.id = crypto.randomUUID();
+                }
+            }
+            if (row.created_at === undefined) row.created_at = new Date().toISOString();
+
+            // Вставка атомарна: конфликт с любой строкой пачки отменяет всю пачку
+            const conflict = this.findConflict(table, row) || this.findConflictIn(table, created, row);
+            if (conflict) return { error: this.uniqueViolation(table, conflict) };
+            created.push(row);
+        }
+        this.rows(table).push(...created);
+        this.persist();
+        return { rows: created };
+    }
+
+    findConflictIn(table, rows, candidate) {
+        return (UNIQUE_INDEXES[table] || []).find((index) => (!index.where || index.where(candidate))
+            && (index.nullsEqual || index.columns.every((column) => candidate[column] != null))
+            && rows.some((row) => (!index.where || index.where(row))
+                && index.columns.every((column) => valuesEqual(row[column], candidate[column])
+                    || (index.nullsEqual && row[column] == null && candidate[column] == null)))) || null;
+    }
+
+    updateRows(table, rows, patch) {
+        const changes = toWire(patch);
+        const updated = rows.map((row) => ({ ...row, ...changes }));
+        for (const row of updated) {
+            const conflict = this.findConflict(table, row, rows) || this.findConflictIn(table, updated.filter((other) => other !== row), row);
+            if (conflict) return { error: this.uniqueViolation(table, conflict) };
+        }
+        rows.forEach((row, index) => {
+            for (const key of Object.keys(row)) delete row[key];
+            Object.assign(row, updated[index]);
+        });
+        this.persist();
+        return { rows };
+    }
+
+    deleteRows(table, rows) {
+        this.tables[table] = this.rows(table).filter((row) => !rows.includes(row));
+        this.persist();
+        return rows;
+    }
+
+    tablesFile() {
+        return path.join(this.dataDir, 'tables.json');
+    }
+
+    persist() {
+        if (!this.dataDir) return;
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        fs.writeFileSync(this.tablesFile(), JSON.stringify({ tables: this.tables, sequences: this.sequences }));
+    }
+
+    objectFile(bucket, objectPath) {
+        const root = path.resolve(this.dataDir, 'storage', bucket);
+        const file = path.resolve(root, objectPath);
+        if (!file.startsWith(root + path.sep)) {
+            throw new Error(`Invalid object path: ${objectPath}`);
+        }
+        return file;
+    }
+
+    objectUrl(bucket, objectPath) {
+        return this.dataDir
+            ? `file://${this.objectFile(bucket, objectPath)}`
+            : `memory://${bucket}/${objectPath}`;
+    }
+
+    readObject(bucket, objectPath) {
+        if (!this.dataDir) return this.objects.get(`${bucket}/${objectPath}`) || null;
+        const file = this.objectFile(bucket, objectPath);
+        return fs.existsSync(file) ? fs.readFileSync(file) : null;
+    }
+
+    writeObject(bucket, objectPath, buffer) {
+        if (!this.dataDir) {
+            this.objects.set(`${bucket}/${objectPath}`, buffer);
+            return;
+        }
+        const file = this.objectFile(bucket, objectPath);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, buffer);
+    }
+
+    deleteObject(bucket, objectPath) {
+        if (!this.dataDir) return this.objects.delete(`${bucket}/${objectPath}`);
+        const file = this.objectFile(bucket, objectPath);
+        if (!fs.existsSync(file)) return false;
+        fs.unlinkSync(file);
+        return true;
+    }
+}
+
+let sharedDatabase = null;
+
+/**
+ * Общий на процесс экземпляр встроенного бэкенда (DATA_DIR — каталог для данных).
+ */
+function getMemoryDatabase() {
+    if (!sharedDatabase) {
+        sharedDatabase = new MemoryDatabase({ dataDir: process.env.DATA_DIR || null });
+    }
+    return sharedDatabase;
+}
+
+/**
+ * Сбрасывает общий экземпляр: следующий getMemoryDatabase() начнет с пустых таблиц.
+ */
+function resetMemoryDatabase() {
+    sharedDatabase = null;
+}
+
+module.exports = { MemoryDatabase, getMemoryDatabase, resetMemoryDatabase };
@@ -0,0 +1,79 @@
+/**
+ * Доступ к арендам (таблица rentals). Смена статуса идет не через update,
+ * а через transitionRental из lib/rental-status.js.
+ * @param {object} db - Клиент Supabase или встроенный бэкенд.
+ */
+function createRentalRepository(db) {
+    return {
+        async findById(id, columns = '*') {
+            const { data, error } = await db.from('rentals').select(columns).eq('id', id).maybeSingle();
+            if (error) throw new Error('Failed to fetch rental: ' + error.message);
+            return data;
+        },
+
+        /**
+         * Аренда клиента; чужая аренда не находится.
+         */
+        async findForUser(id, userId, columns = '*') {
+            const { data, error } = await db
+                .from('rentals')
+                .select(columns)
+                .eq('id', id)
+                .eq('user_id', userId)
+                .maybeSingle();
+            if (error) throw new Error('Failed to fetch rental: ' + error.message);
+            return data;
+        },
+
+        /**
+         * Аренды клиента, новые первыми.
+         * @param {string} userId
+         * @param {object} [options]
+         * @param {string} [options.columns]
+         * @param {string[]} [options.statuses] - Только аренды в этих статусах.
+         */
+        async listForUser(userId, { columns = '*', statuses } = {}) {
+            let query = db.from('rentals').select(columns).eq('user_id', userId);
+            if (statuses) query = query.in('status', statuses);
+
+            const { data, error } = await query.order('created_at', { ascending: false });
+            if (error) throw new Error('Failed to fetch rentals: ' + error.message);
+            return data || [];
+        },
+
+        async findLatestForUser(userId, statuses, columns = '*') {
+            const { data, error } = await db
+                .from('rentals')
+                .select(columns)
+                .eq('user_id', userId)
+                .in('status', statuses)
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+            if (error) throw new Error('Failed to fetch rental: ' + error.message);
+            return data;
+        },
+
+        /**
+         * Текущие extra_data аренды — перед дополнением, чтобы не затереть чужие ключи.
+         */
+        async getExtraData(id) {
+            const { data, error } = await db.from('rentals').select('extra_data').eq('id', id).single();
+            if (error) throw new Error('Failed to get current rental data: ' + error.message);
+            return data.extra_data || {};
+        },
+
+        async create(fields) {
+            const { data, error } = await db.from('rentals').insert(fields).select('*').single();
+            if (error) throw new Error('Failed to create rental: ' + error.message);
+            return data;
+        },
+
+        async update(id, patch) {
+            const { error } = await db.from('rentals').update(patch).eq('id', id);
+            if (error) throw new Error('Failed to update rental: ' + error.message);
+        }
+    };
+}
+
+module.exports = { createRentalRepository };
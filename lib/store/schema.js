@@ -0,0 +1,75 @@
+/**
+ * Описание таблиц для встроенного бэкенда (lib/store/memory.js): внешние ключи
+ * для вложенных выборок, уникальные индексы и значения по умолчанию.
+ * Повторяет то, что задают миграции в migrations/; таблица, которой здесь нет,
+ * получает только id и created_at.
+ */
+
+const now = () => new Date().toISOString();
+const EPOCH = new Date(0).toISOString();
+
+// Таблица -> { колонка: таблица, на которую она ссылается }
+const FOREIGN_KEYS = {
+    rentals: { user_id: 'clients', bike_id: 'bikes', tariff_id: 'tariffs' },
+    rental_status_history: { rental_id: 'rentals' },
+    signatures: { rental_id: 'rentals', user_id: 'clients' },
+    admin_audit_log: { operator_id: 'operators' },
+    payments: { rental_id: 'rentals', user_id: 'clients' },
+    refunds: { payment_id: 'payments' },
+    rental_invoices: { rental_id: 'rentals', user_id: 'clients', payment_id: 'payments', refund_id: 'refunds' },
+    notification_outbox: { rental_id: 'rentals', user_id: 'clients' },
+    rental_locations: { rental_id: 'rentals', bike_id: 'bikes' },
+    geofence_alerts: { rental_id: 'rentals', bike_id: 'bikes' },
+    bike_telemetry: { bike_id: 'bikes' },
+    iot_commands: { bike_id: 'bikes' },
+    batteries: { bike_id: 'bikes' },
+    battery_swaps: { bike_id: 'bikes' },
+    service_tickets: { bike_id: 'bikes', rental_id: 'rentals' },
+    service_ticket_parts: { ticket_id: 'service_tickets' },
+    rental_photos: { rental_id: 'rentals', user_id: 'clients' },
+    verification_events: { user_id: 'clients', operator_id: 'operators' }
+};
+
+// Уникальные индексы: колонки и, для частичных индексов, условие.
+// Как и в Postgres, строки с null в колонках индекса не конфликтуют, если не указано nullsEqual
+const UNIQUE_INDEXES = {
+    clients: [{ columns: ['auth_token'], where: (row) => row.auth_token != null }],
+    operators: [{ columns: ['token_hash'] }],
+    signatures: [{ columns: ['document_id'] }],
+    payments: [{ columns: ['idempotence_key'] }, { columns: ['yookassa_payment_id'] }],
+    refunds: [{ columns: ['idempotence_key'] }, { columns: ['yookassa_refund_id'] }],
+    rental_invoices: [{ columns: ['rental_id', 'period_start'], where: (row) => row.kind === 'renewal' }],
+    scheduled_jobs: [{ columns: ['name'] }],
+    notification_outbox: [{ columns: ['dedupe_key'] }],
+    geofence_alerts: [{ columns: ['rental_id'], where: (row) => row.status === 'open' }],
+    batteries: [{ columns: ['serial_number'] }],
+    service_tickets: [{ columns: ['bike_id'], where: (row) => row.status !== 'done' }],
+    damage_catalog: [{ columns: ['code', 'model_name'], nullsEqual: true }],
+    rental_photos: [{ columns: ['storage_path'] }]
+};
+
+// Таблицы с числовым identity-ключом вместо uuid
+const IDENTITY_TABLES = ['admin_audit_log', 'rental_status_history', 'signatures', 'rental_locations', 'bike_telemetry'];
+
+const DEFAULTS = {
+    clients: { extra: () => ({}), verification_status: () => 'pending' },
+    rentals: { extra_data: () => ({}), auto_renew: () => true },
+    bikes: { battery_numbers: () => [] },
+    operators: { active: () => true },
+    admin_audit_log: { subjects: () => [] },
+    payments: { currency: () => 'RUB', status: () => 'pending', refunded_amount: () => 0 },
+    refunds: { status: () => 'pending' },
+    rental_invoices: { status: () => 'pending', attempts: () => 0, details: () => ({}) },
+    scheduled_jobs: { next_run_at: () => EPOCH, locked_until: () => EPOCH },
+    notification_outbox: { payload: () => ({}), status: () => 'pending', attempts: () => 0, next_attempt_at: now, updated_at: now },
+    rental_locations: { source: () => 'client' },
+    geofences: { active: () => true, updated_at: now },
+    geofence_alerts: { status: () => 'open' },
+    iot_commands: { status: () => 'pending' },
+    batteries: { status: () => 'in_stock', charge_cycles: () => 0, updated_at: now },
+    service_tickets: { status: () => 'opened', minutes_spent: () => 0, updated_at: now },
+    damage_catalog: { active: () => true, updated_at: now },
+    verification_events: { documents: () => [] }
+};
+
+module.exports = { FOREIGN_KEYS, UNIQUE_INDEXES, IDENTITY_TABLES, DEFAULTS };
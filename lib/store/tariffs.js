@@ -0,0 +1,27 @@
+/**
+ * Доступ к тарифам (таблица tariffs).
+ * @param {object} db - Клиент Supabase или встроенный бэкенд.
+ */
+function createTariffRepository(db) {
+    return {
+        async findById(id, columns = '*') {
+            const { data, error } = await db.from('tariffs').select(columns).eq('id', id).maybeSingle();
+            if (error) throw new Error('Failed to fetch tariff: ' + error.message);
+            return data;
+        },
+
+        async list(columns = '*') {
+            const { data, error } = await db.from('tariffs').select(columns).order('title', { ascending: true });
+            if (error) throw new Error('Failed to fetch tariffs: ' + error.message);
+            return data || [];
+        },
+
+        async create(fields) {
+            const { data, error } = await db.from('tariffs').insert(fields).select('*').single();
+            if (error) throw new Error('Failed to create tariff: ' + error.message);
+            return data;
+        }
+    };
+}
+
+module.exports = { createTariffRepository };
@@ -0,0 +1,39 @@
+const { createClient } = require('@supabase/supabase-js');
+const { getMemoryDatabase } = require('./store/memory');
+
+/**
+ * Клиент базы данных и хранилища с правами сервиса.
+ * DATA_BACKEND=memory подключает встроенный бэкенд (lib/store/memory.js) вместо
+ * Supabase — для тестов и локального запуска без проекта Supabase.
+ */
+function createSupabaseAdmin() {
+    if (process.env.DATA_BACKEND === 'memory') {
+        return getMemoryDatabase();
+    }
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        throw new Error('Supabase service credentials are not configured.');
+    }
+    return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+}
+
+// PostgREST отдает не больше max-rows строк за запрос (по умолчанию 1000)
+const SELECT_PAGE_SIZE = 1000;
+
+/**
+ * Читает выборку целиком, страницами через range(), пока не придет неполная страница.
+ * Запрос строится заново для каждой страницы и должен быть упорядочен по уникальному ключу,
+ * иначе строки на границе страниц могут повториться или потеряться.
+ * @param {function(): object} buildQuery - Возвращает новый запрос select(...) с фильтрами и order.
+ * @returns {Promise<{ data: Array<object>|null, error: object|null }>}
+ */
+async function selectAllPages(buildQuery, pageSize = SELECT_PAGE_SIZE) {
+    const rows = [];
+    for (let start = 0; ; start += pageSize) {
+        const { data, error } = await buildQuery().range(start, start + pageSize - 1);
+        if (error) return { data: null, error };
+        rows.push(...(data || []));
+        if (!data || data.length < pageSize) return { data: rows, error: null };
+    }
+}
+
+module.exports = { createSupabaseAdmin, selectAllPages };
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const { createSupabaseAdmin } = require('./supabase');
+const { findClientByTelegramId } = require('./auth');
+const { buildWebAppUrl, callTelegramApi, sendTelegramMessage, answerCallbackQuery } = require('./telegram');
+const { escapeHtml } = require('./documents/html');
+
+/**
+ * Входящий webhook Telegram-бота: команды клиентов и нажатия inline-кнопок.
+ * Бот не делает собственных запросов к данным аренды — он вызывает те же
+ * обработчики, что и /api/user, их передает server.js.
+ */
+
+// Контакт поддержки (например, @username или телефон); без него бот предлагает открыть приложение
+const SUPPORT_CONTACT = process.env.SUPPORT_CONTACT || null;
+
+const DOCUMENT_TITLES = {
+    handover_act: 'Акт приема-передачи',
+    contract_package: 'Договор аренды',
+    return_act: 'Акт сдачи'
+};
+
+const RENTAL_STATUS_TITLES = {
+    active: 'активна',
+    overdue: 'просрочена',
+    pending_return: 'ожидает приемки велосипеда'
+};
+
+const HELP_TEXT = [
+    'Доступные команды:',
+    '/rental — текущая аренда и оставшееся время',
+    '/documents — подписанные документы',
+    '/pay — оплата и привязанная карта',
+    '/support — связаться с поддержкой'
+].join('\n');
+
+/**
+ * Сравнивает заголовок X-Telegram-Bot-Api-Secret-Token с TELEGRAM_WEBHOOK_SECRET.
+ */
+function isValidWebhookSecret(received) {
+    const expected = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!expected || !received) return false;
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(received), digest(expected));
+}
+
+function formatDateTime(value) {
+    return new Date(value).toLocaleString('ru-RU', { dateStyle: 'short', timeStyle: 'short' });
+}
+
+function formatTimeLeft(periodEnd, now = new Date()) {
+    const ms = new Date(periodEnd).getTime() - now.getTime();
+    if (ms <= 0) return 'оплаченный период закончился';
+    const hours = Math.floor(ms / (60 * 60 * 1000));
+    const days = Math.floor(hours / 24);
+    return days > 0 ? `${days} д. ${hours % 24} ч.` : `${hours} ч. ${Math.floor(ms / 60000) % 60} мин.`;
+}
+
+async function openAppKeyboard() {
+    return { inline_keyboard: [[{ text: '📱 Открыть приложение', web_app: { url: await buildWebAppUrl() } }]] };
+}
+
+/**
+ * Создает обработчик POST /api/telegram/webhook.
+ * @param {object} handlers - Обработчики /api/user: getActiveRental, getDocuments, getDocumentUrl,
+ *   getPaymentMethod, getPendingPayments, createCardBinding, extendRental, requestReturn.
+ */
+function createTelegramWebhook(handlers) {
+    const commands = {
+        '/start': showHelp,
+        '/help': showHelp,
+        '/rental': showRental,
+        '/documents': showDocuments,
+        '/pay': showPayments,
+        '/support': showSupport
+    };
+
+    // Префикс callback_data -> обработчик нажатия
+    const callbacks = {
+        extend: askExtendConfirmation,
+        extend_confirm: extendRental,
+        return: askReturnConfirmation,
+        return_confirm: requestReturn,
+        bind_card: bindCard,
+        cancel: cancelAction
+    };
+
+    async function showHelp(chatId) {
+        await sendTelegramMessage(chatId, HELP_TEXT, await openAppKeyboard());
+    }
+
+    async function showSupport(chatId) {
+        if (!SUPPORT_CONTACT) {
+            await sendTelegramMessage(chatId, 'Чтобы связаться с поддержкой, откройте приложение или обратитесь в пункт проката.', await openAppKeyboard());
+            return;
+        }
+        await sendTelegramMessage(chatId, `Поддержка: ${escapeHtml(SUPPORT_CONTACT)}\nОпишите проблему и укажите номер аренды, если он есть.`);
+    }
+
+    async function showRental(chatId, client) {
+        const { status, body } = await handlers.getActiveRental({ userId: client.id });
+        if (status !== 200 || !body.rental) {
+            return sendTelegramMessage(chatId, 'У вас нет активной аренды.', await openAppKeyboard());
+        }
+
+        const rental = body.rental;
+        const lines = [
+            `🚲 Аренда ${RENTAL_STATUS_TITLES[rental.status] || rental.status}`,
+            rental.tariffs?.title ? `Тариф: ${escapeHtml(rental.tariffs.title)}` : null,
+            rental.current_period_end ? `Оплачено до: ${formatDateTime(rental.current_period_end)}` : null,
+            rental.current_period_end ? `Осталось: ${formatTimeLeft(rental.current_period_end)}` : null
+        ].filter(Boolean);
+
+        const buttons = [];
+        if (['active', 'overdue'].includes(rental.status)) {
+            if (Number(rental.tariffs?.price) > 0) {
+                buttons.push({ text: '🔁 Продлить', callback_data: `extend:${rental.id}` });
+            }
+            buttons.push({ text: '🏁 Сдать велосипед', callback_data: `return:${rental.id}` });
+        }
+        await sendTelegramMessage(chatId, lines.join('\n'), buttons.length ? { inline_keyboard: [buttons] } : null);
+    }
+
+    async function showDocuments(chatId, client) {
+        const { status, body } = await handlers.getDocuments({ userId: client.id });
+        if (status !== 200 || body.documents.length === 0) {
+            return sendTelegramMessage(chatId, 'Подписанных документов пока нет.');
+        }
+
+        const rows = [];
+        for (const document of body.documents) {
+            const link = await handlers.getDocumentUrl({
+                userId: client.id,
+                rentalId: document.rentalId,
+                documentType: document.documentType
+            });
+            if (link.status !== 200) continue;
+            const title = `${DOCUMENT_TITLES[document.documentType] || document.documentType} (${formatDateTime(document.rentalCreatedAt)})`;
+            rows.push([{ text: title, url: link.body.url }]);
+        }
+        if (rows.length === 0) {
+            return sendTelegramMessage(chatId, 'Не удалось получить ссылки на документы. Попробуйте позже.');
+        }
+        await sendTelegramMessage(chatId, '📄 Ваши документы. Ссылки действуют несколько минут.', { inline_keyboard: rows });
+    }
+
+    async function showPayments(chatId, client) {
+        const pending = await handlers.getPendingPayments({ userId: client.id });
+        const payments = pending.status === 200 ? pending.body.payments : [];
+        const rows = payments.map((payment) => [{
+            text: `Оплатить ${Number(payment.amount).toFixed(2)} ₽ — ${payment.description || payment.purpose}`,
+            url: payment.confirmation_url
+        }]);
+        const lines = [payments.length ? 'Счета, ожидающие оплаты:' : 'Неоплаченных счетов нет.'];
+
+        const method = await handlers.getPaymentMethod({ userId: client.id });
+        if (method.status === 200) {
+            const card = method.body.payment_method?.card;
+            lines.unshift(card ? `💳 Привязана карта •••• ${card.last4}` : '💳 Способ оплаты привязан.');
+        } else {
+            lines.unshift('💳 Карта не привязана.');
+            rows.push([{ text: 'Привязать карту', callback_data: 'bind_card' }]);
+        }
+
+        await sendTelegramMessage(chatId, lines.join('\n'), rows.length ? { inline_keyboard: rows } : null);
+    }
+
+    async function bindCard(chatId, client) {
+        const { status, body } = await handlers.createCardBinding({ userId: client.id });
+        if (status !== 200) {
+            return sendTelegramMessage(chatId, `Не удалось начать привязку карты: ${escapeHtml(body.error)}`);
+        }
+        await sendTelegramMessage(chatId, 'Для проверки карты спишем и сразу вернем небольшую сумму.', {
+            inline_keyboard: [[{ text: '💳 Перейти к оплате', url: body.confirmationUrl }]]
+        });
+    }
+
+    async function askExtendConfirmation(chatId, client, rentalId) {
+        const { body } = await handlers.getActiveRental({ userId: client.id });
+        const rental = body?.rental;
+        if (!rental || rental.id !== rentalId) {
+            return sendTelegramMessage(chatId, 'Аренда не найдена.');
+        }
+        const price = Number(rental.tariffs?.price || 0).toFixed(2);
+        await sendTelegramMessage(chatId, `Продлить аренду на следующий период? С привязанной карты будет списано <b>${price} ₽</b>.`, {
+            inline_keyboard: [[
+                { text: '✅ Продлить', callback_data: `extend_confirm:${rentalId}` },
+                { text: 'Отмена', callback_data: 'cancel' }
+            ]]
+        });
+    }
+
+    async function extendRental(chatId, client, rentalId) {
+        const { status, body } = await handlers.extendRental({ userId: client.id, rentalId });
+        if (status !== 200) {
+            return sendTelegramMessage(chatId, `Не удалось продлить аренду: ${escapeHtml(body.error)}`);
+        }
+        const invoice = body.invoice;
+        if (invoice.status === 'paid') {
+            return sendTelegramMessage(chatId, `✅ Аренда оплачена до ${formatDateTime(invoice.period_end)}.`);
+        }
+        if (invoice.status === 'failed') {
+            return sendTelegramMessage(
+                chatId,
+                'Не удалось списать оплату с привязанной карты. Проверьте карту командой /pay.'
+            );
+        }
+        await sendTelegramMessage(chatId, 'Платеж обрабатывается, мы сообщим о результате.');
+    }
+
+    async function askReturnConfirmation(chatId, client, rentalId) {
+        await sendTelegramMessage(chatId, 'Подтвердите, что хотите сдать электровелосипед. Оператор свяжется с вами для приемки.', {
+            inline_keyboard: [[
+                { text: '✅ Сдаю велосипед', callback_data: `return_confirm:${rentalId}` },
+                { text: 'Отмена', callback_data: 'cancel' }
+            ]]
+        });
+    }
+
+    async function requestReturn(chatId, client, rentalId) {
+        const { status, body } = await handlers.requestReturn({ userId: client.id, rentalId });
+        if (status !== 200) {
+            return sendTelegramMessage(chatId, `Не удалось оформить возврат: ${escapeHtml(body.error)}`);
+        }
+        await sendTelegramMessage(chatId, '✅ Заявка на возврат принята. После приемки подпишите акт сдачи в приложении.', await openAppKeyboard());
+    }
+
+    async function cancelAction(chatId) {
+        await sendTelegramMessage(chatId, 'Действие отменено.');
+    }
+
+    async function resolveClient(chatId, telegramUser) {
+        const client = await findClientByTelegramId(createSupabaseAdmin(), telegramUser.id);
+        if (!client) {
+            await sendTelegramMessage(chatId, 'Мы не нашли ваш аккаунт. Откройте приложение, чтобы зарегистрироваться.', await openAppKeyboard());
+        }
+        return client;
+    }
+
+    async function handleMessage(message) {
+        const text = (message.text || '').trim();
+        if (!text.startsWith('/') || !message.from) return;
+
+        // Команда может прийти как /rental@botname
+        const command = text.split(/\s+/)[0].split('@')[0].toLowerCase();
+        const chatId = message.chat.id;
+        const handler = commands[command];
+        if (!handler) {
+            return showHelp(chatId);
+        }
+        if (handler === showHelp || handler === showSupport) {
+            return handler(chatId);
+        }
+
+        const client = await resolveClient(chatId, message.from);
+        if (client) await handler(chatId, client);
+    }
+
+    async function handleCallbackQuery(query) {
+        const [prefix, argument] = String(query.data || '').split(':');
+        const handler = callbacks[prefix];
+        await answerCallbackQuery(query.id);
+        if (!handler || !query.message) return;
+
+        const chatId = query.message.chat.id;
+        // Убираем кнопки, чтобы действие нельзя было нажать повторно
+        await callTelegramApi('editMessageReplyMarkup', {
+            chat_id: chatId,
+            message_id: query.message.message_id,
+            reply_markup: { inline_keyboard: [] }
+        });
+
+        const client = await resolveClient(chatId, query.from);
+        if (client) await handler(chatId, client, argument);
+    }
+
+    return async (req, res) => {
+        if (!isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+            return res.status(401).json({ error: 'Invalid webhook secret.' });
+        }
+
+        const update = req.body || {};
+        try {
+            if (update.message) {
+                await handleMessage(update.message);
+            } else if (update.callback_query) {
+                await handleCallbackQuery(update.callback_query);
+            }
+        } catch (error) {
+            // Отвечаем 200, иначе Telegram будет бесконечно повторять то же обновление
+            console.error(`Telegram update ${update.update_id} failed:`, error);
+        }
+        res.status(200).json({ ok: true });
+    };
+}
+
+module.exports = { createTelegramWebhook, isValidWebhookSecret };
@@ -0,0 +1,120 @@
+const fetch = require('node-fetch');
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN; // Загружаем токен из переменных окружения
+const REQUEST_TIMEOUT_MS = Number(process.env.TELEGRAM_TIMEOUT_MS || 10000);
+
+// Короткое имя Web App (кнопка Menu) в BotFather
+const WEBAPP_SHORT_NAME = process.env.TELEGRAM_WEBAPP_SHORT_NAME || 'app';
+
+class TelegramConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TelegramConfigError';
+        this.code = 'telegram_not_configured';
+        this.status = 503;
+    }
+}
+
+// Имя бота, полученное через getMe; запрашивается один раз
+let botUsernamePromise = null;
+
+/**
+ * Имя бота: TELEGRAM_BOT_USERNAME, а если оно не задано — username из getMe.
+ * @returns {Promise<string>}
+ */
+function resolveBotUsername() {
+    if (process.env.TELEGRAM_BOT_USERNAME) {
+        return Promise.resolve(process.env.TELEGRAM_BOT_USERNAME);
+    }
+    if (!botUsernamePromise) {
+        botUsernamePromise = sendTelegramRequest('getMe', {}).then((response) => {
+            if (!response.ok || !response.result?.username) {
+                // Неудачный запрос не кэшируем: следующий вызов спросит снова
+                botUsernamePromise = null;
+                throw new TelegramConfigError(
+                    `TELEGRAM_BOT_USERNAME is not set and getMe failed: ${response.description || 'no username in response'}`
+                );
+            }
+            return response.result.username;
+        });
+    }
+    return botUsernamePromise;
+}
+
+/**
+ * Ссылка на Web App. startParam попадает в initData как start_param,
+ * по нему Web App открывает нужный раздел (например, notifications).
+ * @returns {Promise<string>}
+ */
+async function buildWebAppUrl(startParam = null) {
+    const url = `https://t.me/${await resolveBotUsername()}/${WEBAPP_SHORT_NAME}`;
+    return startParam ? `${url}?startapp=${encodeURIComponent(startParam)}` : url;
+}
+
+/**
+ * Вызывает метод Bot API и возвращает подробный результат, не бросая ошибок.
+ * @returns {Promise<{ ok: boolean, result?: object, errorCode?: number, description?: string, retryAfter?: number }>}
+ *   errorCode 0 — сетевая ошибка или бот не настроен; retryAfter — пауза в секундах при 429.
+ */
+async function sendTelegramRequest(method, payload) {
+    if (!BOT_TOKEN) {
+        return { ok: false, errorCode: 0, description: 'TELEGRAM_BOT_TOKEN is not set.' };
+    }
+    try {
+        const response = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            timeout: REQUEST_TIMEOUT_MS
+        });
+        const result = await response.json();
+        if (!result.ok) {
+            return {
+                ok: false,
+                errorCode: result.error_code || response.status,
+                description: result.description,
+                retryAfter: result.parameters?.retry_after || null
+            };
+        }
+        return { ok: true, result: result.result };
+    } catch (error) {
+        return { ok: false, errorCode: 0, description: error.message };
+    }
+}
+
+/**
+ * Вызывает метод Bot API. Ошибки не бросаются, а пишутся в лог:
+ * недоставленный ответ бота не должен ломать основной сценарий.
+ * @returns {Promise<object|null>} Поле result ответа или null при ошибке.
+ */
+async function callTelegramApi(method, payload) {
+    const response = await sendTelegramRequest(method, payload);
+    if (!response.ok) {
+        console.error(`Ошибка Telegram ${method}:`, response.description);
+        return null;
+    }
+    return response.result;
+}
+
+/**
+ * Отправляет сообщение в чат. replyMarkup — inline-клавиатура или null.
+ */
+function sendTelegramMessage(chatId, text, replyMarkup = null) {
+    const payload = { chat_id: chatId, text, parse_mode: 'HTML' };
+    if (replyMarkup) payload.reply_markup = replyMarkup;
+    return callTelegramApi('sendMessage', payload);
+}
+
+function answerCallbackQuery(callbackQueryId, text = null) {
+    return callTelegramApi('answerCallbackQuery', { callback_query_id: callbackQueryId, text: text || undefined });
+}
+
+module.exports = {
+    TelegramConfigError,
+    resolveBotUsername,
+    buildWebAppUrl,
+    sendTelegramRequest,
+    callTelegramApi,
+    sendTelegramMessage,
+    answerCallbackQuery
+};
@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const { createSupabaseAdmin } = require('./supabase');
+const { enqueueNotification } = require('./notifications');
+const { uploadDocument, createDocumentUrl } = require('./document-storage');
+const { RentalPhotoError, decodePhoto } = require('./rental-photos');
+const { PassportCryptoError, maskPassport, sealPassport } = require('./passport-crypto');
+const { parsePassportData } = require('./documents');
+
+/**
+ * Верификация клиентов (KYC). Клиент попадает в очередь в статусе pending;
+ * оператор одобряет, отклоняет или запрашивает дополнительные документы
+ * (needs_more_info) с причиной из VERIFICATION_REASONS. В needs_more_info клиент
+ * загружает документы заново и возвращается в очередь. Каждое решение пишется
+ * в verification_events. Аренду можно выставить на подпись только клиенту в approved.
+ */
+
+// Текущий статус -> { следующий статус: кто может перевести }
+const VERIFICATION_TRANSITIONS = {
+    pending: { approved: ['operator'], rejected: ['operator'], needs_more_info: ['operator'] },
+    needs_more_info: { pending: ['client'], approved: ['operator'], rejected: ['operator'] },
+    rejected: { approved: ['operator'], needs_more_info: ['operator'] },
+    // Одобрение можно отозвать, например если истек срок действия паспорта
+    approved: { rejected: ['operator'], needs_more_info: ['operator'] }
+};
+
+// Причины отказа и запроса документов; название уходит клиенту в уведомлении
+const VERIFICATION_REASONS = {
+    photo_unreadable: 'фото документа нечитаемо',
+    document_expired: 'истек срок действия паспорта',
+    data_mismatch: 'данные не совпадают с фото паспорта',
+    registration_page_missing: 'нет фото страницы с регистрацией',
+    selfie_required: 'нужно фото с паспортом в руках',
+    other: 'другая причина'
+};
+
+const VERIFICATION_DOCUMENT_KINDS = ['passport_main', 'passport_registration', 'selfie_with_passport'];
+const VERIFICATION_MAX_DOCUMENTS = 4;
+const VERIFICATION_QUEUE_MAX_LIMIT = 100;
+
+const VERIFICATION_NOTIFICATIONS = {
+    approved: 'verification_approved',
+    rejected: 'verification_rejected',
+    needs_more_info: 'verification_needs_more_info'
+};
+
+const EVENT_SELECT = 'id, from_status, to_status, actor, operator_id, reason_code, comment, documents, created_at';
+
+class VerificationError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'VerificationError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function verificationErrorResponse(error) {
+    if (error instanceof VerificationError || error instanceof RentalPhotoError) {
+        return { status: error.status, body: { error: error.message, code: error.code } };
+    }
+    throw error;
+}
+
+/**
+ * Меняет статус верификации клиента и пишет событие в verification_events.
+ * @param {object} supabaseAdmin
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.to - Новый статус.
+ * @param {string} params.actor - client | operator.
+ * @param {string} [params.operatorId]
+ * @param {string} [params.reasonCode] - Ключ VERIFICATION_REASONS.
+ * @param {string} [params.comment]
+ * @param {Array<object>} [params.documents] - Загруженные клиентом фото.
+ * @param {object} [params.patch] - Дополнительные поля clients, которые обновляются вместе со статусом.
+ * @returns {Promise<{ client: object, event: object }>}
+ */
+async function changeVerificationStatus(supabaseAdmin, { userId, to, actor, operatorId = null, reasonCode = null, comment = null, documents = [], patch = {} }) {
+    const { data: client, error } = await supabaseAdmin
+        .from('clients')
+        .select('id, verification_status, telegram_user_id')
+        .eq('id', userId)
+        .maybeSingle();
+    if (error) throw new Error('Failed to fetch client: ' + error.message);
+    if (!client) {
+        throw new VerificationError('Client not found.', 'client_not_found', 404);
+    }
+
+    const from = client.verification_status || 'pending';
+    const allowed = VERIFICATION_TRANSITIONS[from]?.[to];
+    if (!allowed) {
+        throw new VerificationError(`Verification cannot move from "${from}" to "${to}".`, 'illegal_transition', 409);
+    }
+    if (!allowed.includes(actor)) {
+        throw new VerificationError(`Verification "${from}" -> "${to}" is not allowed for ${actor}.`, 'forbidden_actor', 403);
+    }
+
+    // Условие по старому статусу защищает от двух одновременных решений
+    let update = supabaseAdmin
+        .from('clients')
+        .update({ ...patch, verification_status: to })
+        .eq('id', userId);
+    update = client.verification_status ? update.eq('verification_status', from) : update.is('verification_status', null);
+    const { data: updated, error: updateError } = await update.select('id');
+    if (updateError) throw new Error('Failed to update verification status: ' + updateError.message);
+    if (!updated || updated.length === 0) {
+        throw new VerificationError('Verification status was changed by another request.', 'concurrent_update', 409);
+    }
+
+    const { data: event, error: eventError } = await supabaseAdmin
+        .from('verification_events')
+        .insert({
+            user_id: userId,
+            from_status: client.verification_status,
+            to_status: to,
+            actor,
+            operator_id: operatorId,
+            reason_code: reasonCode,
+            comment,
+            documents
+        })
+        .select(EVENT_SELECT)
+        .single();
+    if (eventError) throw new Error('Failed to write verification event: ' + eventError.message);
+
+    return { client, event };
+}
+
+/**
+ * Бросает VerificationError, если клиент не прошел верификацию.
+ * Вызывается перед тем, как выставить аренду на подпись (awaiting_contract_signing).
+ */
+async function assertClientVerified(supabaseAdmin, userId) {
+    const { data: client, error } = await supabaseAdmin
+        .from('clients')
+        .select('id, verification_status')
+        .eq('id', userId)
+        .maybeSingle();
+    if (error) throw new Error('Failed to fetch client: ' + error.message);
+    if (!client) {
+        throw new VerificationError('Клиент не найден.', 'client_not_found', 404);
+    }
+    if (client.verification_status !== 'approved') {
+        throw new VerificationError(
+            `Клиент не прошел верификацию (статус ${client.verification_status || 'pending'}).`,
+            'client_not_verified',
+            409
+        );
+    }
+}
+
+async function listVerificationEvents(supabaseAdmin, userIds) {
+    if (userIds.length === 0) return [];
+    const { data, error } = await supabaseAdmin
+        .from('verification_events')
+        .select('user_id, ' + EVENT_SELECT)
+        .in('user_id', userIds)
+        .order('created_at', { ascending: true });
+    if (error) throw new Error('Failed to fetch verification events: ' + error.message);
+    return data || [];
+}
+
+function describeReason(event) {
+    if (!event.reason_code) return null;
+    return { code: event.reason_code, title: VERIFICATION_REASONS[event.reason_code] || event.reason_code, comment: event.comment };
+}
+
+/**
+ * Admin-действие set-verification-status: одобрить, отклонить или запросить
+ * дополнительные документы. Для needs_more_info причина обязательна.
+ */
+async function handleSetVerificationStatus({ userId, status, reason }, { operator }) {
+    if (!userId || !status) {
+        return { status: 400, body: { error: 'userId и status обязательны.' } };
+    }
+    if (!VERIFICATION_NOTIFICATIONS[status]) {
+        return { status: 400, body: { error: 'Недопустимый статус.' } };
+    }
+    if (status === 'needs_more_info' && !reason?.code) {
+        return { status: 400, body: { error: 'Для запроса документов укажите причину (reason.code).' } };
+    }
+    if (reason?.code && !VERIFICATION_REASONS[reason.code]) {
+        return { status: 400, body: { error: `Неизвестная причина. Допустимые: ${Object.keys(VERIFICATION_REASONS).join(', ')}.` } };
+    }
+    if (reason?.code === 'other' && !reason.comment) {
+        return { status: 400, body: { error: 'Для причины other нужен комментарий.' } };
+    }
+
+    const supabaseAdmin = createSupabaseAdmin();
+    let result;
+    try {
+        result = await changeVerificationStatus(supabaseAdmin, {
+            userId,
+            to: status,
+            actor: 'operator',
+            operatorId: operator.id,
+            reasonCode: reason?.code || null,
+            comment: reason?.comment || null
+        });
+    } catch (error) {
+        return verificationErrorResponse(error);
+    }
+
+    // Статус доставки виден в get-notifications
+    const notification = await enqueueNotification(supabaseAdmin, {
+        template: VERIFICATION_NOTIFICATIONS[status],
+        data: { reason: reason ? VERIFICATION_REASONS[reason.code] : null, comment: reason?.comment || null },
+        chatId: result.client.telegram_user_id,
+        userId
+    });
+
+    return {
+        status: 200,
+        body: {
+            message: 'Статус успешно обновлен, уведомление поставлено в очередь.',
+            event: result.event,
+            notificationStatus: notification.status
+        }
+    };
+}
+
+/**
+ * Паспорт для очереди верификации. Если запись не расшифровывается (ключ не задан,
+ * старый формат), очередь не падает: отдается сохраненная маска и код ошибки.
+ */
+function queuePassport(row) {
+    try {
+        const passport = parsePassportData(row);
+        return { passport: { ...passport, ...maskPassport(passport) }, passport_error: null };
+    } catch (error) {
+        if (!(error instanceof PassportCryptoError)) throw error;
+        console.error(`Паспорт клиента ${row.id} не расшифрован:`, error.message);
+        return { passport: row.passport_masked || maskPassport(null), passport_error: error.code };
+    }
+}
+
+/**
+ * Admin-действие get-verification-queue: клиенты, ожидающие проверки, в порядке подачи.
+ * Паспорт показывается целиком, кроме серии и номера — они маскируются, как и везде в API.
+ */
+async function handleGetVerificationQueue({ limit = 20, offset = 0 }) {
+    const pageSize = Math.min(Number(limit) || 20, VERIFICATION_QUEUE_MAX_LIMIT);
+    const start = Math.max(Number(offset) || 0, 0);
+    const supabaseAdmin = createSupabaseAdmin();
+
+    const { data: clients, error } = await supabaseAdmin
+        .from('clients')
+        .select('id, name, city, verification_status, verification_submitted_at, created_at, passport_data_encrypted, recognized_passport_data, passport_masked')
+        .eq('verification_status', 'pending')
+        .order('verification_submitted_at', { ascending: true })
+        .order('created_at', { ascending: true })
+        .range(start, start + pageSize - 1);
+    if (error) throw new Error('Не удалось получить очередь верификации: ' + error.message);
+
+    const events = await listVerificationEvents(supabaseAdmin, (clients || []).map((client) => client.id));
+    const queue = [];
+    for (const row of clients || []) {
+        const client = { ...row };
+        delete client.passport_data_encrypted;
+        delete client.recognized_passport_data;
+        delete client.passport_masked;
+        const history = events.filter((event) => event.user_id === client.id);
+        // Документы последней подачи клиента со ссылками на просмотр
+        const lastSubmission = history.filter((event) => event.actor === 'client').pop();
+        const documents = [];
+        for (const { storage_path: storagePath, ...document } of lastSubmission?.documents || []) {
+            const { url, expiresAt } = await createDocumentUrl(supabaseAdmin, storagePath);
+            documents.push({ ...document, url, expires_at: expiresAt });
+        }
+        queue.push({
+            ...client,
+            ...queuePassport(row),
+            documents,
+            history: history.map(({ documents: attached, ...event }) => ({
+                ...event,
+                documents_count: attached.length
+            }))
+        });
+    }
+
+    return { status: 200, body: { clients: queue } };
+}
+
+/**
+ * Действие клиента get-verification: текущий статус, что нужно досдать, и история решений.
+ */
+async function handleGetVerification({ userId }) {
+    if (!userId) {
+        return { status: 400, body: { error: 'userId is required.' } };
+    }
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: client, error } = await supabaseAdmin
+        .from('clients')
+        .select('verification_status, verification_submitted_at')
+        .eq('id', userId)
+        .maybeSingle();
+    if (error) throw new Error('Failed to fetch client: ' + error.message);
+    if (!client) {
+        return { status: 404, body: { error: 'Client not found.' } };
+    }
+
+    const events = await listVerificationEvents(supabaseAdmin, [userId]);
+    const history = events.map((event) => ({
+        status: event.to_status,
+        actor: event.actor,
+        reason: describeReason(event),
+        documents: event.documents.map(({ kind }) => kind),
+        created_at: event.created_at
+    }));
+    const status = client.verification_status || 'pending';
+    const lastDecision = [...history].reverse().find((event) => event.actor === 'operator');
+
+    return {
+        status: 200,
+        body: {
+            status,
+            submittedAt: client.verification_submitted_at,
+            reason: status === lastDecision?.status ? lastDecision.reason : null,
+            canResubmit: Boolean(VERIFICATION_TRANSITIONS[status]?.pending?.includes('client')),
+            documentKinds: VERIFICATION_DOCUMENT_KINDS,
+            history
+        }
+    };
+}
+
+/**
+ * Действие клиента resubmit-verification: повторная подача документов после запроса оператора.
+ * Фото сохраняются в приватном бакете; исправленные паспортные данные, если переданы, шифруются.
+ */
+async function handleResubmitVerification({ userId, documents, passport, comment }) {
+    if (!userId || !Array.isArray(documents) || documents.length === 0) {
+        return { status: 400, body: { error: 'userId and documents are required.' } };
+    }
+    if (documents.length > VERIFICATION_MAX_DOCUMENTS) {
+        return { status: 400, body: { error: `No more than ${VERIFICATION_MAX_DOCUMENTS} documents per submission.` } };
+    }
+    const unknownKind = documents.find((document) => !VERIFICATION_DOCUMENT_KINDS.includes(document.kind));
+    if (unknownKind) {
+        return { status: 400, body: { error: `kind must be one of: ${VERIFICATION_DOCUMENT_KINDS.join(', ')}.` } };
+    }
+
+    const supabaseAdmin = createSupabaseAdmin();
+    const { data: client, error } = await supabaseAdmin
+        .from('clients')
+        .select('id, verification_status')
+        .eq('id', userId)
+        .maybeSingle();
+    if (error) throw new Error('Failed to fetch client: ' + error.message);
+    if (!client) {
+        return { status: 404, body: { error: 'Client not found.' } };
+    }
+    // Проверяем до загрузки фото, чтобы не копить файлы от отклоненных запросов
+    if (!VERIFICATION_TRANSITIONS[client.verification_status]?.pending?.includes('client')) {
+        return {
+            status: 409,
+            body: { error: 'Documents can be resubmitted only after the operator requests them.', code: 'resubmission_not_requested' }
+        };
+    }
+
+    try {
+        const decoded = documents.map(({ kind, photo }) => ({ kind, ...decodePhoto(photo) }));
+        const submissionId = crypto.randomUUID();
+        const stored = [];
+        for (const [index, { kind, buffer, format }] of decoded.entries()) {
+            const storagePath = `verification/${userId}/${submissionId}/${index + 1}-${kind}.${format.extension}`;
+            await uploadDocument(supabaseAdmin, storagePath, buffer, format.contentType);
+            stored.push({
+                kind,
+                storage_path: storagePath,
+                content_type: format.contentType,
+                size_bytes: buffer.length,
+                sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+            });
+        }
+
+        const submittedAt = new Date().toISOString();
+        const { event } = await changeVerificationStatus(supabaseAdmin, {
+            userId,
+            to: 'pending',
+            actor: 'client',
+            comment: comment || null,
+            documents: stored,
+            patch: {
+                verification_submitted_at: submittedAt,
+                ...(passport ? sealPassport(userId, passport) : {})
+            }
+        });
+        return {
+            status: 200,
+            body: { status: 'pending', submittedAt, documents: event.documents.map(({ kind }) => kind) }
+        };
+    } catch (submitError) {
+        return verificationErrorResponse(submitError);
+    }
+}
+
+module.exports = {
+    VERIFICATION_TRANSITIONS,
+    VERIFICATION_REASONS,
+    VERIFICATION_DOCUMENT_KINDS,
+    VERIFICATION_MAX_DOCUMENTS,
+    VerificationError,
+    changeVerificationStatus,
+    assertClientVerified,
+    handleSetVerificationStatus,
+    handleGetVerificationQueue,
+    handleGetVerification,
+    handleResubmitVerification
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const net = require('net');
+const fetch = require('node-fetch');
+
+/**
+ * Клиент API ЮKassa (https://yookassa.ru/developers/api).
+ * Адрес API настраивается через YOOKASSA_API_URL, что позволяет
+ * работать с локальным mock-сервером (scripts/yookassa-mock.js).
+ */
+
+const YOOKASSA_API_URL = (process.env.YOOKASSA_API_URL || 'https://api.yookassa.ru/v3').replace(/\/$/, '');
+const REQUEST_TIMEOUT_MS = Number(process.env.YOOKASSA_TIMEOUT_MS || 15000);
+
+// Адреса, с которых ЮKassa отправляет HTTP-уведомления
+const NOTIFICATION_SUBNETS = [
+    ['185.71.76.0', 27, 'ipv4'],
+    ['185.71.77.0', 27, 'ipv4'],
+    ['77.75.153.0', 25, 'ipv4'],
+    ['77.75.156.11', 32, 'ipv4'],
+    ['77.75.156.35', 32, 'ipv4'],
+    ['77.75.154.128', 25, 'ipv4'],
+    ['2a02:5180::', 32, 'ipv6']
+];
+
+const notificationAddresses = new net.BlockList();
+NOTIFICATION_SUBNETS.forEach(([address, prefix, type]) => notificationAddresses.addSubnet(address, prefix, type));
+
+class YooKassaError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} status - HTTP-статус ответа ЮKassa (0 — сетевая ошибка).
+     * @param {string} [code] - Код ошибки из ответа ЮKassa.
+     */
+    constructor(message, status, code = null) {
+        super(message);
+        this.name = 'YooKassaError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function getAuthHeader() {
+    const shopId = process.env.YOOKASSA_SHOP_ID;
+    const secretKey = process.env.YOOKASSA_SECRET_KEY;
+    if (!shopId || !secretKey) {
+        throw new Error('YooKassa credentials are not configured.');
+    }
+    return 'Basic ' + Buffer.from(`${shopId}:${secretKey}`).toString('base64');
+}
+
+async function yookassaRequest(method, path, body = null, idempotenceKey = null) {
+    const headers = {
+        'Authorization': getAuthHeader(),
+        'Content-Type': 'application/json'
+    };
+    if (idempotenceKey) {
+        headers['Idempotence-Key'] = idempotenceKey;
+    }
+
+    let response;
+    try {
+        response = await fetch(`${YOOKASSA_API_URL}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+            timeout: REQUEST_TIMEOUT_MS
+        });
+    } catch (error) {
+        throw new YooKassaError('YooKassa is unreachable: ' + error.message, 0);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new YooKassaError(
+            `YooKassa ${method} ${path} failed: ${result.description || response.statusText}`,
+            response.status,
+            result.code || null
+        );
+    }
+    return result;
+}
+
+function formatAmount(rubles) {
+    return { value: Number(rubles).toFixed(2), currency: 'RUB' };
+}
+
+function createIdempotenceKey() {
+    return crypto.randomUUID();
+}
+
+function createPayment(payload, idempotenceKey) {
+    return yookassaRequest('POST', '/payments', payload, idempotenceKey);
+}
+
+function getPayment(paymentId) {
+    return yookassaRequest('GET', `/payments/${encodeURIComponent(paymentId)}`);
+}
+
+function createRefund(payload, idempotenceKey) {
+    return yookassaRequest('POST', '/refunds', payload, idempotenceKey);
+}
+
+function getRefund(refundId) {
+    return yookassaRequest('GET', `/refunds/${encodeURIComponent(refundId)}`);
+}
+
+/**
+ * Проверяет, что уведомление пришло с адреса ЮKassa.
+ * Проверку можно отключить (YOOKASSA_WEBHOOK_IP_CHECK=false) для работы с mock-сервером.
+ */
+function isNotificationAddress(ip) {
+    if (process.env.YOOKASSA_WEBHOOK_IP_CHECK === 'false') return true;
+    if (!ip) return false;
+    const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return notificationAddresses.check(address, type);
+}
+
+module.exports = {
+    YooKassaError,
+    formatAmount,
+    createIdempotenceKey,
+    createPayment,
+    getPayment,
+    createRefund,
+    getRefund,
+    isNotificationAddress
+};
@@ -0,0 +1,5 @@
+-- Сессии клиентов: срок действия auth_token и быстрый поиск по Telegram ID
+alter table clients add column if not exists auth_token_expires_at timestamptz;
+
+create unique index if not exists clients_auth_token_key on clients (auth_token) where auth_token is not null;
+create index if not exists clients_telegram_user_id_idx on clients (telegram_user_id);
@@ -0,0 +1,41 @@
+-- Операторы админ-панели и журнал их действий
+create table if not exists operators (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    role text not null check (role in ('manager', 'mechanic', 'support')),
+    token_hash text not null unique,
+    telegram_user_id bigint,
+    active boolean not null default true,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists admin_audit_log (
+    id bigint generated always as identity primary key,
+    operator_id uuid references operators (id),
+    operator_role text not null,
+    action text not null,
+    payload jsonb,
+    subjects jsonb not null default '[]'::jsonb,
+    before_state jsonb,
+    after_state jsonb,
+    result_status integer,
+    error text,
+    ip text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_at_idx on admin_audit_log (created_at desc);
+create index if not exists admin_audit_log_operator_idx on admin_audit_log (operator_id);
+create index if not exists admin_audit_log_subjects_idx on admin_audit_log using gin (subjects);
+
+-- Журнал только дополняется: изменять и удалять записи запрещено
+create or replace function admin_audit_log_append_only() returns trigger as $$
+begin
+    raise exception 'admin_audit_log is append-only';
+end;
+$$ language plpgsql;
+
+drop trigger if exists admin_audit_log_append_only on admin_audit_log;
+create trigger admin_audit_log_append_only
+    before update or delete on admin_audit_log
+    for each row execute function admin_audit_log_append_only();
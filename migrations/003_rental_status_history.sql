@@ -0,0 +1,13 @@
+-- История переходов статусов аренды (см. lib/rental-status.js)
+create table if not exists rental_status_history (
+    id bigint generated always as identity primary key,
+    rental_id uuid not null references rentals (id) on delete cascade,
+    from_status text,
+    to_status text not null,
+    actor text not null check (actor in ('client', 'operator', 'system')),
+    actor_id text,
+    reason text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists rental_status_history_rental_idx on rental_status_history (rental_id, created_at);
@@ -0,0 +1,31 @@
+-- Метаданные подписанных документов (см. lib/signatures.js)
+create table if not exists signatures (
+    id bigint generated always as identity primary key,
+    document_id uuid not null unique,
+    document_type text not null,
+    rental_id uuid not null references rentals (id),
+    user_id uuid references clients (id),
+    sha256 text not null,
+    signed_at timestamptz not null,
+    signer_ip text,
+    signer_user_agent text,
+    telegram_user_id text,
+    template_version text,
+    storage_path text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists signatures_sha256_idx on signatures (sha256);
+create index if not exists signatures_rental_idx on signatures (rental_id);
+
+-- Записи о подписании неизменяемы
+create or replace function signatures_immutable() returns trigger as $$
+begin
+    raise exception 'signatures are immutable';
+end;
+$$ language plpgsql;
+
+drop trigger if exists signatures_immutable on signatures;
+create trigger signatures_immutable
+    before update or delete on signatures
+    for each row execute function signatures_immutable();
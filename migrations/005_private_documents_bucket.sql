@@ -0,0 +1,4 @@
+-- Приватный бакет для договоров и актов: доступ только через подписанные ссылки
+insert into storage.buckets (id, name, public)
+values ('contracts-private', 'contracts-private', false)
+on conflict (id) do update set public = false;
@@ -0,0 +1,39 @@
+-- Платежи и возвраты ЮKassa (см. lib/payments.js)
+create table if not exists payments (
+    id uuid primary key default gen_random_uuid(),
+    yookassa_payment_id text unique,
+    idempotence_key text not null unique,
+    user_id uuid not null references clients (id),
+    rental_id uuid references rentals (id),
+    purpose text not null,
+    amount numeric(12, 2) not null,
+    currency text not null default 'RUB',
+    status text not null default 'pending'
+        check (status in ('pending', 'waiting_for_capture', 'succeeded', 'canceled', 'failed')),
+    description text,
+    payment_method_id text,
+    confirmation_url text,
+    cancellation_reason text,
+    receipt jsonb,
+    receipt_registration text,
+    refunded_amount numeric(12, 2) not null default 0,
+    paid_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists payments_user_idx on payments (user_id, created_at desc);
+create index if not exists payments_rental_idx on payments (rental_id, created_at desc);
+
+create table if not exists refunds (
+    id uuid primary key default gen_random_uuid(),
+    yookassa_refund_id text unique,
+    idempotence_key text not null unique,
+    payment_id uuid not null references payments (id),
+    amount numeric(12, 2) not null,
+    status text not null default 'pending' check (status in ('pending', 'succeeded', 'canceled', 'failed')),
+    description text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists refunds_payment_idx on refunds (payment_id);
@@ -0,0 +1,36 @@
+-- Оплаченный период аренды и счета по продлениям (см. lib/billing.js)
+alter table rentals
+    add column if not exists current_period_start timestamptz,
+    add column if not exists current_period_end timestamptz,
+    add column if not exists auto_renew boolean not null default true;
+
+create index if not exists rentals_current_period_end_idx on rentals (current_period_end)
+    where status in ('active', 'overdue');
+
+create table if not exists rental_invoices (
+    id uuid primary key default gen_random_uuid(),
+    rental_id uuid not null references rentals (id),
+    user_id uuid not null references clients (id),
+    kind text not null check (kind in ('renewal', 'proration')),
+    period_start timestamptz not null,
+    period_end timestamptz,
+    amount numeric(12, 2) not null,
+    status text not null default 'pending'
+        check (status in ('pending', 'paid', 'failed', 'refunded', 'manual_refund_required')),
+    attempts integer not null default 0,
+    last_attempt_at timestamptz,
+    payment_id uuid references payments (id),
+    refund_id uuid references refunds (id),
+    failure_reason text,
+    details jsonb not null default '{}'::jsonb,
+    paid_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+-- Один счет на каждый период продления: повторный запуск не создаст дубль
+create unique index if not exists rental_invoices_renewal_period_idx
+    on rental_invoices (rental_id, period_start)
+    where kind = 'renewal';
+
+create index if not exists rental_invoices_rental_idx on rental_invoices (rental_id, created_at);
+create index if not exists rental_invoices_status_idx on rental_invoices (status);
@@ -0,0 +1,14 @@
+-- Состояние фоновых задач планировщика (см. lib/scheduler.js)
+create table if not exists scheduled_jobs (
+    name text primary key,
+    next_run_at timestamptz not null default 'epoch',
+    -- Блокировка с истечением: задачу выполняет только захвативший ее экземпляр
+    locked_until timestamptz not null default 'epoch',
+    locked_by text,
+    last_started_at timestamptz,
+    last_finished_at timestamptz,
+    last_status text check (last_status in ('succeeded', 'failed')),
+    last_result jsonb,
+    last_error text,
+    last_triggered_by text
+);
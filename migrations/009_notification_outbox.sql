@@ -0,0 +1,40 @@
+-- Исходящая очередь уведомлений клиентам (см. lib/notifications)
+create table if not exists notification_outbox (
+    id uuid primary key default gen_random_uuid(),
+    template text not null,
+    payload jsonb not null default '{}'::jsonb,
+    chat_id text,
+    user_id uuid references clients (id),
+    rental_id uuid references rentals (id),
+    text text not null,
+    reply_markup jsonb,
+    -- Ключ дедупликации: одно и то же уведомление не ставится в очередь дважды
+    dedupe_key text unique,
+    status text not null default 'pending' check (status in ('pending', 'sent', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    last_error text,
+    telegram_message_id bigint,
+    sent_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists notification_outbox_due_idx on notification_outbox (next_attempt_at)
+    where status = 'pending';
+create index if not exists notification_outbox_user_idx on notification_outbox (user_id, created_at desc);
+create index if not exists notification_outbox_rental_idx on notification_outbox (rental_id, created_at desc);
+
+-- Базы, где задачи еще писали в job_notifications: ключи уже отправленных уведомлений
+-- переносятся в очередь, чтобы не повторить их, а сама таблица удаляется
+do $$
+begin
+    if to_regclass('job_notifications') is not null then
+        insert into notification_outbox (template, chat_id, rental_id, text, dedupe_key, status, sent_at, created_at)
+        select 'legacy:' || job_name, null, rental_id, '', dedupe_key, 'sent', created_at, created_at
+        from job_notifications
+        on conflict (dedupe_key) do nothing;
+
+        drop table job_notifications;
+    end if;
+end $$;
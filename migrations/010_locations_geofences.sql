@@ -0,0 +1,49 @@
+-- История координат аренды и геозоны (см. lib/locations.js)
+create table if not exists rental_locations (
+    id bigint generated always as identity primary key,
+    rental_id uuid not null references rentals (id),
+    user_id uuid references clients (id),
+    bike_id uuid references bikes (id),
+    latitude double precision not null,
+    longitude double precision not null,
+    accuracy double precision,
+    recorded_at timestamptz not null,
+    source text not null default 'client',
+    -- false — отметка отброшена фильтром (скачок GPS, низкая точность)
+    accepted boolean not null,
+    reject_reason text,
+    -- null, если геозоны не заданы
+    outside_zone boolean,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists rental_locations_track_idx on rental_locations (rental_id, recorded_at)
+    where accepted;
+
+create table if not exists geofences (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    city text,
+    -- GeoJSON Polygon или MultiPolygon разрешенной зоны катания
+    geometry jsonb not null,
+    active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists geofence_alerts (
+    id uuid primary key default gen_random_uuid(),
+    rental_id uuid not null references rentals (id),
+    user_id uuid references clients (id),
+    bike_id uuid references bikes (id),
+    latitude double precision not null,
+    longitude double precision not null,
+    status text not null default 'open' check (status in ('open', 'resolved')),
+    resolved_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+-- Не больше одной открытой тревоги на аренду
+create unique index if not exists geofence_alerts_open_idx on geofence_alerts (rental_id)
+    where status = 'open';
+create index if not exists geofence_alerts_status_idx on geofence_alerts (status, created_at desc);
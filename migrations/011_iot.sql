@@ -0,0 +1,43 @@
+-- Телеметрия GPS-трекеров и команды блокировки (см. lib/iot)
+alter table bikes
+    add column if not exists last_seen_at timestamptz,
+    add column if not exists battery_voltage numeric(6, 2),
+    add column if not exists ignition_on boolean,
+    add column if not exists is_locked boolean,
+    add column if not exists last_latitude double precision,
+    add column if not exists last_longitude double precision;
+
+create index if not exists bikes_iot_device_idx on bikes (iot_device_id);
+
+create table if not exists bike_telemetry (
+    id bigint generated always as identity primary key,
+    bike_id uuid not null references bikes (id),
+    device_id text not null,
+    recorded_at timestamptz not null,
+    latitude double precision,
+    longitude double precision,
+    speed numeric(6, 1),
+    battery_voltage numeric(6, 2),
+    ignition boolean,
+    locked boolean,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists bike_telemetry_bike_idx on bike_telemetry (bike_id, recorded_at desc);
+
+create table if not exists iot_commands (
+    id uuid primary key default gen_random_uuid(),
+    bike_id uuid not null references bikes (id),
+    device_id text not null,
+    adapter text not null,
+    command text not null check (command in ('lock', 'unlock', 'immobilise', 'release')),
+    reason text,
+    requested_by text not null,
+    status text not null default 'pending' check (status in ('pending', 'sent', 'acknowledged', 'failed')),
+    error text,
+    sent_at timestamptz,
+    acknowledged_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists iot_commands_bike_idx on iot_commands (bike_id, created_at desc);
@@ -0,0 +1,41 @@
+-- Реестр аккумуляторов и журнал их замен (см. lib/fleet.js)
+create table if not exists batteries (
+    id uuid primary key default gen_random_uuid(),
+    serial_number text not null unique,
+    capacity_wh integer,
+    status text not null default 'in_stock' check (status in ('in_stock', 'installed', 'charging', 'retired')),
+    bike_id uuid references bikes (id),
+    installed_at timestamptz,
+    charge_cycles integer not null default 0,
+    last_charged_at timestamptz,
+    notes text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    check ((status = 'installed') = (bike_id is not null))
+);
+
+create index if not exists batteries_bike_idx on batteries (bike_id);
+
+create table if not exists battery_swaps (
+    id uuid primary key default gen_random_uuid(),
+    bike_id uuid not null references bikes (id),
+    removed_battery_id uuid references batteries (id),
+    removed_serial text,
+    installed_battery_id uuid references batteries (id),
+    installed_serial text,
+    reason text,
+    operator_id uuid references operators (id),
+    -- Подписанный акт, в котором замена отражена
+    reported_document_id uuid,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists battery_swaps_unreported_idx on battery_swaps (bike_id, created_at)
+    where reported_document_id is null;
+
+-- Существующие номера аккумуляторов переносим в реестр
+insert into batteries (serial_number, status, bike_id, installed_at)
+select distinct on (serial) serial, 'installed', bikes.id, now()
+from bikes, unnest(bikes.battery_numbers) as serial
+where bikes.battery_numbers is not null and serial <> ''
+on conflict (serial_number) do nothing;
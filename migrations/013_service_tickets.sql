@@ -0,0 +1,37 @@
+-- Заявки на ремонт велосипедов (см. lib/service-tickets.js)
+create table if not exists service_tickets (
+    id uuid primary key default gen_random_uuid(),
+    bike_id uuid not null references bikes (id),
+    rental_id uuid references rentals (id),
+    status text not null default 'opened' check (status in ('opened', 'diagnosing', 'waiting_parts', 'done')),
+    reason text,
+    diagnosis text,
+    opened_by uuid references operators (id),
+    mechanic_id uuid references operators (id),
+    minutes_spent integer not null default 0 check (minutes_spent >= 0),
+    closed_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Не больше одной незакрытой заявки на велосипед
+create unique index if not exists service_tickets_open_bike_idx on service_tickets (bike_id)
+    where status <> 'done';
+create index if not exists service_tickets_bike_idx on service_tickets (bike_id, created_at desc);
+
+create table if not exists service_ticket_parts (
+    id uuid primary key default gen_random_uuid(),
+    ticket_id uuid not null references service_tickets (id) on delete cascade,
+    name text not null,
+    quantity integer not null check (quantity > 0),
+    unit_cost numeric(10, 2) not null check (unit_cost >= 0),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists service_ticket_parts_ticket_idx on service_ticket_parts (ticket_id);
+
+-- Велосипеды, уже находящиеся в сервисе, получают открытую заявку
+insert into service_tickets (bike_id, reason)
+select id, service_reason from bikes
+where status = 'in_service'
+on conflict do nothing;
@@ -0,0 +1,14 @@
+-- Каталог повреждений с ценами по моделям велосипедов (см. lib/damage-catalog.js)
+create table if not exists damage_catalog (
+    id uuid primary key default gen_random_uuid(),
+    code text not null,
+    -- null — позиция для всех моделей
+    model_name text,
+    description text not null,
+    price numeric(10, 2) not null check (price >= 0),
+    active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create unique index if not exists damage_catalog_code_model_idx on damage_catalog (code, coalesce(model_name, ''));
@@ -0,0 +1,17 @@
+-- Фотографии велосипеда при выдаче и возврате (см. lib/rental-photos.js)
+create table if not exists rental_photos (
+    id uuid primary key default gen_random_uuid(),
+    rental_id uuid not null references rentals (id),
+    user_id uuid not null references clients (id),
+    stage text not null check (stage in ('handover', 'return')),
+    storage_path text not null unique,
+    content_type text not null check (content_type in ('image/jpeg', 'image/png')),
+    size_bytes integer not null,
+    sha256 text not null,
+    captured_at timestamptz not null,
+    caption text,
+    uploaded_by text not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists rental_photos_rental_idx on rental_photos (rental_id, stage, captured_at);
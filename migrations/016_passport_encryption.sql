@@ -0,0 +1,9 @@
+-- Шифрование паспортных данных (см. lib/passport-crypto.js) и обезличивание клиентов (lib/personal-data.js).
+-- Открытая колонка recognized_passport_data остается для распознавания: задача
+-- passport-encryption переносит ее содержимое в passport_data_encrypted и очищает
+alter table clients add column if not exists passport_data_encrypted text;
+alter table clients add column if not exists passport_key_id text;
+alter table clients add column if not exists passport_masked jsonb;
+alter table clients add column if not exists anonymised_at timestamptz;
+
+create index if not exists clients_passport_key_idx on clients (passport_key_id) where passport_key_id is not null;
@@ -0,0 +1,47 @@
+-- Верификация клиентов: статусы, история решений и повторная подача документов (см. lib/verification.js)
+alter table clients add column if not exists verification_submitted_at timestamptz;
+
+update clients set verification_status = 'pending'
+where verification_status is null or verification_status not in ('pending', 'approved', 'rejected', 'needs_more_info');
+
+alter table clients alter column verification_status set default 'pending';
+alter table clients drop constraint if exists clients_verification_status_check;
+alter table clients add constraint clients_verification_status_check
+    check (verification_status in ('pending', 'approved', 'rejected', 'needs_more_info'));
+
+create index if not exists clients_verification_queue_idx on clients (verification_submitted_at)
+    where verification_status = 'pending';
+
+create table if not exists verification_events (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references clients (id),
+    from_status text,
+    to_status text not null check (to_status in ('pending', 'approved', 'rejected', 'needs_more_info')),
+    actor text not null check (actor in ('client', 'operator')),
+    operator_id uuid references operators (id),
+    reason_code text,
+    comment text,
+    -- Фото, приложенные клиентом: [{ kind, storage_path, content_type, size_bytes, sha256 }]
+    documents jsonb not null default '[]'::jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists verification_events_user_idx on verification_events (user_id, created_at);
+
+-- Аренду, созданную в обход create-rental (например, из панели Supabase),
+-- тоже нельзя выставить на подпись клиенту без подтвержденной верификации
+create or replace function rentals_require_verified_client() returns trigger as $$
+begin
+    if new.status = 'awaiting_contract_signing'
+        and (tg_op = 'INSERT' or old.status is distinct from new.status)
+        and not exists (select 1 from clients where id = new.user_id and verification_status = 'approved') then
+        raise exception 'client % is not verified', new.user_id using errcode = 'check_violation';
+    end if;
+    return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists rentals_require_verified_client on rentals;
+create trigger rentals_require_verified_client
+    before insert or update of status on rentals
+    for each row execute function rentals_require_verified_client();
@@ -0,0 +1,4 @@
+-- Индексы для отчетов операторов (см. lib/reports): выборки за период по дате события
+create index if not exists rental_status_history_to_status_idx on rental_status_history (to_status, created_at);
+create index if not exists payments_paid_at_idx on payments (paid_at) where status = 'succeeded';
+create index if not exists verification_events_decisions_idx on verification_events (created_at) where actor = 'operator';
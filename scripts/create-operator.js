@@ -0,0 +1,33 @@
+/**
+ * Создает учетную запись оператора и печатает его токен (показывается один раз).
+ * Использование: node scripts/create-operator.js "Имя Фамилия" manager
+ */
+const { createSupabaseAdmin } = require('../lib/supabase');
+const { OPERATOR_ROLES, generateOperatorToken, hashOperatorToken } = require('../lib/admin-auth');
+
+async function main() {
+    const [name, role] = process.argv.slice(2);
+    if (!name || !OPERATOR_ROLES.includes(role)) {
+        console.error(`Использование: node scripts/create-operator.js <имя> <${OPERATOR_ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    const token = generateOperatorToken();
+    const { data, error } = await createSupabaseAdmin()
+        .from('operators')
+        .insert({ name, role, token_hash: hashOperatorToken(token) })
+        .select('id')
+        .single();
+
+    if (error) {
+        throw new Error('Не удалось создать оператора: ' + error.message);
+    }
+
+    console.log(`Оператор ${name} (${role}) создан, id: ${data.id}`);
+    console.log(`Токен (сохраните, повторно он не показывается): ${token}`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,122 @@
+/**
+ * Локальный симулятор GPS-трекеров для проверки приема телеметрии и команд блокировки.
+ *
+ * Запуск:
+ *   IOT_INGEST_TOKEN=test node scripts/iot-simulator.js DEVICE-1 DEVICE-2
+ * Сервер приложения при этом запускается с
+ *   IOT_INGEST_TOKEN=test IOT_COMMAND_URL=http://localhost:4020
+ *
+ * Поведение:
+ *   - каждые SIM_INTERVAL_MS (по умолчанию 5000) каждый трекер отправляет пакет
+ *     на SIM_SERVER_URL/api/iot/packets: координаты, скорость, напряжение батареи,
+ *     зажигание и состояние замка;
+ *   - велосипед катается случайным образом вокруг SIM_START (широта,долгота);
+ *   - команды принимаются на POST /devices/:id/commands (порт SIM_PORT, 4020):
+ *     lock/unlock меняют замок, immobilise/release останавливают и отпускают мотор;
+ *     подтверждение (ack) уходит со следующим пакетом;
+ *   - SIM_ONCE=true отправляет по одному пакету с каждого трекера и завершает работу.
+ */
+const express = require('express');
+const fetch = require('node-fetch');
+
+const port = Number(process.env.SIM_PORT || 4020);
+const serverUrl = (process.env.SIM_SERVER_URL || 'http://localhost:10000').replace(/\/$/, '');
+const intervalMs = Number(process.env.SIM_INTERVAL_MS || 5000);
+const once = process.env.SIM_ONCE === 'true';
+const [startLat, startLon] = (process.env.SIM_START || '55.0302,82.9204').split(',').map(Number);
+
+const deviceIds = process.argv.slice(2);
+if (deviceIds.length === 0) {
+    console.error('Использование: node scripts/iot-simulator.js <device id> [<device id> ...]');
+    process.exit(1);
+}
+
+const devices = new Map(deviceIds.map((id) => [id, {
+    id,
+    latitude: startLat + (Math.random() - 0.5) * 0.01,
+    longitude: startLon + (Math.random() - 0.5) * 0.01,
+    heading: Math.random() * 2 * Math.PI,
+    batteryVoltage: 54.6,
+    ignition: true,
+    locked: false,
+    immobilised: false,
+    pendingAcks: []
+}]));
+
+// Сдвигает велосипед на расстояние, пройденное за интервал со скоростью 10–25 км/ч
+function move(device) {
+    if (!device.ignition || device.locked || device.immobilised) return 0;
+    const speedKmh = 10 + Math.random() * 15;
+    const meters = speedKmh / 3.6 * (intervalMs / 1000);
+    device.heading += (Math.random() - 0.5) * 0.6;
+    device.latitude += (meters * Math.cos(device.heading)) / 111320;
+    device.longitude += (meters * Math.sin(device.heading)) / (111320 * Math.cos(device.latitude * Math.PI / 180));
+    device.batteryVoltage = Math.max(42, device.batteryVoltage - 0.01);
+    return speedKmh;
+}
+
+async function report(device) {
+    const speed = move(device);
+    const base = {
+        ts: Math.floor(Date.now() / 1000),
+        lat: Number(device.latitude.toFixed(6)),
+        lon: Number(device.longitude.toFixed(6)),
+        speed: Number(speed.toFixed(1)),
+        battery_voltage: Number(device.batteryVoltage.toFixed(2)),
+        ignition: device.ignition,
+        locked: device.locked
+    };
+    // Одно подтверждение на пакет
+    const acks = device.pendingAcks.splice(0);
+    const packets = acks.length ? acks.map((ack) => ({ ...base, ack })) : [base];
+
+    try {
+        const response = await fetch(`${serverUrl}/api/iot/packets`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-IoT-Token': process.env.IOT_INGEST_TOKEN || '' },
+            body: JSON.stringify({ device_id: device.id, packets })
+        });
+        const result = await response.json().catch(() => ({}));
+        console.log(`[${device.id}] ${base.lat},${base.lon} ${base.speed} км/ч -> ${response.status}`, result);
+    } catch (error) {
+        device.pendingAcks.unshift(...acks);
+        console.error(`[${device.id}] Не удалось отправить пакет: ${error.message}`);
+    }
+}
+
+const COMMAND_EFFECTS = {
+    lock: (device) => { device.locked = true; device.ignition = false; },
+    unlock: (device) => { device.locked = false; device.ignition = true; },
+    immobilise: (device) => { device.immobilised = true; },
+    release: (device) => { device.immobilised = false; }
+};
+
+async function reportAll() {
+    for (const device of devices.values()) {
+        await report(device);
+    }
+}
+
+if (once) {
+    reportAll().then(() => process.exit(0));
+} else {
+    const app = express();
+    app.use(express.json());
+
+    app.post('/devices/:id/commands', (req, res) => {
+        const device = devices.get(req.params.id);
+        const effect = COMMAND_EFFECTS[req.body.command];
+        if (!device) return res.status(404).json({ error: 'Unknown device' });
+        if (!effect) return res.status(400).json({ error: 'Unknown command' });
+
+        effect(device);
+        device.pendingAcks.push(req.body.command_id);
+        console.log(`[${device.id}] Команда ${req.body.command} (${req.body.command_id}) выполнена`);
+        res.status(202).json({ accepted: true });
+    });
+
+    app.listen(port, () => {
+        console.log(`IoT simulator: ${deviceIds.length} трекер(ов), команды на http://localhost:${port}, пакеты -> ${serverUrl}`);
+    });
+    setInterval(reportAll, intervalMs);
+}
@@ -0,0 +1,116 @@
+/**
+ * Переносит уже сохраненные документы из публичного бакета contracts в приватный
+ * и заменяет в rentals.extra_data публичные ссылки (*_url) на пути (*_path).
+ *
+ * Использование:
+ *   node scripts/migrate-documents-to-private.js [--dry-run] [--delete-public] [--make-bucket-private]
+ *
+ *   --dry-run              только показать, что будет перенесено
+ *   --delete-public        удалить перенесенные файлы из публичного бакета
+ *   --make-bucket-private  после переноса закрыть публичный доступ к бакету contracts
+ *
+ * Скрипт можно запускать повторно: уже перенесенные документы пропускаются.
+ */
+const { createSupabaseAdmin } = require('../lib/supabase');
+const {
+    LEGACY_PUBLIC_BUCKET,
+    uploadDocument,
+    downloadDocument,
+    pathFromPublicUrl
+} = require('../lib/document-storage');
+
+const PAGE_SIZE = 100;
+
+// Старое поле со ссылкой -> новое поле с путем
+const LEGACY_URL_FIELDS = {
+    contract_document_url: 'contract_document_path',
+    contract_package_url: 'contract_package_path',
+    return_act_url: 'return_act_path'
+};
+
+async function migrateRental(supabaseAdmin, rental, { dryRun, deletePublic }) {
+    const extraData = { ...(rental.extra_data || {}) };
+    const movedPaths = [];
+    let changed = false;
+
+    for (const [urlField, pathField] of Object.entries(LEGACY_URL_FIELDS)) {
+        const publicUrl = extraData[urlField];
+        if (!publicUrl) continue;
+
+        const filePath = pathFromPublicUrl(publicUrl);
+        if (!filePath) {
+            console.warn(`  ${rental.id}: ${urlField} не похоже на ссылку Supabase Storage, пропускаем: ${publicUrl}`);
+            continue;
+        }
+
+        if (!extraData[pathField]) {
+            console.log(`  ${rental.id}: ${LEGACY_PUBLIC_BUCKET}/${filePath} -> ${pathField}`);
+            if (!dryRun) {
+                const buffer = await downloadDocument(supabaseAdmin, filePath, LEGACY_PUBLIC_BUCKET);
+                await uploadDocument(supabaseAdmin, filePath, buffer);
+            }
+            extraData[pathField] = filePath;
+            movedPaths.push(filePath);
+        }
+        delete extraData[urlField];
+        changed = true;
+    }
+
+    if (!changed || dryRun) return movedPaths.length;
+
+    const { error } = await supabaseAdmin
+        .from('rentals')
+        .update({ extra_data: extraData })
+        .eq('id', rental.id);
+    if (error) {
+        throw new Error(`Не удалось обновить аренду ${rental.id}: ` + error.message);
+    }
+
+    if (deletePublic && movedPaths.length > 0) {
+        const { error: removeError } = await supabaseAdmin.storage.from(LEGACY_PUBLIC_BUCKET).remove(movedPaths);
+        if (removeError) {
+            console.warn(`  ${rental.id}: не удалось удалить публичные копии: ${removeError.message}`);
+        }
+    }
+    return movedPaths.length;
+}
+
+async function main() {
+    const args = new Set(process.argv.slice(2));
+    const options = { dryRun: args.has('--dry-run'), deletePublic: args.has('--delete-public') };
+    const supabaseAdmin = createSupabaseAdmin();
+
+    let offset = 0;
+    let moved = 0;
+    for (;;) {
+        const { data: rentals, error } = await supabaseAdmin
+            .from('rentals')
+            .select('id, extra_data')
+            .order('created_at', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1);
+        if (error) {
+            throw new Error('Не удалось получить аренды: ' + error.message);
+        }
+        if (!rentals || rentals.length === 0) break;
+
+        for (const rental of rentals) {
+            moved += await migrateRental(supabaseAdmin, rental, options);
+        }
+        offset += rentals.length;
+    }
+
+    console.log(`${options.dryRun ? 'Будет перенесено' : 'Перенесено'} документов: ${moved}`);
+
+    if (args.has('--make-bucket-private') && !options.dryRun) {
+        const { error } = await supabaseAdmin.storage.updateBucket(LEGACY_PUBLIC_BUCKET, { public: false });
+        if (error) {
+            throw new Error('Не удалось закрыть публичный бакет: ' + error.message);
+        }
+        console.log(`Бакет ${LEGACY_PUBLIC_BUCKET} больше не публичный.`);
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,40 @@
+/**
+ * Регистрирует webhook бота в Telegram и список команд в меню.
+ * Использование: node scripts/set-telegram-webhook.js https://example.com
+ * Нужны TELEGRAM_BOT_TOKEN и TELEGRAM_WEBHOOK_SECRET.
+ */
+const { callTelegramApi } = require('../lib/telegram');
+
+const COMMANDS = [
+    { command: 'rental', description: 'Текущая аренда и оставшееся время' },
+    { command: 'documents', description: 'Подписанные документы' },
+    { command: 'pay', description: 'Оплата и привязанная карта' },
+    { command: 'support', description: 'Связаться с поддержкой' }
+];
+
+async function main() {
+    const [baseUrl] = process.argv.slice(2);
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!baseUrl || !secret) {
+        console.error('Использование: TELEGRAM_WEBHOOK_SECRET=... node scripts/set-telegram-webhook.js <публичный адрес сервера>');
+        process.exit(1);
+    }
+
+    const url = `${baseUrl.replace(/\/$/, '')}/api/telegram/webhook`;
+    const webhook = await callTelegramApi('setWebhook', {
+        url,
+        secret_token: secret,
+        allowed_updates: ['message', 'callback_query']
+    });
+    if (!webhook) {
+        throw new Error('Не удалось зарегистрировать webhook.');
+    }
+    await callTelegramApi('setMyCommands', { commands: COMMANDS });
+
+    console.log(`Webhook зарегистрирован: ${url}`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,182 @@
+/**
+ * Локальный mock API ЮKassa для разработки и проверки платежей без реального магазина.
+ *
+ * Запуск:
+ *   node scripts/yookassa-mock.js
+ * Сервер приложения при этом запускается с
+ *   YOOKASSA_API_URL=http://localhost:4010/v3 YOOKASSA_SHOP_ID=test YOOKASSA_SECRET_KEY=test YOOKASSA_WEBHOOK_IP_CHECK=false
+ *
+ * Поведение:
+ *   - платеж с confirmation ждет перехода по confirmation_url (GET /confirm/:id), после чего
+ *     становится succeeded и, если просили, сохраняет способ оплаты;
+ *   - платеж по сохраненному способу оплаты сразу succeeded, кроме способов, чей ID
+ *     начинается с "fail" — они отклоняются с причиной insufficient_funds;
+ *   - возвраты сразу succeeded;
+ *   - о каждом изменении отправляется уведомление на MOCK_WEBHOOK_URL.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const fetch = require('node-fetch');
+
+const port = Number(process.env.MOCK_PORT || 4010);
+const webhookUrl = process.env.MOCK_WEBHOOK_URL || 'http://localhost:10000/api/payments/webhook';
+const baseUrl = `http://localhost:${port}`;
+
+const app = express();
+app.use(express.json());
+
+const payments = new Map();
+const refunds = new Map();
+const idempotentResponses = new Map();
+
+function now() {
+    return new Date().toISOString();
+}
+
+async function notify(event, object) {
+    try {
+        await fetch(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: 'notification', event, object })
+        });
+    } catch (error) {
+        console.warn(`Не удалось отправить уведомление ${event}: ${error.message}`);
+    }
+}
+
+// Как и настоящая ЮKassa: без Basic-авторизации 401, повтор ключа идемпотентности возвращает тот же объект
+function requireAuth(req, res, next) {
+    if (!(req.get('authorization') || '').startsWith('Basic ')) {
+        return res.status(401).json({ type: 'error', code: 'invalid_credentials', description: 'Authentication required' });
+    }
+    next();
+}
+
+function idempotent(handler) {
+    return (req, res) => {
+        const key = req.get('idempotence-key');
+        if (!key) {
+            return res.status(400).json({ type: 'error', code: 'invalid_request', description: 'Idempotence-Key header is required' });
+        }
+        if (idempotentResponses.has(key)) {
+            return res.json(idempotentResponses.get(key));
+        }
+        const result = handler(req);
+        if (result.error) {
+            return res.status(result.status).json(result.error);
+        }
+        idempotentResponses.set(key, result);
+        res.json(result);
+    };
+}
+
+function savedCard(id) {
+    return {
+        type: 'bank_card',
+        id,
+        saved: true,
+        title: 'Bank card *4444',
+        card: { first6: '555555', last4: '4444', expiry_month: '12', expiry_year: '2030', card_type: 'MasterCard' }
+    };
+}
+
+app.post('/v3/payments', requireAuth, idempotent((req) => {
+    const { amount, payment_method_id, confirmation, save_payment_method, description, metadata } = req.body;
+    if (!amount?.value || amount.currency !== 'RUB') {
+        return { status: 400, error: { type: 'error', code: 'invalid_request', description: 'amount is invalid' } };
+    }
+
+    const payment = {
+        id: crypto.randomUUID(),
+        status: 'pending',
+        paid: false,
+        amount,
+        description,
+        metadata: metadata || {},
+        created_at: now(),
+        test: true
+    };
+
+    if (payment_method_id) {
+        if (payment_method_id.startsWith('fail')) {
+            payment.status = 'canceled';
+            payment.cancellation_details = { party: 'payment_network', reason: 'insufficient_funds' };
+        } else {
+            payment.status = 'succeeded';
+            payment.paid = true;
+            payment.captured_at = now();
+        }
+        payment.payment_method = savedCard(payment_method_id);
+    } else {
+        payment.confirmation = {
+            type: 'redirect',
+            return_url: confirmation?.return_url,
+            confirmation_url: `${baseUrl}/confirm/${payment.id}`
+        };
+        payment.save_payment_method = Boolean(save_payment_method);
+    }
+
+    payments.set(payment.id, payment);
+    if (payment.status !== 'pending') {
+        setImmediate(() => notify(`payment.${payment.status}`, payment));
+    }
+    return payment;
+}));
+
+app.get('/v3/payments/:id', requireAuth, (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment) {
+        return res.status(404).json({ type: 'error', code: 'not_found', description: 'Payment not found' });
+    }
+    res.json(payment);
+});
+
+// Имитация оплаты клиентом на странице ЮKassa
+app.get('/confirm/:id', async (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment || payment.status !== 'pending') {
+        return res.status(404).send('Payment not found or already processed');
+    }
+    payment.status = 'succeeded';
+    payment.paid = true;
+    payment.captured_at = now();
+    payment.payment_method = payment.save_payment_method
+        ? savedCard(crypto.randomUUID())
+        : { ...savedCard(crypto.randomUUID()), saved: false };
+
+    await notify('payment.succeeded', payment);
+    if (payment.confirmation.return_url) {
+        return res.redirect(payment.confirmation.return_url);
+    }
+    res.send('Payment succeeded');
+});
+
+app.post('/v3/refunds', requireAuth, idempotent((req) => {
+    const payment = payments.get(req.body.payment_id);
+    if (!payment || payment.status !== 'succeeded') {
+        return { status: 400, error: { type: 'error', code: 'invalid_request', description: 'Payment cannot be refunded' } };
+    }
+    const refund = {
+        id: crypto.randomUUID(),
+        payment_id: payment.id,
+        status: 'succeeded',
+        amount: req.body.amount || payment.amount,
+        created_at: now()
+    };
+    refunds.set(refund.id, refund);
+    setImmediate(() => notify('refund.succeeded', refund));
+    return refund;
+}));
+
+app.get('/v3/refunds/:id', requireAuth, (req, res) => {
+    const refund = refunds.get(req.params.id);
+    if (!refund) {
+        return res.status(404).json({ type: 'error', code: 'not_found', description: 'Refund not found' });
+    }
+    res.json(refund);
+});
+
+app.listen(port, () => {
+    console.log(`YooKassa mock listening on ${baseUrl}, notifications -> ${webhookUrl}`);
+});
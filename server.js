@@ -1,22 +1,67 @@
 const express = require('express');
 const cors = require('cors');
-const { createClient } = require('@supabase/supabase-js');
+const path = require('path');
 const fetch = require('node-fetch');
-const playwright = require('playwright');
+const { createSupabaseAdmin } = require('./lib/supabase');
+const { createStore } = require('./lib/store');
+const { authenticateUser, rotateAuthToken } = require('./lib/auth');
+const { authenticateOperator } = require('./lib/admin-auth');
+const {
+    RentalTransitionError,
+    assertTransitionAllowed,
+    transitionRental,
+    getRentalStatusHistory
+} = require('./lib/rental-status');
+const { PdfRenderError, renderPdf, shutdownPdfRenderer } = require('./lib/pdf-renderer');
+const {
+    renderDocument,
+    renderDocumentPackage,
+    getLessorDetails,
+    parsePassportData,
+    isValidSignatureData
+} = require('./lib/documents');
+const { createDocumentId, buildSignatureFooter, recordSignature, verifyDocument } = require('./lib/signatures');
+const { DOCUMENT_PATH_FIELDS } = require('./lib/document-storage');
+const {
+    processPaymentNotification,
+    handleCreateCardBinding,
+    handleGetPendingPayments
+} = require('./lib/payments');
+const { isNotificationAddress } = require('./lib/yookassa');
+const { collectDamagePayment } = require('./lib/damage-charges');
+const {
+    calculatePeriodEnd,
+    prorateEarlyReturn,
+    handleExtendRental
+} = require('./lib/billing');
+const { enqueueNotification } = require('./lib/notifications');
+const { LocationError, isValidRecordedAt, recordRentalLocation, findTrackedRental } = require('./lib/locations');
+const { iotPacketsRoute } = require('./lib/iot');
+const { getUnreportedBatterySwaps, markBatterySwapsReported } = require('./lib/fleet');
+const { RentalPhotoError, loadActPhotos, assertDefectPhotos } = require('./lib/rental-photos');
+const { DamageCatalogError, priceDefects } = require('./lib/damage-catalog');
+const { openServiceTicket } = require('./lib/service-tickets');
+const { VerificationError, assertClientVerified } = require('./lib/verification');
+const { startScheduler, stopScheduler } = require('./lib/scheduler');
+const {
+    registerUserOperations,
+    registerAdminOperations,
+    createApiRouter,
+    apiErrorHandler,
+    legacyActionRoute
+} = require('./lib/api');
+require('./lib/jobs');
+const { createTelegramWebhook } = require('./lib/telegram-bot');
+const { resolveBotUsername } = require('./lib/telegram');
 
 const app = express();
 const port = process.env.PORT || 10000;
 
+// Запросы приходят через балансировщик хостинга: берем IP клиента из X-Forwarded-For
+app.set('trust proxy', 1);
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
-function createSupabaseAdmin() {
-    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
-        throw new Error('Supabase service credentials are not configured.');
-    }
-    return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-}
-
 function parseRequestBody(body) {
     if (!body) return {};
     if (typeof body === 'string') {
@@ -29,304 +74,243 @@ function parseRequestBody(body) {
     }
     return body;
 }
-const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN; // Загружаем токен из переменных окружения
-
-/**
- * Отправляет уведомление в Telegram с кнопкой-ссылкой на Web App.
- * @param {string} chatId - ID чата с пользователем (его telegram_user_id).
- * @param {string} text - Текст сообщения.
- * @param {string} webAppUrl - Ссылка на Web App для кнопки.
- */
-async function sendTelegramNotification(chatId, text, webAppUrl) {
-    if (!BOT_TOKEN) {
-        console.error('Ошибка: TELEGRAM_BOT_TOKEN не установлен. Уведомление не отправлено.');
-        return;
-    }
-    if (!chatId) {
-        console.warn('Предупреждение: telegram_user_id для клиента не найден. Уведомление не отправлено.');
-        return;
-    }
-
-    const apiUrl = `https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`;
-    const payload = {
-        chat_id: chatId,
-        text: text,
-        parse_mode: 'HTML', // Разрешаем использовать HTML-теги для форматирования
-        reply_markup: {
-            inline_keyboard: [
-                [
-                    {
-                        text: '✍️ Открыть уведомления', // Текст на кнопке
-                        web_app: { url: webAppUrl } // Ссылка, которую откроет кнопка
-                    }
-                ]
-            ]
-        }
-    };
-
-    try {
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-        const result = await response.json();
-        if (!result.ok) {
-            console.error('Ошибка отправки сообщения в Telegram:', result.description);
-        }
-    } catch (error) {
-        console.error('Сетевая ошибка при отправке сообщения в Telegram:', error);
-    }
-}
-
-async function handleUpdateLocation({ userId, latitude, longitude }) {
+async function handleUpdateLocation({ userId, latitude, longitude, accuracy, recordedAt }) {
     if (!userId || typeof latitude !== 'number' || typeof longitude !== 'number') {
         return { status: 400, body: { error: 'userId, latitude, and longitude are required.' } };
     }
-    const supabaseAdmin = createSupabaseAdmin();
-    const locationString = `POINT(${longitude} ${latitude})`;
-    const { error } = await supabaseAdmin
-        .from('clients')
-        .update({ last_location: locationString })
-        .eq('id', userId);
-
-    if (error) {
-        throw new Error('Failed to update location: ' + error.message);
+    if (recordedAt && !isValidRecordedAt(new Date(recordedAt))) {
+        return { status: 400, body: { error: 'recordedAt must be a valid timestamp that is not in the future.', code: 'invalid_recorded_at' } };
     }
+    const store = createStore();
+    await store.clients.update(userId, { last_location: `POINT(${longitude} ${latitude})` });
 
-    return { status: 200, body: { message: 'Location updated successfully.' } };
+    // Во время аренды точка также попадает в трек
+    const rental = await findTrackedRental(store.db, userId);
+    if (!rental) {
+        return { status: 200, body: { message: 'Location updated successfully.', tracked: false } };
+    }
+    try {
+        const result = await recordRentalLocation(store.db, rental, { latitude, longitude, accuracy, recordedAt });
+        return { status: 200, body: { message: 'Location updated successfully.', tracked: true, ...result } };
+    } catch (locationError) {
+        if (locationError instanceof LocationError) {
+            return { status: locationError.status, body: { error: locationError.message, code: locationError.code } };
+        }
+        throw locationError;
+    }
 }
 
 async function handleVerifyToken({ token }) {
     if (!token) {
         return { status: 400, body: { error: 'token is required.' } };
     }
-    const supabaseAdmin = createSupabaseAdmin();
-    const { data: client, error } = await supabaseAdmin
-        .from('clients')
-        .select('id, name, auth_token')
-        .eq('auth_token', token)
-        .single();
+    const store = createStore();
+    const client = await store.clients.findByAuthToken(token, 'id, name, auth_token, auth_token_expires_at');
 
-    if (error || !client) {
+    if (!client) {
+        return { status: 401, body: { error: 'Invalid or expired token.' } };
+    }
+    // Токены, выданные до введения срока действия, принимаем один раз и сразу ротируем
+    if (client.auth_token_expires_at && new Date(client.auth_token_expires_at) <= new Date()) {
         return { status: 401, body: { error: 'Invalid or expired token.' } };
     }
 
-    return { status: 200, body: { userId: client.id, userName: client.name } };
+    // Предъявленный токен больше не действует: клиент получает новый
+    const session = await rotateAuthToken(store.db, client.id, token);
+
+    return {
+        status: 200,
+        body: {
+            userId: client.id,
+            userName: client.name,
+            authToken: session.token,
+            authTokenExpiresAt: session.expiresAt.toISOString()
+        }
+    };
 }
 
 async function handleGetPendingContracts({ userId }) {
     if (!userId) {
         return { status: 400, body: { error: 'userId is required.' } };
     }
-    const supabaseAdmin = createSupabaseAdmin();
-    const { data, error } = await supabaseAdmin
-        .from('rentals')
-        .select('id, status, bike_id, tariffs(title), bikes(*), extra_data')
-        .eq('user_id', userId)
-        .in('status', ['awaiting_contract_signing', 'awaiting_return_signature']);
+    const notifications = await createStore().rentals.listForUser(userId, {
+        columns: 'id, status, bike_id, tariffs(title), bikes(*), extra_data',
+        statuses: ['awaiting_contract_signing', 'awaiting_return_signature']
+    });
 
-    if (error) {
-        throw new Error('Failed to fetch pending notifications: ' + error.message);
-    }
-
-    return { status: 200, body: { notifications: data || [] } };
+    return { status: 200, body: { notifications } };
 }
 
 async function handleGetContractDetails({ userId, rentalId }) {
     if (!userId || !rentalId) {
         return { status: 400, body: { error: 'userId and rentalId are required.' } };
     }
-    const supabaseAdmin = createSupabaseAdmin();
-    const { data, error } = await supabaseAdmin
-        .from('rentals')
-        .select(`
-            id,
-            extra_data,
-            clients ( name, city, recognized_passport_data ),
-            tariffs ( title ),
-            bikes ( model_name, frame_number, battery_numbers, registration_number, iot_device_id, additional_equipment )
-        `)
-        .eq('id', rentalId)
-        .eq('user_id', userId)
-        .single();
-
-    if (error) {
-        throw new Error('Failed to fetch contract details: ' + error.message);
-    }
-
-    return { status: 200, body: { rental: data } };
+    const rental = await createStore().rentals.findForUser(rentalId, userId, `
+        id,
+        extra_data,
+        clients ( name, city, passport_masked ),
+        tariffs ( title ),
+        bikes ( model_name, frame_number, battery_numbers, registration_number, iot_device_id, additional_equipment )
+    `);
+    if (!rental) {
+        return { status: 404, body: { error: 'Rental not found.' } };
+    }
+
+    // Паспорт клиенту показываем только маскированным; recognized_passport_data
+    // оставлено для старых версий Web App, которые читают паспорт из этого поля
+    const { passport_masked: passportMasked, ...client } = rental.clients || {};
+    const passport = passportMasked || { series: null, number: null };
+    return {
+        status: 200,
+        body: { rental: { ...rental, clients: { ...client, recognized_passport_data: passport } }, passport }
+    };
 }
 
 async function handleGetActiveRental({ userId }) {
     if (!userId) {
         return { status: 400, body: { error: 'userId is required.' } };
     }
-    const supabaseAdmin = createSupabaseAdmin();
-    const { data, error } = await supabaseAdmin
-        .from('rentals')
-        .select('*, tariffs(*)')
-        .eq('user_id', userId)
-        .in('status', ['active', 'overdue', 'pending_return'])
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .maybeSingle();
-
-    if (error) {
-        throw new Error('Failed to fetch active rental: ' + error.message);
-    }
+    const rental = await createStore().rentals.findLatestForUser(
+        userId,
+        ['active', 'overdue', 'pending_return'],
+        '*, tariffs(*)'
+    );
 
-    return { status: 200, body: { rental: data } };
+    return { status: 200, body: { rental } };
 }
 
-function generateContractHTML(rentalData) {
-    const client = rentalData.clients;
-    const bike = rentalData.bikes;
-    const now = new Date();
-
-    // --- ИСПРАВЛЕНИЕ: Добавляем парсинг JSON и используем правильные ключи ---
-    let passport = {};
-    if (client?.recognized_passport_data) {
-        try {
-            // Данные могут быть строкой или уже объектом, обработаем оба случая
-            passport = typeof client.recognized_passport_data === 'string'
-                ? JSON.parse(client.recognized_passport_data)
-                : client.recognized_passport_data;
-        } catch (e) {
-            console.error("Server failed to parse passport data:", e);
-        }
-    }
-
-    const batteryNumbers = Array.isArray(bike?.battery_numbers)
-        ? bike.battery_numbers.join(', ')
-        : (bike?.battery_numbers || 'N/A');
-
-    return `
-        <div style="text-align: center; font-weight: bold; font-size: 1.2em; margin-bottom: 20px;">
-            Акт приема-передачи<br>
-            (Приложение №1 к Договору проката)
-        </div>
-        <div style="display: flex; justify-content: space-between; margin-bottom: 20px; font-size: 0.9em;">
-            <span>г. ${client?.city || 'Москва'}</span>
-            <span>${now.toLocaleDateString('ru-RU')}</span>
-        </div>
-        <h4 style="margin-top: 20px; margin-bottom: 10px;">1. Оборудование</h4>
-        <table border="1" style="width:100%; border-collapse: collapse; margin-bottom: 20px; text-align: left; font-size: 0.9em;">
-            <tbody style="text-align: left;">
-                <tr><th style="padding: 8px; width: 40%;">Наименование</th><td style="padding: 8px;">${bike?.model_name || 'N/A'}</td></tr>
-                <tr><th style="padding: 8px;">Номер рамы</th><td style="padding: 8px;">${bike?.frame_number || 'N/A'}</td></tr>
-                <tr><th style="padding: 8px;">Номера аккумуляторов</th><td style="padding: 8px;">${batteryNumbers}</td></tr>
-                <tr><th style="padding: 8px;">Рег. номер</th><td style="padding: 8px;">${bike?.registration_number || 'N/A'}</td></tr>
-                <tr><th style="padding: 8px;">Номер IOT</th><td style="padding: 8px;">${bike?.iot_device_id || 'N/A'}</td></tr>
-                <tr><th style="padding: 8px;">Доп. оборудование</th><td style="padding: 8px;">${bike?.additional_equipment || 'N/A'}</td></tr>
-            </tbody>
-        </table>
-
-        <h4 style="margin-top: 20px; margin-bottom: 10px;">2. Арендатор</h4>
-        <table border="1" style="width:100%; border-collapse: collapse; margin-bottom: 20px; text-align: left; font-size: 0.9em;">
-            <tbody style="text-align: left;">
-                <tr><th style="padding: 8px; width: 40%;">ФИО</th><td style="padding: 8px;">${client?.name || 'N/A'}</td></tr>
-                <tr><th style="padding: 8px;">Дата рождения</th><td style="padding: 8px;">${passport.birth_date || 'N/A'}</td></tr>
-                <tr><th style="padding: 8px;">Паспорт</th><td style="padding: 8px;">${(passport.series || '') + ' ' + (passport.number || '')}</td></tr>
-                <tr><th style="padding: 8px;">Кем выдан</th><td style="padding: 8px;">${passport.issuing_authority || 'N/A'}</td></tr>
-                <tr><th style="padding: 8px;">Дата выдачи</th><td style="padding: 8px;">${passport.issue_date || 'N/A'}</td></tr>
-                <tr><th style="padding: 8px;">Адрес регистрации</th><td style="padding: 8px;">${passport.registration_address || 'N/A'}</td></tr>
-            </tbody>
-        </table>
-
-        <p style="font-size: 0.9em; margin-top: 20px;">Инструктаж пройден, с условиями согласен, техника и оборудование комплектны, на момент передачи исправны, нареканий нет.</p>
-    `;
+/**
+ * Рендерит подписываемый документ с колонтитулом (ID документа и QR-код для проверки).
+ */
+async function renderSignedPdf(html, documentId, signedAt) {
+    return renderPdf(html, await buildSignatureFooter(documentId, signedAt));
 }
 
-async function handleConfirmContract({ userId, rentalId, signatureData }) {
+async function handleConfirmContract({ userId, rentalId, signatureData }, { signer }) {
     if (!userId || !rentalId || !signatureData) {
         return { status: 400, body: { error: 'userId, rentalId, and signatureData are required.' } };
     }
+    if (!isValidSignatureData(signatureData)) {
+        return { status: 400, body: { error: 'signatureData must be a PNG or JPEG data URL.' } };
+    }
 
-    const supabaseAdmin = createSupabaseAdmin();
-    let browser = null;
+    const store = createStore();
+    const supabaseAdmin = store.db;
 
     try {
-        const { data: rentalData, error: rentalError } = await supabaseAdmin
-            .from('rentals')
-            .select(`
-                clients ( name, city, recognized_passport_data ),
-                bikes ( model_name, frame_number, battery_numbers, registration_number, iot_device_id, additional_equipment )
-            `)
-            .eq('id', rentalId)
-            .eq('user_id', userId)
-            .single();
-
-        if (rentalError) throw new Error('Failed to fetch rental data: ' + rentalError.message);
-
-        const contractBodyHTML = generateContractHTML(rentalData);
-        const fullHTML = `
-            <!DOCTYPE html><html lang="ru"><head><meta charset="UTF-8"><style>
-            body { font-family: 'DejaVu Sans', sans-serif; font-size: 11px; line-height: 1.4; color: #333; }
-            table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-            th, td { border: 1px solid #ccc; padding: 6px; text-align: left; }
-            th { background-color: #f2f2f2; font-weight: bold; width: 40%; }
-            h2, h4 { text-align: center; }
-            </style></head><body>
-                ${contractBodyHTML}
-                <div style="margin-top: 50px; page-break-inside: avoid; width: 400px;">
-                    <div style="position: relative; height: 100px; text-align: left;">
-                        <img src="${signatureData}" alt="Подпись" style="position: absolute; left: 0; bottom: 15px; width: 180px; height: auto; z-index: 10;"/>
-                        <div style="position: absolute; left: 0; bottom: 10px; width: 100%; border-bottom: 1px solid #333;"></div>
-                    </div>
-                    <div style="text-align: right; font-size: 11px; color: #555;">
-                        (Подпись Арендатора)
-                    </div>
-                </div>
-            </body></html>
-        `;
-
-        browser = await playwright.chromium.launch();
-        const context = await browser.newContext();
-        const page = await context.newPage();
-        await page.setContent(fullHTML, { waitUntil: 'load' });
-        const pdfBuffer = await page.pdf({ format: 'A4', printBackground: true });
-
-        const filePath = `signed/${userId}/rental_${rentalId}_signed.pdf`;
-        const { error: uploadError } = await supabaseAdmin.storage
-            .from('contracts')
-            .upload(filePath, pdfBuffer, {
-                contentType: 'application/pdf',
-                upsert: true
-            });
-
-        if (uploadError) throw new Error('Failed to save PDF: ' + uploadError.message);
+        const rentalData = await store.rentals.findForUser(rentalId, userId, `
+            id,
+            status,
+            bike_id,
+            clients ( id, name, city, passport_data_encrypted, recognized_passport_data ),
+            bikes ( model_name, frame_number, battery_numbers, registration_number, iot_device_id, additional_equipment ),
+            tariffs ( * )
+        `);
+        if (!rentalData) {
+            return { status: 404, body: { error: 'Rental not found.' } };
+        }
 
-        const { data: { publicUrl } } = supabaseAdmin.storage.from('contracts').getPublicUrl(filePath);
+        // Проверяем до генерации PDF, чтобы не подписывать уже активную или завершенную аренду
+        assertTransitionAllowed(rentalData.status, 'active', 'client');
+
+        // Оплаченный период начинается с момента подписания
+        const now = new Date();
+        const periodEnd = calculatePeriodEnd(now, rentalData.tariffs);
+        // Замены аккумуляторов с прошлой выдачи велосипеда попадают в акт
+        const batterySwaps = await getUnreportedBatterySwaps(supabaseAdmin, rentalData.bike_id);
+        const photos = await loadActPhotos(supabaseAdmin, rentalId, 'handover');
+        const documentData = {
+            lessor: getLessorDetails(),
+            client: rentalData.clients,
+            passport: parsePassportData(rentalData.clients),
+            bike: rentalData.bikes,
+            tariff: rentalData.tariffs,
+            rental: rentalData,
+            period: { start: now, end: periodEnd },
+            date: now,
+            signatureData,
+            batterySwaps,
+            photos
+        };
+
+        // Приложение №1 отдельно и полный пакет: договор проката + Приложение №1
+        const { html: actHTML } = renderDocument('handover_act', documentData);
+        const { html: packageHTML, templateVersions } = renderDocumentPackage([
+            { name: 'rental_agreement', data: documentData },
+            { name: 'handover_act', data: documentData }
+        ]);
+
+        const actDocumentId = createDocumentId();
+        const packageDocumentId = createDocumentId();
+        const actPdf = await renderSignedPdf(actHTML, actDocumentId, now);
+        const packagePdf = await renderSignedPdf(packageHTML, packageDocumentId, now);
+
+        const actPath = `signed/${userId}/rental_${rentalId}_signed.pdf`;
+        const packagePath = `signed/${userId}/rental_${rentalId}_package.pdf`;
 
         // Получаем текущие extra_data, чтобы не затереть их
-        const { data: currentRental, error: fetchError } = await supabaseAdmin
-            .from('rentals').select('extra_data').eq('id', rentalId).single();
-        if (fetchError) throw new Error('Failed to get current rental data: ' + fetchError.message);
-
-        const extraData = currentRental.extra_data || {};
-        extraData.contract_document_url = publicUrl; // Добавляем новую ссылку
-
-        const { error: updateError } = await supabaseAdmin
-            .from('rentals')
-            .update({
-                status: 'active',
-                extra_data: extraData // Сохраняем обновленный объект
-            })
-            .eq('id', rentalId)
-            .eq('user_id', userId);
+        const extraData = await store.rentals.getExtraData(rentalId);
+        // Храним только пути: скачать документ можно через get-document-url
+        extraData.contract_document_path = actPath;
+        extraData.contract_package_path = packagePath;
+        // Запоминаем версии шаблонов, чтобы всегда можно было восстановить подписанный текст
+        extraData.document_versions = { ...extraData.document_versions, ...templateVersions };
+        extraData.signed_document_ids = {
+            ...extraData.signed_document_ids,
+            handover_act: actDocumentId,
+            contract_package: packageDocumentId
+        };
+
+        // Сначала условный переход: запрос, проигравший гонку, получает 409
+        // и не оставляет ни файлов, ни записей о подписи, которой не было
+        await transitionRental(supabaseAdmin, {
+            rentalId,
+            userId,
+            to: 'active',
+            actor: 'client',
+            actorId: userId,
+            patch: {
+                extra_data: extraData, // Сохраняем обновленный объект
+                current_period_start: now.toISOString(),
+                current_period_end: periodEnd ? periodEnd.toISOString() : null
+            }
+        });
 
-        if (updateError) throw new Error('Failed to activate rental: ' + updateError.message);
+        await store.documents.upload(actPath, actPdf);
+        await store.documents.upload(packagePath, packagePdf);
+
+        await recordSignature(supabaseAdmin, {
+            documentId: actDocumentId,
+            documentType: 'handover_act',
+            rentalId,
+            userId,
+            pdfBuffer: actPdf,
+            signedAt: now,
+            signer,
+            templateVersion: templateVersions.handover_act,
+            storagePath: actPath
+        });
+        await recordSignature(supabaseAdmin, {
+            documentId: packageDocumentId,
+            documentType: 'contract_package',
+            rentalId,
+            userId,
+            pdfBuffer: packagePdf,
+            signedAt: now,
+            signer,
+            templateVersion: Object.values(templateVersions).join(','),
+            storagePath: packagePath
+        });
+        await markBatterySwapsReported(supabaseAdmin, batterySwaps.map((swap) => swap.id), actDocumentId);
 
         return { status: 200, body: { message: 'Contract signed and rental activated' } };
 
     } catch (error) {
+        if (error instanceof RentalTransitionError || error instanceof PdfRenderError) {
+            return { status: error.status, body: { error: error.message, code: error.code } };
+        }
         console.error('Contract confirmation error:', error);
         return { status: 500, body: { error: 'Не удалось сгенерировать договор: ' + error.message } };
-    } finally {
-        if (browser) {
-            await browser.close();
-        }
     }
 }
 
@@ -334,15 +318,7 @@ async function handleGetPaymentMethod({ userId }) {
     if (!userId) {
         return { status: 400, body: { error: 'userId is required.' } };
     }
-    const supabaseAdmin = createSupabaseAdmin();
-    const { data: client, error: clientError } = await supabaseAdmin
-        .from('clients')
-        .select('extra')
-        .eq('id', userId)
-        .single();
-
-    if (clientError) throw new Error('Failed to get client data: ' + clientError.message);
-    
+    const client = await createStore().clients.findById(userId, 'extra');
     const paymentMethodDetails = client?.extra?.payment_method_details;
 
     if (!paymentMethodDetails) {
@@ -352,237 +328,215 @@ async function handleGetPaymentMethod({ userId }) {
     return { status: 200, body: { payment_method: paymentMethodDetails } };
 }
 
-function generateReturnActHTML(rentalData, defects = [], clientSignatureData = null, amount = 0) {
-    const client = rentalData.clients;
-    const bike = rentalData.bikes;
-    const now = new Date();
-
-    // Пытаемся распарсить паспортные данные из JSON-строки
-    let passport = {};
-    if (client?.recognized_passport_data) {
-        try {
-            // Если это уже объект, используем его. Если строка - парсим.
-            passport = typeof client.recognized_passport_data === 'string'
-                ? JSON.parse(client.recognized_passport_data)
-                : client.recognized_passport_data;
-        } catch (e) {
-            console.error("Failed to parse passport data for return act:", e);
-        }
-    }
-
-    const batteryNumbers = Array.isArray(bike?.battery_numbers)
-        ? bike.battery_numbers.join(', ')
-        : (bike?.battery_numbers || 'N/A');
-
-    const defectsHTML = defects && defects.length > 0
-        ? `
-        <h4 style="margin-top: 20px; margin-bottom: 10px;">3. Выявленные неисправности</h4>
-        <ul style="padding-left: 20px; margin-bottom: 20px; font-size: 0.9em;">
-            ${defects.map(d => `<li>${d}</li>`).join('')}
-        </ul>
-        `
-        : '<p style="font-size: 0.9em; margin-top: 20px;">Неисправности на момент сдачи не выявлены.</p>';
-
-    const amountHTML = amount > 0
-        ? `
-        <h4 style="margin-top: 20px; margin-bottom: 10px;">4. Возмещение ущерба</h4>
-        <p style="font-size: 0.9em;">Итоговая сумма к оплате за ущерб: <strong>${amount.toFixed(2)} ₽</strong></p>
-        `
-        : '';
-
-    const clientSignatureHTML = clientSignatureData
-        ? `<img src="${clientSignatureData}" alt="Подпись" style="position: absolute; left: 0; bottom: 15px; width: 180px; height: auto; z-index: 10;"/>`
-        : '';
-
-    const bodyHTML = `
-        <div style="text-align: center; font-weight: bold; font-size: 1.2em; margin-bottom: 20px;">
-            Акт приема-передачи (возврата)<br>
-            (Приложение №2 к Договору проката)
-        </div>
-        <div style="display: flex; justify-content: space-between; margin-bottom: 20px; font-size: 0.9em;">
-            <span>г. ${client?.city || 'Москва'}</span>
-            <span>${now.toLocaleDateString('ru-RU')}</span>
-        </div>
-        <h4 style="margin-top: 20px; margin-bottom: 10px;">1. Оборудование</h4>
-        <table>
-            <tbody>
-                <tr><th>Наименование</th><td>${bike?.model_name || 'N/A'}</td></tr>
-                <tr><th>Номер рамы</th><td>${bike?.frame_number || 'N/A'}</td></tr>
-                <tr><th>Номера аккумуляторов</th><td>${batteryNumbers}</td></tr>
-                <tr><th>Рег. номер</th><td>${bike?.registration_number || 'N/A'}</td></tr>
-                <tr><th>Номер IOT</th><td>${bike?.iot_device_id || 'N/A'}</td></tr>
-                <tr><th>Доп. оборудование</th><td>${bike?.additional_equipment || 'N/A'}</td></tr>
-            </tbody>
-        </table>
-
-        <!-- +++ ДОБАВЛЕНА ТАБЛИЦА С ДАННЫМИ АРЕНДАТОРА +++ -->
-        <h4 style="margin-top: 20px; margin-bottom: 10px;">2. Арендатор</h4>
-        <table>
-            <tbody>
-                <tr><th>ФИО</th><td>${client?.name || 'N/A'}</td></tr>
-                <tr><th>Дата рождения</th><td>${passport.birth_date || 'N/A'}</td></tr>
-                <tr><th>Паспорт</th><td>${(passport.series || '') + ' ' + (passport.number || '')}</td></tr>
-                <tr><th>Кем выдан</th><td>${passport.issuing_authority || 'N/A'}</td></tr>
-                <tr><th>Дата выдачи</th><td>${passport.issue_date || 'N/A'}</td></tr>
-                <tr><th>Адрес регистрации</th><td>${passport.registration_address || 'N/A'}</td></tr>
-            </tbody>
-        </table>
-
-        ${defectsHTML}
-        ${amountHTML}
-
-        <p style="font-size: 0.9em; margin-top: 20px;">Арендатор технику и оборудование передал. Арендодатель технику и оборудование получил. Претензий стороны друг к другу не имеют.</p>
-
-        <!-- +++ ИСПРАВЛЕН БЛОК ПОДПИСИ +++ -->
-        <div style="margin-top: 50px; page-break-inside: avoid; width: 400px;">
-            <div style="position: relative; height: 100px; text-align: left;">
-                ${clientSignatureHTML}
-                <div style="position: absolute; left: 0; bottom: 10px; width: 100%; border-bottom: 1px solid #333;"></div>
-            </div>
-            <div style="text-align: right; font-size: 11px; color: #555;">
-                (Подпись Арендатора)
-            </div>
-        </div>
-    `;
-
-    return `
-        <!DOCTYPE html><html lang="ru"><head><meta charset="UTF-8"><style>
-        body { font-family: 'DejaVu Sans', sans-serif; font-size: 11px; line-height: 1.4; color: #333; }
-        table { width:100%; border-collapse: collapse; margin-bottom: 20px; text-align: left; font-size: 0.9em; }
-        th, td { border: 1px solid #ccc; padding: 8px; }
-        th { background-color: #f2f2f2; font-weight: bold; width: 40%; }
-        h2, h4 { text-align: center; }
-        </style></head><body>${bodyHTML}</body></html>
-    `;
-}
-
 async function handleGenerateReturnAct({ userId, rentalId }) {
     if (!userId || !rentalId) {
         return { status: 400, body: { error: 'userId and rentalId are required.' } };
     }
 
-    const supabaseAdmin = createSupabaseAdmin();
-    let browser = null;
+    const store = createStore();
 
     try {
-        const { data: rentalData, error: rentalError } = await supabaseAdmin
-            .from('rentals')
-            // ИЗМЕНЕНИЕ: Добавляем recognized_passport_data в запрос
-            .select('extra_data, clients ( name, city, recognized_passport_data ), bikes ( * )')
-            .eq('id', rentalId)
-            .eq('user_id', userId)
-            .single();
-
-        if (rentalError) throw new Error('Failed to fetch rental data for Act: ' + rentalError.message);
+        const rentalData = await store.rentals.findForUser(
+            rentalId,
+            userId,
+            'extra_data, clients ( id, name, city, passport_data_encrypted, recognized_passport_data ), bikes ( * )'
+        );
+        if (!rentalData) {
+            return { status: 404, body: { error: 'Rental not found.' } };
+        }
 
         const defects = rentalData.extra_data?.defects || [];
         const amount = rentalData.extra_data?.damage_amount || 0;
 
-        const fullHTML = generateReturnActHTML(rentalData, defects, null, amount);
+        const { html: fullHTML } = renderDocument('return_act', {
+            client: rentalData.clients,
+            bike: rentalData.bikes,
+            passport: parsePassportData(rentalData.clients),
+            date: new Date(),
+            signatureData: null,
+            defects,
+            amount,
+            photos: await loadActPhotos(store.db, rentalId, 'return')
+        });
 
-        browser = await playwright.chromium.launch();
-        const context = await browser.newContext();
-        const page = await context.newPage();
-        await page.setContent(fullHTML, { waitUntil: 'load' });
-        const pdfBuffer = await page.pdf({ format: 'A4', printBackground: true });
+        const pdfBuffer = await renderPdf(fullHTML);
 
         const filePath = `returns/${userId}/return_act_${rentalId}.pdf`;
-        const { error: uploadError } = await supabaseAdmin.storage
-            .from('contracts')
-            .upload(filePath, pdfBuffer, {
-                contentType: 'application/pdf',
-                upsert: true
-            });
-
-        if (uploadError) throw new Error('Failed to save Return Act PDF: ' + uploadError.message);
+        await store.documents.upload(filePath, pdfBuffer);
+        const { url, expiresAt } = await store.documents.createUrl(filePath);
 
-        const { data: { publicUrl } } = supabaseAdmin.storage.from('contracts').getPublicUrl(filePath);
-
-        return { status: 200, body: { message: 'Return Act generated successfully', publicUrl } };
+        // publicUrl оставлен для старых версий Web App, ссылка временная
+        return { status: 200, body: { message: 'Return Act generated successfully', url, expiresAt, publicUrl: url } };
 
     } catch (error) {
+        if (error instanceof PdfRenderError) {
+            return { status: error.status, body: { error: error.message, code: error.code } };
+        }
         console.error('Return Act generation error:', error);
         return { status: 500, body: { error: 'Не удалось сгенерировать акт сдачи: ' + error.message } };
-    } finally {
-        if (browser) {
-            await browser.close();
-        }
     }
 }
 
-async function handleConfirmReturnAct({ userId, rentalId, signatureData }) {
+async function handleConfirmReturnAct({ userId, rentalId, signatureData }, { signer }) {
     if (!userId || !rentalId || !signatureData) {
         return { status: 400, body: { error: 'userId, rentalId, and signatureData are required.' } };
     }
+    if (!isValidSignatureData(signatureData)) {
+        return { status: 400, body: { error: 'signatureData must be a PNG or JPEG data URL.' } };
+    }
 
-    const supabaseAdmin = createSupabaseAdmin();
-    let browser = null;
+    const store = createStore();
+    const supabaseAdmin = store.db;
 
     try {
-        const { data: rentalData, error: rentalError } = await supabaseAdmin
-            .from('rentals')
-            // ИЗМЕНЕНИЕ 1: Добавляем bike_id и recognized_passport_data в запрос
-            .select('bike_id, extra_data, clients ( name, city, recognized_passport_data ), bikes ( * )')
-            .eq('id', rentalId)
-            .eq('user_id', userId)
-            .single();
-
-        if (rentalError) throw new Error('Failed to fetch rental data for Return Act signing: ' + rentalError.message);
+        const rentalData = await store.rentals.findForUser(
+            rentalId,
+            userId,
+            'status, bike_id, extra_data, clients ( id, name, city, passport_data_encrypted, recognized_passport_data ), bikes ( * )'
+        );
+        if (!rentalData) {
+            return { status: 404, body: { error: 'Rental not found.' } };
+        }
 
         const defects = rentalData.extra_data?.defects || [];
         const amount = rentalData.extra_data?.damage_amount || 0;
+        // Если есть ущерб, аренда закроется только после его оплаты
+        const nextStatus = amount > 0 ? 'damage_payment_pending' : 'completed';
+
+        assertTransitionAllowed(rentalData.status, nextStatus, 'client');
+
+        const signedAt = new Date();
+        const { html: fullHTML, templateVersion } = renderDocument('return_act', {
+            client: rentalData.clients,
+            bike: rentalData.bikes,
+            passport: parsePassportData(rentalData.clients),
+            date: signedAt,
+            signatureData,
+            defects,
+            amount,
+            photos: await loadActPhotos(supabaseAdmin, rentalId, 'return')
+        });
 
-        const fullHTML = generateReturnActHTML(rentalData, defects, signatureData, amount);
-
-        browser = await playwright.chromium.launch();
-        const context = await browser.newContext();
-        const page = await context.newPage();
-        await page.setContent(fullHTML, { waitUntil: 'load' });
-        const pdfBuffer = await page.pdf({ format: 'A4', printBackground: true });
+        const documentId = createDocumentId();
+        const pdfBuffer = await renderSignedPdf(fullHTML, documentId, signedAt);
 
         const filePath = `returns/${userId}/return_act_${rentalId}_signed.pdf`;
-        const { error: uploadError } = await supabaseAdmin.storage
-            .from('contracts')
-            .upload(filePath, pdfBuffer, {
-                contentType: 'application/pdf',
-                upsert: true
-            });
-
-        if (uploadError) throw new Error('Failed to save signed Return Act PDF: ' + uploadError.message);
-
-        const { data: { publicUrl } } = supabaseAdmin.storage.from('contracts').getPublicUrl(filePath);
 
         // Получаем текущие extra_data
-        const { data: currentRental, error: fetchError } = await supabaseAdmin
-            .from('rentals').select('extra_data').eq('id', rentalId).single();
-        if (fetchError) throw new Error('Failed to get current rental data: ' + fetchError.message);
-
-        const extraData = currentRental.extra_data || {};
-        extraData.return_act_url = publicUrl; // Добавляем ссылку на акт сдачи
+        const extraData = await store.rentals.getExtraData(rentalId);
+        extraData.return_act_path = filePath; // Добавляем путь к акту сдачи
+        extraData.document_versions = { ...extraData.document_versions, return_act: templateVersion };
+        extraData.signed_document_ids = { ...extraData.signed_document_ids, return_act: documentId };
+
+        // Как и при подписании договора, подпись записывается только после выигранного перехода
+        await transitionRental(supabaseAdmin, {
+            rentalId,
+            userId,
+            to: nextStatus,
+            actor: 'client',
+            actorId: userId,
+            patch: { extra_data: extraData } // Сохраняем
+        });
 
-        const { error: updateError } = await supabaseAdmin
-            .from('rentals')
-            .update({
-                status: 'completed',
-                extra_data: extraData // Сохраняем
-            })
-            .eq('id', rentalId);
+        await store.documents.upload(filePath, pdfBuffer);
+
+        await recordSignature(supabaseAdmin, {
+            documentId,
+            documentType: 'return_act',
+            rentalId,
+            userId,
+            pdfBuffer,
+            signedAt,
+            signer,
+            templateVersion,
+            storagePath: filePath
+        });
 
-        if (updateError) throw new Error('Failed to finalize rental after signing return act: ' + updateError.message);
+        if (nextStatus === 'damage_payment_pending') {
+            let payment = null;
+            try {
+                payment = await collectDamagePayment(supabaseAdmin, rentalId);
+            } catch (chargeError) {
+                // Акт уже подписан: ошибку списания разбирает оператор через retry-damage-charge
+                console.error(`Damage charge failed for rental ${rentalId}:`, chargeError);
+            }
+            return {
+                status: 200,
+                body: {
+                    message: 'Return act signed successfully.',
+                    damagePayment: { amount, status: payment?.status || 'failed' }
+                }
+            };
+        }
 
         return { status: 200, body: { message: 'Return act signed successfully.' } };
 
     } catch (error) {
+        if (error instanceof RentalTransitionError || error instanceof PdfRenderError) {
+            return { status: error.status, body: { error: error.message, code: error.code } };
+        }
         console.error('Return Act confirmation error:', error);
         return { status: 500, body: { error: 'Не удалось подписать акт сдачи: ' + error.message } };
-    } finally {
-        if (browser) {
-            await browser.close();
+    }
+}
+
+/**
+ * Admin-действие create-rental: выставляет клиенту аренду на подпись договора.
+ * Велосипед резервируется сразу; клиент должен пройти верификацию.
+ */
+async function handleCreateRental({ user_id, bike_id, tariff_id }, { operator }) {
+    if (!user_id || !bike_id || !tariff_id) {
+        return { status: 400, body: { error: 'user_id, bike_id и tariff_id обязательны.' } };
+    }
+
+    const store = createStore();
+    const supabaseAdmin = store.db;
+
+    try {
+        await assertClientVerified(supabaseAdmin, user_id);
+    } catch (error) {
+        if (error instanceof VerificationError) {
+            return { status: error.status, body: { error: error.message, code: error.code } };
         }
+        throw error;
+    }
+    if (!await store.tariffs.findById(tariff_id, 'id')) {
+        return { status: 404, body: { error: 'Тариф не найден.' } };
+    }
+
+    // Условие по статусу не дает выдать один велосипед в две аренды
+    const { data: reserved, error: reserveError } = await supabaseAdmin
+        .from('bikes')
+        .update({ status: 'rented' })
+        .eq('id', bike_id)
+        .eq('status', 'available')
+        .select('id');
+    if (reserveError) {
+        throw new Error('Не удалось зарезервировать велосипед: ' + reserveError.message);
     }
+    if (!reserved || reserved.length === 0) {
+        return { status: 409, body: { error: 'Велосипед не найден или недоступен для выдачи.', code: 'bike_unavailable' } };
+    }
+
+    let rental;
+    try {
+        rental = await store.rentals.create({ user_id, bike_id, tariff_id, status: 'awaiting_contract_signing' });
+    } catch (error) {
+        await store.bikes.update(bike_id, { status: 'available' });
+        throw error;
+    }
+
+    const { error: historyError } = await supabaseAdmin
+        .from('rental_status_history')
+        .insert({ rental_id: rental.id, from_status: null, to_status: rental.status, actor: 'operator', actor_id: operator.id });
+    if (historyError) {
+        console.error(`Failed to write status history for rental ${rental.id}:`, historyError.message);
+    }
+
+    return { status: 200, body: { rental } };
 }
 
-async function handleFinalizeReturn({ rental_id, new_bike_status, service_reason, return_act_url, defects }) {
+async function handleFinalizeReturn({ rental_id, new_bike_status, service_reason, defects }, { operator }) {
     if (!rental_id || !new_bike_status) {
         return { status: 400, body: { error: 'rental_id и new_bike_status обязательны.' } };
     }
@@ -590,33 +544,53 @@ async function handleFinalizeReturn({ rental_id, new_bike_status, service_reason
         return { status: 400, body: { error: 'Причина ремонта обязательна, если велосипед отправляется в сервис.' } };
     }
 
-    const supabaseAdmin = createSupabaseAdmin();
+    const store = createStore();
+    const supabaseAdmin = store.db;
 
     // 1. Получаем ID велосипеда и ID клиента в Telegram из аренды
-    const { data: rentalData, error: rentalError } = await supabaseAdmin
-        .from('rentals')
-        .select('bike_id, extra_data, clients ( telegram_user_id )') // <-- ИЗМЕНЕНИЕ: Запрашиваем telegram_user_id
-        .eq('id', rental_id)
-        .single();
-
-    if (rentalError || !rentalData) {
-        throw new Error('Аренда не найдена: ' + (rentalError?.message || ''));
+    const rentalData = await store.rentals.findById(
+        rental_id,
+        'status, user_id, bike_id, extra_data, clients ( telegram_user_id ), bikes ( model_name )'
+    );
+    if (!rentalData) {
+        return { status: 404, body: { error: 'Аренда не найдена.' } };
     }
     const bike_id = rentalData.bike_id;
     const telegramUserId = rentalData.clients?.telegram_user_id; // <-- НОВОЕ: Получаем ID
 
+    // Сумма ущерба считается по каталогу повреждений для модели велосипеда
+    let pricedDefects;
+    try {
+        pricedDefects = await priceDefects(supabaseAdmin, rentalData.bikes?.model_name, defects);
+        await assertDefectPhotos(supabaseAdmin, rental_id, pricedDefects.items);
+    } catch (error) {
+        if (error instanceof DamageCatalogError || error instanceof RentalPhotoError) {
+            return { status: error.status, body: { error: error.message, code: error.code } };
+        }
+        throw error;
+    }
+
     // 2. Обновляем статус аренды и добавляем данные в extra_data
+    // Акт хранится только путем return_act_path (после подписи) и отдается по временной ссылке;
+    // ссылку, сохраненную старыми версиями панели, убираем — она уже истекла
     const extraData = rentalData.extra_data || {};
-    extraData.return_act_url = return_act_url;
-    extraData.defects = defects || [];
-
-    const { error: updateRentalError } = await supabaseAdmin
-        .from('rentals')
-        .update({ status: 'awaiting_return_signature', extra_data: extraData })
-        .eq('id', rental_id);
+    delete extraData.return_act_url;
+    extraData.defects = pricedDefects.items;
+    extraData.damage_amount = pricedDefects.total;
 
-    if (updateRentalError) {
-        throw new Error('Ошибка обновления статуса аренды: ' + updateRentalError.message);
+    try {
+        await transitionRental(supabaseAdmin, {
+            rentalId: rental_id,
+            to: 'awaiting_return_signature',
+            actor: 'operator',
+            actorId: operator.id,
+            patch: { extra_data: extraData }
+        });
+    } catch (error) {
+        if (error instanceof RentalTransitionError) {
+            return { status: error.status, body: { error: 'Нельзя оформить приемку: ' + error.message, code: error.code } };
+        }
+        throw error;
     }
 
     // 3. Готовим данные для обновления велосипеда
@@ -627,29 +601,48 @@ async function handleFinalizeReturn({ rental_id, new_bike_status, service_reason
     };
 
     // 4. Обновляем велосипед
-    const { error: updateBikeError } = await supabaseAdmin
-        .from('bikes')
-        .update(bikeUpdatePayload)
-        .eq('id', bike_id);
-
-    if (updateBikeError) {
+    let bikeUpdated = true;
+    try {
+        await store.bikes.update(bike_id, bikeUpdatePayload);
+    } catch (updateBikeError) {
         // Не "ломаем" весь процесс, но сообщаем об ошибке
+        bikeUpdated = false;
         console.error('Не удалось обновить статус велосипеда: ', updateBikeError.message);
-        // Можно вернуть частичный успех, если это приемлемо
     }
 
-    // --- НОВЫЙ БЛОК: ОТПРАВКА УВЕДОМЛЕНИЯ В TELEGRAM ---
-    const messageText = 'Пожалуйста, подпишите акт сдачи электровелосипеда в личном кабинете, чтобы завершить аренду.';
-
-    // ВАЖНО: Замените YOUR_BOT_USERNAME и YOUR_WEBAPP_SHORT_NAME на свои значения
-    // Имя пользователя бота - это то, что вы задали в BotFather (например, MySuperBikeBot)
-    // Короткое имя Web App - это то, что вы задали для кнопки Menu (например, app)
-    const webAppUrl = 'https://t.me/YOUR_BOT_USERNAME/YOUR_WEBAPP_SHORT_NAME?startapp=notifications';
-
-    await sendTelegramNotification(telegramUserId, messageText, webAppUrl);
-    // --- КОНЕЦ НОВОГО БЛОКА ---
+    // Ремонт отслеживается заявкой; закрытие заявки вернет велосипед в парк
+    if (bikeUpdated && new_bike_status === 'in_service') {
+        await openServiceTicket(supabaseAdmin, {
+            bikeId: bike_id,
+            rentalId: rental_id,
+            reason: service_reason,
+            openedBy: operator.id
+        });
+    }
 
-    return { status: 200, body: { message: 'Приемка оформлена, акт ожидает подписи клиента.' } };
+    // Возврат за неиспользованные сутки оплаченного периода
+    try {
+        await prorateEarlyReturn(supabaseAdmin, rental_id);
+    } catch (error) {
+        console.error(`Не удалось пересчитать оплату при возврате аренды ${rental_id}:`, error.message);
+    }
+
+    // 5. Просим клиента подписать акт
+    const notification = await enqueueNotification(supabaseAdmin, {
+        template: 'return_act_ready',
+        chatId: telegramUserId,
+        userId: rentalData.user_id,
+        rentalId: rental_id
+    });
+
+    return {
+        status: 200,
+        body: {
+            message: 'Приемка оформлена, акт ожидает подписи клиента.',
+            damageAmount: pricedDefects.total,
+            notificationStatus: notification.status
+        }
+    };
 }
 
 // +++ ВСТАВИТЬ ЭТОТ БЛОК КОДА В server.js +++
@@ -659,17 +652,12 @@ async function handleUnbindPaymentMethod({ userId }) {
         return { status: 400, body: { error: 'userId is required.' } };
     }
 
-    const supabaseAdmin = createSupabaseAdmin();
+    const store = createStore();
 
     // 1. Получаем текущие extra данные, чтобы не удалить ничего лишнего
-    const { data: client, error: fetchError } = await supabaseAdmin
-        .from('clients')
-        .select('extra')
-        .eq('id', userId)
-        .single();
-
-    if (fetchError) {
-        throw new Error('Не удалось найти клиента: ' + fetchError.message);
+    const client = await store.clients.findById(userId, 'extra');
+    if (!client) {
+        return { status: 404, body: { error: 'Client not found.' } };
     }
 
     const extra = client.extra || {};
@@ -677,149 +665,244 @@ async function handleUnbindPaymentMethod({ userId }) {
     delete extra.payment_method_details;
 
     // 3. Обновляем запись в базе: очищаем ID метода и обновляем extra
-    const { error: updateError } = await supabaseAdmin
-        .from('clients')
-        .update({
-            yookassa_payment_method_id: null,
-            extra: extra // Сохраняем объект extra без данных о карте
-        })
-        .eq('id', userId);
-
-    if (updateError) {
-        throw new Error('Ошибка при отвязке карты: ' + updateError.message);
-    }
+    await store.clients.update(userId, {
+        yookassa_payment_method_id: null,
+        extra: extra // Сохраняем объект extra без данных о карте
+    });
 
     return { status: 200, body: { message: 'Способ оплаты успешно отвязан.' } };
 }
-// НОВЫЙ ОБРАБОТЧИК ДЛЯ АДМИН-ПАНЕЛИ
-// +++ ВСТАВИТЬ ЭТОТ БЛОК КОДА В server.js +++
 
 /**
- * Устанавливает статус верификации для клиента и отправляет уведомление.
+ * Выдает временную ссылку на документ аренды.
+ * @param {object} store - Слой данных из createStore().
+ * @param {object} rental - Аренда с extra_data.
+ * @param {string} documentType - handover_act | contract_package | return_act.
  */
-async function handleSetVerificationStatus({ userId, status }) {
-    if (!userId || !status) {
-        return { status: 400, body: { error: 'userId и status обязательны.' } };
+async function getRentalDocumentUrl(store, rental, documentType) {
+    const pathField = DOCUMENT_PATH_FIELDS[documentType];
+    if (!pathField) {
+        return { status: 400, body: { error: `Unknown documentType. Allowed: ${Object.keys(DOCUMENT_PATH_FIELDS).join(', ')}.` } };
     }
-    if (!['approved', 'rejected'].includes(status)) {
-        return { status: 400, body: { error: 'Недопустимый статус.' } };
+    const filePath = rental.extra_data?.[pathField];
+    if (!filePath) {
+        return { status: 404, body: { error: 'Document has not been generated yet.' } };
     }
+    const { url, expiresAt } = await store.documents.createUrl(filePath);
+    return { status: 200, body: { url, expiresAt } };
+}
 
-    const supabaseAdmin = createSupabaseAdmin();
+async function handleGetDocumentUrl({ userId, rentalId, documentType }) {
+    if (!userId || !rentalId || !documentType) {
+        return { status: 400, body: { error: 'userId, rentalId and documentType are required.' } };
+    }
+    const store = createStore();
+    // Документ выдается только владельцу аренды
+    const rental = await store.rentals.findForUser(rentalId, userId, 'id, extra_data');
+    if (!rental) {
+        return { status: 404, body: { error: 'Rental not found.' } };
+    }
+    return getRentalDocumentUrl(store, rental, documentType);
+}
 
-    // 1. Обновляем статус клиента в базе
-    const { error: updateError } = await supabaseAdmin
-        .from('clients')
-        .update({ verification_status: status })
-        .eq('id', userId);
+/**
+ * Все сформированные документы по арендам клиента (без ссылок на файлы).
+ */
+async function handleGetDocuments({ userId }) {
+    if (!userId) {
+        return { status: 400, body: { error: 'userId is required.' } };
+    }
+    const rentals = await createStore().rentals.listForUser(userId, { columns: 'id, status, created_at, extra_data' });
+
+    const documents = [];
+    for (const rental of rentals) {
+        for (const [documentType, pathField] of Object.entries(DOCUMENT_PATH_FIELDS)) {
+            if (!rental.extra_data?.[pathField]) continue;
+            documents.push({
+                rentalId: rental.id,
+                rentalStatus: rental.status,
+                rentalCreatedAt: rental.created_at,
+                documentType
+            });
+        }
+    }
+    return { status: 200, body: { documents } };
+}
 
-    if (updateError) {
-        throw new Error('Не удалось обновить статус клиента: ' + updateError.message);
+async function handleGetDocumentUrlAdmin({ rental_id, document_type }) {
+    if (!rental_id || !document_type) {
+        return { status: 400, body: { error: 'rental_id и document_type обязательны.' } };
+    }
+    const store = createStore();
+    const rental = await store.rentals.findById(rental_id, 'id, extra_data');
+    if (!rental) {
+        return { status: 404, body: { error: 'Аренда не найдена.' } };
     }
+    return getRentalDocumentUrl(store, rental, document_type);
+}
 
-    // 2. Получаем telegram_user_id для отправки сообщения
-    const { data: client, error: fetchError } = await supabaseAdmin
-        .from('clients')
-        .select('telegram_user_id, extra')
-        .eq('id', userId)
-        .single();
+async function handleRequestReturn({ userId, rentalId }) {
+    if (!userId || !rentalId) {
+        return { status: 400, body: { error: 'userId and rentalId are required.' } };
+    }
+    try {
+        await transitionRental(createSupabaseAdmin(), {
+            rentalId,
+            to: 'pending_return',
+            actor: 'client',
+            actorId: userId,
+            userId,
+            reason: 'Клиент запросил возврат.'
+        });
+    } catch (error) {
+        if (error instanceof RentalTransitionError) {
+            return { status: error.status, body: { error: error.message, code: error.code } };
+        }
+        throw error;
+    }
+    return { status: 200, body: { message: 'Return requested.' } };
+}
 
-    if (fetchError || !client) {
-        console.warn(`Не удалось найти клиента ${userId} для отправки уведомления.`);
-        return { status: 200, body: { message: 'Статус обновлен, но уведомление не отправлено (клиент не найден).' } };
+async function handleGetRentalStatusHistory({ userId, rentalId }) {
+    if (!userId || !rentalId) {
+        return { status: 400, body: { error: 'userId and rentalId are required.' } };
+    }
+    const store = createStore();
+    const rental = await store.rentals.findForUser(rentalId, userId, 'id, status');
+    if (!rental) {
+        return { status: 404, body: { error: 'Rental not found.' } };
     }
 
-    // 3. Формируем текст сообщения и ссылку для Web App
-    let messageText = '';
-    const botUsername = 'pr1zmaticbot'; // <-- УКАЖИТЕ ИМЯ ВАШЕГО БОТА
-    const webAppName = 'app'; // <-- УКАЖИТЕ КОРОТКОЕ ИМЯ ВАШЕГО WEB APP
-    const webAppUrl = `https://t.me/${botUsername}/${webAppName}`;
+    const history = await getRentalStatusHistory(store.db, rentalId);
+    return { status: 200, body: { status: rental.status, history } };
+}
 
-    if (status === 'approved') {
-        messageText = '✅ Поздравляем! Ваш аккаунт был подтвержден. Теперь вы можете полноценно пользоваться приложением.';
-    } else { // status === 'rejected'
-        messageText = '❌ К сожалению, в верификации было отказано. Для уточнения деталей свяжитесь с поддержкой.';
+async function handleGetRentalStatusHistoryAdmin({ rental_id }) {
+    if (!rental_id) {
+        return { status: 400, body: { error: 'rental_id обязателен.' } };
     }
+    const history = await getRentalStatusHistory(createSupabaseAdmin(), rental_id);
+    return { status: 200, body: { history } };
+}
+
+registerUserOperations({
+    verifyToken: handleVerifyToken,
+    updateLocation: handleUpdateLocation,
+    getPaymentMethod: handleGetPaymentMethod,
+    unbindPaymentMethod: handleUnbindPaymentMethod,
+    getDocuments: handleGetDocuments,
+    getPendingContracts: handleGetPendingContracts,
+    getActiveRental: handleGetActiveRental,
+    getContractDetails: handleGetContractDetails,
+    confirmContract: handleConfirmContract,
+    requestReturn: handleRequestReturn,
+    generateReturnAct: handleGenerateReturnAct,
+    confirmReturnAct: handleConfirmReturnAct,
+    getRentalStatusHistory: handleGetRentalStatusHistory,
+    getDocumentUrl: handleGetDocumentUrl
+});
+registerAdminOperations({
+    createRental: handleCreateRental,
+    finalizeReturn: handleFinalizeReturn,
+    getRentalStatusHistory: handleGetRentalStatusHistoryAdmin,
+    getDocumentUrl: handleGetDocumentUrlAdmin
+});
 
-    // 4. Отправляем уведомление
-    // (Убедитесь, что функция sendTelegramNotification уже есть в вашем файле)
-    await sendTelegramNotification(client.telegram_user_id, messageText, webAppUrl);
+// REST API с проверкой запросов по схемам; описание — GET /api/v1/openapi.json
+app.use('/api/v1', createApiRouter(), apiErrorHandler);
 
-    return { status: 200, body: { message: 'Статус успешно обновлен, уведомление отправлено.' } };
-}
-app.post('/api/admin', async (req, res) => {
+// Старые эндпоинты с полем action: тонкие адаптеры над теми же операциями
+app.post('/api/admin', authenticateOperator(), legacyActionRoute('admin'));
+
+// verify-token — единственное действие, доступное без авторизации: через него клиент получает сессию
+app.post('/api/user', authenticateUser({ publicActions: ['verify-token'] }), legacyActionRoute('user'));
+
+// HTTP-уведомления ЮKassa. Ответ не 2xx заставит ЮKassa повторить уведомление позже
+app.post('/api/payments/webhook', async (req, res) => {
+    if (!isNotificationAddress(req.ip)) {
+        console.warn(`YooKassa notification from unexpected address ${req.ip} rejected.`);
+        return res.status(403).json({ error: 'Forbidden' });
+    }
     try {
-        const body = req.body;
-        const { action } = body;
-        let result;
-
-        switch (action) {
-            case 'finalize-return':
-                result = await handleFinalizeReturn(body);
-                break;
-            case 'set-verification-status':
-                result = await handleSetVerificationStatus(body);
-                break;
-            // Здесь могут быть другие admin-действия в будущем
-            default:
-                result = { status: 400, body: { error: 'Invalid admin action' } };
-                break;
+        await processPaymentNotification(createSupabaseAdmin(), req.body);
+        res.status(200).json({ ok: true });
+    } catch (error) {
+        if (error.code === 'malformed_notification') {
+            return res.status(400).json({ error: error.message });
         }
+        console.error('YooKassa webhook error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Входящие обновления Telegram-бота. Команды обслуживают те же обработчики, что и /api/user
+app.post('/api/telegram/webhook', createTelegramWebhook({
+    getActiveRental: handleGetActiveRental,
+    getDocuments: handleGetDocuments,
+    getDocumentUrl: handleGetDocumentUrl,
+    getPaymentMethod: handleGetPaymentMethod,
+    getPendingPayments: handleGetPendingPayments,
+    createCardBinding: handleCreateCardBinding,
+    extendRental: handleExtendRental,
+    requestReturn: handleRequestReturn
+}));
+
+// Пакеты GPS-трекеров велосипедов; формат определяет адаптер IOT_ADAPTER
+app.post('/api/iot/packets', iotPacketsRoute);
+
+// Публичная проверка подписанных документов: по ID из колонтитула или по самому PDF
+app.get('/api/documents/verify/:documentId', async (req, res) => {
+    try {
+        const result = await verifyDocument(createSupabaseAdmin(), { documentId: req.params.documentId });
         res.status(result.status).json(result.body);
     } catch (error) {
-        console.error('Admin handler error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Document verification error:', error);
+        // Маршрут публичный: текст ошибки базы остается в логах
+        res.status(500).json({ error: 'Document verification failed.' });
     }
 });
 
-app.post('/api/user', async (req, res) => {
+app.post('/api/documents/verify', express.raw({ type: 'application/pdf', limit: '20mb' }), async (req, res) => {
     try {
-        const body = req.body;
-        const { action } = body;
-
-        let result;
-        switch (action) {
-            case 'update-location':
-                result = await handleUpdateLocation(body);
-                break;
-            case 'verify-token':
-                result = await handleVerifyToken(body);
-                break;
-            case 'get-pending-contracts':
-                result = await handleGetPendingContracts(body);
-                break;
-            case 'get-contract-details':
-                result = await handleGetContractDetails(body);
-                break;
-            case 'confirm-contract':
-                result = await handleConfirmContract(body);
-                break;
-            case 'get-active-rental':
-                result = await handleGetActiveRental(body);
-                break;
-            case 'get-payment-method':
-                result = await handleGetPaymentMethod(body);
-                break;
-            case 'generate-return-act':
-                result = await handleGenerateReturnAct(body);
-                break;
-            case 'confirm-return-act':
-                result = await handleConfirmReturnAct(body);
-                break;
-            case 'unbind-payment-method':
-                result = await handleUnbindPaymentMethod(body);
-                break;
-            default:
-                result = { status: 400, body: { error: 'Invalid action' } };
-        }
+        // PDF можно прислать как тело application/pdf или в JSON полем pdfBase64
+        const pdfBuffer = Buffer.isBuffer(req.body)
+            ? req.body
+            : (req.body?.pdfBase64 ? Buffer.from(req.body.pdfBase64, 'base64') : null);
+        const documentId = req.query.documentId || req.body?.documentId || null;
 
+        const result = await verifyDocument(createSupabaseAdmin(), { documentId, pdfBuffer });
         res.status(result.status).json(result.body);
     } catch (error) {
-        console.error('User handler error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Document verification error:', error);
+        // Маршрут публичный: текст ошибки базы остается в логах
+        res.status(500).json({ error: 'Document verification failed.' });
     }
 });
 
-app.listen(port, () => {
-    console.log(`Server listening on port ${port}`);
+app.get('/verify', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'verify.html'));
 });
+
+// Сервер запускается только при прямом запуске; тесты подключают app через require
+if (require.main === module) {
+    const server = app.listen(port, () => {
+        console.log(`Server listening on port ${port}`);
+        startScheduler();
+        // Без имени бота не построить ссылки на Web App в уведомлениях — сообщаем об этом сразу
+        resolveBotUsername().catch((error) => console.error('Telegram is not configured:', error.message));
+    });
+
+    // Корректная остановка: перестаем принимать запросы, дожидаемся текущих задач и PDF и закрываем Chromium
+    const shutdown = async (signal) => {
+        console.log(`${signal} received, shutting down...`);
+        server.close();
+        await stopScheduler();
+        await shutdownPdfRenderer();
+        process.exit(0);
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { app };
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SIGNATURE_DATA, seedRental, startServer } = require('./helpers');
+const { app } = require('../server');
+
+let seed;
+let api;
+
+before(async () => {
+    seed = await seedRental({ operatorRole: 'support' });
+    api = await startServer(app);
+});
+
+after(() => api.close());
+
+test('openapi.json описывает все операции', async () => {
+    const { status, body } = await api.v1('GET', '/openapi.json');
+    assert.equal(status, 200);
+    assert.equal(body.openapi, '3.1.0');
+
+    const signContract = body.paths['/rentals/{rentalId}/contract/signature'].post;
+    assert.equal(signContract.operationId, 'signContract');
+    assert.deepEqual(signContract.requestBody.content['application/json'].schema.required, ['signatureData']);
+    assert.equal(signContract['x-legacy-action'], '/api/user confirm-contract');
+    assert.ok(body.paths['/admin/rentals/{rental_id}/return'].post);
+});
+
+test('ошибки приходят в едином формате с кодом', async (t) => {
+    await t.test('без сессии', async () => {
+        const { status, body } = await api.v1('GET', '/rentals/active');
+        assert.equal(status, 401);
+        assert.equal(body.error.code, 'unauthorized');
+    });
+
+    await t.test('тело не проходит схему', async () => {
+        const { status, body } = await api.v1('POST', `/rentals/${seed.rental.id}/contract/signature`, seed.authToken, {
+            signatureData: 'not-an-image',
+            extra: true
+        });
+        assert.equal(status, 400);
+        assert.equal(body.error.code, 'validation_failed');
+        assert.deepEqual(body.error.details.errors.map((error) => error.in), ['body', 'body']);
+    });
+
+    await t.test('параметр пути не проходит схему', async () => {
+        const { status, body } = await api.v1('GET', '/rentals/123/contract', seed.authToken);
+        assert.equal(status, 400);
+        assert.equal(body.error.details.errors[0].in, 'path');
+    });
+
+    await t.test('ресурс не найден', async () => {
+        const { status, body } = await api.v1('GET', '/rentals/7d2f3e58-1f7a-4c3e-9d7a-5f0c2b1e4a10/contract', seed.authToken);
+        assert.equal(status, 404);
+        assert.deepEqual(body, { error: { code: 'not_found', message: 'Rental not found.' } });
+    });
+
+    await t.test('недостаточно прав оператора', async () => {
+        const { status, body } = await api.v1('POST', `/admin/rentals/${seed.rental.id}/return`, seed.operatorToken, {
+            new_bike_status: 'available'
+        });
+        assert.equal(status, 403);
+        assert.equal(body.error.code, 'forbidden');
+    });
+
+    await t.test('неизвестный маршрут и битый JSON', async () => {
+        const missing = await api.v1('GET', '/nowhere', seed.authToken);
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.error.code, 'not_found');
+
+        const response = await fetch(`${api.baseUrl}/api/v1/session`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: '{"token":'
+        });
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error.code, 'invalid_json');
+    });
+});
+
+test('v1 и старые действия вызывают одни и те же операции', async () => {
+    const signed = await api.v1('POST', `/rentals/${seed.rental.id}/contract/signature`, seed.authToken, {
+        signatureData: SIGNATURE_DATA
+    });
+    assert.equal(signed.status, 200, JSON.stringify(signed.body));
+
+    const v1 = await api.v1('GET', '/rentals/active', seed.authToken);
+    const legacy = await api.user(seed.authToken, 'get-active-rental');
+    assert.equal(v1.body.rental.id, seed.rental.id);
+    assert.deepEqual(v1.body, legacy.body);
+
+    const again = await api.v1('POST', `/rentals/${seed.rental.id}/contract/signature`, seed.authToken, {
+        signatureData: SIGNATURE_DATA
+    });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error.code, 'illegal_transition');
+});
+
+test('admin-операции v1 пишутся в журнал под именем действия', async () => {
+    const history = await api.v1('GET', `/admin/rentals/${seed.rental.id}/status-history`, seed.operatorToken);
+    assert.equal(history.status, 200);
+
+    const { data: entries } = await seed.store.db
+        .from('admin_audit_log')
+        .select('action, result_status')
+        .eq('operator_id', seed.operator.id);
+    assert.deepEqual(entries.at(-1), { action: 'get-rental-status-history', result_status: 200 });
+});
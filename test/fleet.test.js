@@ -0,0 +1,37 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { seedRental, startServer } = require('./helpers');
+const { app } = require('../server');
+
+let seed;
+let api;
+
+before(async () => {
+    seed = await seedRental();
+    api = await startServer(app);
+});
+
+after(() => api.close());
+
+test('списание велосипеда учитывает только незавершенные аренды', async (t) => {
+    const { store, bike, rental, operatorToken } = seed;
+
+    await t.test('велосипед в аренде списать нельзя', async () => {
+        const { status, body } = await api.admin(operatorToken, 'retire-bike', { bike_id: bike.id });
+        assert.equal(status, 409);
+        assert.equal(body.rental_id, rental.id);
+    });
+
+    await t.test('после завершения аренды велосипед не числится арендованным и списывается', async () => {
+        await store.rentals.update(rental.id, { status: 'completed' });
+        await store.bikes.update(bike.id, { status: 'available' });
+
+        const bikes = await api.admin(operatorToken, 'get-bikes');
+        assert.equal(bikes.status, 200);
+        assert.equal(bikes.body.bikes.find((item) => item.id === bike.id).current_rental, null);
+
+        const { status, body } = await api.admin(operatorToken, 'retire-bike', { bike_id: bike.id, reason: 'Разбита рама' });
+        assert.equal(status, 200, body.error);
+        assert.equal((await store.bikes.findById(bike.id, 'status')).status, 'retired');
+    });
+});
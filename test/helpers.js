@@ -0,0 +1,92 @@
+// Окружение задается до подключения модулей сервера: часть настроек читается при загрузке
+process.env.DATA_BACKEND = 'memory';
+process.env.PDF_RENDERER = 'none';
+process.env.SCHEDULER_ENABLED = 'false';
+delete process.env.DATA_DIR;
+process.env.TELEGRAM_BOT_USERNAME = 'bikepark_test_bot';
+process.env.PASSPORT_ENCRYPTION_KEYS = 'test:' + Buffer.alloc(32, 7).toString('base64');
+
+const crypto = require('crypto');
+const { resetMemoryDatabase } = require('../lib/store/memory');
+const { createStore } = require('../lib/store');
+const { hashOperatorToken } = require('../lib/admin-auth');
+const { sealPassport } = require('../lib/passport-crypto');
+
+const PASSPORT = { series: '5000', number: '123456', issuing_authority: 'ГУ МВД по Новосибирской обл.', issue_date: '2015-04-01' };
+
+// Подпись клиента — PNG 1x1
+const SIGNATURE_DATA = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+/**
+ * Пустая база с клиентом, тарифом, велосипедом, оператором и арендой, ожидающей подписи договора.
+ */
+async function seedRental({ tariff = {}, bike = {}, operatorRole = 'manager' } = {}) {
+    resetMemoryDatabase();
+    const store = createStore();
+
+    const authToken = crypto.randomBytes(16).toString('hex');
+    const client = await store.clients.create({
+        name: 'Иван Петров',
+        city: 'Новосибирск',
+        telegram_user_id: 1001,
+        verification_status: 'approved',
+        auth_token: authToken,
+        auth_token_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    });
+    await store.clients.update(client.id, sealPassport(client.id, PASSPORT));
+    const createdTariff = await store.tariffs.create({ title: 'Неделя', price: 2100, duration_days: 7, ...tariff });
+    const createdBike = await store.bikes.create({
+        model_name: 'Kugoo V1',
+        frame_number: 'FR-001',
+        registration_number: 'BP-001',
+        status: 'rented',
+        ...bike
+    });
+
+    const operatorToken = crypto.randomBytes(16).toString('hex');
+    const { data: operator } = await store.db
+        .from('operators')
+        .insert({ name: 'Мастер', role: operatorRole, token_hash: hashOperatorToken(operatorToken) })
+        .select('*')
+        .single();
+
+    const rental = await store.rentals.create({
+        user_id: client.id,
+        bike_id: createdBike.id,
+        tariff_id: createdTariff.id,
+        status: 'awaiting_contract_signing'
+    });
+
+    return { store, client, authToken, tariff: createdTariff, bike: createdBike, operator, operatorToken, rental };
+}
+
+/**
+ * Поднимает app на свободном порту и возвращает функции вызова /api/user, /api/admin и /api/v1.
+ */
+async function startServer(app) {
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function call(url, token, body, method = 'POST') {
+        const headers = { 'content-type': 'application/json' };
+        if (token) headers.authorization = `Bearer ${token}`;
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    return {
+        baseUrl,
+        user: (token, action, params = {}) => call('/api/user', token, { action, ...params }),
+        admin: (token, action, params = {}) => call('/api/admin', token, { action, ...params }),
+        v1: (method, url, token, body) => call('/api/v1' + url, token, body, method),
+        close: () => new Promise((resolve) => server.close(resolve))
+    };
+}
+
+module.exports = { PASSPORT, SIGNATURE_DATA, seedRental, startServer };
@@ -0,0 +1,92 @@
+// Шлюз трекеров подменяется локальным сервером; адрес читается при загрузке адаптера
+process.env.IOT_COMMAND_URL = 'http://127.0.0.1:47802';
+process.env.IOT_INGEST_TOKEN = 'iot-test-token';
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { seedRental, startServer } = require('./helpers');
+const { app } = require('../server');
+const { transitionRental } = require('../lib/rental-status');
+
+let seed;
+let api;
+let gateway;
+// Команды, которые получил шлюз трекеров
+const gatewayCommands = [];
+
+before(async () => {
+    gateway = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            gatewayCommands.push({ url: req.url, ...JSON.parse(raw) });
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end('{}');
+        });
+    });
+    await new Promise((resolve) => gateway.listen(47802, '127.0.0.1', resolve));
+
+    seed = await seedRental({ bike: { iot_device_id: 'tracker-1' } });
+    api = await startServer(app);
+});
+
+after(async () => {
+    await api.close();
+    await new Promise((resolve) => gateway.close(resolve));
+});
+
+async function rentalInStatus(status) {
+    const { store, client, tariff, bike } = seed;
+    return store.rentals.create({ user_id: client.id, bike_id: bike.id, tariff_id: tariff.id, status });
+}
+
+test('выход из просрочки снимает блокировку велосипеда', async (t) => {
+    const { store } = seed;
+    for (const [to, actor] of [
+        ['active', 'system'],
+        ['pending_return', 'client'],
+        ['awaiting_return_signature', 'operator']
+    ]) {
+        await t.test(`overdue -> ${to}`, async () => {
+            const rental = await rentalInStatus('overdue');
+            gatewayCommands.length = 0;
+            await transitionRental(store.db, { rentalId: rental.id, to, actor });
+            assert.deepEqual(gatewayCommands.map(({ url, command }) => ({ url, command })), [
+                { url: '/devices/tracker-1/commands', command: 'release' }
+            ]);
+        });
+    }
+
+    await t.test('без просрочки команда не отправляется', async () => {
+        const rental = await rentalInStatus('active');
+        gatewayCommands.length = 0;
+        await transitionRental(store.db, { rentalId: rental.id, to: 'pending_return', actor: 'client' });
+        assert.deepEqual(gatewayCommands, []);
+    });
+
+    await t.test('просрочка блокирует велосипед', async () => {
+        const rental = await rentalInStatus('active');
+        gatewayCommands.length = 0;
+        await transitionRental(store.db, { rentalId: rental.id, to: 'overdue', actor: 'system' });
+        assert.deepEqual(gatewayCommands.map(({ command }) => command), ['immobilise']);
+    });
+});
+
+test('пакет с некорректным временем или временем из будущего отклоняется', async () => {
+    const send = (packet) => fetch(`${api.baseUrl}/api/iot/packets`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-iot-token': 'iot-test-token' },
+        body: JSON.stringify({ device_id: 'tracker-1', packets: [packet] })
+    });
+
+    const invalid = await send({ ts: 'вчера', lat: 55.0, lon: 82.9 });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(await invalid.json(), { error: 'Invalid packet timestamp.' });
+
+    const future = await send({ ts: Math.floor(Date.now() / 1000) + 24 * 60 * 60, lat: 55.0, lon: 82.9 });
+    assert.equal(future.status, 400);
+
+    const valid = await send({ ts: Math.floor(Date.now() / 1000), lat: 55.0, lon: 82.9 });
+    assert.equal(valid.status, 200);
+});
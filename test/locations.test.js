@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { seedRental, startServer } = require('./helpers');
+const { app } = require('../server');
+
+let seed;
+let api;
+
+// Квадрат ±0.1° вокруг точки в формате GeoJSON (долгота, широта)
+function square(latitude, longitude) {
+    return {
+        type: 'Polygon',
+        coordinates: [[
+            [longitude - 0.1, latitude - 0.1],
+            [longitude + 0.1, latitude - 0.1],
+            [longitude + 0.1, latitude + 0.1],
+            [longitude - 0.1, latitude + 0.1],
+            [longitude - 0.1, latitude - 0.1]
+        ]]
+    };
+}
+
+before(async () => {
+    seed = await seedRental();
+    api = await startServer(app);
+    await seed.store.rentals.update(seed.rental.id, { status: 'active' });
+});
+
+after(() => api.close());
+
+test('геозоны другого города не считаются зоной аренды', async () => {
+    const { authToken, operatorToken } = seed;
+    for (const [name, city, geometry] of [
+        ['Центр', 'Новосибирск', square(55.0, 82.9)],
+        ['Центр', 'Томск', square(56.5, 84.9)]
+    ]) {
+        const { status, body } = await api.admin(operatorToken, 'save-geofence', { name, city, geometry });
+        assert.equal(status, 200, body.error);
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const inTomsk = await api.user(authToken, 'update-location', {
+        latitude: 56.5,
+        longitude: 84.9,
+        recordedAt: new Date(Date.now() - 2 * dayMs).toISOString()
+    });
+    assert.equal(inTomsk.status, 200, inTomsk.body.error);
+    assert.equal(inTomsk.body.accepted, true);
+    assert.equal(inTomsk.body.outsideZone, true);
+
+    const inNovosibirsk = await api.user(authToken, 'update-location', {
+        latitude: 55.0,
+        longitude: 82.9,
+        recordedAt: new Date(Date.now() - dayMs).toISOString()
+    });
+    assert.equal(inNovosibirsk.status, 200, inNovosibirsk.body.error);
+    assert.equal(inNovosibirsk.body.accepted, true);
+    assert.equal(inNovosibirsk.body.outsideZone, false);
+});
+
+test('время отметки проверяется: некорректное и из будущего отклоняются', async () => {
+    const { authToken } = seed;
+    const send = (recordedAt) => api.user(authToken, 'update-location', { latitude: 55.0, longitude: 82.9, recordedAt });
+
+    const invalid = await send('не дата');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'invalid_recorded_at');
+
+    const future = await send(new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString());
+    assert.equal(future.status, 400);
+    assert.equal(future.body.code, 'invalid_recorded_at');
+
+    // Отклоненные отметки не блокируют трек
+    const current = await send(new Date().toISOString());
+    assert.equal(current.status, 200, current.body.error);
+    assert.equal(current.body.accepted, true);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryDatabase } = require('../lib/store/memory');
+
+test('вложенные выборки идут по внешним ключам в обе стороны', async () => {
+    const db = new MemoryDatabase();
+    const { data: bike } = await db.from('bikes').insert({ model_name: 'Kugoo V1' }).select('*').single();
+    const { data: rental } = await db.from('rentals').insert({ bike_id: bike.id, status: 'active' }).select('id').single();
+
+    const { data: withBike } = await db.from('rentals').select('id, bikes ( model_name )').eq('id', rental.id).single();
+    assert.deepEqual(withBike, { id: rental.id, bikes: { model_name: 'Kugoo V1' } });
+
+    const { data: withRentals } = await db.from('bikes').select('id, rentals ( status )').single();
+    assert.deepEqual(withRentals.rentals, [{ status: 'active' }]);
+});
+
+test('фильтры, сортировка и single ведут себя как в PostgREST', async () => {
+    const db = new MemoryDatabase();
+    await db.from('tariffs').insert([
+        { title: 'Сутки', price: 500, duration_days: 1 },
+        { title: 'Неделя', price: 2100, duration_days: 7 },
+        { title: 'Месяц', price: 6000, duration_days: null }
+    ]);
+
+    const { data: cheap } = await db.from('tariffs').select('title').lt('price', 3000).order('price', { ascending: false });
+    assert.deepEqual(cheap.map((row) => row.title), ['Неделя', 'Сутки']);
+
+    const { data: open } = await db.from('tariffs').select('title').is('duration_days', null);
+    assert.deepEqual(open, [{ title: 'Месяц' }]);
+
+    const { data: page } = await db.from('tariffs').select('title').order('title').range(1, 1);
+    assert.deepEqual(page, [{ title: 'Неделя' }]);
+
+    const { error } = await db.from('tariffs').select('*').single();
+    assert.equal(error.code, 'PGRST116');
+    const { data: missing, error: missingError } = await db.from('tariffs').select('*').eq('title', 'Год').maybeSingle();
+    assert.equal(missing, null);
+    assert.equal(missingError, null);
+});
+
+test('уникальные индексы возвращают 23505, условные обновления меняют только совпавшие строки', async () => {
+    const db = new MemoryDatabase();
+    await db.from('batteries').insert({ serial_number: 'BAT-1' });
+    const { error } = await db.from('batteries').insert({ serial_number: 'BAT-1' });
+    assert.equal(error.code, '23505');
+
+    const { data: updated } = await db
+        .from('batteries')
+        .update({ status: 'charging' })
+        .eq('serial_number', 'BAT-1')
+        .eq('status', 'installed')
+        .select('id');
+    assert.deepEqual(updated, []);
+});
+
+test('с dataDir таблицы и файлы переживают перезапуск', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bikepark-store-'));
+    try {
+        const first = new MemoryDatabase({ dataDir });
+        await first.from('clients').insert({ name: 'Иван' });
+        await first.storage.from('contracts-private').upload('signed/act.pdf', Buffer.from('%PDF-1.4'));
+
+        const second = new MemoryDatabase({ dataDir });
+        const { data: clients } = await second.from('clients').select('name');
+        assert.deepEqual(clients, [{ name: 'Иван' }]);
+        const { data: file } = await second.storage.from('contracts-private').download('signed/act.pdf');
+        assert.equal(Buffer.from(await file.arrayBuffer()).toString(), '%PDF-1.4');
+
+        const { error } = await second.storage.from('contracts-private').upload('../escape.pdf', Buffer.from('x'))
+            .catch((uploadError) => ({ error: uploadError }));
+        assert.ok(error);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,41 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { seedRental, startServer } = require('./helpers');
+const { app } = require('../server');
+
+let seed;
+let api;
+
+before(async () => {
+    seed = await seedRental();
+    api = await startServer(app);
+});
+
+after(() => {
+    process.env.TELEGRAM_BOT_USERNAME = 'bikepark_test_bot';
+    return api.close();
+});
+
+test('уведомление попадает в очередь, даже если имя бота неизвестно', async () => {
+    const { store, operatorToken, rental } = seed;
+    // Ни TELEGRAM_BOT_USERNAME, ни токена для getMe: ссылку на Web App построить нельзя
+    delete process.env.TELEGRAM_BOT_USERNAME;
+    await store.rentals.update(rental.id, { status: 'pending_return' });
+
+    const { status, body } = await api.admin(operatorToken, 'finalize-return', {
+        rental_id: rental.id,
+        new_bike_status: 'available'
+    });
+    assert.equal(status, 200, body.error);
+    assert.equal(body.notificationStatus, 'pending');
+
+    const { data: outbox } = await store.db
+        .from('notification_outbox')
+        .select('template, status, reply_markup, last_error')
+        .eq('rental_id', rental.id);
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].template, 'return_act_ready');
+    assert.equal(outbox[0].status, 'pending');
+    assert.deepEqual(outbox[0].reply_markup.inline_keyboard[0][0].web_app, { start_param: 'notifications' });
+    assert.match(outbox[0].last_error, /TELEGRAM_BOT_USERNAME is not set/);
+});
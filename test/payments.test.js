@@ -0,0 +1,274 @@
+// ЮKassa подменяется локальным сервером; адрес читается при загрузке модуля
+process.env.YOOKASSA_API_URL = 'http://127.0.0.1:47801/v3';
+process.env.YOOKASSA_SHOP_ID = 'shop';
+process.env.YOOKASSA_SECRET_KEY = 'secret';
+process.env.YOOKASSA_WEBHOOK_IP_CHECK = 'false';
+
+const http = require('http');
+const path = require('path');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { seedRental, startServer } = require('./helpers');
+const { app } = require('../server');
+
+let seed;
+let api;
+let yookassa;
+// Запросы, которые получила ЮKassa; ответы задаются по методу и пути (/v3/payments/:id)
+const yookassaRequests = [];
+const yookassaRoutes = {};
+let nextRefundResponse = null;
+
+yookassaRoutes['POST /v3/refunds'] = () => nextRefundResponse;
+
+before(async () => {
+    yookassa = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, key: req.headers['idempotence-key'], body: JSON.parse(raw || '{}') };
+            yookassaRequests.push(request);
+            const route = yookassaRoutes[`${req.method} ${req.url}`]
+                || yookassaRoutes[`${req.method} ${path.posix.dirname(req.url)}/:id`];
+            const { status, body } = route(request);
+            res.writeHead(status, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+    });
+    await new Promise((resolve) => yookassa.listen(47801, '127.0.0.1', resolve));
+
+    seed = await seedRental();
+    api = await startServer(app);
+});
+
+const refundRequests = () => yookassaRequests.filter((request) => request.url === '/v3/refunds');
+
+after(async () => {
+    await api.close();
+    await new Promise((resolve) => yookassa.close(resolve));
+});
+
+async function createPayment(amount) {
+    const { data } = await seed.store.db
+        .from('payments')
+        .insert({
+            user_id: seed.client.id,
+            rental_id: seed.rental.id,
+            purpose: 'manual',
+            amount,
+            status: 'succeeded',
+            yookassa_payment_id: `pay-${amount}`,
+            idempotence_key: `payment-${amount}`
+        })
+        .select('*')
+        .single();
+    return data;
+}
+
+test('повтор возврата с тем же ключом не создает второй возврат', async () => {
+    const payment = await createPayment(1000);
+    nextRefundResponse = { status: 200, body: { id: 'rf-1', status: 'pending' } };
+    yookassaRequests.length = 0;
+
+    const refund = () => api.v1('POST', `/admin/payments/${payment.id}/refunds`, seed.operatorToken, {
+        amount: 400,
+        idempotence_key: 'operator-refund-1'
+    });
+    const first = await refund();
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    const second = await refund();
+    assert.equal(second.status, 200, JSON.stringify(second.body));
+
+    assert.equal(second.body.refund.id, first.body.refund.id);
+    assert.equal(refundRequests().length, 1);
+    assert.equal(refundRequests()[0].key, 'operator-refund-1');
+    const { data: refunds } = await seed.store.db.from('refunds').select('id').eq('payment_id', payment.id);
+    assert.equal(refunds.length, 1);
+});
+
+test('после сбоя ЮKassa повтор без ключа отправляет прежний ключ', async () => {
+    const payment = await createPayment(2000);
+    yookassaRequests.length = 0;
+
+    nextRefundResponse = { status: 500, body: { description: 'internal error' } };
+    const failed = await api.admin(seed.operatorToken, 'refund-payment', { payment_id: payment.id, amount: 500 });
+    assert.equal(failed.status, 502);
+
+    nextRefundResponse = { status: 200, body: { id: 'rf-2', status: 'succeeded' } };
+    const retried = await api.admin(seed.operatorToken, 'refund-payment', { payment_id: payment.id, amount: 500 });
+    assert.equal(retried.status, 200, JSON.stringify(retried.body));
+    assert.equal(retried.body.refund.status, 'succeeded');
+
+    assert.equal(refundRequests().length, 2);
+    assert.equal(refundRequests()[1].key, refundRequests()[0].key);
+    const { data: refunds } = await seed.store.db.from('refunds').select('id').eq('payment_id', payment.id);
+    assert.equal(refunds.length, 1);
+    const { data: updated } = await seed.store.db.from('payments').select('refunded_amount').eq('id', payment.id).single();
+    assert.equal(Number(updated.refunded_amount), 500);
+});
+
+test('одновременные уведомления о частичных возвратах учитывают оба возврата', async () => {
+    const payment = await createPayment(3000);
+    await seed.store.db.from('refunds').insert([
+        { payment_id: payment.id, amount: 300, yookassa_refund_id: 'rf-partial-1', idempotence_key: 'partial-refund-1' },
+        { payment_id: payment.id, amount: 700, yookassa_refund_id: 'rf-partial-2', idempotence_key: 'partial-refund-2' }
+    ]);
+
+    yookassaRoutes['GET /v3/refunds/:id'] = ({ url }) => ({
+        status: 200,
+        body: { id: path.posix.basename(url), status: 'succeeded' }
+    });
+    const notify = (id) => fetch(`${api.baseUrl}/api/payments/webhook`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ type: 'notification', event: 'refund.succeeded', object: { id } })
+    });
+
+    // Второе уведомление обрабатывается целиком, пока первое еще не записало сумму возвратов
+    const { db } = seed.store;
+    const from = db.from;
+    let second = null;
+    db.from = function (table) {
+        const query = from.call(this, table);
+        if (table !== 'payments' || second) return query;
+        const update = query.update.bind(query);
+        query.update = (patch) => {
+            const then = query.then.bind(query);
+            second = notify('rf-partial-2');
+            query.then = (onFulfilled, onRejected) => second.then(() => then(onFulfilled, onRejected));
+            return update(patch);
+        };
+        return query;
+    };
+    let first;
+    try {
+        first = await notify('rf-partial-1');
+    } finally {
+        db.from = from;
+    }
+    assert.deepEqual([first.status, (await second).status], [200, 200]);
+
+    const { data: updated } = await seed.store.db.from('payments').select('refunded_amount').eq('id', payment.id).single();
+    assert.equal(Number(updated.refunded_amount), 1000);
+});
+
+test('ущерб: одна ссылка на оплату, лишняя оплата возвращается', async (t) => {
+    const { store, client, tariff, operatorToken } = seed;
+    const bike = await store.bikes.create({ model_name: 'Kugoo V1', frame_number: 'FR-DMG', status: 'available' });
+    const rental = await store.rentals.create({
+        user_id: client.id,
+        bike_id: bike.id,
+        tariff_id: tariff.id,
+        status: 'damage_payment_pending',
+        extra_data: { damage_amount: 1500 }
+    });
+    const yookassaPayments = new Map();
+    yookassaRoutes['POST /v3/payments'] = ({ body }) => {
+        const id = `pay-link-${yookassaPayments.size + 1}`;
+        const payment = { ...body, id, status: 'pending', confirmation: { confirmation_url: `https://pay.example/${id}` } };
+        yookassaPayments.set(id, payment);
+        return { status: 200, body: payment };
+    };
+    yookassaRoutes['GET /v3/payments/:id'] = ({ url }) => ({ status: 200, body: yookassaPayments.get(path.posix.basename(url)) });
+    nextRefundResponse = { status: 200, body: { id: 'rf-dup', status: 'succeeded' } };
+    yookassaRequests.length = 0;
+
+    async function paySucceeded(yookassaPaymentId) {
+        yookassaPayments.set(yookassaPaymentId, {
+            ...yookassaPayments.get(yookassaPaymentId),
+            status: 'succeeded',
+            captured_at: new Date().toISOString()
+        });
+        const response = await fetch(`${api.baseUrl}/api/payments/webhook`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ type: 'notification', event: 'payment.succeeded', object: { id: yookassaPaymentId } })
+        });
+        assert.equal(response.status, 200);
+    }
+    const damagePayments = async () => (await store.db
+        .from('payments').select('id, purpose, status, yookassa_payment_id').eq('rental_id', rental.id)).data;
+
+    await t.test('повторная попытка возвращает ту же ссылку', async () => {
+        const first = await api.admin(operatorToken, 'retry-damage-charge', { rental_id: rental.id });
+        assert.equal(first.status, 200, JSON.stringify(first.body));
+        assert.equal(first.body.payment.purpose, 'damage_link');
+        const second = await api.admin(operatorToken, 'retry-damage-charge', { rental_id: rental.id });
+        assert.equal(second.body.payment.id, first.body.payment.id);
+        assert.equal(yookassaRequests.filter((request) => request.url === '/v3/payments').length, 1);
+        assert.equal((await damagePayments()).length, 1);
+    });
+
+    await t.test('оплата ссылки закрывает аренду, новых попыток нет', async () => {
+        await paySucceeded('pay-link-1');
+        assert.equal((await store.rentals.findById(rental.id, 'status')).status, 'completed');
+
+        const retry = await api.admin(operatorToken, 'retry-damage-charge', { rental_id: rental.id });
+        assert.equal(retry.status, 409);
+        assert.equal(refundRequests().length, 0);
+    });
+
+    await t.test('оплата старой ссылки после закрытия аренды возвращается', async () => {
+        // Клиент оплатил ранее выставленную ссылку уже после закрытия аренды
+        yookassaPayments.set('pay-link-old', { id: 'pay-link-old', status: 'pending', amount: { value: '1500.00', currency: 'RUB' } });
+        const { data: stale } = await store.db.from('payments').insert({
+            user_id: client.id,
+            rental_id: rental.id,
+            purpose: 'damage_link',
+            amount: 1500,
+            idempotence_key: 'stale-damage-link',
+            yookassa_payment_id: 'pay-link-old'
+        }).select('*').single();
+
+        await paySucceeded('pay-link-old');
+        const [refund] = refundRequests();
+        assert.equal(refund.key, `damage-duplicate-refund-${stale.id}`);
+        assert.equal(refund.body.payment_id, 'pay-link-old');
+        const { data: updated } = await store.db.from('payments').select('refunded_amount').eq('id', stale.id).single();
+        assert.equal(Number(updated.refunded_amount), 1500);
+    });
+});
+
+test('отказ в списании за продление из уведомления ЮKassa ставит сообщение клиенту в очередь', async () => {
+    const { store, client, tariff, bike } = seed;
+    const rental = await store.rentals.create({
+        user_id: client.id,
+        bike_id: bike.id,
+        tariff_id: tariff.id,
+        status: 'active',
+        auto_renew: true
+    });
+    const { data: invoice } = await store.db.from('rental_invoices').insert({
+        rental_id: rental.id,
+        user_id: client.id,
+        kind: 'renewal',
+        period_start: new Date().toISOString(),
+        amount: 2100,
+        attempts: 1
+    }).select('*').single();
+    const { data: payment } = await store.db.from('payments').insert({
+        user_id: client.id,
+        rental_id: rental.id,
+        purpose: 'renewal',
+        amount: 2100,
+        status: 'pending',
+        yookassa_payment_id: 'pay-renewal',
+        idempotence_key: `renewal:${invoice.id}:1`
+    }).select('*').single();
+
+    yookassaRoutes['GET /v3/payments/:id'] = () => ({
+        status: 200,
+        body: { id: 'pay-renewal', status: 'canceled', cancellation_details: { reason: 'insufficient_funds' } }
+    });
+    const response = await fetch(`${api.baseUrl}/api/payments/webhook`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ type: 'notification', event: 'payment.canceled', object: { id: 'pay-renewal' } })
+    });
+    assert.equal(response.status, 200);
+
+    const { data: failed } = await store.db.from('rental_invoices').select('status, failure_reason').eq('id', invoice.id).single();
+    assert.deepEqual(failed, { status: 'failed', failure_reason: 'insufficient_funds' });
+    const { data: outbox } = await store.db.from('notification_outbox').select('template, dedupe_key').eq('rental_id', rental.id);
+    assert.deepEqual(outbox, [{ template: 'renewal_failed', dedupe_key: `renewal-failed:${invoice.id}:${payment.id}` }]);
+});
@@ -0,0 +1,220 @@
+// Маленький пакет задачи passport-encryption; размер читается при загрузке модуля
+process.env.PASSPORT_ENCRYPTION_BATCH = '2';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSPORT, SIGNATURE_DATA, seedRental, startServer } = require('./helpers');
+const {
+    encryptPassport,
+    decryptPassport,
+    maskPassport,
+    encryptPendingPassports
+} = require('../lib/passport-crypto');
+const { parsePassportData } = require('../lib/documents');
+const { app } = require('../server');
+
+let seed;
+let api;
+
+before(async () => {
+    seed = await seedRental();
+    api = await startServer(app);
+});
+
+after(() => api.close());
+
+test('паспорт шифруется с привязкой к клиенту', () => {
+    const token = encryptPassport('client-1', PASSPORT);
+    assert.match(token, /^pp1:test:/);
+    assert.doesNotMatch(token, /123456/);
+    assert.deepEqual(decryptPassport('client-1', token), PASSPORT);
+    assert.throws(() => decryptPassport('client-2', token), { code: 'decryption_failed' });
+});
+
+test('маска оставляет начало серии и конец номера', () => {
+    assert.deepEqual(maskPassport({ series: '50 00', number: '123456' }), { series: '50**', number: '****56' });
+    assert.deepEqual(maskPassport({}), { series: null, number: null });
+});
+
+test('задача шифрует открытые паспорта и перешифровывает новым ключом', async () => {
+    const { store } = seed;
+    const legacy = await store.clients.create({
+        name: 'Старый клиент',
+        recognized_passport_data: JSON.stringify(PASSPORT)
+    });
+
+    assert.deepEqual(await encryptPendingPassports(store.db), { encrypted: 1, reencrypted: 0, failed: 0 });
+    const sealed = await store.clients.findById(legacy.id);
+    assert.equal(sealed.recognized_passport_data, null);
+    assert.equal(sealed.passport_key_id, 'test');
+    assert.deepEqual(sealed.passport_masked, { series: '50**', number: '****56' });
+    assert.deepEqual(parsePassportData(sealed), PASSPORT);
+
+    const testKey = process.env.PASSPORT_ENCRYPTION_KEYS;
+    const nextKey = 'next:' + Buffer.alloc(32, 9).toString('base64');
+    process.env.PASSPORT_ENCRYPTION_KEYS = `${nextKey},${testKey}`;
+    // Перешифровываются оба клиента: из seedRental и только что зашифрованный
+    assert.deepEqual(await encryptPendingPassports(store.db), { encrypted: 0, reencrypted: 2, failed: 0 });
+    const rotated = await store.clients.findById(legacy.id);
+    assert.equal(rotated.passport_key_id, 'next');
+    assert.match(rotated.passport_data_encrypted, /^pp1:next:/);
+    assert.deepEqual(parsePassportData(rotated), PASSPORT);
+
+    // Обратно на ключ test: прежний ключ остается в списке для расшифровки
+    process.env.PASSPORT_ENCRYPTION_KEYS = `${testKey},${nextKey}`;
+    assert.deepEqual(await encryptPendingPassports(store.db), { encrypted: 0, reencrypted: 2, failed: 0 });
+    assert.deepEqual(parsePassportData(await store.clients.findById(seed.client.id)), PASSPORT);
+});
+
+test('нераспознанные паспорта не блокируют шифрование остальных', async () => {
+    const { store } = seed;
+    for (let index = 0; index < 3; index += 1) {
+        await store.clients.create({ name: `Битый паспорт ${index}`, recognized_passport_data: '{не json' });
+    }
+    const pending = await store.clients.create({ name: 'Новый клиент', recognized_passport_data: JSON.stringify(PASSPORT) });
+
+    assert.deepEqual(await encryptPendingPassports(store.db), { encrypted: 1, reencrypted: 0, failed: 3 });
+    assert.deepEqual(parsePassportData(await store.clients.findById(pending.id)), PASSPORT);
+});
+
+test('шифрование не затирает паспорт, распознанный во время задачи', async () => {
+    const { store } = seed;
+    const pending = await store.clients.create({ name: 'Клиент', recognized_passport_data: JSON.stringify(PASSPORT) });
+    const recognized = { ...PASSPORT, number: '654321' };
+
+    // Новый результат распознавания записывается между выборкой и обновлением задачи
+    const from = store.db.from;
+    let raced = false;
+    store.db.from = function (table) {
+        const query = from.call(this, table);
+        if (table !== 'clients' || raced) return query;
+        const update = query.update.bind(query);
+        query.update = (patch) => {
+            raced = true;
+            const then = query.then.bind(query);
+            query.then = (onFulfilled, onRejected) => store.clients
+                .update(pending.id, { recognized_passport_data: JSON.stringify(recognized) })
+                .then(() => then(onFulfilled, onRejected));
+            return update(patch);
+        };
+        return query;
+    };
+    try {
+        assert.deepEqual(await encryptPendingPassports(store.db), { encrypted: 0, reencrypted: 0, failed: 3 });
+    } finally {
+        store.db.from = from;
+    }
+    assert.equal((await store.clients.findById(pending.id)).recognized_passport_data, JSON.stringify(recognized));
+
+    assert.deepEqual(await encryptPendingPassports(store.db), { encrypted: 1, reencrypted: 0, failed: 3 });
+    assert.deepEqual(parsePassportData(await store.clients.findById(pending.id)), recognized);
+});
+
+test('клиент выгружает свои данные без паспорта и токенов', async () => {
+    const { store, client, rental } = seed;
+    const recordedAt = new Date().toISOString();
+    await store.db.from('rental_locations').insert([
+        { rental_id: rental.id, user_id: client.id, latitude: 55.03, longitude: 82.92, recorded_at: recordedAt, accepted: true },
+        { rental_id: rental.id, user_id: client.id, latitude: 56.5, longitude: 84.9, recorded_at: recordedAt, accepted: false, reject_reason: 'gps_jump' }
+    ]);
+
+    const { status, body } = await api.v1('GET', '/me/personal-data', seed.authToken);
+    assert.equal(status, 200);
+    assert.equal(body.profile.name, 'Иван Петров');
+    assert.deepEqual(body.passport, { series: '50**', number: '****56' });
+    assert.deepEqual(body.rentals.map((rental) => rental.id), [seed.rental.id]);
+    assert.deepEqual(Object.keys(body.track), [rental.id]);
+    assert.deepEqual(body.track[rental.id].map(({ latitude, longitude, accepted }) => ({ latitude, longitude, accepted })), [
+        { latitude: 55.03, longitude: 82.92, accepted: true },
+        { latitude: 56.5, longitude: 84.9, accepted: false }
+    ]);
+    assert.doesNotMatch(JSON.stringify(body), /123456|pp1:|auth_token/);
+});
+
+test('обезличивание бывшего клиента', async (t) => {
+    const { store, client, authToken, operatorToken, rental } = seed;
+
+    await t.test('пока аренда не завершена, обезличить нельзя', async () => {
+        const { status, body } = await api.v1('POST', `/admin/clients/${client.id}/anonymisation`, operatorToken, {
+            reason: 'Запрос клиента'
+        });
+        assert.equal(status, 409);
+        assert.equal(body.error.code, 'open_rentals');
+    });
+
+    await t.test('персональные данные удаляются, подписанные документы остаются', async () => {
+        const signed = await api.user(authToken, 'confirm-contract', { rentalId: rental.id, signatureData: SIGNATURE_DATA });
+        assert.equal(signed.status, 200, signed.body.error);
+        const { extra_data: extraData } = await store.rentals.findById(rental.id);
+        const contractBefore = await store.documents.download(extraData.contract_package_path);
+
+        await store.db.from('rental_locations').insert({
+            rental_id: rental.id,
+            user_id: client.id,
+            latitude: 55.03,
+            longitude: 82.92,
+            recorded_at: new Date().toISOString(),
+            accepted: true
+        });
+        await store.rentals.update(rental.id, { status: 'completed' });
+        const passportPhoto = `verification/${client.id}/passport_main.png`;
+        await store.documents.upload(passportPhoto, Buffer.from('photo'), 'image/png');
+        await store.db.from('verification_events').insert({
+            user_id: client.id,
+            from_status: 'needs_more_info',
+            to_status: 'pending',
+            actor: 'client',
+            documents: [{ kind: 'passport_main', storage_path: passportPhoto }]
+        });
+
+        // Сбой хранилища посреди очистки: клиент не отмечается обезличенным, повтор доводит очистку до конца
+        const storage = store.db.storage;
+        const from = storage.from;
+        storage.from = (bucket) => ({
+            ...from(bucket),
+            remove: async () => ({ data: null, error: { message: 'storage unavailable' } })
+        });
+        let failed;
+        try {
+            failed = await api.v1('POST', `/admin/clients/${client.id}/anonymisation`, operatorToken, {
+                reason: 'Запрос клиента'
+            });
+        } finally {
+            storage.from = from;
+        }
+        assert.equal(failed.status, 500);
+        assert.ok(!(await store.clients.findById(client.id)).anonymised_at);
+
+        const { status, body } = await api.v1('POST', `/admin/clients/${client.id}/anonymisation`, operatorToken, {
+            reason: 'Запрос клиента'
+        });
+        assert.equal(status, 200, JSON.stringify(body));
+        await assert.rejects(store.documents.download(passportPhoto));
+
+        const anonymised = await store.clients.findById(client.id);
+        assert.equal(anonymised.name, 'Анонимизированный клиент');
+        assert.equal(anonymised.telegram_user_id, null);
+        assert.equal(anonymised.auth_token, null);
+        assert.equal(anonymised.passport_data_encrypted, null);
+        assert.ok(anonymised.anonymised_at);
+
+        const { data: locations } = await store.db.from('rental_locations').select('id').eq('rental_id', rental.id);
+        assert.deepEqual(locations, []);
+        const { data: signatures } = await store.db.from('signatures').select('document_id').eq('rental_id', rental.id);
+        assert.ok(signatures.length > 0);
+        const contractAfter = await store.documents.download(extraData.contract_package_path);
+        assert.ok(contractAfter.equals(contractBefore));
+
+        // В журнал аудита ФИО и паспорт не попадают
+        const { data: audit } = await store.db.from('admin_audit_log').select('*').eq('action', 'anonymise-client');
+        assert.doesNotMatch(JSON.stringify(audit), /Иван Петров|pp1:/);
+    });
+
+    await t.test('повторное обезличивание отклоняется', async () => {
+        const { status, body } = await api.v1('POST', `/admin/clients/${client.id}/anonymisation`, operatorToken, {
+            reason: 'Повтор'
+        });
+        assert.equal(status, 409);
+        assert.equal(body.error.code, 'already_anonymised');
+    });
+});
@@ -0,0 +1,160 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SIGNATURE_DATA, seedRental, startServer } = require('./helpers');
+const { app } = require('../server');
+
+let seed;
+let api;
+
+before(async () => {
+    seed = await seedRental();
+    api = await startServer(app);
+});
+
+after(() => api.close());
+
+test('аренда проходит путь от подписания договора до подписанного акта сдачи', async (t) => {
+    const { store, authToken, operatorToken, rental, client, bike } = seed;
+
+    await t.test('договор ждет подписи клиента', async () => {
+        const { status, body } = await api.user(authToken, 'get-pending-contracts');
+        assert.equal(status, 200);
+        assert.deepEqual(body.notifications.map((item) => item.id), [rental.id]);
+        assert.equal(body.notifications[0].bikes.frame_number, 'FR-001');
+        assert.equal(body.notifications[0].tariffs.title, 'Неделя');
+    });
+
+    await t.test('в деталях договора паспорт замаскирован', async () => {
+        const { status, body } = await api.user(authToken, 'get-contract-details', { rentalId: rental.id });
+        assert.equal(status, 200);
+        assert.deepEqual(body.passport, { series: '50**', number: '****56' });
+        assert.deepEqual(body.rental.clients.recognized_passport_data, body.passport);
+        assert.doesNotMatch(JSON.stringify(body), /123456|passport_data_encrypted/);
+    });
+
+    await t.test('подписание договора активирует аренду', async () => {
+        const { status, body } = await api.user(authToken, 'confirm-contract', {
+            rentalId: rental.id,
+            signatureData: SIGNATURE_DATA
+        });
+        assert.equal(status, 200, body.error);
+
+        const active = await store.rentals.findById(rental.id);
+        assert.equal(active.status, 'active');
+        assert.ok(active.current_period_end);
+        assert.equal(active.extra_data.contract_document_path, `signed/${client.id}/rental_${rental.id}_signed.pdf`);
+
+        const pdf = await store.documents.download(active.extra_data.contract_package_path);
+        assert.equal(pdf.subarray(0, 8).toString(), '%PDF-1.4');
+        // В документ паспорт попадает расшифрованным
+        assert.match(pdf.toString(), /123456/);
+    });
+
+    await t.test('повторное подписание отклоняется', async () => {
+        const { status } = await api.user(authToken, 'confirm-contract', {
+            rentalId: rental.id,
+            signatureData: SIGNATURE_DATA
+        });
+        assert.equal(status, 409);
+    });
+
+    await t.test('клиент видит активную аренду и запрашивает возврат', async () => {
+        const active = await api.user(authToken, 'get-active-rental');
+        assert.equal(active.body.rental.id, rental.id);
+
+        const { status } = await api.user(authToken, 'request-return', { rentalId: rental.id });
+        assert.equal(status, 200);
+        assert.equal((await store.rentals.findById(rental.id, 'status')).status, 'pending_return');
+    });
+
+    await t.test('оператор оформляет приемку', async () => {
+        const { status, body } = await api.admin(operatorToken, 'finalize-return', {
+            rental_id: rental.id,
+            new_bike_status: 'available',
+            // Старые версии панели присылали временную ссылку на акт — она не сохраняется
+            return_act_url: 'https://example.com/signed/return_act.pdf?token=expired'
+        });
+        assert.equal(status, 200, body.error);
+        assert.equal(body.damageAmount, 0);
+        assert.equal((await store.rentals.findById(rental.id, 'extra_data')).extra_data.return_act_url, undefined);
+
+        assert.equal((await store.rentals.findById(rental.id, 'status')).status, 'awaiting_return_signature');
+        assert.equal((await store.bikes.findById(bike.id, 'status')).status, 'available');
+    });
+
+    await t.test('клиент получает акт сдачи и подписывает его', async () => {
+        const draft = await api.user(authToken, 'generate-return-act', { rentalId: rental.id });
+        assert.equal(draft.status, 200, draft.body.error);
+        assert.ok(draft.body.url);
+
+        const { status, body } = await api.user(authToken, 'confirm-return-act', {
+            rentalId: rental.id,
+            signatureData: SIGNATURE_DATA
+        });
+        assert.equal(status, 200, body.error);
+        const completed = await store.rentals.findById(rental.id, 'status, extra_data');
+        assert.equal(completed.status, 'completed');
+        assert.equal(completed.extra_data.return_act_path, `returns/${client.id}/return_act_${rental.id}_signed.pdf`);
+    });
+
+    await t.test('история статусов и документы сохранены', async () => {
+        const history = await api.user(authToken, 'get-rental-status-history', { rentalId: rental.id });
+        assert.equal(history.body.status, 'completed');
+        assert.deepEqual(
+            history.body.history.map((entry) => entry.to_status),
+            ['active', 'pending_return', 'awaiting_return_signature', 'completed']
+        );
+
+        const documents = await api.user(authToken, 'get-documents');
+        assert.deepEqual(
+            documents.body.documents.map((document) => document.documentType).sort(),
+            ['contract_package', 'handover_act', 'return_act']
+        );
+
+        const { extra_data: extraData } = await store.rentals.findById(rental.id, 'extra_data');
+        for (const documentId of Object.values(extraData.signed_document_ids)) {
+            const response = await fetch(`${api.baseUrl}/api/documents/verify/${documentId}`);
+            const body = await response.json();
+            assert.equal(body.found, true);
+            assert.equal(body.document.rental_id, rental.id);
+        }
+
+        const malformed = await fetch(`${api.baseUrl}/api/documents/verify/not-a-uuid`);
+        assert.equal(malformed.status, 400);
+        assert.deepEqual(await malformed.json(), { error: 'documentId must be a UUID.' });
+    });
+});
+
+test('чужую аренду клиент не видит', async () => {
+    const other = await seed.store.clients.create({
+        name: 'Другой клиент',
+        auth_token: 'other-client-token',
+        auth_token_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    });
+    const { status } = await api.user('other-client-token', 'get-contract-details', { rentalId: seed.rental.id });
+    assert.equal(status, 404);
+    assert.ok(other.id);
+});
+
+test('при одновременном подписании подпись записывает только один запрос', async () => {
+    const { store, authToken, client, bike, tariff } = seed;
+    const rental = await store.rentals.create({
+        user_id: client.id,
+        bike_id: bike.id,
+        tariff_id: tariff.id,
+        status: 'awaiting_contract_signing'
+    });
+
+    const responses = await Promise.all([1, 2].map(() => api.user(authToken, 'confirm-contract', {
+        rentalId: rental.id,
+        signatureData: SIGNATURE_DATA
+    })));
+    assert.deepEqual(responses.map(({ status }) => status).sort(), [200, 409]);
+
+    const { data: signatures } = await store.db.from('signatures').select('document_id, document_type').eq('rental_id', rental.id);
+    const { extra_data: extraData } = await store.rentals.findById(rental.id, 'extra_data');
+    assert.deepEqual(
+        signatures.map((signature) => [signature.document_type, signature.document_id]).sort(),
+        Object.entries(extraData.signed_document_ids).sort()
+    );
+});
@@ -0,0 +1,60 @@
+// Лимит читается при загрузке модуля
+process.env.ACT_PHOTO_LIMIT = '2';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SIGNATURE_DATA, seedRental, startServer } = require('./helpers');
+const { app } = require('../server');
+const { loadActPhotos } = require('../lib/rental-photos');
+const { photoGrid } = require('../lib/documents/partials');
+
+let seed;
+let api;
+
+before(async () => {
+    seed = await seedRental();
+    api = await startServer(app);
+});
+
+after(() => api.close());
+
+test('в акт встраиваются миниатюры, не больше лимита', async () => {
+    const { store, authToken, rental } = seed;
+    for (let index = 0; index < 3; index += 1) {
+        const { status, body } = await api.user(authToken, 'upload-rental-photo', {
+            rentalId: rental.id,
+            stage: 'handover',
+            photo: SIGNATURE_DATA
+        });
+        assert.equal(status, 200, body.error);
+    }
+
+    // Запоминаем параметры скачивания: фото должны запрашиваться уменьшенными
+    const downloads = [];
+    const storage = store.db.storage;
+    const from = storage.from;
+    storage.from = (bucket) => {
+        const files = from(bucket);
+        const download = files.download.bind(files);
+        files.download = (filePath, options) => {
+            downloads.push(options);
+            return download(filePath, options);
+        };
+        return files;
+    };
+    let photos;
+    try {
+        photos = await loadActPhotos(store.db, rental.id, 'handover');
+    } finally {
+        storage.from = from;
+    }
+
+    assert.deepEqual(photos.map((photo) => photo.number), [1, 2, 3]);
+    assert.deepEqual(photos.map((photo) => Boolean(photo.dataUrl)), [true, true, false]);
+    assert.equal(downloads.length, 2);
+    assert.deepEqual(downloads[0].transform, { width: 320, height: 240, quality: 70, resize: 'cover', format: 'origin' });
+
+    const grid = String(photoGrid(photos, 'Фотографии при выдаче'));
+    assert.equal(grid.match(/<img /g).length, 2);
+    assert.match(grid, /Еще 1 фото \(№3\)/);
+});
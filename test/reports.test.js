@@ -0,0 +1,232 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { seedRental, startServer } = require('./helpers');
+const { app } = require('../server');
+const { selectAllPages } = require('../lib/supabase');
+const { zonedMidnight, loadRentalIntervals } = require('../lib/reports/data');
+
+// Июнь 2025 по времени парка (Asia/Novosibirsk, UTC+7)
+const PERIOD = 'from=2025-06-01&to=2025-06-30';
+
+let seed;
+let api;
+
+async function download(url, token) {
+    const response = await fetch(`${api.baseUrl}/api/v1${url}`, { headers: { authorization: `Bearer ${token}` } });
+    return { response, content: Buffer.from(await response.arrayBuffer()) };
+}
+
+before(async () => {
+    seed = await seedRental();
+    api = await startServer(app);
+    const { store, client, rental } = seed;
+
+    // Аренда в Новосибирске: неделя с просрочкой и ущербом при возврате
+    await store.rentals.update(rental.id, { status: 'awaiting_return_signature', extra_data: { damage_amount: 1500 } });
+    // Аренда в Томске: месячный тариф, до сих пор просрочена
+    const tomskClient = await store.clients.create({ name: 'Олег Ким', city: 'Томск', verification_status: 'approved' });
+    const monthTariff = await store.tariffs.create({ title: 'Месяц', price: 8000, duration_days: 30 });
+    const secondBike = await store.bikes.create({ model_name: 'Kugoo V1', frame_number: 'FR-002', status: 'rented' });
+    const tomskRental = await store.rentals.create({
+        user_id: tomskClient.id,
+        bike_id: secondBike.id,
+        tariff_id: monthTariff.id,
+        status: 'overdue'
+    });
+    await store.bikes.create({ model_name: 'Kugoo V1', frame_number: 'FR-003', status: 'retired' });
+
+    await store.db.from('rental_status_history').insert([
+        { rental_id: rental.id, from_status: 'awaiting_contract_signing', to_status: 'active', created_at: '2025-06-01T03:00:00Z' },
+        { rental_id: rental.id, from_status: 'active', to_status: 'overdue', created_at: '2025-06-08T03:00:00Z' },
+        { rental_id: rental.id, from_status: 'overdue', to_status: 'awaiting_return_signature', created_at: '2025-06-09T03:00:00Z' },
+        { rental_id: tomskRental.id, from_status: 'awaiting_contract_signing', to_status: 'active', created_at: '2025-06-02T03:00:00Z' },
+        { rental_id: tomskRental.id, from_status: 'active', to_status: 'overdue', created_at: '2025-06-10T03:00:00Z' }
+    ]);
+
+    await store.db.from('payments').insert([
+        { user_id: client.id, rental_id: rental.id, purpose: 'rental', amount: 2100, status: 'succeeded', paid_at: '2025-06-01T03:05:00Z' },
+        { user_id: client.id, rental_id: rental.id, purpose: 'damage', amount: 1000, status: 'succeeded', paid_at: '2025-06-09T04:00:00Z' },
+        { user_id: client.id, purpose: 'card_binding', amount: 1, status: 'succeeded', paid_at: '2025-06-01T02:00:00Z' },
+        { user_id: client.id, rental_id: rental.id, purpose: 'renewal', amount: 2100, status: 'pending' },
+        {
+            user_id: tomskClient.id,
+            rental_id: tomskRental.id,
+            purpose: 'rental',
+            amount: 8000,
+            refunded_amount: 500,
+            status: 'succeeded',
+            paid_at: '2025-06-02T03:05:00Z'
+        }
+    ]);
+
+    // Заявка на верификацию рассмотрена через 6 часов после подачи
+    const applicant = await store.clients.create({
+        name: 'Мария Соколова',
+        city: 'Новосибирск',
+        verification_status: 'approved',
+        verification_submitted_at: '2025-06-01T02:00:00Z'
+    });
+    await store.db.from('verification_events').insert({
+        user_id: applicant.id,
+        from_status: 'pending',
+        to_status: 'approved',
+        actor: 'operator',
+        operator_id: seed.operator.id,
+        created_at: '2025-06-01T08:00:00Z'
+    });
+});
+
+after(() => api.close());
+
+test('отчеты: выручка по периодам и тарифам', async () => {
+    const { status, body } = await api.v1('GET', `/admin/reports/revenue?${PERIOD}&group_by=month`, seed.operatorToken);
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.filters.from, '2025-05-31T17:00:00.000Z');
+    assert.equal(body.filters.to, '2025-06-30T17:00:00.000Z');
+    assert.deepEqual(body.rows, [
+        { period: '2025-06', tariff: 'Месяц', payments: 1, gross: 8000, refunded: 500, net: 7500 },
+        { period: '2025-06', tariff: 'Неделя', payments: 2, gross: 3100, refunded: 0, net: 3100 }
+    ]);
+
+    const { body: filtered } = await api.v1('GET', `/admin/reports/revenue?${PERIOD}&group_by=month&city=${encodeURIComponent('новосибирск')}`, seed.operatorToken);
+    assert.deepEqual(filtered.rows.map((row) => row.tariff), ['Неделя']);
+});
+
+test('отчеты: загрузка парка, длительность, просрочки, ущерб и верификация', async () => {
+    const { operatorToken } = seed;
+    const report = async (name, query = '') => {
+        const { status, body } = await api.v1('GET', `/admin/reports/${name}?${PERIOD}${query}`, operatorToken);
+        assert.equal(status, 200, JSON.stringify(body));
+        return body.rows;
+    };
+
+    assert.deepEqual((await report('fleet-utilisation')).map(({ frame_number, rentals, rented_hours, utilisation }) => (
+        { frame_number, rentals, rented_hours, utilisation }
+    )), [
+        { frame_number: 'FR-001', rentals: 1, rented_hours: 192, utilisation: 26.7 },
+        { frame_number: 'FR-002', rentals: 1, rented_hours: 686, utilisation: 95.3 }
+    ]);
+    assert.deepEqual((await report('fleet-utilisation', '&city=Томск')).map((row) => row.frame_number), ['FR-002']);
+
+    assert.deepEqual(await report('rental-length'), [
+        { tariff: 'Неделя', rentals: 1, average_days: 8, min_days: 8, max_days: 8 },
+        { tariff: 'Все тарифы', rentals: 1, average_days: 8, min_days: 8, max_days: 8 }
+    ]);
+
+    assert.deepEqual(await report('overdue'), [
+        { period: '2025-06-08', overdue_events: 1, rentals: 1, still_overdue: 0 },
+        { period: '2025-06-10', overdue_events: 1, rentals: 1, still_overdue: 1 }
+    ]);
+    assert.deepEqual(await report('overdue', '&group_by=week'), [
+        { period: '2025-06-02', overdue_events: 1, rentals: 1, still_overdue: 0 },
+        { period: '2025-06-09', overdue_events: 1, rentals: 1, still_overdue: 1 }
+    ]);
+
+    assert.deepEqual(await report('damage'), [
+        { period: '2025-06-09', model_name: 'Kugoo V1', rentals: 1, damage_total: 1500, collected: 1000, outstanding: 500 }
+    ]);
+
+    assert.deepEqual(await report('verification-turnaround'), [
+        { period: '2025-06-01', decisions: 1, approved: 1, rejected: 0, needs_more_info: 0, average_hours: 6, max_hours: 6 }
+    ]);
+});
+
+test('отчеты: выгрузка в CSV и XLSX', async (t) => {
+    const { operatorToken } = seed;
+
+    await t.test('CSV отдается файлом с BOM и шапкой', async () => {
+        const { response, content } = await download(`/admin/reports/damage?${PERIOD}&format=csv`, operatorToken);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/csv/);
+        assert.match(response.headers.get('content-disposition'), /attachment; filename="report-damage-2025-06-01_2025-06-30\.csv"/);
+        const text = content.toString('utf8');
+        assert.equal(text.charCodeAt(0), 0xFEFF);
+        assert.equal(text.slice(1), [
+            'Период,Модель,Аренд с ущербом,"Начислено, ₽","Взыскано, ₽","Не взыскано, ₽"',
+            '2025-06-09,Kugoo V1,1,1500,1000,500',
+            ''
+        ].join('\r\n'));
+    });
+
+    await t.test('XLSX содержит данные и лист с параметрами', async () => {
+        const { response, content } = await download(`/admin/reports/revenue?${PERIOD}&format=xlsx`, operatorToken);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(content);
+        const [sheet, parameters] = workbook.worksheets;
+        assert.equal(sheet.getCell('A1').value, 'Период');
+        assert.equal(sheet.getCell('F1').value, 'Выручка, ₽');
+        assert.deepEqual(sheet.getRow(2).values.slice(1), ['2025-06-01', 'Неделя', 1, 2100, 0, 2100]);
+        assert.equal(sheet.rowCount, 4);
+        assert.equal(parameters.name, 'Параметры');
+        assert.equal(parameters.getCell('B4').value, 'все');
+    });
+
+    await t.test('старый /api/admin возвращает XLSX в base64', async () => {
+        const { status, body } = await api.admin(operatorToken, 'report-overdue', {
+            from: '2025-06-01', to: '2025-06-30', format: 'xlsx'
+        });
+        assert.equal(status, 200);
+        assert.equal(body.encoding, 'base64');
+        assert.equal(body.filename, 'report-overdue-2025-06-01_2025-06-30.xlsx');
+        assert.equal(Buffer.from(body.content, 'base64').subarray(0, 2).toString(), 'PK');
+    });
+
+    await t.test('форматы файлов описаны в OpenAPI', async () => {
+        const { body } = await api.v1('GET', '/openapi.json');
+        const content = body.paths['/admin/reports/revenue'].get.responses[200].content;
+        assert.deepEqual(Object.keys(content), [
+            'application/json',
+            'text/csv',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        ]);
+    });
+});
+
+test('отчеты: проверка фильтров', async () => {
+    const { operatorToken } = seed;
+
+    const reversed = await api.admin(operatorToken, 'report-revenue', { from: '2025-06-30', to: '2025-06-01' });
+    assert.equal(reversed.status, 400);
+    assert.equal(reversed.body.code, 'invalid_period');
+
+    const tooLong = await api.v1('GET', '/admin/reports/overdue?from=2024-01-01&to=2025-06-30', operatorToken);
+    assert.equal(tooLong.status, 400);
+    assert.equal(tooLong.body.error.code, 'period_too_long');
+
+    const badFormat = await api.v1('GET', `/admin/reports/overdue?${PERIOD}&format=pdf`, operatorToken);
+    assert.equal(badFormat.status, 400);
+    assert.equal(badFormat.body.error.code, 'validation_failed');
+
+    const legacyFormat = await api.admin(operatorToken, 'report-overdue', { format: 'pdf' });
+    assert.equal(legacyFormat.status, 400);
+    assert.equal(legacyFormat.body.code, 'invalid_format');
+
+    // У отчета без группировки по периодам group_by нет в схеме
+    const ungrouped = await api.v1('GET', `/admin/reports/rental-length?${PERIOD}&group_by=week`, operatorToken);
+    assert.equal(ungrouped.status, 400);
+});
+
+test('отчеты: выборки читаются страницами и только за период', async () => {
+    const { store, client, tariff, bike, rental } = seed;
+
+    const { data: all } = await store.db.from('payments').select('id');
+    const { data: paged, error } = await selectAllPages(() => store.db.from('payments').select('id').order('id'), 2);
+    assert.equal(error, null);
+    assert.equal(paged.length, all.length);
+    assert.equal(new Set(paged.map((payment) => payment.id)).size, all.length);
+
+    // Майская аренда закончилась до периода и не выбирается
+    const mayRental = await store.rentals.create({ user_id: client.id, bike_id: bike.id, tariff_id: tariff.id, status: 'completed' });
+    await store.db.from('rental_status_history').insert([
+        { rental_id: mayRental.id, from_status: 'awaiting_contract_signing', to_status: 'active', created_at: '2025-05-01T03:00:00Z' },
+        { rental_id: mayRental.id, from_status: 'active', to_status: 'awaiting_return_signature', created_at: '2025-05-10T03:00:00Z' }
+    ]);
+    const intervals = await loadRentalIntervals(store.db, { from: zonedMidnight('2025-06-01'), to: zonedMidnight('2025-07-01') });
+    assert.equal(intervals.length, 2);
+    assert.ok(intervals.some((interval) => interval.rental.id === rental.id));
+    assert.ok(!intervals.some((interval) => interval.rental.id === mayRental.id));
+});
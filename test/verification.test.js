@@ -0,0 +1,155 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSPORT, SIGNATURE_DATA, seedRental, startServer } = require('./helpers');
+const { sealPassport } = require('../lib/passport-crypto');
+const { app } = require('../server');
+
+let seed;
+let api;
+let applicant;
+
+before(async () => {
+    seed = await seedRental();
+    api = await startServer(app);
+
+    const client = await seed.store.clients.create({
+        name: 'Мария Соколова',
+        telegram_user_id: 1002,
+        verification_status: 'pending',
+        verification_submitted_at: new Date().toISOString(),
+        auth_token: 'applicant-token',
+        auth_token_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    });
+    await seed.store.clients.update(client.id, sealPassport(client.id, PASSPORT));
+    applicant = client;
+});
+
+after(() => api.close());
+
+test('верификация: запрос документов, повторная подача и одобрение', async (t) => {
+    const { store, operatorToken, tariff } = seed;
+    const bike = await store.bikes.create({ model_name: 'Kugoo V1', frame_number: 'FR-002', status: 'available' });
+    const createRental = () => api.v1('POST', '/admin/rentals', operatorToken, {
+        user_id: applicant.id,
+        bike_id: bike.id,
+        tariff_id: tariff.id
+    });
+
+    await t.test('очередь показывает паспорт с маскированными серией и номером', async () => {
+        const { status, body } = await api.v1('GET', '/admin/verification-queue', operatorToken);
+        assert.equal(status, 200);
+        assert.deepEqual(body.clients.map((client) => client.id), [applicant.id]);
+        const [queued] = body.clients;
+        assert.equal(queued.passport.series, '50**');
+        assert.equal(queued.passport.number, '****56');
+        assert.equal(queued.passport.issuing_authority, PASSPORT.issuing_authority);
+        assert.equal(queued.passport_data_encrypted, undefined);
+    });
+
+    await t.test('аренду нельзя выставить непроверенному клиенту', async () => {
+        const { status, body } = await createRental();
+        assert.equal(status, 409);
+        assert.equal(body.error.code, 'client_not_verified');
+        assert.equal((await store.bikes.findById(bike.id, 'status')).status, 'available');
+    });
+
+    await t.test('запрос документов требует причину', async () => {
+        const { status } = await api.v1('PUT', `/admin/clients/${applicant.id}/verification-status`, operatorToken, {
+            status: 'needs_more_info'
+        });
+        assert.equal(status, 400);
+    });
+
+    await t.test('оператор запрашивает документы с причиной', async () => {
+        const { status, body } = await api.v1('PUT', `/admin/clients/${applicant.id}/verification-status`, operatorToken, {
+            status: 'needs_more_info',
+            reason: { code: 'registration_page_missing', comment: 'Нужна страница 5' }
+        });
+        assert.equal(status, 200, JSON.stringify(body));
+
+        const { data: [notification] } = await store.db
+            .from('notification_outbox')
+            .select('template, text')
+            .eq('user_id', applicant.id);
+        assert.equal(notification.template, 'verification_needs_more_info');
+        assert.match(notification.text, /нет фото страницы с регистрацией/);
+        assert.match(notification.text, /Нужна страница 5/);
+    });
+
+    await t.test('клиент видит причину и историю', async () => {
+        const { status, body } = await api.v1('GET', '/me/verification', 'applicant-token');
+        assert.equal(status, 200);
+        assert.equal(body.status, 'needs_more_info');
+        assert.equal(body.reason.code, 'registration_page_missing');
+        assert.equal(body.canResubmit, true);
+        assert.deepEqual(body.history.map((event) => event.status), ['needs_more_info']);
+    });
+
+    await t.test('клиент подает документы повторно и возвращается в очередь', async () => {
+        const { status, body } = await api.v1('POST', '/me/verification/documents', 'applicant-token', {
+            documents: [{ kind: 'passport_registration', photo: SIGNATURE_DATA }],
+            comment: 'Добавила страницу с пропиской'
+        });
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.status, 'pending');
+
+        const queue = await api.v1('GET', '/admin/verification-queue', operatorToken);
+        const [queued] = queue.body.clients;
+        assert.equal(queued.id, applicant.id);
+        assert.equal(queued.documents.length, 1);
+        assert.equal(queued.documents[0].kind, 'passport_registration');
+        assert.ok(queued.documents[0].url);
+        assert.deepEqual(queued.history.map((event) => event.to_status), ['needs_more_info', 'pending']);
+
+        const again = await api.v1('POST', '/me/verification/documents', 'applicant-token', {
+            documents: [{ kind: 'passport_main', photo: SIGNATURE_DATA }]
+        });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.error.code, 'resubmission_not_requested');
+    });
+
+    await t.test('после одобрения аренда выставляется на подпись', async () => {
+        const approved = await api.admin(operatorToken, 'set-verification-status', { userId: applicant.id, status: 'approved' });
+        assert.equal(approved.status, 200, approved.body.error);
+
+        const { status, body } = await createRental();
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.rental.status, 'awaiting_contract_signing');
+        assert.equal((await store.bikes.findById(bike.id, 'status')).status, 'rented');
+
+        const pending = await api.user('applicant-token', 'get-pending-contracts');
+        assert.deepEqual(pending.body.notifications.map((rental) => rental.id), [body.rental.id]);
+
+        const second = await createRental();
+        assert.equal(second.status, 409);
+        assert.equal(second.body.error.code, 'bike_unavailable');
+    });
+});
+
+test('нерасшифрованный паспорт не ломает очередь верификации', async () => {
+    const { store, operatorToken } = seed;
+    const submittedAt = new Date().toISOString();
+    const unknownKey = await store.clients.create({
+        name: 'Паспорт на старом ключе',
+        verification_status: 'pending',
+        verification_submitted_at: submittedAt,
+        passport_data_encrypted: 'pp1:retired:aaaa:bbbb:cccc',
+        passport_key_id: 'retired',
+        passport_masked: { series: '45**', number: '****01' }
+    });
+    const plaintext = await store.clients.create({
+        name: 'Паспорт открытым текстом',
+        verification_status: 'pending',
+        verification_submitted_at: submittedAt,
+        passport_data_encrypted: '4500 123401'
+    });
+
+    const { status, body } = await api.v1('GET', '/admin/verification-queue', operatorToken);
+    assert.equal(status, 200, JSON.stringify(body));
+    const byId = new Map(body.clients.map((client) => [client.id, client]));
+    assert.deepEqual(byId.get(unknownKey.id).passport, { series: '45**', number: '****01' });
+    assert.equal(byId.get(unknownKey.id).passport_error, 'unknown_key');
+    assert.deepEqual(byId.get(plaintext.id).passport, { series: null, number: null });
+    assert.equal(byId.get(plaintext.id).passport_error, 'invalid_ciphertext');
+    assert.doesNotMatch(JSON.stringify(body), /123401/);
+});